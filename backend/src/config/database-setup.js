@@ -8,6 +8,7 @@ const Booking = require('../models/Booking');
 const Emergency = require('../models/Emergency');
 const Admin = require('../models/Admin');
 const Service = require('../models/Service');
+const { setSeedPassword } = require('../services/adminPasswords');
 
 const setupDatabase = async () => {
   try {
@@ -106,14 +107,14 @@ const setupDatabase = async () => {
     
     // Create default admin user
     console.log('👨‍💼 Creating default admin user...');
-    const adminExists = await Admin.findOne({ email: 'admin@rollon.in' });
+    const adminEmail = (process.env.ADMIN_SEED_EMAIL || 'admin@rollon.in').toLowerCase().trim();
+    const adminExists = await Admin.findOne({ email: adminEmail });
     
     if (!adminExists) {
       const defaultAdmin = new Admin({
         username: 'admin',
-        email: 'admin@rollon.in',
+        email: adminEmail,
         name: 'Rollon Admin',
-        password: 'admin123456',
         role: 'super_admin',
         isEmailVerified: true,
         isActive: true,
@@ -149,10 +150,14 @@ const setupDatabase = async () => {
         ]
       });
       
-      await defaultAdmin.save();
+      const resetLink = await setSeedPassword(defaultAdmin);
       console.log('✅ Default admin user created');
-      console.log('📧 Email: admin@rollon.in');
-      console.log('🔑 Password: admin123456');
+      console.log(`📧 Email: ${adminEmail}`);
+      if (resetLink) {
+        console.log(`🔑 Choose a password with this one-time link before logging in: ${resetLink}`);
+      } else {
+        console.log('🔑 Password: ADMIN_SEED_PASSWORD');
+      }
     } else {
       console.log('ℹ️ Default admin user already exists');
     }
@@ -189,7 +189,7 @@ const options = {
             _id: { type: 'string', example: '507f1f77bcf86cd799439016' },
             username: { type: 'string', example: 'admin' },
             email: { type: 'string', format: 'email', example: 'admin@rollon.in' },
-            role: { type: 'string', enum: ['super_admin', 'admin', 'moderator'], example: 'admin' },
+            role: { type: 'string', enum: ['super_admin', 'admin', 'moderator', 'support'], example: 'admin' },
             permissions: {
               type: 'array',
               items: { type: 'string' },
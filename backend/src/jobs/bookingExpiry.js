@@ -0,0 +1,182 @@
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const { transitionBooking } = require('../services/bookingStateMachine');
+const { findAlternativePartners } = require('../services/availability');
+const { sendSMS } = require('../services/sms');
+
+/**
+ * Expiry configuration - all values can be overridden from the environment
+ */
+const ACCEPT_WINDOW_MINUTES = parseInt(process.env.BOOKING_ACCEPT_WINDOW_MINUTES, 10) || 30;
+const NO_SHOW_GRACE_MINUTES = parseInt(process.env.BOOKING_NO_SHOW_GRACE_MINUTES, 10) || 30;
+const BATCH_SIZE = 50;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Look up nearby alternatives, store them on the booking and text them to the customer
+ * Failures are logged; the booking has already been closed by then.
+ * Only these fields are written, so refund updates made meanwhile are kept.
+ */
+const offerAlternatives = async (booking, headline) => {
+  try {
+    const alternatives = await findAlternativePartners(booking);
+    const notifications = [];
+
+    const user = await User.findById(booking.userId).select('phoneNumber');
+    if (user && user.phoneNumber) {
+      const suggestions = alternatives.length > 0
+        ? ' Nearby partners with free slots: ' + alternatives
+          .map(alt => `${alt.partnerName}${alt.distance !== undefined ? ` (${alt.distance} km)` : ''}`)
+          .join(', ') + '. Open the app to rebook.'
+        : ' Open the app to book another partner.';
+
+      let status = 'sent';
+      try {
+        await sendSMS(user.phoneNumber, `Rollon: ${headline}${suggestions} Ref ${booking.bookingId}`);
+      } catch (error) {
+        status = 'failed';
+        console.error(`Booking alternative notification failed for ${booking.bookingId}:`, error.message);
+      }
+      notifications.push({ type: 'sms', sentAt: new Date(), status });
+    }
+
+    await Booking.updateOne(
+      { _id: booking._id },
+      {
+        $set: { suggestedAlternatives: alternatives },
+        $push: { notificationsSent: { $each: notifications } }
+      }
+    );
+  } catch (error) {
+    console.error(`Finding alternatives for booking ${booking.bookingId} failed:`, error);
+  }
+};
+
+/**
+ * Close one booking of a batch
+ * Bookings the partner or user moved on since the batch was loaded are skipped.
+ * @returns {Promise<Object|null>} The closed booking, or null if it was skipped or failed
+ */
+const closeBooking = async (booking, status, reason, updates = {}) => {
+  try {
+    return await transitionBooking(booking, status, { actor: 'system', reason, updates });
+  } catch (error) {
+    if (error.statusCode !== 409) {
+      console.error(`Closing booking ${booking.bookingId} as ${status} failed:`, error.message);
+    }
+    return null;
+  }
+};
+
+/**
+ * When a pending booking stops waiting for the partner
+ * ACCEPT_WINDOW_MINUTES after it was created, or at its scheduled start if that is sooner.
+ * @returns {{ deadline: Date, atScheduledStart: boolean }}
+ */
+const getAcceptDeadline = (booking) => {
+  const windowEnd = new Date(booking.createdAt.getTime() + ACCEPT_WINDOW_MINUTES * MINUTE_MS);
+  const scheduledStart = booking.getScheduledStart();
+
+  return scheduledStart && scheduledStart < windowEnd
+    ? { deadline: scheduledStart, atScheduledStart: true }
+    : { deadline: windowEnd, atScheduledStart: false };
+};
+
+/**
+ * Expire pending bookings the partner has not accepted in time (see getAcceptDeadline)
+ */
+const expirePendingBookings = async () => {
+  const now = new Date();
+
+  // scheduledDate is at or before the scheduled start, so this also finds every booking past its start
+  const bookings = await Booking.find({
+    status: 'pending',
+    $or: [
+      { createdAt: { $lte: new Date(now.getTime() - ACCEPT_WINDOW_MINUTES * MINUTE_MS) } },
+      { scheduledDate: { $lte: now } }
+    ]
+  })
+    .sort({ createdAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let expired = 0;
+  for (const booking of bookings) {
+    const { deadline, atScheduledStart } = getAcceptDeadline(booking);
+    if (deadline > now) continue;
+
+    const reason = atScheduledStart
+      ? 'Partner did not accept before the scheduled time'
+      : `Partner did not accept within ${ACCEPT_WINDOW_MINUTES} minutes`;
+    const closed = await closeBooking(booking, 'expired', reason);
+    if (!closed) continue;
+
+    await offerAlternatives(closed, `your ${closed.serviceName} booking expired because the partner did not respond.`);
+    expired++;
+  }
+
+  return expired;
+};
+
+/**
+ * Cancel accepted bookings whose service never started
+ * Runs NO_SHOW_GRACE_MINUTES after the scheduled start. A partner who reported arriving
+ * (actualArrivalTime) found no customer; otherwise the partner did not show. The side is
+ * stored as noShowBy, which the refund policy uses.
+ */
+const cancelNoShowBookings = async () => {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - NO_SHOW_GRACE_MINUTES * MINUTE_MS);
+
+  // scheduledDate is the slot start; getScheduledStart() also covers older HH:MM-only bookings
+  const bookings = await Booking.find({
+    status: 'accepted',
+    serviceStartTime: { $exists: false },
+    scheduledDate: { $lte: cutoff }
+  })
+    .sort({ scheduledDate: 1 })
+    .limit(BATCH_SIZE);
+
+  let cancelled = 0;
+  for (const booking of bookings) {
+    const scheduledStart = booking.getScheduledStart();
+    if (!scheduledStart || scheduledStart > cutoff) continue;
+
+    const noShowBy = booking.actualArrivalTime ? 'user' : 'partner';
+    const reason = noShowBy === 'user'
+      ? 'No-show by customer: partner arrived but the service could not start'
+      : `No-show by partner: service not started within ${NO_SHOW_GRACE_MINUTES} minutes of the scheduled time`;
+    const closed = await closeBooking(booking, 'cancelled', reason, { noShowBy });
+    if (!closed) continue;
+
+    if (noShowBy === 'partner') {
+      await offerAlternatives(closed, `your ${closed.serviceName} booking was cancelled because the service did not start on time.`);
+    }
+    cancelled++;
+  }
+
+  return cancelled;
+};
+
+/**
+ * Job entry point
+ */
+const run = async () => {
+  const expired = await expirePendingBookings();
+  const noShows = await cancelNoShowBookings();
+
+  if (expired > 0 || noShows > 0) {
+    console.log(`⏰ Booking expiry: ${expired} expired, ${noShows} no-shows cancelled`);
+  }
+
+  return { expired, noShows };
+};
+
+module.exports = {
+  name: 'booking-expiry',
+  intervalSeconds: parseInt(process.env.BOOKING_EXPIRY_INTERVAL_SECONDS, 10) || 60,
+  run,
+  expirePendingBookings,
+  cancelNoShowBookings,
+  getAcceptDeadline
+};
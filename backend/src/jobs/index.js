@@ -0,0 +1,72 @@
+const bookingExpiry = require('./bookingExpiry');
+const paymentReconciliation = require('./paymentReconciliation');
+const settlementCycle = require('./settlementCycle');
+const invoiceBackfill = require('./invoiceBackfill');
+const walletMaintenance = require('./walletMaintenance');
+const serviceCallExpiry = require('./serviceCallExpiry');
+
+/**
+ * Background jobs run inside the API process
+ * Each job exports { name, intervalSeconds, run }. Set JOBS_ENABLED=false on all
+ * but one instance when running several API servers against the same database.
+ */
+const jobs = [
+  bookingExpiry,
+  paymentReconciliation,
+  settlementCycle,
+  invoiceBackfill,
+  walletMaintenance,
+  serviceCallExpiry
+];
+
+const timers = new Map();
+const running = new Set();
+
+/**
+ * Run a job once, skipping the tick if the previous run is still busy
+ */
+const runJob = async (job) => {
+  if (running.has(job.name)) return;
+
+  running.add(job.name);
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+  } finally {
+    running.delete(job.name);
+  }
+};
+
+/**
+ * Schedule every job on its interval
+ */
+const startJobs = () => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    console.log('⏸️  Background jobs disabled (JOBS_ENABLED=false)');
+    return;
+  }
+
+  jobs.forEach(job => {
+    if (timers.has(job.name)) return;
+
+    const timer = setInterval(() => runJob(job), job.intervalSeconds * 1000);
+    // Do not keep the process alive just for jobs
+    if (timer.unref) timer.unref();
+    timers.set(job.name, timer);
+  });
+
+  console.log(`⏰ Started ${jobs.length} background job(s)`);
+};
+
+const stopJobs = () => {
+  timers.forEach(timer => clearInterval(timer));
+  timers.clear();
+};
+
+module.exports = {
+  startJobs,
+  stopJobs,
+  runJob,
+  jobs
+};
@@ -0,0 +1,21 @@
+const { generateMissingInvoices } = require('../services/invoices');
+
+/**
+ * Job entry point
+ * Issues invoices for completed bookings that did not get one at completion time.
+ */
+const run = async () => {
+  const issued = await generateMissingInvoices();
+
+  if (issued > 0) {
+    console.log(`🧾 Invoices: issued ${issued} missing invoice(s)`);
+  }
+
+  return { issued };
+};
+
+module.exports = {
+  name: 'invoice-backfill',
+  intervalSeconds: parseInt(process.env.INVOICE_BACKFILL_INTERVAL_SECONDS, 10) || 900,
+  run
+};
@@ -0,0 +1,22 @@
+const { reconcilePayments } = require('../services/bookingPayments');
+const { reconcileRefunds } = require('../services/refunds');
+
+/**
+ * Job entry point
+ */
+const run = async () => {
+  const settled = await reconcilePayments();
+  const refunds = await reconcileRefunds();
+
+  if (settled > 0 || refunds > 0) {
+    console.log(`💳 Payment reconciliation: ${settled} payment(s) and ${refunds} refund(s) settled`);
+  }
+
+  return { settled, refunds };
+};
+
+module.exports = {
+  name: 'payment-reconciliation',
+  intervalSeconds: parseInt(process.env.PAYMENT_RECONCILE_INTERVAL_SECONDS, 10) || 300,
+  run
+};
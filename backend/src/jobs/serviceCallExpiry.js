@@ -0,0 +1,21 @@
+const { expireStaleOffers } = require('../services/serviceCalls');
+
+/**
+ * Job entry point
+ * Expires service call quotes and counter-offers that were not answered in time.
+ */
+const run = async () => {
+  const expired = await expireStaleOffers();
+
+  if (expired > 0) {
+    console.log(`📞 Service calls: expired ${expired} stale quote(s)`);
+  }
+
+  return { expired };
+};
+
+module.exports = {
+  name: 'service-call-expiry',
+  intervalSeconds: parseInt(process.env.SERVICE_CALL_EXPIRY_INTERVAL_SECONDS, 10) || 300,
+  run
+};
@@ -0,0 +1,26 @@
+const { postMissingCompletions, postMissingRefundReversals } = require('../services/ledger');
+const { runSettlementCycle } = require('../services/settlements');
+
+/**
+ * Job entry point
+ * Catches up ledger postings, then settles the last completed weekly and monthly
+ * periods. Each partner gets one settlement per period, so hourly runs are harmless.
+ */
+const run = async () => {
+  const posted = await postMissingCompletions();
+  const reversed = await postMissingRefundReversals();
+  const weekly = await runSettlementCycle('weekly');
+  const monthly = await runSettlementCycle('monthly');
+
+  if (posted > 0 || reversed > 0 || weekly.created > 0 || monthly.created > 0) {
+    console.log(`🏦 Settlements: ${posted} booking(s) posted, ${reversed} refund(s) reversed, ${weekly.created} weekly and ${monthly.created} monthly settlement(s) created`);
+  }
+
+  return { posted, reversed, weekly, monthly };
+};
+
+module.exports = {
+  name: 'settlement-cycle',
+  intervalSeconds: parseInt(process.env.SETTLEMENT_INTERVAL_SECONDS, 10) || 3600,
+  run
+};
@@ -0,0 +1,24 @@
+const { settlePendingTransactions } = require('../services/wallet');
+const { rewardPendingReferrals } = require('../services/referrals');
+
+/**
+ * Job entry point
+ * Finishes wallet transactions interrupted by a crash and pays referral bonuses
+ * that were missed when a booking completed.
+ */
+const run = async () => {
+  const settled = await settlePendingTransactions();
+  const rewarded = await rewardPendingReferrals();
+
+  if (settled > 0 || rewarded > 0) {
+    console.log(`👛 Wallet: settled ${settled} pending transaction(s), paid ${rewarded} referral reward(s)`);
+  }
+
+  return { settled, rewarded };
+};
+
+module.exports = {
+  name: 'wallet-maintenance',
+  intervalSeconds: parseInt(process.env.WALLET_JOB_INTERVAL_SECONDS, 10) || 600,
+  run
+};
@@ -0,0 +1,72 @@
+const { loadTarget, recordAudit } = require('../services/audit');
+
+/**
+ * Middleware factory that writes an audit log entry when an admin route succeeds
+ * Use after requirePermission. The target is loaded before the route runs and again
+ * after it responds, and the differences are stored with the request details.
+ * Routes that create a record find it from the _id (or <param>) in the response data.
+ * Only the listed request body fields are stored as details, so credentials and codes
+ * sent to a route never reach the log.
+ * @param {string} action - <target>.<verb>, e.g. partner.approve
+ * @param {string} [targetType] - Key of the audit service's TARGET_MODELS; omit for actions on many records
+ * @param {Object} [options] - { param: route param holding the target _id, find: (req) => query for the target,
+ *   fields: request body fields to record }
+ */
+const audit = (action, targetType, { param, find, fields = [] } = {}) => async (req, res, next) => {
+  let before = null;
+  try {
+    let filter = null;
+    if (find) {
+      filter = find(req);
+    } else if (param && /^[0-9a-fA-F]{24}$/.test(req.params[param] || '')) {
+      filter = { _id: req.params[param] };
+    }
+    if (targetType && filter) {
+      before = await loadTarget(targetType, filter);
+    }
+  } catch (error) {
+    console.error(`Audit ${action} lookup error:`, error);
+  }
+
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    if (res.statusCode >= 400) return;
+
+    const data = (responseBody && responseBody.data) || {};
+    const actor = req.admin || {};
+    const body = req.body || {};
+    const details = fields.filter(field => body[field] !== undefined)
+      .reduce((picked, field) => ({ ...picked, [field]: body[field] }), {});
+
+    // Runs in the background
+    recordAudit({
+      actor: {
+        adminId: actor._id || req.user.adminId,
+        email: actor.email || req.user.email,
+        role: actor.role || req.user.role
+      },
+      action,
+      targetType,
+      targetId: targetType && ((before && before._id) || data._id || (param && data[param])),
+      before,
+      details: Object.keys(details).length > 0 ? details : undefined,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  audit
+};
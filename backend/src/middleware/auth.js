@@ -1,10 +1,14 @@
 const jwt = require('jsonwebtoken');
+const Admin = require('../models/Admin');
+const { isSessionActive } = require('../services/sessions');
 
 /**
  * Middleware to authenticate JWT token
  * Checks both Authorization header and cookies (partnerToken)
+ * Access tokens are short-lived and belong to a login session (sid); they are
+ * rejected as soon as the session is revoked by a logout or refresh token reuse.
  */
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   // Try to get token from Authorization header first
   const authHeader = req.headers['authorization'];
   let token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
@@ -21,10 +25,9 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
@@ -45,6 +48,32 @@ const authenticateToken = (req, res, next) => {
       message: 'Invalid token. Please login again.'
     });
   }
+
+  // Refresh tokens and tokens without a session (e.g. password reset tokens) are not access tokens
+  if (decoded.typ !== 'access' || !decoded.sid) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid token. Please login again.'
+    });
+  }
+
+  try {
+    if (!await isSessionActive(decoded.sid)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended. Please login again.'
+      });
+    }
+  } catch (error) {
+    console.error('Session check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error during authentication'
+    });
+  }
+
+  req.user = decoded;
+  next();
 };
 
 /**
@@ -89,6 +118,55 @@ const authenticateSuperAdmin = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware factory to require an admin permission, e.g. requirePermission('partners', 'approve')
+ * Use after authenticateToken. Permissions are read from the Admin document on every
+ * request, so edits and deactivation apply immediately. The admin is set on req.admin.
+ * @param {string} module - One of Admin.PERMISSION_MODULES
+ * @param {string} action - One of Admin.PERMISSION_ACTIONS
+ */
+const requirePermission = (module, action) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (!req.user.adminId) {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required'
+    });
+  }
+
+  try {
+    const admin = await Admin.findById(req.user.adminId).select('email name role permissions customPermissions isActive');
+    if (!admin || !admin.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin account is not active. Please contact super admin.'
+      });
+    }
+
+    if (!admin.hasPermission(module, action)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Requires ${action} permission on ${module}.`
+      });
+    }
+
+    req.admin = admin;
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during authorization'
+    });
+  }
+};
+
 /**
  * Middleware to authenticate partner users
  */
@@ -135,6 +213,7 @@ module.exports = {
   authenticateToken,
   authenticateAdmin,
   authenticateSuperAdmin,
+  requirePermission,
   authenticatePartner,
   authenticateUser
 };
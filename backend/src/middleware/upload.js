@@ -24,13 +24,34 @@ const uploadPartnerFiles = upload.fields([
   { name: 'priceList', maxCount: 1 }
 ]);
 
+// Review photos are stored in the review document, which MongoDB caps at 16 MB
+const REVIEW_PHOTO_MAX_MB = parseInt(process.env.REVIEW_PHOTO_MAX_MB, 10) || 2;
+
+// Review photos must be images
+const reviewPhotoUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: REVIEW_PHOTO_MAX_MB * 1024 * 1024
+  },
+  fileFilter: (req, file, cb) => {
+    if (!/^image\/(jpeg|png|webp)$/.test(file.mimetype)) {
+      return cb(new Error('Review photos must be JPEG, PNG or WebP images'));
+    }
+    cb(null, true);
+  }
+});
+
+// Middleware for review photo uploads (multipart field "photos")
+const uploadReviewPhotos = reviewPhotoUpload.array('photos', parseInt(process.env.REVIEW_MAX_PHOTOS, 10) || 5);
+
 // Error handling middleware for multer
 const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
+      const maxMb = err.field === 'photos' ? REVIEW_PHOTO_MAX_MB : 10;
       return res.status(400).json({
         success: false,
-        message: 'File size too large. Maximum size is 10 MB.'
+        message: `File size too large. Maximum size is ${maxMb} MB.`
       });
     }
     if (err.code === 'LIMIT_FILE_COUNT') {
@@ -55,6 +76,7 @@ const handleUploadError = (err, req, res, next) => {
 
 module.exports = {
   uploadPartnerFiles,
+  uploadReviewPhotos,
   handleUploadError
 };
 
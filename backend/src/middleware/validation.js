@@ -19,6 +19,23 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Optional device details sent with a login; the session is stored per device
+ */
+const sessionDeviceRules = [
+  body('deviceId')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Device ID cannot exceed 200 characters'),
+  
+  body('deviceName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Device name cannot exceed 100 characters')
+];
+
 /**
  * Validation rules for user registration (customer)
  */
@@ -93,6 +110,12 @@ const validateRegistration = [
     .matches(/^\d{6}$/)
     .withMessage('Pincode must be 6 digits'),
   
+  body('referralCode')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9]{6,12}$/)
+    .withMessage('Invalid referral code'),
+  
   body('language')
     .optional()
     .isIn(['en', 'hi', 'gu'])
@@ -165,6 +188,8 @@ const validateLogin = [
     return true;
   }),
   
+  ...sessionDeviceRules,
+  
   handleValidationErrors
 ];
 
@@ -256,6 +281,12 @@ const validateProfileUpdate = [
     .isIn(['en', 'hi', 'gu'])
     .withMessage('Language must be one of: en, hi, gu'),
   
+  body(['notifications.push', 'notifications.sms', 'notifications.email'])
+    .optional()
+    .isBoolean()
+    .withMessage('Notification preferences must be true or false')
+    .toBoolean(),
+  
   body('emergencyContacts')
     .optional()
     .isArray({ min: 0, max: 5 })
@@ -312,6 +343,36 @@ const validateLocationUpdate = [
   handleValidationErrors
 ];
 
+/**
+ * Validation rules for live tracking positions
+ */
+const validateLivePosition = [
+  body('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  
+  body('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  
+  body('accuracy')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Accuracy must be a positive number of meters'),
+  
+  body('heading')
+    .optional()
+    .isFloat({ min: 0, max: 360 })
+    .withMessage('Heading must be between 0 and 360 degrees'),
+  
+  body('speed')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Speed must be a positive number of meters per second'),
+  
+  handleValidationErrors
+];
+
 /**
  * Validation rules for vehicle updates
  */
@@ -577,6 +638,8 @@ const validatePartnerLogin = [
     return true;
   }),
   
+  ...sessionDeviceRules,
+  
   handleValidationErrors
 ];
 
@@ -696,11 +759,54 @@ const validatePartnerProfileUpdate = [
     .isArray()
     .withMessage('Business hours must be an array'),
   
+  body(['businessHours.*.openTime', 'businessHours.*.closeTime', 'businessHours.*.breakStart', 'businessHours.*.breakEnd'])
+    .optional({ values: 'falsy' })
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Business hours times must be in HH:MM format'),
+  
+  body('serviceCapacity')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Service capacity must be between 1 and 50'),
+  
+  body('settlementCycle')
+    .optional()
+    .isIn(['weekly', 'monthly'])
+    .withMessage('Settlement cycle must be weekly or monthly'),
+  
+  body('bankDetails.accountNumber')
+    .optional()
+    .matches(/^\d{9,18}$/)
+    .withMessage('Account number must be 9 to 18 digits'),
+  
+  body('bankDetails.ifscCode')
+    .optional()
+    .toUpperCase()
+    .matches(/^[A-Z]{4}0[A-Z0-9]{6}$/)
+    .withMessage('Please provide a valid IFSC code'),
+  
+  body('bankDetails.accountHolderName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Account holder name must be between 2 and 100 characters'),
+  
   body('businessType')
     .optional()
     .isIn(['garage', 'tire_shop', 'petrol_pump', 'ev_charging', 'battery_swap', 'car_wash', 'towing', 'emergency_service', 'other'])
     .withMessage('Invalid business type'),
   
+  body('language')
+    .optional()
+    .isIn(['en', 'hi', 'gu'])
+    .withMessage('Language must be one of: en, hi, gu'),
+  
+  body(['notifications.push', 'notifications.sms', 'notifications.email'])
+    .optional()
+    .isBoolean()
+    .withMessage('Notification preferences must be true or false')
+    .toBoolean(),
+  
   handleValidationErrors
 ];
 
@@ -786,6 +892,12 @@ const validateBookingCreate = [
     .isLength({ min: 5, max: 200 })
     .withMessage('Location address must be between 5 and 200 characters'),
   
+  body('couponCode')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,20}$/)
+    .withMessage('Invalid coupon code'),
+  
   handleValidationErrors
 ];
 
@@ -854,13 +966,59 @@ const validateFeedback = [
   handleValidationErrors
 ];
 
+/**
+ * Validation rules for raising a dispute on a completed booking
+ */
+const validateDispute = [
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Reason must be between 10 and 1000 characters'),
+  
+  body('requestedAmount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Requested amount must be greater than zero')
+    .toFloat(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for resolving a booking dispute
+ */
+const validateDisputeResolution = [
+  body('action')
+    .isIn(['refund', 'reject'])
+    .withMessage('Action must be refund or reject'),
+  
+  body('amount')
+    .if(body('action').equals('refund'))
+    .isFloat({ gt: 0 })
+    .withMessage('Refund amount must be greater than zero')
+    .toFloat(),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters'),
+  
+  body('refundTo')
+    .optional()
+    .isIn(['source', 'wallet'])
+    .withMessage('Refund destination must be source or wallet'),
+  
+  handleValidationErrors
+];
+
 /**
  * Validation rules for emergency creation
  */
 const validateEmergencyCreate = [
   body('emergencyType')
-    .isIn(['breakdown', 'accident', 'flat-tire', 'out-of-fuel', 'other'])
-    .withMessage('Emergency type must be one of: breakdown, accident, flat-tire, out-of-fuel, other'),
+    .isIn(['breakdown', 'accident', 'flat_tire', 'fuel_empty', 'battery_dead', 'medical', 'other', 'flat-tire', 'out-of-fuel', 'battery-dead'])
+    .withMessage('Emergency type must be one of: breakdown, accident, flat_tire, fuel_empty, battery_dead, medical, other'),
   
   body('priority')
     .optional()
@@ -913,6 +1071,142 @@ const validateEmergencyCreate = [
   handleValidationErrors
 ];
 
+/**
+ * Validation rules for resolving an emergency (partner)
+ */
+const validateEmergencyResolve = [
+  body('costBreakdown')
+    .optional()
+    .isArray()
+    .withMessage('Cost breakdown must be an array'),
+  
+  body('costBreakdown.*.item')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each cost item must have a name between 1 and 100 characters'),
+  
+  body('costBreakdown.*.amount')
+    .isFloat({ min: 0 })
+    .withMessage('Each cost item amount must be a positive number'),
+  
+  body('costBreakdown.*.description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Cost item description must not exceed 200 characters'),
+  
+  body('resolutionNotes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Resolution notes must not exceed 1000 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for the second admin login step
+ */
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Login challenge token is required'),
+  
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  
+  body('backupCode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 8, max: 20 })
+    .withMessage('Invalid backup code'),
+  
+  body().custom((value) => {
+    if (!value.code && !value.backupCode) {
+      throw new Error('Either an authentication code or a backup code is required');
+    }
+    return true;
+  }),
+  
+  ...sessionDeviceRules,
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for actions confirmed with an authenticator code
+ */
+const validateTwoFactorCode = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for turning off two-factor authentication
+ */
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for requesting an admin password reset link
+ */
+const validateAdminForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for resetting an admin password with the emailed token
+ * Length and complexity are checked against the admin password policy.
+ */
+const validateAdminResetPassword = [
+  body('token')
+    .isString()
+    .matches(/^[0-9a-f]{64}$/)
+    .withMessage('Invalid or expired reset token'),
+  
+  body('newPassword')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for refreshing an access token
+ * The refresh token may come in the body or, for the partner web app, in its cookie.
+ */
+const validateTokenRefresh = [
+  body('refreshToken')
+    .optional()
+    .isString()
+    .isLength({ min: 20, max: 2048 })
+    .withMessage('Invalid refresh token'),
+  
+  handleValidationErrors
+];
+
 /**
  * Validation rules for admin login
  */
@@ -926,14 +1220,490 @@ const validateAdminLogin = [
     .notEmpty()
     .withMessage('Password is required'),
   
+  ...sessionDeviceRules,
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for confirming a checkout payment
+ */
+const validatePaymentVerification = [
+  body('orderId')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Order ID is required'),
+  
+  body('paymentId')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Payment ID is required'),
+  
+  body('signature')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Payment signature is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for creating or updating a commission rule
+ * Pass { partial: true } for updates, where every field is optional
+ */
+const commissionRuleRules = ({ partial }) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Name must be between 2 and 100 characters'),
+    
+    field('rate')
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Rate must be a percentage between 0 and 100')
+      .toFloat(),
+    
+    body('partnerId')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Invalid partner ID format'),
+    
+    body('serviceCategory')
+      .optional({ values: 'null' })
+      .isIn(['repair', 'maintenance', 'emergency', 'cleaning', 'fuel', 'battery', 'other'])
+      .withMessage('Invalid service category'),
+    
+    body('bookingType')
+      .optional({ values: 'null' })
+      .isIn(['scheduled', 'emergency', 'on_demand'])
+      .withMessage('Booking type must be scheduled, emergency or on_demand'),
+    
+    body('isPromotional')
+      .optional()
+      .isBoolean()
+      .withMessage('isPromotional must be true or false')
+      .toBoolean(),
+    
+    body(['validFrom', 'validUntil'])
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Validity dates must be ISO 8601 dates')
+      .toDate(),
+    
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false')
+      .toBoolean(),
+    
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters'),
+    
+    handleValidationErrors
+  ];
+};
+
+const validateCommissionRuleCreate = commissionRuleRules({ partial: false });
+const validateCommissionRuleUpdate = commissionRuleRules({ partial: true });
+
+/**
+ * Validation rules for setting a partner's negotiated commission rate
+ */
+const validatePartnerCommission = [
+  body('commissionRate')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Commission rate must be a percentage between 0 and 100')
+    .toFloat(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for checking a coupon before booking
+ */
+const validateCouponCheck = [
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,20}$/)
+    .withMessage('Invalid coupon code'),
+  
+  body('partnerId')
+    .isMongoId()
+    .withMessage('Invalid partner ID format'),
+  
+  body('serviceId')
+    .isMongoId()
+    .withMessage('Invalid service ID format'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for creating or updating a coupon
+ * Pass { partial: true } for updates, where every field is optional
+ */
+const couponRules = ({ partial }) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    partial
+      ? body('code')
+        .not().exists()
+        .withMessage('Coupon code cannot be changed')
+      : body('code')
+        .trim()
+        .matches(/^[A-Za-z0-9_-]{3,20}$/)
+        .withMessage('Code must be 3-20 letters, digits, hyphens or underscores'),
+    
+    field('discountType')
+      .isIn(['flat', 'percent'])
+      .withMessage('Discount type must be flat or percent'),
+    
+    field('value')
+      .isFloat({ gt: 0 })
+      .withMessage('Value must be greater than zero')
+      .toFloat(),
+    
+    body(['maxDiscount', 'minOrderAmount'])
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 })
+      .withMessage('Amounts cannot be negative')
+      .toFloat(),
+    
+    body(['usageLimit', 'perUserLimit'])
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Limits must be at least 1')
+      .toInt(),
+    
+    body(['firstBookingOnly', 'isActive'])
+      .optional()
+      .isBoolean()
+      .withMessage('Must be true or false')
+      .toBoolean(),
+    
+    body(['serviceIds', 'serviceCategories', 'cities'])
+      .optional()
+      .isArray()
+      .withMessage('Must be an array'),
+    
+    body('serviceIds.*')
+      .isMongoId()
+      .withMessage('Invalid service ID format'),
+    
+    body('serviceCategories.*')
+      .isIn(['repair', 'maintenance', 'emergency', 'cleaning', 'fuel', 'battery', 'other'])
+      .withMessage('Invalid service category'),
+    
+    body('cities.*')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('City names cannot be empty'),
+    
+    body(['validFrom', 'validUntil'])
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Validity dates must be ISO 8601 dates')
+      .toDate(),
+    
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Description cannot exceed 300 characters'),
+    
+    handleValidationErrors
+  ];
+};
+
+const validateCouponCreate = couponRules({ partial: false });
+const validateCouponUpdate = couponRules({ partial: true });
+
+/**
+ * Validation rules for submitting a review (multipart or JSON)
+ */
+const validateReviewCreate = [
+  body('sourceType')
+    .isIn(['booking', 'service_call', 'emergency'])
+    .withMessage('Source type must be one of: booking, service_call, emergency'),
+  
+  body('sourceId')
+    .isMongoId()
+    .withMessage('Invalid source ID format'),
+  
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5')
+    .toInt(),
+  
+  body(['serviceQuality', 'timeliness', 'communication'])
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Ratings must be between 1 and 5')
+    .toInt(),
+  
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for a partner's reply to a review
+ */
+const validateReviewReply = [
+  body('message')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Reply must be between 1 and 1000 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for reporting a review
+ */
+const validateReviewReport = [
+  body('reason')
+    .isIn(['spam', 'offensive', 'fake', 'irrelevant', 'other'])
+    .withMessage('Reason must be one of: spam, offensive, fake, irrelevant, other'),
+  
+  body('details')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Details cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for moderating a review
+ */
+const validateReviewModeration = [
+  body('action')
+    .isIn(['publish', 'hide'])
+    .withMessage('Action must be publish or hide'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for a wallet top-up; limits are checked by the wallet service
+ */
+const validateWalletTopup = [
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than zero')
+    .toFloat(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for registering a push token
+ */
+const validateDeviceRegister = [
+  body('token')
+    .isString()
+    .trim()
+    .isLength({ min: 20, max: 4096 })
+    .withMessage('A valid push token is required'),
+  
+  body('platform')
+    .isIn(['android', 'ios', 'web'])
+    .withMessage('Platform must be android, ios or web'),
+  
+  body('deviceId')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Device ID cannot exceed 200 characters'),
+  
+  body('appVersion')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('App version cannot exceed 50 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for removing a push token
+ */
+const validateDeviceUnregister = [
+  body('token')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Push token is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for an admin push broadcast
+ */
+const validatePushBroadcast = [
+  body('audience')
+    .isIn(['users', 'partners'])
+    .withMessage('Audience must be users or partners'),
+  
+  body('city')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('City must be between 2 and 100 characters'),
+  
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters'),
+  
+  body('body')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Message must be between 1 and 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for creating an admin account
+ * Permission entries are checked against Admin.PERMISSION_MODULES by the admins service.
+ */
+const validateAdminCreate = [
+  body('username')
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Username must be between 3 and 30 characters')
+    .matches(/^[a-zA-Z0-9_.]+$/)
+    .withMessage('Username can only contain letters, numbers, dots and underscores'),
+  
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  
+  // Length and complexity are checked against the admin password policy
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  body('role')
+    .optional()
+    .isIn(['super_admin', 'admin', 'moderator', 'support'])
+    .withMessage('Role must be super_admin, admin, moderator or support'),
+  
+  body('department')
+    .optional()
+    .isIn(['operations', 'support', 'finance', 'marketing', 'technical', 'general'])
+    .withMessage('Invalid department'),
+  
+  body('phoneNumber')
+    .optional()
+    .matches(/^[6-9]\d{9}$/)
+    .withMessage('Please provide a valid 10-digit Indian mobile number starting with 6-9'),
+  
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('permissions must be an array of { module, actions }'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for updating another admin's account
+ */
+const validateAdminUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  
+  body('role')
+    .optional()
+    .isIn(['super_admin', 'admin', 'moderator', 'support'])
+    .withMessage('Role must be super_admin, admin, moderator or support'),
+  
+  body('department')
+    .optional()
+    .isIn(['operations', 'support', 'finance', 'marketing', 'technical', 'general'])
+    .withMessage('Invalid department'),
+  
+  body('phoneNumber')
+    .optional()
+    .matches(/^[6-9]\d{9}$/)
+    .withMessage('Please provide a valid 10-digit Indian mobile number starting with 6-9'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for setting an admin's permissions
+ */
+const validateAdminPermissions = [
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('permissions must be an array of { module, actions }'),
+  
+  body('useRoleTemplate')
+    .optional()
+    .isBoolean()
+    .withMessage('useRoleTemplate must be true or false')
+    .toBoolean(),
+  
+  body().custom((value) => {
+    if (!value.useRoleTemplate && !Array.isArray(value.permissions)) {
+      throw new Error('Either permissions or useRoleTemplate is required');
+    }
+    return true;
+  }),
+  
   handleValidationErrors
 ];
 
 module.exports = {
   validateRegistration,
   validateLogin,
+  validateTokenRefresh,
   validateProfileUpdate,
   validateLocationUpdate,
+  validateLivePosition,
   validateVehicleUpdate,
   validatePartnerRegistration,
   validatePartnerLogin,
@@ -942,7 +1712,33 @@ module.exports = {
   validateBookingCreate,
   validateBookingUpdate,
   validateFeedback,
+  validateDispute,
+  validateDisputeResolution,
   validateEmergencyCreate,
+  validateEmergencyResolve,
   validateAdminLogin,
+  validatePaymentVerification,
+  validateCommissionRuleCreate,
+  validateCommissionRuleUpdate,
+  validatePartnerCommission,
+  validateCouponCheck,
+  validateCouponCreate,
+  validateCouponUpdate,
+  validateWalletTopup,
+  validateReviewCreate,
+  validateReviewReply,
+  validateReviewReport,
+  validateReviewModeration,
+  validateDeviceRegister,
+  validateDeviceUnregister,
+  validatePushBroadcast,
+  validateAdminCreate,
+  validateAdminUpdate,
+  validateAdminPermissions,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateAdminForgotPassword,
+  validateAdminResetPassword,
   handleValidationErrors
 };
@@ -1,5 +1,42 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+/**
+ * Admin panel areas and what can be done in them
+ */
+const PERMISSION_MODULES = [
+  'users', 'partners', 'bookings', 'emergencies', 'payments', 'reports', 'settings',
+  'coupons', 'reviews', 'catalog', 'notifications', 'audit', 'admins'
+];
+const PERMISSION_ACTIONS = ['create', 'read', 'update', 'delete', 'approve', 'reject'];
+
+/**
+ * Default permissions of each role
+ * An admin follows their role's template until their permissions are edited individually.
+ * super_admin is not listed: it is allowed everything.
+ */
+const ROLE_TEMPLATES = {
+  admin: PERMISSION_MODULES
+    .filter(module => module !== 'admins')
+    .map(module => ({ module, actions: [...PERMISSION_ACTIONS] })),
+  moderator: [
+    { module: 'users', actions: ['read'] },
+    { module: 'partners', actions: ['read', 'approve', 'reject'] },
+    { module: 'bookings', actions: ['read', 'update'] },
+    { module: 'emergencies', actions: ['read', 'update'] },
+    { module: 'reviews', actions: ['read', 'update'] },
+    { module: 'reports', actions: ['read'] }
+  ],
+  support: [
+    { module: 'users', actions: ['read'] },
+    { module: 'partners', actions: ['read'] },
+    { module: 'bookings', actions: ['read', 'update'] },
+    { module: 'emergencies', actions: ['read', 'update'] },
+    { module: 'reviews', actions: ['read'] },
+    { module: 'coupons', actions: ['read'] }
+  ]
+};
 
 const adminSchema = new mongoose.Schema({
   // Basic Information
@@ -50,13 +87,18 @@ const adminSchema = new mongoose.Schema({
   permissions: [{
     module: {
       type: String,
-      enum: ['users', 'partners', 'bookings', 'emergencies', 'payments', 'reports', 'settings']
+      enum: PERMISSION_MODULES
     },
     actions: [{
       type: String,
-      enum: ['create', 'read', 'update', 'delete', 'approve', 'reject']
+      enum: PERMISSION_ACTIONS
     }]
   }],
+  // false: permissions follow the role template and change with the role
+  customPermissions: {
+    type: Boolean,
+    default: false
+  },
   
   // Profile Information
   profilePicture: {
@@ -156,8 +198,50 @@ const adminSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  twoFactorSecret: String,
-  passwordResetToken: String,
+  twoFactorEnabledAt: Date,
+  // TOTP secrets are stored encrypted; the pending one awaits confirmation of enrollment
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Time step of the last accepted code, so a code cannot be used twice
+  twoFactorLastCounter: {
+    type: Number,
+    select: false
+  },
+  // One-time recovery codes, hashed
+  twoFactorBackupCodes: {
+    type: [{
+      _id: false,
+      hash: String,
+      usedAt: Date
+    }],
+    select: false
+  },
+  // Hashes of earlier passwords, newest last, so they cannot be reused
+  passwordHistory: {
+    type: [{
+      _id: false,
+      hash: String,
+      changedAt: Date
+    }],
+    select: false
+  },
+  passwordChangedAt: Date,
+  // Set by a super admin; login is refused until the password is reset by email link
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  // sha256 of the emailed reset token
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
   passwordResetExpires: Date,
   failedLoginAttempts: {
     type: Number,
@@ -178,6 +262,16 @@ adminSchema.index({ role: 1 });
 adminSchema.index({ isActive: 1 });
 adminSchema.index({ createdAt: -1 });
 
+// Give template-based permissions the role's template when the admin is created, their
+// role changes or they are put back on the template; other saves leave permissions alone
+adminSchema.pre('save', function(next) {
+  const templateChanged = this.isNew || this.isModified('role') || this.isModified('customPermissions');
+  if (!this.customPermissions && templateChanged) {
+    this.permissions = ROLE_TEMPLATES[this.role] || [];
+  }
+  next();
+});
+
 // Hash password before saving
 adminSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -185,6 +279,7 @@ adminSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(error);
@@ -239,20 +334,25 @@ adminSchema.methods.recordFailedLogin = function() {
 };
 
 // Check if account is locked
+// A lock that has run out is cleared on the document; it is stored with the next save.
 adminSchema.methods.isAccountLocked = function() {
   if (!this.accountLocked) return false;
   
   if (this.accountLockedUntil && new Date() > this.accountLockedUntil) {
-    this.accountLocked = false;
-    this.accountLockedUntil = null;
-    this.failedLoginAttempts = 0;
-    this.save();
+    this.unlockAccount();
     return false;
   }
   
   return true;
 };
 
+// Clear the lock and the failed attempts (not saved)
+adminSchema.methods.unlockAccount = function() {
+  this.accountLocked = false;
+  this.accountLockedUntil = null;
+  this.failedLoginAttempts = 0;
+};
+
 // Record action performed
 adminSchema.methods.recordAction = function(action, target, targetId, details) {
   this.actionsPerformed.push({
@@ -288,17 +388,45 @@ adminSchema.methods.getPublicProfile = function() {
   const adminObject = this.toObject();
   delete adminObject.password;
   delete adminObject.twoFactorSecret;
+  delete adminObject.twoFactorPendingSecret;
+  delete adminObject.twoFactorLastCounter;
+  delete adminObject.twoFactorBackupCodes;
+  delete adminObject.passwordHistory;
   delete adminObject.passwordResetToken;
   delete adminObject.passwordResetExpires;
   return adminObject;
 };
 
+// Get admin summary for the admin management screens
+adminSchema.methods.getSummary = function() {
+  return {
+    adminId: this._id,
+    username: this.username,
+    email: this.email,
+    name: this.name,
+    role: this.role,
+    department: this.department,
+    phoneNumber: this.phoneNumber,
+    isActive: this.isActive,
+    twoFactorEnabled: this.twoFactorEnabled,
+    accountLocked: this.accountLocked,
+    accountLockedUntil: this.accountLockedUntil,
+    passwordResetRequired: this.passwordResetRequired,
+    permissions: this.permissions.map(({ module, actions }) => ({ module, actions })),
+    customPermissions: this.customPermissions,
+    lastLogin: this.lastLogin,
+    createdAt: this.createdAt
+  };
+};
+
 // Generate password reset token
-adminSchema.methods.generatePasswordResetToken = function() {
-  const token = require('crypto').randomBytes(32).toString('hex');
-  this.passwordResetToken = token;
-  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
-  return this.save();
+// Only its hash is stored; the returned token goes in the emailed link.
+adminSchema.methods.generatePasswordResetToken = async function(expiresInMinutes = 60) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = adminSchema.statics.hashResetToken(token);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  await this.save();
+  return token;
 };
 
 // Clear password reset token
@@ -308,4 +436,10 @@ adminSchema.methods.clearPasswordResetToken = function() {
   return this.save();
 };
 
+adminSchema.statics.hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+adminSchema.statics.PERMISSION_MODULES = PERMISSION_MODULES;
+adminSchema.statics.PERMISSION_ACTIONS = PERMISSION_ACTIONS;
+adminSchema.statics.ROLE_TEMPLATES = ROLE_TEMPLATES;
+
 module.exports = mongoose.model('Admin', adminSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const TARGET_TYPES = [
+  'admin', 'partner', 'user', 'booking', 'settlement', 'commission_rule',
+  'coupon', 'review', 'service', 'tyre'
+];
+
+/**
+ * One change made through the admin API
+ * Written by the audit middleware after a mutating admin route succeeds. Entries are
+ * append-only: updates and deletes are refused at the model level.
+ */
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      required: true
+    },
+    email: String,
+    role: String
+  },
+  // <target>.<verb>, e.g. partner.approve
+  action: {
+    type: String,
+    required: true
+  },
+  // Unset for actions on many records, e.g. settlement.run
+  targetType: {
+    type: String,
+    enum: TARGET_TYPES
+  },
+  targetId: mongoose.Schema.Types.ObjectId,
+  // Fields that differ between the target before and after the request (dot paths)
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // Request body with credentials removed
+  details: mongoose.Schema.Types.Mixed,
+  method: String,
+  path: String,
+  statusCode: Number,
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.adminId': 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Append-only: existing entries can never be changed or removed
+const refuseChange = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return refuseChange(next);
+  next();
+});
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], refuseChange);
+auditLogSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'], { document: false, query: true }, refuseChange);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, refuseChange);
+
+// Get audit entry summary
+auditLogSchema.methods.getSummary = function() {
+  return {
+    auditLogId: this._id,
+    actor: this.actor,
+    action: this.action,
+    targetType: this.targetType,
+    targetId: this.targetId,
+    changes: this.changes,
+    details: this.details,
+    method: this.method,
+    path: this.path,
+    statusCode: this.statusCode,
+    ipAddress: this.ipAddress,
+    userAgent: this.userAgent,
+    createdAt: this.createdAt
+  };
+};
+
+auditLogSchema.statics.TARGET_TYPES = TARGET_TYPES;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { parseTime, toInstant, toLocalParts } = require('../utils/schedule');
 
 const bookingSchema = new mongoose.Schema({
   // Booking Information
@@ -12,6 +13,11 @@ const bookingSchema = new mongoose.Schema({
     enum: ['scheduled', 'emergency', 'on_demand'],
     default: 'on_demand'
   },
+  // Service call this booking was converted from (negotiated price)
+  serviceCallId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceCall'
+  },
   
   // User Information
   userId: {
@@ -93,6 +99,7 @@ const bookingSchema = new mongoose.Schema({
     type: Date
   },
   scheduledTime: String, // HH:MM format
+  scheduledEndTime: Date, // scheduled start plus estimatedDuration, used for slot overlap checks
   estimatedDuration: Number, // in minutes
   actualDuration: Number, // in minutes
   
@@ -115,6 +122,8 @@ const bookingSchema = new mongoose.Schema({
       type: String,
       enum: ['user', 'partner', 'system', 'admin']
     },
+    // The user, partner or admin who made the change; unset for system changes
+    updatedById: mongoose.Schema.Types.ObjectId,
     reason: String
   }],
   
@@ -132,6 +141,15 @@ const bookingSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Coupon redeemed on this booking (discount is copied into discount above)
+  coupon: {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    discount: Number
+  },
   totalAmount: {
     type: Number,
     required: true
@@ -140,6 +158,20 @@ const bookingSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Commission rule applied when the booking was created (see services/commission)
+  commissionRule: {
+    source: {
+      type: String,
+      enum: ['promotion', 'partner_rule', 'partner', 'rule', 'default']
+    },
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommissionRule'
+    },
+    name: String,
+    rate: Number,
+    appliedAt: Date
+  },
   partnerEarnings: {
     type: Number,
     default: 0
@@ -148,7 +180,7 @@ const bookingSchema = new mongoose.Schema({
   // Payment Information
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
   paymentMethod: {
@@ -157,18 +189,89 @@ const bookingSchema = new mongoose.Schema({
     default: 'cash'
   },
   transactionId: String,
+  // Set once commission and partner earnings are posted to the ledger
+  ledgerPostedAt: Date,
+  // Invoice issued on completion
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  // Total of issued refunds (pending or processed), in rupees
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  
+  // Dispute raised by the customer on a completed booking
+  dispute: {
+    status: {
+      type: String,
+      enum: ['open', 'refunded', 'rejected']
+    },
+    reason: String,
+    requestedAmount: Number,
+    raisedAt: Date,
+    resolvedAt: Date,
+    resolvedBy: String,
+    resolutionNotes: String,
+    refundId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Refund'
+    }
+  },
   
   // Communication
   userNotes: String,
   partnerNotes: String,
   cancellationReason: String,
+  // Side that failed to show when the booking was cancelled as a no-show
+  noShowBy: {
+    type: String,
+    enum: ['user', 'partner']
+  },
   
   // Tracking
   estimatedArrivalTime: Date,
+  // Set when the partner reports arriving, or when the service starts
   actualArrivalTime: Date,
   serviceStartTime: Date,
   serviceEndTime: Date,
   
+  // Live tracking breadcrumbs (oldest first, capped by TRACKING_BREADCRUMB_LIMIT)
+  trackingTrail: [{
+    role: {
+      type: String,
+      enum: ['user', 'partner']
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined
+    },
+    accuracy: Number, // in meters
+    heading: Number, // in degrees
+    speed: Number, // in meters per second
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  // Nearby partners offered to the customer when this booking expired or was auto-cancelled
+  suggestedAlternatives: [{
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Partner'
+    },
+    partnerName: String,
+    distance: Number, // in kilometers
+    price: Number,
+    nextAvailableSlot: Date,
+    suggestedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
   // Emergency Services
   isEmergency: {
     type: Boolean,
@@ -200,6 +303,11 @@ const bookingSchema = new mongoose.Schema({
       type: String,
       enum: ['sms', 'push', 'email']
     },
+    recipient: {
+      type: String,
+      enum: ['user', 'partner', 'admin']
+    },
+    event: String,
     sentAt: {
       type: Date,
       default: Date.now
@@ -207,7 +315,11 @@ const bookingSchema = new mongoose.Schema({
     status: {
       type: String,
       enum: ['sent', 'delivered', 'failed']
-    }
+    },
+    messageId: String,
+    message: String,
+    attempts: Number,
+    error: String
   }],
   
   // Metadata
@@ -244,19 +356,25 @@ bookingSchema.index({ partnerId: 1 });
 bookingSchema.index({ status: 1 });
 bookingSchema.index({ createdAt: -1 });
 bookingSchema.index({ scheduledDate: 1 });
+bookingSchema.index({ partnerId: 1, scheduledDate: 1 });
 bookingSchema.index({ userLocation: '2dsphere' });
 bookingSchema.index({ partnerLocation: '2dsphere' });
 
-// Generate booking ID
-bookingSchema.pre('save', function(next) {
+// Generate booking ID before validation so the required bookingId is present
+bookingSchema.pre('validate', function(next) {
   if (!this.bookingId) {
     const timestamp = Date.now().toString();
     const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
     this.bookingId = `RB${timestamp}${random}`;
   }
   
-  // Update status history
-  if (this.isModified('status')) {
+  next();
+});
+
+bookingSchema.pre('save', function(next) {
+  // Update status history (unless transitionBooking already recorded this change)
+  const lastEntry = this.statusHistory[this.statusHistory.length - 1];
+  if (this.isModified('status') && (!lastEntry || lastEntry.status !== this.status)) {
     this.statusHistory.push({
       status: this.status,
       timestamp: new Date(),
@@ -275,36 +393,25 @@ bookingSchema.methods.calculateTotalAmount = function() {
   return this.totalAmount;
 };
 
-// Calculate partner earnings
+// Calculate partner earnings from the stamped commission rule
+// Bookings created before commission rules were stamped fall back to 10%
 bookingSchema.methods.calculatePartnerEarnings = function() {
-  const commissionRate = 0.10; // 10% commission
-  this.commissionAmount = this.totalAmount * commissionRate;
-  this.partnerEarnings = this.totalAmount - this.commissionAmount;
+  const ratePercent = this.commissionRule && this.commissionRule.rate !== undefined
+    ? this.commissionRule.rate
+    : 10;
+  this.commissionAmount = Math.round(this.totalAmount * ratePercent) / 100;
+  this.partnerEarnings = Math.round((this.totalAmount - this.commissionAmount) * 100) / 100;
   return this.partnerEarnings;
 };
 
-// Update status
-bookingSchema.methods.updateStatus = function(newStatus, updatedBy, reason = '') {
-  this.status = newStatus;
-  this.statusHistory.push({
-    status: newStatus,
-    timestamp: new Date(),
-    updatedBy: updatedBy,
-    reason: reason
-  });
+// Scheduled start as a Date, combining scheduledDate with the business-local HH:MM scheduledTime
+bookingSchema.methods.getScheduledStart = function() {
+  if (!this.scheduledDate) return null;
   
-  // Set completion time
-  if (newStatus === 'completed') {
-    this.completedAt = new Date();
-  }
-  
-  // Set cancellation time
-  if (newStatus === 'cancelled') {
-    this.cancelledAt = new Date();
-    this.cancellationReason = reason;
-  }
+  const minutes = parseTime(this.scheduledTime);
+  if (minutes === null) return new Date(this.scheduledDate);
   
-  return this.save();
+  return toInstant(toLocalParts(this.scheduledDate).dateString, minutes);
 };
 
 // Get booking summary
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+/**
+ * Commission rule
+ * Empty scope fields match anything, so a rule with only serviceCategory set applies
+ * to every partner and booking type in that category. Promotional rules are time-boxed
+ * with validFrom/validUntil and win over standing rules while active.
+ */
+const commissionRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  // Scope
+  partnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner'
+  },
+  serviceCategory: {
+    type: String,
+    enum: ['repair', 'maintenance', 'emergency', 'cleaning', 'fuel', 'battery', 'other']
+  },
+  bookingType: {
+    type: String,
+    enum: ['scheduled', 'emergency', 'on_demand']
+  },
+
+  // Commission percentage of the booking total
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+
+  isPromotional: {
+    type: Boolean,
+    default: false
+  },
+  validFrom: Date,
+  validUntil: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  notes: String,
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+commissionRuleSchema.index({ isActive: 1, partnerId: 1 });
+commissionRuleSchema.index({ isActive: 1, validUntil: 1 });
+
+commissionRuleSchema.pre('validate', function(next) {
+  if (this.isPromotional && (!this.validFrom || !this.validUntil)) {
+    this.invalidate('validUntil', 'Promotional rules need validFrom and validUntil');
+  } else if (this.validFrom && this.validUntil && this.validFrom >= this.validUntil) {
+    this.invalidate('validUntil', 'validUntil must be after validFrom');
+  }
+  next();
+});
+
+// Number of scope fields set; more specific rules win
+commissionRuleSchema.methods.getSpecificity = function() {
+  return (this.partnerId ? 4 : 0) + (this.serviceCategory ? 2 : 0) + (this.bookingType ? 1 : 0);
+};
+
+// Whether the rule applies to a booking context at a given time
+commissionRuleSchema.methods.matches = function({ partnerId, serviceCategory, bookingType, at = new Date() }) {
+  if (!this.isActive) return false;
+  if (this.validFrom && at < this.validFrom) return false;
+  if (this.validUntil && at >= this.validUntil) return false;
+  if (this.partnerId && String(this.partnerId) !== String(partnerId)) return false;
+  if (this.serviceCategory && this.serviceCategory !== serviceCategory) return false;
+  if (this.bookingType && this.bookingType !== bookingType) return false;
+  return true;
+};
+
+module.exports = mongoose.model('CommissionRule', commissionRuleSchema);
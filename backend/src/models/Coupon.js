@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+/**
+ * Booking coupon
+ * Targeting lists left empty match everything. Amounts are in rupees, like booking prices.
+ */
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z0-9_-]{3,20}$/
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+
+  // Discount
+  discountType: {
+    type: String,
+    enum: ['flat', 'percent'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Largest discount a percent coupon can give
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  // Booking amount (before discount) needed to use the coupon
+  minOrderAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Usage limits
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  firstBookingOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Active redemptions; released when the booking is cancelled, rejected or expires
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Targeting
+  serviceIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  }],
+  serviceCategories: [{
+    type: String,
+    enum: ['repair', 'maintenance', 'emergency', 'cleaning', 'fuel', 'battery', 'other']
+  }],
+  // Lower-case city names
+  cities: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+
+  // Validity
+  validFrom: Date,
+  validUntil: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+couponSchema.index({ isActive: 1, validUntil: 1 });
+
+couponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percent' && this.value > 100) {
+    this.invalidate('value', 'Percent discounts cannot exceed 100');
+  }
+  if (this.validFrom && this.validUntil && this.validFrom >= this.validUntil) {
+    this.invalidate('validUntil', 'validUntil must be after validFrom');
+  }
+  next();
+});
+
+// Discount for an order amount, in rupees rounded to paise
+couponSchema.methods.calculateDiscount = function(orderAmount) {
+  let discount = this.discountType === 'percent'
+    ? (orderAmount * this.value) / 100
+    : this.value;
+
+  if (this.discountType === 'percent' && this.maxDiscount !== undefined && this.maxDiscount !== null) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return Math.round(Math.min(discount, orderAmount) * 100) / 100;
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
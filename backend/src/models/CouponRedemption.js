@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * One use of a coupon on a booking
+ * userSlot numbers a user's active redemptions of a coupon from 1 to perUserLimit; the
+ * unique index on it is what stops concurrent bookings going over the per-user limit.
+ * firstBookingOnly redemptions are unique per user for the same reason, so two bookings
+ * placed at once cannot both get a first-booking discount.
+ */
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  userSlot: {
+    type: Number,
+    required: true
+  },
+  // Copied from the coupon; only set on first-booking-only coupons
+  firstBookingOnly: Boolean,
+  // Discount given, in rupees
+  discount: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'released'],
+    default: 'applied'
+  },
+  releasedAt: Date,
+  releaseReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+couponRedemptionSchema.index({ couponId: 1, createdAt: -1 });
+couponRedemptionSchema.index({ bookingId: 1 }, { unique: true });
+couponRedemptionSchema.index(
+  { couponId: 1, userId: 1, userSlot: 1 },
+  { unique: true, partialFilterExpression: { status: 'applied' } }
+);
+couponRedemptionSchema.index(
+  { userId: 1, firstBookingOnly: 1 },
+  { unique: true, partialFilterExpression: { firstBookingOnly: true, status: 'applied' } }
+);
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * Push notification token of an app install
+ * Apps register their FCM token after login and on every launch; tokens FCM reports
+ * as invalid are deleted when a send fails. topics lists the FCM topics the token was
+ * subscribed to by the server.
+ */
+const deviceTokenSchema = new mongoose.Schema({
+  ownerType: {
+    type: String,
+    enum: ['user', 'partner'],
+    required: true
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  platform: {
+    type: String,
+    enum: ['android', 'ios', 'web'],
+    required: true
+  },
+  // App-generated install ID; a new token from the same install replaces the old one
+  deviceId: String,
+  appVersion: String,
+  topics: [String],
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+// Note: token already has index from unique: true
+deviceTokenSchema.index({ ownerType: 1, ownerId: 1 });
+
+// Get device summary (token shortened - it is a credential for pushing to the device)
+deviceTokenSchema.methods.getSummary = function() {
+  return {
+    deviceTokenId: this._id,
+    platform: this.platform,
+    deviceId: this.deviceId,
+    appVersion: this.appVersion,
+    tokenSuffix: this.token.slice(-8),
+    topics: this.topics,
+    lastSeenAt: this.lastSeenAt,
+    registeredAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('DeviceToken', deviceTokenSchema);
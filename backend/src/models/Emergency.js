@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const createHttpError = require('../utils/httpError');
 
 const emergencySchema = new mongoose.Schema({
   // Emergency Information
@@ -7,6 +9,12 @@ const emergencySchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Unguessable token for the public tracking link shared with emergency contacts
+  trackingToken: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   emergencyType: {
     type: String,
     enum: ['breakdown', 'accident', 'fuel_empty', 'battery_dead', 'flat_tire', 'medical', 'other'],
@@ -99,15 +107,67 @@ const emergencySchema = new mongoose.Schema({
   assignedPartnerName: String,
   assignedPartnerPhone: String,
   
+  // Automatic Dispatch
+  dispatchStatus: {
+    type: String,
+    enum: ['pending', 'searching', 'assigned', 'exhausted', 'stopped'],
+    default: 'pending'
+  },
+  dispatchWave: {
+    type: Number,
+    default: 0
+  },
+  dispatchOffers: [{
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Partner'
+    },
+    partnerName: String,
+    wave: Number,
+    distance: Number, // in kilometers
+    score: Number,
+    offeredAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: Date,
+    respondedAt: Date,
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'expired', 'withdrawn'],
+      default: 'pending'
+    }
+  }],
+  
   // Response Times
   requestTime: {
     type: Date,
     default: Date.now
   },
   responseTime: Date,
+  estimatedArrivalTime: Date,
   arrivalTime: Date,
   resolutionTime: Date,
   
+  // Live tracking breadcrumbs (oldest first, capped by TRACKING_BREADCRUMB_LIMIT)
+  trackingTrail: [{
+    role: {
+      type: String,
+      enum: ['user', 'partner']
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined
+    },
+    accuracy: Number, // in meters
+    heading: Number, // in degrees
+    speed: Number, // in meters per second
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
   // Communication
   userNotes: String,
   partnerNotes: String,
@@ -118,6 +178,17 @@ const emergencySchema = new mongoose.Schema({
     name: String,
     phoneNumber: String,
     relationship: String,
+    isPrimary: Boolean,
+    event: {
+      type: String,
+      enum: ['raised', 'assigned', 'resolved']
+    },
+    channel: {
+      type: String,
+      enum: ['sms', 'whatsapp'],
+      default: 'sms'
+    },
+    messageId: String,
     notifiedAt: {
       type: Date,
       default: Date.now
@@ -126,19 +197,22 @@ const emergencySchema = new mongoose.Schema({
       type: String,
       enum: ['sent', 'delivered', 'failed'],
       default: 'sent'
-    }
+    },
+    error: String
   }],
   
   // Notifications Sent
   notificationsSent: [{
     type: {
       type: String,
-      enum: ['sms', 'push', 'email', 'call']
+      enum: ['sms', 'whatsapp', 'push', 'email', 'call']
     },
     recipient: {
       type: String,
       enum: ['user', 'partner', 'emergency_contact', 'admin']
     },
+    // Notification event (see services/notifications/templates); contact messages leave it unset
+    event: String,
     sentAt: {
       type: Date,
       default: Date.now
@@ -147,7 +221,10 @@ const emergencySchema = new mongoose.Schema({
       type: String,
       enum: ['sent', 'delivered', 'failed']
     },
-    message: String
+    messageId: String,
+    message: String,
+    attempts: Number,
+    error: String
   }],
   
   // Related Booking (if emergency leads to booking)
@@ -217,17 +294,40 @@ emergencySchema.index({ priority: 1 });
 emergencySchema.index({ createdAt: -1 });
 emergencySchema.index({ userLocation: '2dsphere' });
 emergencySchema.index({ emergencyType: 1 });
+emergencySchema.index({ 'dispatchOffers.partnerId': 1, 'dispatchOffers.status': 1 });
+
+// Allowed status transitions
+const STATUS_TRANSITIONS = {
+  active: ['assigned', 'cancelled'],
+  assigned: ['in_progress', 'cancelled'],
+  in_progress: ['resolved'],
+  resolved: [],
+  cancelled: []
+};
+
+// How long the public tracking link keeps showing the outcome once the emergency is over
+const TRACKING_LINK_GRACE_HOURS = parseInt(process.env.TRACKING_LINK_GRACE_HOURS, 10) || 2;
 
 // Generate emergency ID
-emergencySchema.pre('save', function(next) {
+// Generate identifiers before validation so the required emergencyId is present
+emergencySchema.pre('validate', function(next) {
   if (!this.emergencyId) {
     const timestamp = Date.now().toString();
     const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
     this.emergencyId = `EM${timestamp}${random}`;
   }
   
-  // Update status history
-  if (this.isModified('status')) {
+  if (!this.trackingToken) {
+    this.trackingToken = crypto.randomBytes(16).toString('hex');
+  }
+  
+  next();
+});
+
+emergencySchema.pre('save', function(next) {
+  // Update status history (unless updateStatus already recorded this change)
+  const lastEntry = this.statusHistory[this.statusHistory.length - 1];
+  if (this.isModified('status') && (!lastEntry || lastEntry.status !== this.status)) {
     this.statusHistory.push({
       status: this.status,
       timestamp: new Date(),
@@ -240,7 +340,12 @@ emergencySchema.pre('save', function(next) {
 });
 
 // Update status
+// Rejects with a 409 when the current status does not allow the move
 emergencySchema.methods.updateStatus = function(newStatus, updatedBy, notes = '') {
+  if (!this.canTransitionTo(newStatus)) {
+    return Promise.reject(createHttpError(409, `Cannot move an emergency from ${this.status} to ${newStatus}`));
+  }
+
   this.status = newStatus;
   this.statusHistory.push({
     status: newStatus,
@@ -252,6 +357,7 @@ emergencySchema.methods.updateStatus = function(newStatus, updatedBy, notes = ''
   // Set resolution time
   if (newStatus === 'resolved') {
     this.resolvedAt = new Date();
+    this.resolutionTime = this.resolvedAt;
   }
   
   // Set cancellation time
@@ -267,12 +373,69 @@ emergencySchema.methods.assignPartner = function(partnerId, partnerName, partner
   this.assignedPartnerId = partnerId;
   this.assignedPartnerName = partnerName;
   this.assignedPartnerPhone = partnerPhone;
-  this.status = 'assigned';
   this.responseTime = new Date();
   
   return this.updateStatus('assigned', 'system', `Assigned to ${partnerName}`);
 };
 
+// Record a dispatch event in the status history without changing status
+emergencySchema.methods.recordDispatchEvent = function(notes) {
+  this.statusHistory.push({
+    status: this.status,
+    timestamp: new Date(),
+    updatedBy: 'system',
+    notes
+  });
+};
+
+// Get the currently open offer for a partner, if any
+emergencySchema.methods.getPendingOffer = function(partnerId) {
+  return this.dispatchOffers.find(offer =>
+    offer.partnerId.toString() === partnerId.toString() &&
+    offer.status === 'pending' &&
+    offer.expiresAt > new Date()
+  );
+};
+
+// Check if the emergency can move to a new status
+emergencySchema.methods.canTransitionTo = function(newStatus) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(newStatus);
+};
+
+// Mark the assigned partner as arrived at the user location
+emergencySchema.methods.markArrived = function(notes = '') {
+  this.arrivalTime = new Date();
+  this.statusHistory.push({
+    status: this.status,
+    timestamp: new Date(),
+    updatedBy: 'partner',
+    notes: notes || 'Partner arrived at location'
+  });
+
+  return this.save();
+};
+
+// Start work on the emergency
+emergencySchema.methods.startWork = function(notes = '') {
+  if (!this.arrivalTime) {
+    this.arrivalTime = new Date();
+  }
+  if (notes) {
+    this.partnerNotes = notes;
+  }
+
+  return this.updateStatus('in_progress', 'partner', notes || 'Work started');
+};
+
+// Resolve the emergency with the final cost breakdown
+emergencySchema.methods.resolve = function(costBreakdown = [], resolutionNotes = '') {
+  this.costBreakdown = costBreakdown;
+  this.actualCost = costBreakdown.reduce((sum, item) => sum + (item.amount || 0), 0);
+  this.resolutionNotes = resolutionNotes;
+
+  return this.updateStatus('resolved', 'partner', resolutionNotes || 'Emergency resolved');
+};
+
 // Calculate response time
 emergencySchema.methods.calculateResponseTime = function() {
   if (this.responseTime && this.requestTime) {
@@ -281,6 +444,14 @@ emergencySchema.methods.calculateResponseTime = function() {
   return null;
 };
 
+// Calculate arrival time
+emergencySchema.methods.calculateArrivalTime = function() {
+  if (this.arrivalTime && this.requestTime) {
+    return (this.arrivalTime - this.requestTime) / 1000; // in seconds
+  }
+  return null;
+};
+
 // Calculate resolution time
 emergencySchema.methods.calculateResolutionTime = function() {
   if (this.resolutionTime && this.requestTime) {
@@ -307,12 +478,19 @@ emergencySchema.methods.isActive = function() {
 };
 
 // Notify emergency contacts
+// Each contact entry may carry the event, channel, provider messageId and delivery status
 emergencySchema.methods.notifyContacts = function(contacts) {
   contacts.forEach(contact => {
     this.contactsNotified.push({
       name: contact.name,
       phoneNumber: contact.phoneNumber,
       relationship: contact.relationship,
+      isPrimary: contact.isPrimary,
+      event: contact.event,
+      channel: contact.channel,
+      messageId: contact.messageId,
+      notificationStatus: contact.notificationStatus,
+      error: contact.error,
       notifiedAt: new Date()
     });
   });
@@ -320,4 +498,34 @@ emergencySchema.methods.notifyContacts = function(contacts) {
   return this.save();
 };
 
+// The tracking link stops working a grace period after the emergency is resolved or cancelled
+emergencySchema.methods.isTrackingLinkExpired = function(now = new Date()) {
+  if (this.isActive()) return false;
+
+  const endedAt = this.resolvedAt || this.cancelledAt || this.updatedAt;
+  return !endedAt || now - endedAt > TRACKING_LINK_GRACE_HOURS * 60 * 60 * 1000;
+};
+
+// Public view used by the tracking link - no contact details of either party,
+// and the user's whereabouts only while the emergency is open
+emergencySchema.methods.getTrackingInfo = function() {
+  const active = this.isActive();
+
+  return {
+    emergencyId: this.emergencyId,
+    emergencyType: this.emergencyType,
+    status: this.status,
+    userLocation: active ? this.userLocation : undefined,
+    userAddress: active ? this.userAddress : undefined,
+    assignedPartnerName: this.assignedPartnerName,
+    requestTime: this.requestTime,
+    responseTime: this.responseTime,
+    arrivalTime: this.arrivalTime,
+    resolvedAt: this.resolvedAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+emergencySchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 module.exports = mongoose.model('Emergency', emergencySchema);
@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+
+const addressSchema = new mongoose.Schema({
+  street: String,
+  city: String,
+  state: String,
+  pincode: String
+}, { _id: false });
+
+// Amounts are in paise; line totals add up to the booking total exactly
+const lineItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  sacCode: String,
+  quantity: {
+    type: Number,
+    default: 1
+  },
+  // Price charged before discount, tax inclusive
+  grossAmount: {
+    type: Number,
+    required: true
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  taxableValue: {
+    type: Number,
+    required: true
+  },
+  gstRate: {
+    type: Number,
+    default: 0
+  },
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+/**
+ * Invoice issued by a partner to the customer for a completed booking
+ * Supplier and recipient details are snapshots taken at issue time, so later
+ * profile edits do not change an issued invoice.
+ */
+const invoiceSchema = new mongoose.Schema({
+  // Sequential per partner and financial year, e.g. INV/2526/000042
+  invoiceNumber: {
+    type: String,
+    required: true
+  },
+  // Partners without a GSTIN issue a bill of supply with no tax
+  documentType: {
+    type: String,
+    enum: ['tax_invoice', 'bill_of_supply'],
+    required: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  invoiceDate: {
+    type: Date,
+    required: true
+  },
+
+  partnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+
+  // Seller details
+  supplier: {
+    name: String,
+    gstNumber: String,
+    panNumber: String,
+    address: addressSchema,
+    stateCode: String,
+    email: String,
+    phoneNumber: String
+  },
+
+  // Customer details
+  recipient: {
+    name: String,
+    email: String,
+    phoneNumber: String,
+    address: addressSchema,
+    stateCode: String
+  },
+
+  placeOfSupply: {
+    stateCode: String,
+    stateName: String
+  },
+  // intra_state: CGST + SGST, inter_state: IGST
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state'],
+    required: true
+  },
+
+  // Booking details printed on the invoice
+  booking: {
+    reference: String,
+    serviceName: String,
+    vehicleRegistration: String,
+    completedAt: Date,
+    paymentMethod: String,
+    paymentStatus: String
+  },
+
+  lineItems: [lineItemSchema],
+
+  totals: {
+    grossAmount: { type: Number, default: 0 },
+    discount: { type: Number, default: 0 },
+    taxableValue: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    totalTax: { type: Number, default: 0 },
+    grandTotal: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+invoiceSchema.index({ partnerId: 1, invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index({ bookingId: 1 }, { unique: true });
+invoiceSchema.index({ userId: 1, invoiceDate: -1 });
+invoiceSchema.index({ partnerId: 1, invoiceDate: -1 });
+
+const toRupees = (paise) => (paise || 0) / 100;
+
+// Get the invoice as JSON with amounts in rupees
+invoiceSchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    invoiceNumber: this.invoiceNumber,
+    documentType: this.documentType,
+    financialYear: this.financialYear,
+    invoiceDate: this.invoiceDate,
+    supplier: this.supplier,
+    recipient: this.recipient,
+    placeOfSupply: this.placeOfSupply,
+    supplyType: this.supplyType,
+    booking: this.booking,
+    lineItems: this.lineItems.map(item => ({
+      description: item.description,
+      sacCode: item.sacCode,
+      quantity: item.quantity,
+      grossAmount: toRupees(item.grossAmount),
+      discount: toRupees(item.discount),
+      taxableValue: toRupees(item.taxableValue),
+      gstRate: item.gstRate,
+      cgst: toRupees(item.cgst),
+      sgst: toRupees(item.sgst),
+      igst: toRupees(item.igst),
+      total: toRupees(item.total)
+    })),
+    totals: {
+      grossAmount: toRupees(this.totals.grossAmount),
+      discount: toRupees(this.totals.discount),
+      taxableValue: toRupees(this.totals.taxableValue),
+      cgst: toRupees(this.totals.cgst),
+      sgst: toRupees(this.totals.sgst),
+      igst: toRupees(this.totals.igst),
+      totalTax: toRupees(this.totals.totalTax),
+      grandTotal: toRupees(this.totals.grandTotal)
+    },
+    currency: 'INR'
+  };
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * Last invoice sequence issued by a partner in a financial year
+ * Incremented atomically so concurrent completions never share a number.
+ */
+const invoiceCounterSchema = new mongoose.Schema({
+  partnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner',
+    required: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+invoiceCounterSchema.index({ partnerId: 1, financialYear: 1 }, { unique: true });
+
+// Reserve the next sequence number for a partner and financial year
+invoiceCounterSchema.statics.next = async function(partnerId, financialYear) {
+  const counter = await this.findOneAndUpdate(
+    { partnerId, financialYear },
+    { $inc: { sequence: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  return counter.sequence;
+};
+
+module.exports = mongoose.model('InvoiceCounter', invoiceCounterSchema);
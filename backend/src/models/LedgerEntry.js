@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+
+/**
+ * Ledger accounts
+ *   gateway_clearing   - asset: online payments collected by the platform
+ *   partner_payable    - liability: what the platform owes a partner (per partnerId)
+ *   commission_revenue - income: platform commission
+ *   payout_bank        - asset: the bank account partner payouts are sent from
+ */
+const ACCOUNTS = ['gateway_clearing', 'partner_payable', 'commission_revenue', 'payout_bank'];
+
+// Amounts are in paise so every entry balances exactly
+const lineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: ACCOUNTS,
+    required: true
+  },
+  partnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner'
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  memo: String
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    // booking_paid_online: a booking posted as cash that the customer then paid online
+    enum: ['booking_completed', 'booking_refund', 'booking_paid_online', 'partner_payout'],
+    required: true
+  },
+  description: String,
+
+  // Partner this entry affects; used for statements and settlement
+  partnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner',
+    required: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  // Refund a booking_refund entry takes back out of the partner's earnings
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  // Settlement this entry was paid out in (booking entries), or paid out (payout entries)
+  settlementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Settlement'
+  },
+
+  lines: {
+    type: [lineSchema],
+    validate: {
+      validator: lines => lines.length >= 2,
+      message: 'A ledger entry needs at least two lines'
+    }
+  },
+
+  // Net change to the partner's payable balance (credit - debit on partner_payable), in paise
+  partnerAmount: {
+    type: Number,
+    required: true
+  },
+
+  postedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+ledgerEntrySchema.index({ partnerId: 1, postedAt: 1 });
+ledgerEntrySchema.index({ partnerId: 1, type: 1, settlementId: 1 });
+// A booking is posted to the ledger once
+ledgerEntrySchema.index(
+  { bookingId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'booking_completed' } }
+);
+// A booking is moved from cash to online once
+ledgerEntrySchema.index(
+  { bookingId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'booking_paid_online' } }
+);
+// A refund is reversed once
+ledgerEntrySchema.index(
+  { refundId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'booking_refund' } }
+);
+// A settlement is paid out once
+ledgerEntrySchema.index(
+  { settlementId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'partner_payout' } }
+);
+
+// Entries are immutable and must balance
+ledgerEntrySchema.pre('validate', function(next) {
+  const debits = this.lines.reduce((sum, line) => sum + line.debit, 0);
+  const credits = this.lines.reduce((sum, line) => sum + line.credit, 0);
+
+  if (this.lines.some(line => !Number.isInteger(line.debit) || !Number.isInteger(line.credit))) {
+    return next(new Error('Ledger amounts must be whole paise'));
+  }
+  if (debits !== credits) {
+    return next(new Error(`Unbalanced ledger entry: debits ${debits} != credits ${credits}`));
+  }
+
+  this.partnerAmount = this.lines
+    .filter(line => line.account === 'partner_payable')
+    .reduce((sum, line) => sum + line.credit - line.debit, 0);
+
+  next();
+});
+
+// Partner earnings this entry adds, in paise: earnings credited on completion, less
+// earnings taken back by refunds (the cash a partner collected, or did not collect after
+// all because the booking was paid online, is not earnings)
+ledgerEntrySchema.methods.getEarnings = function() {
+  if (this.type === 'booking_paid_online') return 0;
+
+  return this.lines
+    .filter(line => line.account === 'partner_payable')
+    .reduce((sum, line) => sum + (this.type === 'booking_refund' ? -line.debit : line.credit), 0);
+};
+
+// Platform commission this entry adds, in paise
+ledgerEntrySchema.methods.getCommission = function() {
+  return this.lines
+    .filter(line => line.account === 'commission_revenue')
+    .reduce((sum, line) => sum + line.credit - line.debit, 0);
+};
+
+// Get entry summary in rupees
+ledgerEntrySchema.methods.getSummary = function() {
+  return {
+    entryId: this._id,
+    type: this.type,
+    description: this.description,
+    bookingId: this.bookingId,
+    refundId: this.refundId,
+    settlementId: this.settlementId,
+    amount: this.partnerAmount / 100,
+    lines: this.lines.map(line => ({
+      account: line.account,
+      debit: line.debit / 100,
+      credit: line.credit / 100,
+      memo: line.memo
+    })),
+    postedAt: this.postedAt
+  };
+};
+
+ledgerEntrySchema.statics.ACCOUNTS = ACCOUNTS;
+// Entry types that belong to bookings and are paid out in settlements
+ledgerEntrySchema.statics.BOOKING_TYPES = ['booking_completed', 'booking_refund', 'booking_paid_online'];
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { otpPlugin } = require('../utils/otp');
 
 const partnerSchema = new mongoose.Schema({
   // Basic Information (Legacy - kept for backward compatibility)
@@ -32,10 +33,6 @@ const partnerSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  otp: {
-    code: String,
-    expiresAt: Date
-  },
   
   // Business Information
   businessName: {
@@ -227,6 +224,20 @@ const partnerSchema = new mongoose.Schema({
     }
   }],
   
+  // Number of bookings that can be served at the same time (bays/mechanics)
+  serviceCapacity: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 50
+  },
+  // Short lease taken while a booking slot is being reserved, and its holder
+  scheduleLockedUntil: Date,
+  scheduleLockToken: {
+    type: String,
+    select: false
+  },
+  
   // Business Hours
   businessHours: [{
     day: {
@@ -281,7 +292,7 @@ const partnerSchema = new mongoose.Schema({
     ref: 'Admin'
   },
   
-  // Ratings & Reviews
+  // Ratings & Reviews (recomputed from visible reviews by services/reviews)
   rating: {
     type: Number,
     default: 0,
@@ -300,12 +311,20 @@ const partnerSchema = new mongoose.Schema({
     accountHolderName: String,
     bankName: String
   },
+  // Negotiated commission percentage; when unset the commission rules decide
   commissionRate: {
     type: Number,
-    default: 10, // 10% commission
     min: 0,
     max: 100
   },
+  // When an admin set commissionRate; older documents still hold the former schema default of 10
+  commissionRateSetAt: Date,
+  // How often earnings are paid out
+  settlementCycle: {
+    type: String,
+    enum: ['weekly', 'monthly'],
+    default: 'weekly'
+  },
   
   // Statistics
   totalBookings: {
@@ -375,6 +394,9 @@ partnerSchema.index({ isOnline: 1, isApproved: 1 });
 partnerSchema.index({ rating: -1 });
 partnerSchema.index({ createdAt: -1 });
 
+// OTP state and the generateOTP / verifyOTP methods
+partnerSchema.plugin(otpPlugin);
+
 // Clean up location if coordinates are missing (for geospatial index)
 partnerSchema.pre('save', function(next) {
   // If location exists but coordinates is missing or empty, remove location
@@ -402,29 +424,6 @@ partnerSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate OTP
-partnerSchema.methods.generateOTP = function() {
-  const otp = Math.floor(100000 + Math.random() * 900000).toString();
-  this.otp = {
-    code: otp,
-    expiresAt: new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
-  };
-  return otp;
-};
-
-// Verify OTP
-partnerSchema.methods.verifyOTP = function(otp) {
-  if (!this.otp || !this.otp.code || !this.otp.expiresAt) {
-    return false;
-  }
-  
-  if (new Date() > this.otp.expiresAt) {
-    return false;
-  }
-  
-  return this.otp.code === otp;
-};
-
 // Update last active
 partnerSchema.methods.updateLastActive = function() {
   this.lastActive = new Date();
@@ -440,12 +439,4 @@ partnerSchema.methods.getPublicProfile = function() {
   return partnerObject;
 };
 
-// Calculate average rating
-partnerSchema.methods.updateRating = function(newRating) {
-  const totalRating = (this.rating * this.reviewCount) + newRating;
-  this.reviewCount += 1;
-  this.rating = totalRating / this.reviewCount;
-  return this.save();
-};
-
 module.exports = mongoose.model('Partner', partnerSchema);
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  // What is being paid for
+  purpose: {
+    type: String,
+    enum: ['booking', 'wallet_topup'],
+    default: 'booking'
+  },
+  // Booking being paid for (booking payments only)
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: function() {
+      return this.purpose === 'booking';
+    }
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Gateway Information
+  // wallet: paid from the customer's wallet balance, no gateway involved
+  provider: {
+    type: String,
+    enum: ['razorpay', 'fake', 'wallet'],
+    required: true
+  },
+  orderId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  providerPaymentId: String,
+
+  // Amount in the smallest currency unit (paise), as sent to the gateway
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  // Paise held by pending and processed refunds; never exceeds amount
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  status: {
+    type: String,
+    enum: ['created', 'paid', 'failed'],
+    default: 'created'
+  },
+  method: String,
+  failureReason: String,
+  paidAt: Date,
+  failedAt: Date,
+  // Set when the gateway reported a capture that does not match amount or currency; the payment is not marked paid
+  flaggedAt: Date,
+  flagReason: String,
+
+  // Gateway events already applied (webhook retries and reconciliation are no-ops)
+  events: [{
+    eventId: {
+      type: String,
+      required: true
+    },
+    // Nested so mongoose does not read it as the type of the array
+    type: { type: String },
+    source: {
+      type: String,
+      enum: ['webhook', 'checkout', 'reconciliation']
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  lastReconciledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+// Note: orderId already has index from unique: true
+paymentSchema.index({ bookingId: 1, createdAt: -1 });
+paymentSchema.index({ userId: 1 });
+paymentSchema.index({ status: 1, createdAt: 1 });
+
+// Amount in rupees
+paymentSchema.methods.getAmountInRupees = function() {
+  return this.amount / 100;
+};
+
+// Get payment summary
+paymentSchema.methods.getSummary = function() {
+  return {
+    paymentId: this._id,
+    purpose: this.purpose,
+    provider: this.provider,
+    orderId: this.orderId,
+    providerPaymentId: this.providerPaymentId,
+    amount: this.getAmountInRupees(),
+    currency: this.currency,
+    refundedAmount: this.refundedAmount / 100,
+    status: this.status,
+    method: this.method,
+    failureReason: this.failureReason,
+    paidAt: this.paidAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+  // Original transaction being refunded
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    enum: ['razorpay', 'fake', 'wallet'],
+    required: true
+  },
+  // Where the money goes: back to the original payment method or to the customer's wallet
+  destination: {
+    type: String,
+    enum: ['source', 'wallet'],
+    default: 'source'
+  },
+  providerPaymentId: {
+    type: String,
+    required: true
+  },
+  providerRefundId: String,
+
+  // Amount in paise
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+
+  type: {
+    type: String,
+    // late_capture: paid after the booking was cancelled, rejected or expired
+    enum: ['cancellation', 'dispute', 'late_capture'],
+    required: true
+  },
+  initiatedBy: {
+    type: String,
+    enum: ['user', 'partner', 'admin', 'system'],
+    required: true
+  },
+  reason: String,
+
+  // Cancellation policy rule that produced the amount
+  policy: {
+    rule: String,
+    percentage: Number,
+    hoursBeforeStart: Number
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'processed', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  failureReason: String,
+  processedAt: Date,
+  // When the refund was taken back out of the partner's earnings (completed bookings only)
+  ledgerPostedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+refundSchema.index({ bookingId: 1, createdAt: -1 });
+refundSchema.index({ paymentId: 1 });
+refundSchema.index({ status: 1, updatedAt: 1 });
+// A booking is refunded for its cancellation at most once
+refundSchema.index(
+  { bookingId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'cancellation' } }
+);
+// A payment captured after its booking closed is refunded once
+refundSchema.index(
+  { paymentId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'late_capture' } }
+);
+
+// Get refund summary
+refundSchema.methods.getSummary = function() {
+  return {
+    refundId: this._id,
+    type: this.type,
+    amount: this.amount / 100,
+    currency: this.currency,
+    destination: this.destination,
+    status: this.status,
+    initiatedBy: this.initiatedBy,
+    reason: this.reason,
+    policy: this.policy,
+    providerPaymentId: this.providerPaymentId,
+    providerRefundId: this.providerRefundId,
+    failureReason: this.failureReason,
+    processedAt: this.processedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+
+/**
+ * Customer review of a partner
+ * Every review is tied to something the customer actually received - a completed booking,
+ * a completed service call or a resolved emergency - and each of those can be reviewed once.
+ * Hidden reviews are left out of listings and rating aggregates.
+ */
+const reviewSchema = new mongoose.Schema({
+  // What is being reviewed
+  sourceType: {
+    type: String,
+    enum: ['booking', 'service_call', 'emergency'],
+    required: true
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // When the service was delivered
+  serviceDate: Date,
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userName: String,
+  partnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner',
+    required: true
+  },
+  // Emergencies have no catalogue service
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  },
+  serviceName: String,
+
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  serviceQuality: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+  timeliness: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+  communication: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // Stored like partner store photos; data is left out of listings
+  photos: [{
+    data: Buffer,
+    contentType: String,
+    filename: String,
+    size: Number
+  }],
+
+  partnerReply: {
+    message: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    repliedAt: Date
+  },
+
+  // Abuse reports from customers and partners
+  reports: [{
+    reportedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    reporterRole: {
+      type: String,
+      enum: ['user', 'partner']
+    },
+    reason: {
+      type: String,
+      enum: ['spam', 'offensive', 'fake', 'irrelevant', 'other']
+    },
+    details: {
+      type: String,
+      maxlength: 500
+    },
+    reportedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Moderation: flagged reviews stay visible until an admin publishes or hides them
+  status: {
+    type: String,
+    enum: ['published', 'flagged', 'hidden'],
+    default: 'published'
+  },
+  moderation: {
+    action: {
+      type: String,
+      enum: ['publish', 'hide']
+    },
+    reason: String,
+    moderatedBy: String,
+    moderatedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+reviewSchema.index({ sourceType: 1, sourceId: 1 }, { unique: true });
+reviewSchema.index({ partnerId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ serviceId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, reportCount: -1 });
+reviewSchema.index({ userId: 1, createdAt: -1 });
+
+// Statuses shown publicly and counted in ratings
+reviewSchema.statics.VISIBLE_STATUSES = ['published', 'flagged'];
+
+// Get public review (no photo data, reporters or moderation details)
+reviewSchema.methods.getPublicView = function() {
+  return {
+    id: this._id,
+    sourceType: this.sourceType,
+    serviceDate: this.serviceDate,
+    userName: this.userName,
+    partnerId: this.partnerId,
+    serviceId: this.serviceId,
+    serviceName: this.serviceName,
+    rating: this.rating,
+    serviceQuality: this.serviceQuality,
+    timeliness: this.timeliness,
+    communication: this.communication,
+    comment: this.comment,
+    photos: (this.photos || []).map((photo, index) => ({
+      index,
+      contentType: photo.contentType,
+      url: `/api/reviews/${this._id}/photos/${index}`
+    })),
+    partnerReply: this.partnerReply && this.partnerReply.message ? this.partnerReply : undefined,
+    verified: true,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
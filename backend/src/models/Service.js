@@ -243,14 +243,6 @@ serviceSchema.methods.isCompatibleWithVehicle = function(vehicleType, brand, mod
   return true;
 };
 
-// Update rating
-serviceSchema.methods.updateRating = function(newRating) {
-  const totalRating = (this.averageRating * this.reviewCount) + newRating;
-  this.reviewCount += 1;
-  this.averageRating = totalRating / this.reviewCount;
-  return this.save();
-};
-
 // Get service summary
 serviceSchema.methods.getSummary = function() {
   return {
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// pending -> quoted <-> countered -> accepted; any open call can be rejected or let expire
+const CALL_STATUSES = ['pending', 'quoted', 'countered', 'accepted', 'rejected', 'expired', 'completed', 'cancelled'];
+
 const serviceCallSchema = new mongoose.Schema({
   // Customer Information
   customerId: {
@@ -74,7 +77,7 @@ const serviceCallSchema = new mongoose.Schema({
   // Call Details
   callStatus: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected', 'completed', 'cancelled'],
+    enum: CALL_STATUSES,
     default: 'pending',
     index: true
   },
@@ -113,7 +116,7 @@ const serviceCallSchema = new mongoose.Schema({
     registrationNumber: String
   },
 
-  // Response Details
+  // Response Details (the partner's latest answer or quote)
   partnerResponse: {
     respondedAt: Date,
     responseMessage: String,
@@ -122,6 +125,41 @@ const serviceCallSchema = new mongoose.Schema({
     accepted: Boolean
   },
 
+  // Negotiation
+  // Customer's latest counter-offer to a quote
+  counterOffer: {
+    price: Number,
+    message: String,
+    offeredAt: Date
+  },
+  // The open quote or counter-offer lapses at this time
+  offerExpiresAt: Date,
+  // Price both sides agreed on
+  agreedPrice: Number,
+  // Booking created when the customer accepted a quote
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  negotiationHistory: [{
+    action: {
+      type: String,
+      enum: ['quote', 'counter', 'accept', 'reject', 'expire']
+    },
+    actor: {
+      type: String,
+      enum: ['user', 'partner', 'system']
+    },
+    price: Number,
+    estimatedTime: Number,
+    message: String,
+    expiresAt: Date,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
   // Completion Details
   completedAt: Date,
   actualPrice: Number,
@@ -134,6 +172,18 @@ const serviceCallSchema = new mongoose.Schema({
     type: String,
     maxlength: 500
   },
+  ratedAt: Date,
+
+  // Cancellation Details
+  cancelledAt: Date,
+  cancelledBy: {
+    type: String,
+    enum: ['user', 'system']
+  },
+  cancellationReason: {
+    type: String,
+    maxlength: 500
+  },
 
   // Metadata
   source: {
@@ -165,6 +215,7 @@ serviceCallSchema.index({ serviceId: 1, createdAt: -1 });
 serviceCallSchema.index({ callStatus: 1, createdAt: -1 });
 serviceCallSchema.index({ partnerId: 1, callStatus: 1, createdAt: -1 });
 serviceCallSchema.index({ createdAt: -1 });
+serviceCallSchema.index({ callStatus: 1, offerExpiresAt: 1 });
 
 // Update timestamp
 serviceCallSchema.pre('save', function(next) {
@@ -185,5 +236,7 @@ serviceCallSchema.methods.getSummary = function() {
   };
 };
 
+serviceCallSchema.statics.CALL_STATUSES = CALL_STATUSES;
+
 module.exports = mongoose.model('ServiceCall', serviceCallSchema);
 
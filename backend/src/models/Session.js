@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Login session of one device
+ * Every login creates a session holding a single valid refresh token. Refreshing rotates
+ * the token: only the hash of the newest one is kept, and presenting an older one
+ * (a stolen copy being replayed) revokes the session. Access tokens carry the session ID,
+ * so revoking a session also rejects its access tokens.
+ */
+const sessionSchema = new mongoose.Schema({
+  ownerType: {
+    type: String,
+    enum: ['user', 'partner', 'admin'],
+    required: true
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // SHA-256 of the current refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Number of rotations so far
+  generation: {
+    type: Number,
+    default: 0
+  },
+  // App-generated install ID; logging in again on the same device replaces its session
+  deviceId: String,
+  deviceName: String,
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Expiry of the current refresh token
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'replaced', 'reuse_detected', 'password_reset', 'deactivated', 'role_changed', 'two_factor_reset']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+sessionSchema.index({ ownerType: 1, ownerId: 1, revokedAt: 1 });
+// Sessions are removed once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the session's tokens are still accepted
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Get session summary
+sessionSchema.methods.getSummary = function() {
+  return {
+    sessionId: this._id,
+    deviceId: this.deviceId,
+    deviceName: this.deviceName,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
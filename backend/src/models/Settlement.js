@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const settlementSchema = new mongoose.Schema({
+  settlementId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  partnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner',
+    required: true
+  },
+
+  // Settlement period (end is exclusive)
+  cycle: {
+    type: String,
+    enum: ['weekly', 'monthly'],
+    required: true
+  },
+  periodStart: Date,
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+
+  // Totals in paise
+  bookingCount: {
+    type: Number,
+    default: 0
+  },
+  grossAmount: {
+    type: Number,
+    default: 0
+  },
+  commissionAmount: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'on_hold', 'processing', 'paid', 'failed'],
+    default: 'pending'
+  },
+  statusHistory: [{
+    status: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    updatedBy: String,
+    reason: String
+  }],
+
+  // Beneficiary captured when the settlement was created
+  bankDetails: {
+    accountNumber: String,
+    ifscCode: String,
+    accountHolderName: String,
+    bankName: String
+  },
+
+  // Payout file and bank confirmation
+  payoutMode: {
+    type: String,
+    enum: ['NEFT', 'IMPS']
+  },
+  payoutBatchId: String,
+  exportedAt: Date,
+  utr: String,
+  paidAt: Date,
+  failureReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+// Note: settlementId already has index from unique: true
+settlementSchema.index({ partnerId: 1, cycle: 1, periodEnd: 1 }, { unique: true });
+settlementSchema.index({ status: 1, createdAt: -1 });
+settlementSchema.index({ payoutBatchId: 1 });
+
+// Generate settlement ID before validation so the required settlementId is present
+settlementSchema.pre('validate', function(next) {
+  if (!this.settlementId) {
+    const timestamp = Date.now().toString();
+    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    this.settlementId = `ST${timestamp}${random}`;
+  }
+
+  next();
+});
+
+// Update status
+settlementSchema.methods.updateStatus = function(newStatus, updatedBy, reason = '') {
+  this.status = newStatus;
+  this.statusHistory.push({
+    status: newStatus,
+    timestamp: new Date(),
+    updatedBy,
+    reason
+  });
+
+  return this.save();
+};
+
+// Get settlement summary in rupees
+settlementSchema.methods.getSummary = function() {
+  return {
+    settlementId: this.settlementId,
+    partnerId: this.partnerId,
+    cycle: this.cycle,
+    periodStart: this.periodStart,
+    periodEnd: this.periodEnd,
+    bookingCount: this.bookingCount,
+    grossAmount: this.grossAmount / 100,
+    commissionAmount: this.commissionAmount / 100,
+    amount: this.amount / 100,
+    status: this.status,
+    payoutMode: this.payoutMode,
+    payoutBatchId: this.payoutBatchId,
+    utr: this.utr,
+    paidAt: this.paidAt,
+    failureReason: this.failureReason,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Settlement', settlementSchema);
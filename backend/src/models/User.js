@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { otpPlugin } = require('../utils/otp');
+
+// Referral code alphabet without look-alike characters (0/O, 1/I/L)
+const REFERRAL_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+const generateReferralCode = () => Array.from(crypto.randomBytes(8))
+  .map(byte => REFERRAL_ALPHABET[byte % REFERRAL_ALPHABET.length])
+  .join('');
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -34,10 +43,6 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  otp: {
-    code: String,
-    expiresAt: Date
-  },
   
   // Profile Information
   profilePicture: {
@@ -155,7 +160,35 @@ const userSchema = new mongoose.Schema({
   reviewCount: {
     type: Number,
     default: 0
-  }
+  },
+  
+  // Wallet balance in paise; changed only through services/wallet
+  walletBalance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Latest wallet transactions applied to walletBalance, so a retried transaction is not applied twice
+  appliedWalletTransactions: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: undefined,
+    select: false
+  },
+  
+  // Referrals
+  referralCode: {
+    type: String,
+    unique: true,
+    sparse: true,
+    uppercase: true,
+    trim: true
+  },
+  referredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set once referral bonuses were paid after the first completed booking
+  referralRewardedAt: Date
 }, {
   timestamps: true
 });
@@ -165,6 +198,21 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ currentLocation: '2dsphere' });
 userSchema.index({ 'vehicles.registrationNumber': 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ referredBy: 1 });
+
+// OTP state and the generateOTP / verifyOTP methods
+userSchema.plugin(otpPlugin);
+
+// Give every customer a referral code
+userSchema.pre('validate', function(next) {
+  if (!this.referralCode) {
+    this.referralCode = generateReferralCode();
+  }
+  next();
+});
+
+// Random referral code; uniqueness is enforced by the index
+userSchema.statics.generateReferralCode = generateReferralCode;
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -184,29 +232,6 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate OTP
-userSchema.methods.generateOTP = function() {
-  const otp = Math.floor(100000 + Math.random() * 900000).toString();
-  this.otp = {
-    code: otp,
-    expiresAt: new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
-  };
-  return otp;
-};
-
-// Verify OTP
-userSchema.methods.verifyOTP = function(otp) {
-  if (!this.otp || !this.otp.code || !this.otp.expiresAt) {
-    return false;
-  }
-  
-  if (new Date() > this.otp.expiresAt) {
-    return false;
-  }
-  
-  return this.otp.code === otp;
-};
-
 // Update last active
 userSchema.methods.updateLastActive = function() {
   this.lastActive = new Date();
@@ -218,6 +243,7 @@ userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.otp;
+  delete userObject.appliedWalletTransactions;
   return userObject;
 };
 
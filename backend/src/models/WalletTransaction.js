@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+/**
+ * Customer wallet transaction
+ * Amounts are in paise. A transaction is recorded as pending, applied to
+ * User.walletBalance and then marked completed (or failed when a debit finds too
+ * little balance). idempotencyKey makes retries of the same business event no-ops.
+ */
+const walletTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['topup', 'refund', 'referral_bonus', 'booking_payment', 'adjustment'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Balance right after this transaction was applied
+  balanceAfter: Number,
+  description: String,
+
+  // e.g. topup:<paymentId>, refund:<refundId>, booking:<bookingId>
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Related records
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  referredUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending'
+  },
+  failureReason: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+// Note: idempotencyKey already has index from unique: true
+walletTransactionSchema.index({ userId: 1, createdAt: -1 });
+walletTransactionSchema.index({ status: 1, createdAt: 1 });
+
+// Get transaction summary in rupees
+walletTransactionSchema.methods.getSummary = function() {
+  return {
+    transactionId: this._id,
+    direction: this.direction,
+    type: this.type,
+    amount: this.amount / 100,
+    balanceAfter: this.balanceAfter !== undefined ? this.balanceAfter / 100 : undefined,
+    description: this.description,
+    bookingId: this.bookingId,
+    status: this.status,
+    failureReason: this.failureReason,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
@@ -1,7 +1,6 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin');
 const User = require('../models/User');
 const Partner = require('../models/Partner');
@@ -9,8 +8,93 @@ const Booking = require('../models/Booking');
 const Emergency = require('../models/Emergency');
 const Service = require('../models/Service');
 const Tyre = require('../models/Tyre');
-const { authenticateToken, authenticateAdmin } = require('../middleware/auth');
-const { validateAdminLogin } = require('../middleware/validation');
+const Settlement = require('../models/Settlement');
+const CommissionRule = require('../models/CommissionRule');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Review = require('../models/Review');
+const { authenticateToken, authenticateSuperAdmin, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const {
+  validateAdminLogin,
+  validateDisputeResolution,
+  validateCommissionRuleCreate,
+  validateCommissionRuleUpdate,
+  validatePartnerCommission,
+  validateCouponCreate,
+  validateCouponUpdate,
+  validateReviewModeration,
+  validatePushBroadcast,
+  validateAdminCreate,
+  validateAdminUpdate,
+  validateAdminPermissions,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateAdminForgotPassword,
+  validateAdminResetPassword
+} = require('../middleware/validation');
+const { transitionBooking } = require('../services/bookingStateMachine');
+const { resolveDispute } = require('../services/refunds');
+const { getPartnerStatement, getPartnerBalance, resolveStatementPeriod } = require('../services/ledger');
+const { runSettlementCycle, exportPayoutFile, updateSettlementStatus } = require('../services/settlements');
+const { resolveCommission } = require('../services/commission');
+const { moderateReview, recomputeAllRatings, RATING_METHOD } = require('../services/reviews');
+const { notify, getPartnerDisplayName } = require('../services/notifications');
+const { broadcastToTopic, getCityTopic } = require('../services/devices');
+const { createSession, revokeSession, revokeAllSessions } = require('../services/sessions');
+const { getSessionContext } = require('../utils/authSession');
+const { getRoleTemplates, listAdmins, createAdmin, updateAdmin, setPermissions } = require('../services/admins');
+const { searchAuditLog, exportAuditLog } = require('../services/audit');
+const {
+  startEnrollment,
+  confirmEnrollment,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  resetTwoFactor
+} = require('../services/twoFactor');
+const {
+  getPasswordRequirements,
+  requestPasswordReset,
+  resetPassword,
+  unlockAdmin,
+  forcePasswordReset
+} = require('../services/adminPasswords');
+
+// Fields an admin can set on a commission rule or coupon; also what the audit log records
+const COMMISSION_RULE_FIELDS = ['name', 'rate', 'partnerId', 'serviceCategory', 'bookingType', 'isPromotional', 'validFrom', 'validUntil', 'isActive', 'notes'];
+const COUPON_FIELDS = [
+  'description', 'discountType', 'value', 'maxDiscount', 'minOrderAmount', 'usageLimit',
+  'perUserLimit', 'firstBookingOnly', 'serviceIds', 'serviceCategories', 'cities', 'validFrom',
+  'validUntil', 'isActive'
+];
+
+/**
+ * Start a session for an admin who passed every login step and send the tokens
+ */
+const completeAdminLogin = async (req, res, admin) => {
+  // Start a session for this device
+  const { token, tokenExpiresAt, refreshToken, refreshTokenExpiresAt } = await createSession('admin', admin, getSessionContext(req));
+
+  // Update last login and clear failed attempts
+  admin.lastLogin = new Date();
+  admin.unlockAccount();
+  await admin.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Admin login successful',
+    data: {
+      admin: admin.getPublicProfile(),
+      token,
+      tokenExpiresAt,
+      refreshToken,
+      refreshTokenExpiresAt
+    }
+  });
+};
 
 /**
  * @swagger
@@ -35,9 +119,13 @@ const { validateAdminLogin } = require('../middleware/validation');
  *               password:
  *                 type: string
  *                 example: "admin123"
+ *               deviceId:
+ *                 type: string
+ *               deviceName:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Admin login successful
+ *         description: Admin login successful. The access token is short-lived; renew it with /auth/refresh.
  *         content:
  *           application/json:
  *             schema:
@@ -67,12 +155,32 @@ const { validateAdminLogin } = require('../middleware/validation');
  *                     token:
  *                       type: string
  *                       example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                     tokenExpiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     refreshToken:
+ *                       type: string
+ *                     refreshTokenExpiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     twoFactorRequired:
+ *                       type: boolean
+ *                       description: Present when the admin has two-factor on. No tokens are issued; send challengeToken and a code to /admin/login/2fa.
+ *                     challengeToken:
+ *                       type: string
+ *                     challengeExpiresAt:
+ *                       type: string
+ *                       format: date-time
  *       401:
  *         description: Invalid credentials
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: A super admin has required a password reset
+ *       423:
+ *         description: Account locked after too many failed attempts
  */
 router.post('/login', validateAdminLogin, async (req, res) => {
   try {
@@ -95,38 +203,47 @@ router.post('/login', validateAdminLogin, async (req, res) => {
       });
     }
 
+    // Locked after too many failed attempts
+    if (admin.isAccountLocked()) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is locked after too many failed attempts. Please try again later or reset your password.',
+        data: { lockedUntil: admin.accountLockedUntil }
+      });
+    }
+
     // Verify password
     const isPasswordValid = await bcrypt.compare(password, admin.password);
     if (!isPasswordValid) {
+      await admin.recordFailedLogin();
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { adminId: admin._id, email: admin.email, role: admin.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    // Update last login
-    admin.lastLogin = new Date();
-    await admin.save();
+    // A super admin has required a new password
+    if (admin.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        message: 'You must reset your password before logging in. Use the link sent to your email or request a new one.',
+        data: { passwordResetRequired: true }
+      });
+    }
 
-    // Remove password from response
-    const adminResponse = admin.toObject();
-    delete adminResponse.password;
+    // Admins with two-factor on finish the login at /admin/login/2fa
+    if (admin.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app to finish logging in',
+        data: {
+          twoFactorRequired: true,
+          ...createLoginChallenge(admin)
+        }
+      });
+    }
 
-    res.status(200).json({
-      success: true,
-      message: 'Admin login successful',
-      data: {
-        admin: adminResponse,
-        token
-      }
-    });
+    await completeAdminLogin(req, res, admin);
   } catch (error) {
     console.error('Admin login error:', error);
     res.status(500).json({
@@ -138,178 +255,170 @@ router.post('/login', validateAdminLogin, async (req, res) => {
 
 /**
  * @swagger
- * /admin/dashboard:
- *   get:
- *     summary: Get admin dashboard statistics
+ * /admin/login/2fa:
+ *   post:
+ *     summary: Second admin login step
+ *     description: For admins with two-factor authentication. Send the challengeToken from /admin/login with the 6-digit code from the authenticator app, or one of the backup codes (each works once). Wrong codes count towards the account lock.
  *     tags: [Admin]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "492039"
+ *               backupCode:
+ *                 type: string
+ *                 example: "4f9a-c21e"
+ *               deviceId:
+ *                 type: string
+ *               deviceName:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Dashboard statistics retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   type: object
- *                   properties:
- *                     totalUsers:
- *                       type: number
- *                       example: 1250
- *                     totalPartners:
- *                       type: number
- *                       example: 85
- *                     totalBookings:
- *                       type: number
- *                       example: 3420
- *                     totalEmergencies:
- *                       type: number
- *                       example: 156
- *                     revenue:
- *                       type: object
- *                       properties:
- *                         today:
- *                           type: number
- *                           example: 45000
- *                         thisMonth:
- *                           type: number
- *                           example: 1250000
- *                         thisYear:
- *                           type: number
- *                           example: 15000000
- *                     recentBookings:
- *                       type: array
- *                       items:
- *                         $ref: '#/components/schemas/Booking'
+ *         description: Admin login successful - same response as /admin/login without two-factor
  *       401:
- *         description: Unauthorized
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *         description: Wrong code, or the challenge has expired
+ *       423:
+ *         description: Account locked after too many failed attempts
  */
-router.get('/dashboard', authenticateToken, authenticateAdmin, async (req, res) => {
+router.post('/login/2fa', validateTwoFactorLogin, async (req, res) => {
   try {
-    // Get current date and calculate date ranges
-    const now = new Date();
-    const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-    const startOfYear = new Date(now.getFullYear(), 0, 1);
+    const { challengeToken, code, backupCode } = req.body;
 
-    // Get counts
-    const totalUsers = await User.countDocuments({ status: 'active' });
-    const totalPartners = await Partner.countDocuments({ status: 'approved' });
-    const totalBookings = await Booking.countDocuments();
-    const totalEmergencies = await Emergency.countDocuments();
+    const admin = await verifyLoginChallenge({ challengeToken, code, backupCode });
 
-    // Get revenue data
-    const todayBookings = await Booking.find({
-      createdAt: { $gte: startOfDay },
-      status: 'completed'
+    await completeAdminLogin(req, res, admin);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Admin two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during admin login'
     });
+  }
+});
 
-    const monthBookings = await Booking.find({
-      createdAt: { $gte: startOfMonth },
-      status: 'completed'
-    });
+/**
+ * @swagger
+ * /admin/forgot-password:
+ *   post:
+ *     summary: Email an admin password reset link
+ *     description: Sends a one-time link to the admin's email. The response is the same whether or not the address belongs to an active admin.
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "admin@rollon.in"
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the admin exists
+ */
+router.post('/forgot-password', validateAdminForgotPassword, async (req, res) => {
+  try {
+    const resetToken = await requestPasswordReset(req.body.email);
 
-    const yearBookings = await Booking.find({
-      createdAt: { $gte: startOfYear },
-      status: 'completed'
+    res.status(200).json({
+      success: true,
+      message: 'If an admin account exists for this email, a password reset link has been sent',
+      data: {
+        resetToken: process.env.NODE_ENV === 'development' && resetToken ? resetToken : undefined
+      }
     });
+  } catch (error) {
+    console.error('Admin forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while processing password reset'
+    });
+  }
+});
 
-    const calculateRevenue = (bookings) => {
-      return bookings.reduce((total, booking) => total + (booking.price || 0), 0);
-    };
-
-    const revenue = {
-      today: calculateRevenue(todayBookings),
-      thisMonth: calculateRevenue(monthBookings),
-      thisYear: calculateRevenue(yearBookings)
-    };
-
-    // Get recent bookings
-    const recentBookings = await Booking.find()
-      .populate('userId', 'name email')
-      .populate('partnerId', 'businessName')
-      .populate('serviceId', 'name')
-      .sort({ createdAt: -1 })
-      .limit(10);
-
-    // Get pending partner approvals
-    const pendingPartners = await Partner.countDocuments({ status: 'pending' });
+/**
+ * @swagger
+ * /admin/reset-password:
+ *   post:
+ *     summary: Reset an admin password with the emailed token
+ *     description: The token works once. The new password must meet the admin password policy and differ from recent passwords. The account is unlocked and logged out of every device.
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 example: "N3w-Adm1n-Passw0rd"
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Invalid or expired token, a recently used password, or the password does not meet the policy (unmet requirements in data.requirements)
+ */
+router.post('/reset-password', validateAdminResetPassword, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
 
-    // Get today's statistics
-    const todayUsers = await User.countDocuments({ createdAt: { $gte: startOfDay } });
-    const todayBookingsCount = await Booking.countDocuments({ createdAt: { $gte: startOfDay } });
-    const todayEmergencies = await Emergency.countDocuments({ createdAt: { $gte: startOfDay } });
+    await resetPassword(token, newPassword);
 
     res.status(200).json({
       success: true,
-      data: {
-        totalUsers,
-        totalPartners,
-        totalBookings,
-        totalEmergencies,
-        revenue,
-        recentBookings,
-        pendingPartners,
-        todayStats: {
-          newUsers: todayUsers,
-          newBookings: todayBookingsCount,
-          newEmergencies: todayEmergencies
-        }
-      }
+      message: 'Password reset successfully. Please login with your new password.'
     });
   } catch (error) {
-    console.error('Get admin dashboard error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+    console.error('Admin reset password error:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error while retrieving dashboard statistics'
+      message: 'Internal server error while resetting password'
     });
   }
 });
 
 /**
  * @swagger
- * /admin/users:
+ * /admin/password-policy:
  *   get:
- *     summary: Get all users (admin only)
+ *     summary: Admin password requirements
+ *     description: For showing the rules next to password fields.
  *     tags: [Admin]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 20
- *         description: Number of items per page
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Search by name, email, or phone
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: ["active", "inactive", "suspended"]
- *         description: Filter by user status
  *     responses:
  *       200:
- *         description: Users retrieved successfully
+ *         description: Password requirements
  *         content:
  *           application/json:
  *             schema:
@@ -319,723 +428,4050 @@ router.get('/dashboard', authenticateToken, authenticateAdmin, async (req, res)
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/User'
- *                 pagination:
  *                   type: object
  *                   properties:
- *                     page:
- *                       type: integer
- *                       example: 1
- *                     limit:
- *                       type: integer
- *                       example: 20
- *                     total:
- *                       type: integer
- *                       example: 1250
- *                     pages:
+ *                     requirements:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["at least 12 characters", "at least one uppercase letter"]
+ */
+router.get('/password-policy', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      requirements: getPasswordRequirements()
+    }
+  });
+});
+
+/**
+ * Admin routes that only act on the caller's own account
+ */
+const requireAdminAccount = (req, res, next) => {
+  if (!req.user.adminId) {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required'
+    });
+  }
+  next();
+};
+
+// Audit target for routes on the caller's own account
+const findSelf = (req) => (req.user.adminId ? { _id: req.user.adminId } : null);
+
+/**
+ * @swagger
+ * /admin/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new TOTP secret and its otpauth:// URI. Show the URI as a QR code for the authenticator app to scan (or let the admin type the secret), then confirm with /admin/2fa/confirm. Two-factor stays off until confirmed; calling this again replaces the unconfirmed secret.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       example: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *                     otpauthUrl:
+ *                       type: string
+ *                       example: "otpauth://totp/Rollon%20Admin%3Aadmin%40rollon.in?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Rollon%20Admin&algorithm=SHA1&digits=6&period=30"
+ *       409:
+ *         description: Two-factor is already enabled
+ */
+router.post('/2fa/setup', authenticateToken, requireAdminAccount, async (req, res) => {
+  try {
+    const enrollment = await startEnrollment(req.user.adminId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: enrollment
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during two-factor setup'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/2fa/confirm:
+ *   post:
+ *     summary: Confirm two-factor enrollment
+ *     description: Turns two-factor on once a code from the newly added authenticator app checks out. The response holds 10 one-time backup codes, shown only this once.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "492039"
+ *     responses:
+ *       200:
+ *         description: Two-factor enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     backupCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["4f9a-c21e", "0b7d-93aa"]
+ *       400:
+ *         description: Wrong code, or setup was not started
+ *       409:
+ *         description: Two-factor is already enabled
+ */
+router.post('/2fa/confirm', authenticateToken, requireAdminAccount, validateTwoFactorCode, audit('admin.two_factor_enable', 'admin', { find: findSelf }), async (req, res) => {
+  try {
+    const { backupCodes } = await confirmEnrollment(req.user.adminId, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during two-factor setup'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/2fa/backup-codes:
+ *   post:
+ *     summary: Replace the two-factor backup codes
+ *     description: Needs a current authenticator code. All previous backup codes stop working.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "492039"
+ *     responses:
+ *       200:
+ *         description: New backup codes
+ *       400:
+ *         description: Wrong code, or two-factor is not enabled
+ */
+router.post('/2fa/backup-codes', authenticateToken, requireAdminAccount, validateTwoFactorCode, audit('admin.two_factor_backup_codes', 'admin', { find: findSelf }), async (req, res) => {
+  try {
+    const { backupCodes } = await regenerateBackupCodes(req.user.adminId, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Two-factor backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while generating backup codes'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     description: Needs the admin's password and a current authenticator code.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "492039"
+ *     responses:
+ *       200:
+ *         description: Two-factor disabled
+ *       400:
+ *         description: Wrong code, or two-factor is not enabled
+ *       401:
+ *         description: Incorrect password
+ */
+router.post('/2fa/disable', authenticateToken, requireAdminAccount, validateTwoFactorDisable, audit('admin.two_factor_disable', 'admin', { find: findSelf }), async (req, res) => {
+  try {
+    await disableTwoFactor(req.user.adminId, { password: req.body.password, code: req.body.code });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while disabling two-factor authentication'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/logout:
+ *   post:
+ *     summary: Admin logout
+ *     description: Ends the session of this device. Its access and refresh tokens stop working immediately.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    console.error('Admin logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during logout'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/logout-all:
+ *   post:
+ *     summary: Admin logout from all devices
+ *     description: Ends every session of the admin account, including this one.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out of all devices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessionsRevoked:
  *                       type: integer
- *                       example: 63
+ *                       example: 2
  *       401:
  *         description: Unauthorized
+ */
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    // Any admin role, including moderator and support
+    if (!req.user.adminId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    const sessionsRevoked = await revokeAllSessions('admin', req.user.adminId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all devices',
+      data: { sessionsRevoked }
+    });
+  } catch (error) {
+    console.error('Admin logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during logout'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/roles:
+ *   get:
+ *     summary: Role templates and available permissions
+ *     description: Each role's default permissions, plus every module and action that can be granted. super_admin is allowed everything.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Role templates retrieved successfully
+ *       403:
+ *         description: Requires read permission on admins
+ */
+router.get('/roles', authenticateToken, requirePermission('admins', 'read'), async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: getRoleTemplates()
+    });
+  } catch (error) {
+    console.error('Get role templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving roles'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/admins:
+ *   get:
+ *     summary: List admin accounts
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [super_admin, admin, moderator, support]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name, email or username
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Admins retrieved successfully
+ *       403:
+ *         description: Requires read permission on admins
+ */
+router.get('/admins', authenticateToken, requirePermission('admins', 'read'), async (req, res) => {
+  try {
+    const { role, isActive, search, page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+
+    const { total, admins } = await listAdmins({
+      role,
+      isActive: isActive === undefined ? undefined : isActive === 'true',
+      search,
+      page: pageNum,
+      limit: limitNum
+    });
+
+    res.status(200).json({
+      success: true,
+      data: admins.map(admin => admin.getSummary()),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Get admins error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving admins'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/admins:
+ *   post:
+ *     summary: Create an admin account
+ *     description: Without permissions the new admin follows the role template (see /admin/roles) and their permissions change with their role. You can only grant permissions you hold, and only a super admin can create super admins.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - email
+ *               - name
+ *               - password
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 example: "priya.support"
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "priya@rollon.in"
+ *               name:
+ *                 type: string
+ *                 example: "Priya Shah"
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               role:
+ *                 type: string
+ *                 enum: [super_admin, admin, moderator, support]
+ *                 default: support
+ *               department:
+ *                 type: string
+ *                 enum: [operations, support, finance, marketing, technical, general]
+ *               phoneNumber:
+ *                 type: string
+ *                 example: "9876543210"
+ *               permissions:
+ *                 type: array
+ *                 description: Custom permissions instead of the role template
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     module:
+ *                       type: string
+ *                       example: "bookings"
+ *                     actions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["read", "update"]
+ *     responses:
+ *       201:
+ *         description: Admin created
+ *       400:
+ *         description: Invalid permissions, or the password does not meet the password policy (unmet requirements in data.requirements)
+ *       403:
+ *         description: Missing admins create permission, or granting permissions you do not have
+ *       409:
+ *         description: Email or username already in use
+ */
+router.post('/admins', authenticateToken, requirePermission('admins', 'create'), audit('admin.create', 'admin', { param: 'adminId', fields: ['username', 'email', 'name', 'role', 'department', 'phoneNumber', 'permissions'] }), validateAdminCreate, async (req, res) => {
+  try {
+    const { username, email, name, password, role, department, phoneNumber, permissions } = req.body;
+
+    const admin = await createAdmin(req.admin, {
+      username,
+      email,
+      name,
+      password,
+      role,
+      department,
+      phoneNumber,
+      permissions
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Admin created successfully',
+      data: admin.getSummary()
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+    console.error('Create admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating admin'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/admins/{adminId}:
+ *   put:
+ *     summary: Update another admin's account
+ *     description: Change name, department, phone, role or active status. Changing an admin's role or deactivating them logs them out of every device. You cannot change your own account here, and only a super admin can manage super admins.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: adminId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [super_admin, admin, moderator, support]
+ *               department:
+ *                 type: string
+ *               phoneNumber:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Admin updated
+ *       403:
+ *         description: Not allowed to manage this admin or assign this role
+ *       404:
+ *         description: Admin not found
+ */
+router.put('/admins/:adminId', authenticateToken, requirePermission('admins', 'update'), audit('admin.update', 'admin', { param: 'adminId', fields: ['name', 'role', 'department', 'phoneNumber', 'isActive'] }), validateAdminUpdate, async (req, res) => {
+  try {
+    const { adminId } = req.params;
+
+    // Validate admin ID format
+    if (!adminId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid admin ID format'
+      });
+    }
+
+    const { name, role, department, phoneNumber, isActive } = req.body;
+    const admin = await updateAdmin(req.admin, adminId, { name, role, department, phoneNumber, isActive });
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin updated successfully',
+      data: admin.getSummary()
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+    console.error('Update admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating admin'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/admins/{adminId}/permissions:
+ *   put:
+ *     summary: Set an admin's permissions
+ *     description: Send permissions to give the admin a custom list (it no longer follows the role), or useRoleTemplate true to go back to the role's defaults. You can only grant permissions you hold.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: adminId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     module:
+ *                       type: string
+ *                       example: "reviews"
+ *                     actions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["read", "update"]
+ *               useRoleTemplate:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Permissions updated
+ *       400:
+ *         description: Invalid permissions, or the admin is a super admin
+ *       403:
+ *         description: Granting permissions you do not have
+ *       404:
+ *         description: Admin not found
+ */
+router.put('/admins/:adminId/permissions', authenticateToken, requirePermission('admins', 'update'), audit('admin.permissions_update', 'admin', { param: 'adminId', fields: ['permissions', 'useRoleTemplate'] }), validateAdminPermissions, async (req, res) => {
+  try {
+    const { adminId } = req.params;
+
+    // Validate admin ID format
+    if (!adminId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid admin ID format'
+      });
+    }
+
+    const { permissions, useRoleTemplate } = req.body;
+    const admin = await setPermissions(req.admin, adminId, { permissions, useRoleTemplate });
+
+    res.status(200).json({
+      success: true,
+      message: 'Permissions updated successfully',
+      data: admin.getSummary()
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+    console.error('Update admin permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating permissions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/admins/{adminId}/2fa:
+ *   delete:
+ *     summary: Reset another admin's two-factor authentication (Super Admin only)
+ *     description: For an admin who lost both their authenticator and backup codes. Two-factor is turned off and the admin is logged out of every device; they log in with their password and can enroll again.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: adminId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor reset
+ *       400:
+ *         description: Own account - use /admin/2fa/disable
+ *       403:
+ *         description: Super admin access required
+ *       404:
+ *         description: Admin not found
+ */
+router.delete('/admins/:adminId/2fa', authenticateToken, authenticateSuperAdmin, audit('admin.two_factor_reset', 'admin', { param: 'adminId' }), async (req, res) => {
+  try {
+    const { adminId } = req.params;
+
+    // Validate admin ID format
+    if (!adminId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid admin ID format'
+      });
+    }
+
+    const admin = await resetTwoFactor({ adminId: req.user.adminId }, adminId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication reset. The admin has been logged out of all devices.',
+      data: admin.getSummary()
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Reset admin two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while resetting two-factor authentication'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/admins/{adminId}/unlock:
+ *   post:
+ *     summary: Unlock an admin account (Super Admin only)
+ *     description: Lifts the lock set after too many failed logins before it runs out, and clears the failed attempts.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: adminId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       400:
+ *         description: Account is not locked
+ *       403:
+ *         description: Super admin access required
+ *       404:
+ *         description: Admin not found
+ */
+router.post('/admins/:adminId/unlock', authenticateToken, authenticateSuperAdmin, audit('admin.unlock', 'admin', { param: 'adminId' }), async (req, res) => {
+  try {
+    const { adminId } = req.params;
+
+    // Validate admin ID format
+    if (!adminId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid admin ID format'
+      });
+    }
+
+    const admin = await unlockAdmin(adminId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin account unlocked',
+      data: admin.getSummary()
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Unlock admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while unlocking admin'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/admins/{adminId}/force-password-reset:
+ *   post:
+ *     summary: Require an admin to choose a new password (Super Admin only)
+ *     description: The admin is logged out of every device, can no longer log in with their current password, and is emailed a reset link. They can request a new link with /admin/forgot-password.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: adminId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Password reset required
+ *       400:
+ *         description: Own account - use /admin/forgot-password
+ *       403:
+ *         description: Super admin access required
+ *       404:
+ *         description: Admin not found
+ */
+router.post('/admins/:adminId/force-password-reset', authenticateToken, authenticateSuperAdmin, audit('admin.force_password_reset', 'admin', { param: 'adminId' }), async (req, res) => {
+  try {
+    const { adminId } = req.params;
+
+    // Validate admin ID format
+    if (!adminId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid admin ID format'
+      });
+    }
+
+    const admin = await forcePasswordReset({ adminId: req.user.adminId }, adminId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset required. The admin has been logged out and emailed a reset link.',
+      data: admin.getSummary()
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Force admin password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while requiring a password reset'
+    });
+  }
+});
+
+/**
+ * Filters shared by the audit log search and export
+ * @returns {Object|null} The filters, or null when an ID or date is malformed
+ */
+const getAuditFilters = (query) => {
+  const { adminId, actorEmail, action, targetType, targetId, from, to } = query;
+
+  const badId = [adminId, targetId].some(id => id && !String(id).match(/^[0-9a-fA-F]{24}$/));
+  const badDate = [from, to].some(date => date && isNaN(new Date(date).getTime()));
+  if (badId || badDate) return null;
+
+  return { adminId, actorEmail, action, targetType, targetId, from, to };
+};
+
+/**
+ * @swagger
+ * /admin/audit-logs:
+ *   get:
+ *     summary: Search the admin audit log
+ *     description: Every successful change made through the admin API, newest first, with the changed fields of the target before and after.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: adminId
+ *         schema:
+ *           type: string
+ *         description: Admin who made the change
+ *       - in: query
+ *         name: actorEmail
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Exact action (partner.approve), or a prefix ending in a dot (partner.)
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [admin, partner, user, booking, settlement, commission_rule, coupon, review, service, tyre]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Audit entries retrieved successfully
+ *       400:
+ *         description: Invalid ID or date filter
+ *       403:
+ *         description: Requires read permission on audit
+ */
+router.get('/audit-logs', authenticateToken, requirePermission('audit', 'read'), async (req, res) => {
+  try {
+    const filters = getAuditFilters(req.query);
+    if (!filters) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID or date filter'
+      });
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 200);
+
+    const { total, entries } = await searchAuditLog(filters, { page: pageNum, limit: limitNum });
+
+    res.status(200).json({
+      success: true,
+      data: entries.map(entry => entry.getSummary()),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving audit log'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/audit-logs/export:
+ *   get:
+ *     summary: Export the admin audit log
+ *     description: Downloads the entries matching the same filters as /admin/audit-logs, newest first, up to AUDIT_EXPORT_MAX_ROWS (10000). X-Audit-Truncated is true when more entries matched.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *       - in: query
+ *         name: adminId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: CSV or JSON file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format, ID or date filter
+ *       403:
+ *         description: Requires read permission on audit
+ */
+router.get('/audit-logs/export', authenticateToken, requirePermission('audit', 'read'), async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or json'
+      });
+    }
+
+    const filters = getAuditFilters(req.query);
+    if (!filters) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID or date filter'
+      });
+    }
+
+    const file = await exportAuditLog(filters, format);
+
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Disposition': `attachment; filename="${file.fileName}"`,
+      'X-Audit-Count': String(file.count),
+      'X-Audit-Truncated': String(file.truncated)
+    });
+    res.status(200).send(file.content);
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while exporting audit log'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/dashboard:
+ *   get:
+ *     summary: Get admin dashboard statistics
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Dashboard statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     totalUsers:
+ *                       type: number
+ *                       example: 1250
+ *                     totalPartners:
+ *                       type: number
+ *                       example: 85
+ *                     totalBookings:
+ *                       type: number
+ *                       example: 3420
+ *                     totalEmergencies:
+ *                       type: number
+ *                       example: 156
+ *                     revenue:
+ *                       type: object
+ *                       properties:
+ *                         today:
+ *                           type: number
+ *                           example: 45000
+ *                         thisMonth:
+ *                           type: number
+ *                           example: 1250000
+ *                         thisYear:
+ *                           type: number
+ *                           example: 15000000
+ *                     recentBookings:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Booking'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/dashboard', authenticateToken, requirePermission('reports', 'read'), async (req, res) => {
+  try {
+    // Get current date and calculate date ranges
+    const now = new Date();
+    const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+    const startOfYear = new Date(now.getFullYear(), 0, 1);
+
+    // Get counts
+    const totalUsers = await User.countDocuments({ status: 'active' });
+    const totalPartners = await Partner.countDocuments({ status: 'approved' });
+    const totalBookings = await Booking.countDocuments();
+    const totalEmergencies = await Emergency.countDocuments();
+
+    // Get revenue data
+    const todayBookings = await Booking.find({
+      createdAt: { $gte: startOfDay },
+      status: 'completed'
+    });
+
+    const monthBookings = await Booking.find({
+      createdAt: { $gte: startOfMonth },
+      status: 'completed'
+    });
+
+    const yearBookings = await Booking.find({
+      createdAt: { $gte: startOfYear },
+      status: 'completed'
+    });
+
+    const calculateRevenue = (bookings) => {
+      return bookings.reduce((total, booking) => total + (booking.price || 0), 0);
+    };
+
+    const revenue = {
+      today: calculateRevenue(todayBookings),
+      thisMonth: calculateRevenue(monthBookings),
+      thisYear: calculateRevenue(yearBookings)
+    };
+
+    // Get recent bookings
+    const recentBookings = await Booking.find()
+      .populate('userId', 'name email')
+      .populate('partnerId', 'businessName')
+      .populate('serviceId', 'name')
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    // Get pending partner approvals
+    const pendingPartners = await Partner.countDocuments({ status: 'pending' });
+
+    // Get today's statistics
+    const todayUsers = await User.countDocuments({ createdAt: { $gte: startOfDay } });
+    const todayBookingsCount = await Booking.countDocuments({ createdAt: { $gte: startOfDay } });
+    const todayEmergencies = await Emergency.countDocuments({ createdAt: { $gte: startOfDay } });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        totalUsers,
+        totalPartners,
+        totalBookings,
+        totalEmergencies,
+        revenue,
+        recentBookings,
+        pendingPartners,
+        todayStats: {
+          newUsers: todayUsers,
+          newBookings: todayBookingsCount,
+          newEmergencies: todayEmergencies
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get admin dashboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving dashboard statistics'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users:
+ *   get:
+ *     summary: Get all users (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of items per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name, email, or phone
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: ["active", "inactive", "suspended"]
+ *         description: Filter by user status
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                       example: 1
+ *                     limit:
+ *                       type: integer
+ *                       example: 20
+ *                     total:
+ *                       type: integer
+ *                       example: 1250
+ *                     pages:
+ *                       type: integer
+ *                       example: 63
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/users', authenticateToken, requirePermission('users', 'read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, status } = req.query;
+
+    // Build query
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } },
+        { phone: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    // Pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Get total count
+    const total = await User.countDocuments(query);
+
+    // Get users with pagination
+    const users = await User.find(query)
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    // Calculate pagination info
+    const pages = Math.ceil(total / limitNum);
+
+    res.status(200).json({
+      success: true,
+      data: users,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages
+      }
+    });
+  } catch (error) {
+    console.error('Get admin users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving users'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/partners:
+ *   get:
+ *     summary: Get all partners (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of items per page
+ *       - in: query
+ *         name: approvalStatus
+ *         schema:
+ *           type: string
+ *           enum: ["pending", "approved", "rejected", "suspended"]
+ *         description: Filter by approval status
+ *       - in: query
+ *         name: isApproved
+ *         schema:
+ *           type: boolean
+ *         description: Filter by approval boolean (true/false)
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by shop name, business name, owner name, mobile number, or email
+ *       - in: query
+ *         name: mobileNumber
+ *         schema:
+ *           type: string
+ *         description: Filter by mobile number
+ *     responses:
+ *       200:
+ *         description: Partners retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Partner'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                       example: 1
+ *                     limit:
+ *                       type: integer
+ *                       example: 20
+ *                     total:
+ *                       type: integer
+ *                       example: 85
+ *                     pages:
+ *                       type: integer
+ *                       example: 5
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/partners', authenticateToken, requirePermission('partners', 'read'), async (req, res) => {
+  try {
+    const { 
+      page = 1, 
+      limit = 20, 
+      approvalStatus, 
+      isApproved,
+      search,
+      mobileNumber
+    } = req.query;
+
+    // Build query
+    const query = {};
+    
+    // Filter by approvalStatus
+    if (approvalStatus) {
+      query.approvalStatus = approvalStatus;
+    }
+    
+    // Filter by isApproved (boolean)
+    if (isApproved !== undefined) {
+      query.isApproved = isApproved === 'true' || isApproved === true;
+    }
+
+    // Filter by mobile number
+    if (mobileNumber) {
+      query.$or = [
+        { mobileNumber },
+        { phoneNumber: mobileNumber }
+      ];
+    }
+
+    // Search functionality
+    if (search) {
+      const searchRegex = { $regex: search, $options: 'i' };
+      const searchConditions = [
+        { shopName: searchRegex },
+        { businessName: searchRegex },
+        { ownerName: searchRegex },
+        { name: searchRegex },
+        { email: searchRegex },
+        { mobileNumber: searchRegex },
+        { phoneNumber: searchRegex }
+      ];
+      
+      if (query.$or) {
+        // If mobileNumber filter exists, combine with search
+        query.$and = [
+          { $or: query.$or },
+          { $or: searchConditions }
+        ];
+        delete query.$or;
+      } else {
+        query.$or = searchConditions;
+      }
+    }
+
+    // Pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Get total count
+    const total = await Partner.countDocuments(query);
+
+    // Get partners with pagination
+    // Exclude password and file binary data for better performance
+    const partners = await Partner.find(query)
+      .select('-password -storePhoto.data -priceList.data')
+      .populate('services.serviceId', 'name category')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    // Calculate pagination info
+    const pages = Math.ceil(total / limitNum);
+
+    res.status(200).json({
+      success: true,
+      data: partners,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages
+      },
+      filters: {
+        approvalStatus: approvalStatus || null,
+        isApproved: isApproved !== undefined ? (isApproved === 'true' || isApproved === true) : null,
+        search: search || null,
+        mobileNumber: mobileNumber || null
+      }
+    });
+  } catch (error) {
+    console.error('Get admin partners error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving partners',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/partners/pending:
+ *   get:
+ *     summary: Get all pending partners with images as bytes
+ *     description: Returns list of partners with pending approval status, including store photo and price list as base64 encoded bytes
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Pending partners retrieved successfully with images
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       shopName:
+ *                         type: string
+ *                       ownerName:
+ *                         type: string
+ *                       mobileNumber:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                       shopAddress:
+ *                         type: string
+ *                       storePhoto:
+ *                         type: object
+ *                         properties:
+ *                           data:
+ *                             type: string
+ *                             description: Base64 encoded image data
+ *                           contentType:
+ *                             type: string
+ *                           filename:
+ *                             type: string
+ *                           size:
+ *                             type: number
+ *                       priceList:
+ *                         type: object
+ *                         properties:
+ *                           data:
+ *                             type: string
+ *                             description: Base64 encoded file data
+ *                           contentType:
+ *                             type: string
+ *                           filename:
+ *                             type: string
+ *                           size:
+ *                             type: number
+ *                       approvalStatus:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/partners/pending', authenticateToken, requirePermission('partners', 'read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    // Build query for pending partners
+    const query = {
+      $or: [
+        { approvalStatus: 'pending' },
+        { approvalStatus: { $exists: false } },
+        { isApproved: false }
+      ]
+    };
+
+    // Pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Get total count
+    const total = await Partner.countDocuments(query);
+
+    // Get partners with pagination - include file data
+    const partners = await Partner.find(query)
+      .select('-password') // Exclude password
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    // Convert Buffer data to base64 for JSON response
+    const partnersWithImages = partners.map(partner => {
+      const partnerObj = partner.toObject();
+      
+      // Convert storePhoto buffer to base64
+      if (partnerObj.storePhoto && partnerObj.storePhoto.data) {
+        partnerObj.storePhoto.data = partnerObj.storePhoto.data.toString('base64');
+      }
+      
+      // Convert priceList buffer to base64
+      if (partnerObj.priceList && partnerObj.priceList.data) {
+        partnerObj.priceList.data = partnerObj.priceList.data.toString('base64');
+      }
+      
+      return partnerObj;
+    });
+
+    // Calculate pagination info
+    const pages = Math.ceil(total / limitNum);
+
+    res.status(200).json({
+      success: true,
+      data: partnersWithImages,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages
+      }
+    });
+  } catch (error) {
+    console.error('Get pending partners error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving pending partners',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Audit lookup for approve-by-mobile, matching the route's own query
+ */
+const findPartnerByMobile = (req) => {
+  const { mobileNumber } = req.body;
+  if (typeof mobileNumber !== 'string' || !mobileNumber.match(/^[6-9]\d{9}$/)) return null;
+
+  return {
+    $or: [
+      { mobileNumber },
+      { phoneNumber: mobileNumber }
+    ]
+  };
+};
+
+/**
+ * @swagger
+ * /admin/partners/approve-by-mobile:
+ *   post:
+ *     summary: Approve partner by mobile number
+ *     description: Search partner by mobile number and approve them (set isApproved to true and approvalStatus to approved)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mobileNumber
+ *             properties:
+ *               mobileNumber:
+ *                 type: string
+ *                 pattern: '^[6-9]\d{9}$'
+ *                 example: "9876543210"
+ *                 description: 10-digit Indian mobile number
+ *               notes:
+ *                 type: string
+ *                 example: "All documents verified and approved"
+ *     responses:
+ *       200:
+ *         description: Partner approved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Partner approved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     partnerId:
+ *                       type: string
+ *                     mobileNumber:
+ *                       type: string
+ *                     isApproved:
+ *                       type: boolean
+ *                       example: true
+ *                     approvalStatus:
+ *                       type: string
+ *                       example: "approved"
+ *                     approvedAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Partner already approved or invalid mobile number
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Partner not found
+ */
+router.post('/partners/approve-by-mobile', authenticateToken, requirePermission('partners', 'approve'), audit('partner.approve', 'partner', { find: findPartnerByMobile, fields: ['mobileNumber', 'notes'] }), async (req, res) => {
+  try {
+    const { mobileNumber, notes } = req.body;
+
+    // Validate mobile number
+    if (!mobileNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mobile number is required'
+      });
+    }
+
+    if (!mobileNumber.match(/^[6-9]\d{9}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid mobile number format. Must be 10 digits starting with 6-9'
+      });
+    }
+
+    // Find partner by mobile number
+    const partner = await Partner.findOne({
+      $or: [
+        { mobileNumber },
+        { phoneNumber: mobileNumber }
+      ]
+    });
+
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: `Partner with mobile number ${mobileNumber} not found`
+      });
+    }
+
+    // Check if partner is already approved
+    if (partner.isApproved === true && partner.approvalStatus === 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Partner is already approved',
+        data: {
+          partnerId: partner._id,
+          mobileNumber: partner.mobileNumber || partner.phoneNumber,
+          isApproved: partner.isApproved,
+          approvalStatus: partner.approvalStatus
+        }
+      });
+    }
+
+    // Check if partner was rejected
+    if (partner.approvalStatus === 'rejected') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot approve rejected partner. Please ask them to reapply.'
+      });
+    }
+
+    // Approve partner
+    partner.isApproved = true;
+    partner.approvalStatus = 'approved';
+    partner.approvalDate = new Date();
+    partner.approvedBy = req.user.adminId || req.user._id;
+    
+    if (notes) {
+      partner.approvalNotes = notes;
+    }
+
+    await partner.save();
+
+    // Runs in the background
+    notify('partner_approved', {
+      recipientId: partner._id,
+      data: { name: partner.ownerName || partner.name, partnerName: getPartnerDisplayName(partner) }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Partner approved successfully',
+      data: {
+        partnerId: partner._id,
+        mobileNumber: partner.mobileNumber || partner.phoneNumber,
+        shopName: partner.shopName || partner.businessName,
+        ownerName: partner.ownerName || partner.name,
+        isApproved: partner.isApproved,
+        approvalStatus: partner.approvalStatus,
+        approvedAt: partner.approvalDate
+      }
+    });
+  } catch (error) {
+    console.error('Approve partner by mobile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while approving partner',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/partners/{partnerId}/approve:
+ *   post:
+ *     summary: Approve partner registration by ID
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: partnerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "507f1f77bcf86cd799439012"
+ *         description: Partner ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 example: "All documents verified and approved"
+ *     responses:
+ *       200:
+ *         description: Partner approved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Partner already approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Partner not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/partners/:partnerId/approve', authenticateToken, requirePermission('partners', 'approve'), audit('partner.approve', 'partner', { param: 'partnerId', fields: ['notes'] }), async (req, res) => {
+  try {
+    const { partnerId } = req.params;
+    const { notes } = req.body;
+
+    // Validate partner ID format
+    if (!partnerId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid partner ID format'
+      });
+    }
+
+    // Find partner
+    const partner = await Partner.findById(partnerId);
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Partner not found'
+      });
+    }
+
+    // Check if partner can be approved
+    if (partner.isApproved === true && partner.approvalStatus === 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Partner is already approved'
+      });
+    }
+
+    if (partner.approvalStatus === 'rejected') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot approve rejected partner. Please ask them to reapply.'
+      });
+    }
+
+    // Approve partner
+    partner.isApproved = true;
+    partner.approvalStatus = 'approved';
+    partner.approvalDate = new Date();
+    partner.approvedBy = req.user.adminId || req.user._id;
+    partner.approvalNotes = notes || 'Approved by admin';
+
+    await partner.save();
+
+    // Runs in the background
+    notify('partner_approved', {
+      recipientId: partner._id,
+      data: { name: partner.ownerName || partner.name, partnerName: getPartnerDisplayName(partner) }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Partner approved successfully',
+      data: {
+        partnerId,
+        isApproved: partner.isApproved,
+        approvalStatus: partner.approvalStatus,
+        approvedAt: partner.approvalDate
+      }
+    });
+  } catch (error) {
+    console.error('Approve partner error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while approving partner'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/partners/{partnerId}/reject:
+ *   post:
+ *     summary: Reject partner registration
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: partnerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "507f1f77bcf86cd799439012"
+ *         description: Partner ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Incomplete documentation"
+ *     responses:
+ *       200:
+ *         description: Partner rejected successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Partner already processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Partner not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/partners/:partnerId/reject', authenticateToken, requirePermission('partners', 'reject'), audit('partner.reject', 'partner', { param: 'partnerId', fields: ['reason'] }), async (req, res) => {
+  try {
+    const { partnerId } = req.params;
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rejection reason is required'
+      });
+    }
+
+    // Validate partner ID format
+    if (!partnerId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid partner ID format'
+      });
+    }
+
+    // Find partner
+    const partner = await Partner.findById(partnerId);
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Partner not found'
+      });
+    }
+
+    // Check if partner can be rejected
+    if (['approved', 'rejected'].includes(partner.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Partner is already processed'
+      });
+    }
+
+    // Reject partner
+    partner.status = 'rejected';
+    partner.rejectedAt = new Date();
+    partner.rejectedBy = req.user.adminId;
+    partner.rejectionReason = reason;
+    partner.updatedAt = new Date();
+
+    await partner.save();
+
+    // Runs in the background
+    notify('partner_rejected', {
+      recipientId: partner._id,
+      data: { name: partner.ownerName || partner.name, partnerName: getPartnerDisplayName(partner), reason }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Partner rejected successfully',
+      data: {
+        partnerId,
+        status: 'rejected',
+        rejectedAt: partner.rejectedAt,
+        reason: partner.rejectionReason
+      }
+    });
+  } catch (error) {
+    console.error('Reject partner error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while rejecting partner'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/bookings:
+ *   get:
+ *     summary: Get all bookings (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: ["pending", "confirmed", "in-progress", "completed", "cancelled"]
+ *         description: Filter by booking status
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2023-12-01"
+ *         description: Filter from date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2023-12-31"
+ *         description: Filter to date
+ *     responses:
+ *       200:
+ *         description: Bookings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Booking'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                       example: 1
+ *                     limit:
+ *                       type: integer
+ *                       example: 20
+ *                     total:
+ *                       type: integer
+ *                       example: 3420
+ *                     pages:
+ *                       type: integer
+ *                       example: 171
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/bookings', authenticateToken, requirePermission('bookings', 'read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, dateFrom, dateTo } = req.query;
+
+    // Build query
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+
+    if (dateFrom || dateTo) {
+      query.createdAt = {};
+      if (dateFrom) {
+        query.createdAt.$gte = new Date(dateFrom);
+      }
+      if (dateTo) {
+        query.createdAt.$lte = new Date(dateTo + 'T23:59:59.999Z');
+      }
+    }
+
+    // Pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Get total count
+    const total = await Booking.countDocuments(query);
+
+    // Get bookings with pagination
+    const bookings = await Booking.find(query)
+      .populate('userId', 'name email phone')
+      .populate('partnerId', 'businessName email phone')
+      .populate('serviceId', 'name category')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    // Calculate pagination info
+    const pages = Math.ceil(total / limitNum);
+
+    res.status(200).json({
+      success: true,
+      data: bookings,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages
+      }
+    });
+  } catch (error) {
+    console.error('Get admin bookings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving bookings'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/bookings/{bookingId}/status:
+ *   put:
+ *     summary: Change a booking status (admin only)
+ *     description: Admin override through the booking state machine. Admins may make any legal transition (for example expire a stale pending booking or complete a booking the partner forgot to close), but illegal jumps such as completed to pending are still rejected. A reason is required and recorded in statusHistory.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "507f1f77bcf86cd799439014"
+ *         description: Booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *               - reason
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: ["accepted", "rejected", "in_progress", "completed", "cancelled", "expired"]
+ *                 example: "cancelled"
+ *               reason:
+ *                 type: string
+ *                 example: "Customer called support to cancel"
+ *     responses:
+ *       200:
+ *         description: Booking status updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invalid status or missing reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Booking not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Illegal status transition, or the booking status changed while the request was processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/bookings/:bookingId/status', authenticateToken, requirePermission('bookings', 'update'), audit('booking.status_update', 'booking', { param: 'bookingId', fields: ['status', 'reason'] }), async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const { status, reason } = req.body;
+
+    // Validate booking ID format
+    if (!bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID format'
+      });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for admin status changes'
+      });
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const previousStatus = booking.status;
+    const updated = await transitionBooking(booking, status, {
+      actor: 'admin',
+      actorId: req.user.adminId,
+      reason: `${reason.trim()} (admin ${req.user.email})`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking status updated successfully',
+      data: {
+        bookingId,
+        previousStatus,
+        status: updated.status
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+    console.error('Update admin booking status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating booking status'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/bookings/{bookingId}/dispute:
+ *   put:
+ *     summary: Resolve a booking dispute (admin only)
+ *     description: Either rejects the dispute or refunds part or all of the booking against the original transaction (or to the customer's wallet). The refund cannot exceed what is still refundable on the payment.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "507f1f77bcf86cd799439014"
+ *         description: Booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [refund, reject]
+ *                 example: "refund"
+ *               amount:
+ *                 type: number
+ *                 description: Refund in rupees (required when action is refund)
+ *                 example: 400
+ *               notes:
+ *                 type: string
+ *                 example: "Partner confirmed brake pads were not replaced"
+ *               refundTo:
+ *                 type: string
+ *                 enum: [source, wallet]
+ *                 default: source
+ *                 description: Refund to the original payment method or to the customer's wallet
+ *     responses:
+ *       200:
+ *         description: Dispute resolved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invalid refund amount
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Booking not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: No open dispute
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/bookings/:bookingId/dispute', authenticateToken, requirePermission('bookings', 'update'), audit('booking.dispute_resolve', 'booking', { param: 'bookingId', fields: ['action', 'amount', 'notes', 'refundTo'] }), validateDisputeResolution, async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const { action, amount, notes, refundTo } = req.body;
+
+    // Validate booking ID format
+    if (!bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID format'
+      });
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const { booking: updated, refund } = await resolveDispute(booking, {
+      action,
+      amount,
+      notes,
+      resolvedBy: req.user.email,
+      refundTo
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Dispute resolved successfully',
+      data: {
+        bookingId,
+        dispute: updated.dispute,
+        paymentStatus: updated.paymentStatus,
+        refundedAmount: updated.refundedAmount,
+        refund: refund ? refund.getSummary() : null
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+    console.error('Resolve dispute error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while resolving dispute'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/settlements:
+ *   get:
+ *     summary: List partner settlements (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, on_hold, processing, paid, failed]
+ *       - in: query
+ *         name: partnerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: payoutBatchId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Settlements retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ */
+router.get('/settlements', authenticateToken, requirePermission('payments', 'read'), async (req, res) => {
+  try {
+    const { status, partnerId, payoutBatchId, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (payoutBatchId) query.payoutBatchId = payoutBatchId;
+    if (partnerId) {
+      if (!partnerId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid partner ID format'
+        });
+      }
+      query.partnerId = partnerId;
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [total, settlements] = await Promise.all([
+      Settlement.countDocuments(query),
+      Settlement.find(query)
+        .populate('partnerId', 'businessName email phoneNumber')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: settlements.map(settlement => ({
+        ...settlement.getSummary(),
+        partner: settlement.partnerId
+      })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Get admin settlements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving settlements'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/settlements/run:
+ *   post:
+ *     summary: Create settlements for the last completed period (admin only)
+ *     description: The settlement job does this hourly; this runs it on demand. Partners already settled for the period are skipped.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - cycle
+ *             properties:
+ *               cycle:
+ *                 type: string
+ *                 enum: [weekly, monthly]
+ *     responses:
+ *       200:
+ *         description: Settlement cycle completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invalid cycle
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/settlements/run', authenticateToken, requirePermission('payments', 'create'), audit('settlement.run', undefined, { fields: ['cycle'] }), async (req, res) => {
+  try {
+    const { cycle } = req.body;
+
+    if (!['weekly', 'monthly'].includes(cycle)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cycle must be weekly or monthly'
+      });
+    }
+
+    const result = await runSettlementCycle(cycle);
+
+    res.status(200).json({
+      success: true,
+      message: `${result.created} settlement(s) created`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Run settlement cycle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while running settlement cycle'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/settlements/payout-file:
+ *   post:
+ *     summary: Export a NEFT/IMPS bulk payout file (admin only)
+ *     description: Returns a CSV for the bank's bulk upload with one row per pending settlement (or the settlements listed) and moves them to processing under a new payout batch ID. AUTO sends amounts up to PAYOUT_IMPS_LIMIT by IMPS and larger ones by NEFT.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [NEFT, IMPS, AUTO]
+ *                 default: AUTO
+ *               settlementIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["ST1704067200000123"]
+ *     responses:
+ *       200:
+ *         description: Payout file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid payout mode
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: No pending settlements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/settlements/payout-file', authenticateToken, requirePermission('payments', 'update'), audit('settlement.payout_export', undefined, { fields: ['mode', 'settlementIds'] }), async (req, res) => {
+  try {
+    const mode = String(req.body.mode || 'AUTO').toUpperCase();
+    const { settlementIds } = req.body;
+
+    if (!['NEFT', 'IMPS', 'AUTO'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mode must be NEFT, IMPS or AUTO'
+      });
+    }
+    if (settlementIds !== undefined && !Array.isArray(settlementIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'settlementIds must be an array'
+      });
+    }
+
+    const file = await exportPayoutFile({ mode, settlementIds, exportedBy: req.user.email });
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${file.fileName}"`,
+      'X-Payout-Batch-Id': file.batchId,
+      'X-Payout-Count': String(file.count),
+      'X-Payout-Total': file.total.toFixed(2)
+    });
+    res.status(200).send(file.csv);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Export payout file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while exporting payout file'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/settlements/{settlementId}/status:
+ *   put:
+ *     summary: Record a settlement's payout status (admin only)
+ *     description: Marks an exported settlement paid (with the bank UTR) or failed, holds or releases a settlement, or re-queues a failed one. Marking it paid posts the payout to the ledger.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: settlementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "ST1704067200000123"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, on_hold, paid, failed]
+ *               utr:
+ *                 type: string
+ *                 description: Bank reference, required when status is paid
+ *                 example: "HDFCN52025010112345678"
+ *               reason:
+ *                 type: string
+ *                 example: "Beneficiary account closed"
+ *     responses:
+ *       200:
+ *         description: Settlement updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Missing UTR or bank details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Settlement not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Illegal status change
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/settlements/:settlementId/status', authenticateToken, requirePermission('payments', 'update'), audit('settlement.status_update', 'settlement', { find: (req) => ({ settlementId: req.params.settlementId }), fields: ['status', 'utr', 'reason'] }), async (req, res) => {
+  try {
+    const { settlementId } = req.params;
+    const { status, utr, reason } = req.body;
+
+    const settlement = await updateSettlementStatus(settlementId, {
+      status,
+      utr: utr && String(utr).trim(),
+      reason,
+      updatedBy: req.user.email
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Settlement updated successfully',
+      data: settlement.getSummary()
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This settlement has already been paid out'
+      });
+    }
+    console.error('Update settlement status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating settlement'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/partners/{partnerId}/statement:
+ *   get:
+ *     summary: Get a partner's ledger statement (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: partnerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2025-01-01"
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2025-01-31"
+ *     responses:
+ *       200:
+ *         description: Statement retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invalid partner ID or period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Partner not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/partners/:partnerId/statement', authenticateToken, requirePermission('payments', 'read'), async (req, res) => {
+  try {
+    const { partnerId } = req.params;
+
+    if (!partnerId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid partner ID format'
+      });
+    }
+
+    const partner = await Partner.findById(partnerId).select('businessName email settlementCycle totalEarnings monthlyEarnings');
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Partner not found'
+      });
+    }
+
+    const period = resolveStatementPeriod(req.query);
+    const [statement, currentBalance] = await Promise.all([
+      getPartnerStatement(partnerId, period),
+      getPartnerBalance(partnerId)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        partner,
+        ...statement,
+        currentBalance: currentBalance / 100
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Get admin partner statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving statement'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/commission-rules:
+ *   get:
+ *     summary: List commission rules (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: partnerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: isPromotional
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Commission rules retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invalid partner ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/commission-rules', authenticateToken, requirePermission('settings', 'read'), async (req, res) => {
+  try {
+    const { partnerId, isActive, isPromotional, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (isPromotional !== undefined) query.isPromotional = isPromotional === 'true';
+    if (partnerId) {
+      if (!partnerId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid partner ID format'
+        });
+      }
+      query.partnerId = partnerId;
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [total, rules] = await Promise.all([
+      CommissionRule.countDocuments(query),
+      CommissionRule.find(query)
+        .populate('partnerId', 'businessName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: rules,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Get commission rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving commission rules'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/commission-rules/resolve:
+ *   get:
+ *     summary: Preview the commission rate a booking would get (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: partnerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: serviceCategory
+ *         schema:
+ *           type: string
+ *           enum: [repair, maintenance, emergency, cleaning, fuel, battery, other]
+ *       - in: query
+ *         name: bookingType
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, emergency, on_demand]
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Resolve as of this time (defaults to now)
+ *     responses:
+ *       200:
+ *         description: Commission resolved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invalid partner ID or date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/commission-rules/resolve', authenticateToken, requirePermission('settings', 'read'), async (req, res) => {
+  try {
+    const { partnerId, serviceCategory, bookingType, at } = req.query;
+
+    if (partnerId && !partnerId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid partner ID format'
+      });
+    }
+
+    const resolveAt = at ? new Date(at) : new Date();
+    if (isNaN(resolveAt.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date for at'
+      });
+    }
+
+    const commission = await resolveCommission({ partnerId, serviceCategory, bookingType, at: resolveAt });
+
+    res.status(200).json({
+      success: true,
+      data: commission
+    });
+  } catch (error) {
+    console.error('Resolve commission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while resolving commission'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/commission-rules:
+ *   post:
+ *     summary: Create a commission rule (admin only)
+ *     description: |
+ *       Scope fields left empty match everything. Promotional rules need validFrom and
+ *       validUntil and take precedence over standing rules while active. Rules apply to
+ *       bookings created after the change; existing bookings keep the rate stamped on them.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - rate
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Diwali battery promotion"
+ *               rate:
+ *                 type: number
+ *                 example: 5
+ *               partnerId:
+ *                 type: string
+ *               serviceCategory:
+ *                 type: string
+ *                 enum: [repair, maintenance, emergency, cleaning, fuel, battery, other]
+ *               bookingType:
+ *                 type: string
+ *                 enum: [scheduled, emergency, on_demand]
+ *               isPromotional:
+ *                 type: boolean
+ *               validFrom:
+ *                 type: string
+ *                 format: date-time
+ *               validUntil:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Commission rule created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Partner not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/commission-rules', authenticateToken, requirePermission('settings', 'create'), audit('commission_rule.create', 'commission_rule', { fields: COMMISSION_RULE_FIELDS }), validateCommissionRuleCreate, async (req, res) => {
+  try {
+    const { name, rate, partnerId, serviceCategory, bookingType, isPromotional, validFrom, validUntil, isActive, notes } = req.body;
+
+    if (partnerId && !(await Partner.exists({ _id: partnerId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Partner not found'
+      });
+    }
+
+    const rule = new CommissionRule({
+      name,
+      rate,
+      partnerId: partnerId || undefined,
+      serviceCategory: serviceCategory || undefined,
+      bookingType: bookingType || undefined,
+      isPromotional,
+      validFrom: validFrom || undefined,
+      validUntil: validUntil || undefined,
+      isActive,
+      notes,
+      createdBy: req.user.email
+    });
+    await rule.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Commission rule created successfully',
+      data: rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create commission rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating commission rule'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/commission-rules/{ruleId}:
+ *   put:
+ *     summary: Update a commission rule (admin only)
+ *     description: Send null for a scope field or date to clear it. Bookings already created keep their stamped rate.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               rate:
+ *                 type: number
+ *               partnerId:
+ *                 type: string
+ *                 nullable: true
+ *               serviceCategory:
+ *                 type: string
+ *                 nullable: true
+ *               bookingType:
+ *                 type: string
+ *                 nullable: true
+ *               isPromotional:
+ *                 type: boolean
+ *               validFrom:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               validUntil:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               isActive:
+ *                 type: boolean
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Commission rule updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Commission rule or partner not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/users', authenticateToken, authenticateAdmin, async (req, res) => {
+router.put('/commission-rules/:ruleId', authenticateToken, requirePermission('settings', 'update'), audit('commission_rule.update', 'commission_rule', { param: 'ruleId', fields: COMMISSION_RULE_FIELDS }), validateCommissionRuleUpdate, async (req, res) => {
   try {
-    const { page = 1, limit = 20, search, status } = req.query;
+    const { ruleId } = req.params;
 
-    // Build query
-    const query = {};
-    if (status) {
-      query.status = status;
+    if (!ruleId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid commission rule ID format'
+      });
     }
 
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { phone: { $regex: search, $options: 'i' } }
-      ];
+    const rule = await CommissionRule.findById(ruleId);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commission rule not found'
+      });
     }
 
-    // Pagination
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const skip = (pageNum - 1) * limitNum;
-
-    // Get total count
-    const total = await User.countDocuments(query);
-
-    // Get users with pagination
-    const users = await User.find(query)
-      .select('-password')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limitNum);
+    if (req.body.partnerId && !(await Partner.exists({ _id: req.body.partnerId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Partner not found'
+      });
+    }
 
-    // Calculate pagination info
-    const pages = Math.ceil(total / limitNum);
+    COMMISSION_RULE_FIELDS.forEach(field => {
+      if (req.body[field] === undefined) return;
+      rule[field] = req.body[field] === null || req.body[field] === '' ? undefined : req.body[field];
+    });
+    await rule.save();
 
     res.status(200).json({
       success: true,
-      data: users,
-      pagination: {
-        page: pageNum,
-        limit: limitNum,
-        total,
-        pages
-      }
+      message: 'Commission rule updated successfully',
+      data: rule
     });
   } catch (error) {
-    console.error('Get admin users error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update commission rule error:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error while retrieving users'
+      message: 'Internal server error while updating commission rule'
     });
   }
 });
 
 /**
  * @swagger
- * /admin/partners:
- *   get:
- *     summary: Get all partners (admin only)
+ * /admin/commission-rules/{ruleId}:
+ *   delete:
+ *     summary: Deactivate a commission rule (admin only)
+ *     description: Rules are kept so bookings that reference them stay traceable.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 20
- *         description: Number of items per page
- *       - in: query
- *         name: approvalStatus
- *         schema:
- *           type: string
- *           enum: ["pending", "approved", "rejected", "suspended"]
- *         description: Filter by approval status
- *       - in: query
- *         name: isApproved
- *         schema:
- *           type: boolean
- *         description: Filter by approval boolean (true/false)
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Search by shop name, business name, owner name, mobile number, or email
- *       - in: query
- *         name: mobileNumber
+ *       - in: path
+ *         name: ruleId
+ *         required: true
  *         schema:
  *           type: string
- *         description: Filter by mobile number
  *     responses:
  *       200:
- *         description: Partners retrieved successfully
+ *         description: Commission rule deactivated successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Partner'
- *                 pagination:
- *                   type: object
- *                   properties:
- *                     page:
- *                       type: integer
- *                       example: 1
- *                     limit:
- *                       type: integer
- *                       example: 20
- *                     total:
- *                       type: integer
- *                       example: 85
- *                     pages:
- *                       type: integer
- *                       example: 5
- *       401:
- *         description: Unauthorized
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invalid commission rule ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Commission rule not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/partners', authenticateToken, authenticateAdmin, async (req, res) => {
+router.delete('/commission-rules/:ruleId', authenticateToken, requirePermission('settings', 'delete'), audit('commission_rule.delete', 'commission_rule', { param: 'ruleId' }), async (req, res) => {
   try {
-    const { 
-      page = 1, 
-      limit = 20, 
-      approvalStatus, 
-      isApproved,
-      search,
-      mobileNumber
-    } = req.query;
+    const { ruleId } = req.params;
 
-    // Build query
-    const query = {};
-    
-    // Filter by approvalStatus
-    if (approvalStatus) {
-      query.approvalStatus = approvalStatus;
-    }
-    
-    // Filter by isApproved (boolean)
-    if (isApproved !== undefined) {
-      query.isApproved = isApproved === 'true' || isApproved === true;
+    if (!ruleId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid commission rule ID format'
+      });
     }
 
-    // Filter by mobile number
-    if (mobileNumber) {
-      query.$or = [
-        { mobileNumber },
-        { phoneNumber: mobileNumber }
-      ];
+    const rule = await CommissionRule.findByIdAndUpdate(ruleId, { $set: { isActive: false } }, { new: true });
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commission rule not found'
+      });
     }
 
-    // Search functionality
-    if (search) {
-      const searchRegex = { $regex: search, $options: 'i' };
-      const searchConditions = [
-        { shopName: searchRegex },
-        { businessName: searchRegex },
-        { ownerName: searchRegex },
-        { name: searchRegex },
-        { email: searchRegex },
-        { mobileNumber: searchRegex },
-        { phoneNumber: searchRegex }
-      ];
-      
-      if (query.$or) {
-        // If mobileNumber filter exists, combine with search
-        query.$and = [
-          { $or: query.$or },
-          { $or: searchConditions }
-        ];
-        delete query.$or;
-      } else {
-        query.$or = searchConditions;
-      }
+    res.status(200).json({
+      success: true,
+      message: 'Commission rule deactivated successfully',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Deactivate commission rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while deactivating commission rule'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/partners/{partnerId}/commission:
+ *   put:
+ *     summary: Set or clear a partner's negotiated commission rate (admin only)
+ *     description: Send null to clear it so category and booking type rules apply. Existing bookings keep their stamped rate.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: partnerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               commissionRate:
+ *                 type: number
+ *                 nullable: true
+ *                 example: 8
+ *     responses:
+ *       200:
+ *         description: Commission rate updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invalid partner ID or rate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Partner not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/partners/:partnerId/commission', authenticateToken, requirePermission('settings', 'update'), audit('partner.commission_update', 'partner', { param: 'partnerId', fields: ['commissionRate'] }), validatePartnerCommission, async (req, res) => {
+  try {
+    const { partnerId } = req.params;
+    const { commissionRate } = req.body;
+
+    if (!partnerId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid partner ID format'
+      });
     }
 
-    // Pagination
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const skip = (pageNum - 1) * limitNum;
-
-    // Get total count
-    const total = await Partner.countDocuments(query);
-
-    // Get partners with pagination
-    // Exclude password and file binary data for better performance
-    const partners = await Partner.find(query)
-      .select('-password -storePhoto.data -priceList.data')
-      .populate('services.serviceId', 'name category')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limitNum);
+    const update = commissionRate === undefined || commissionRate === null
+      ? { $unset: { commissionRate: 1, commissionRateSetAt: 1 } }
+      : { $set: { commissionRate, commissionRateSetAt: new Date() } };
 
-    // Calculate pagination info
-    const pages = Math.ceil(total / limitNum);
+    const partner = await Partner.findByIdAndUpdate(partnerId, update, { new: true })
+      .select('businessName email commissionRate');
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Partner not found'
+      });
+    }
 
     res.status(200).json({
       success: true,
-      data: partners,
-      pagination: {
-        page: pageNum,
-        limit: limitNum,
-        total,
-        pages
-      },
-      filters: {
-        approvalStatus: approvalStatus || null,
-        isApproved: isApproved !== undefined ? (isApproved === 'true' || isApproved === true) : null,
-        search: search || null,
-        mobileNumber: mobileNumber || null
-      }
+      message: 'Commission rate updated successfully',
+      data: partner
     });
   } catch (error) {
-    console.error('Get admin partners error:', error);
+    console.error('Update partner commission error:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error while retrieving partners',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      message: 'Internal server error while updating commission rate'
     });
   }
 });
 
 /**
  * @swagger
- * /admin/partners/pending:
+ * /admin/coupons:
  *   get:
- *     summary: Get all pending partners with images as bytes
- *     description: Returns list of partners with pending approval status, including store photo and price list as base64 encoded bytes
+ *     summary: List coupons (admin only)
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Code prefix
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
  *           default: 1
- *         description: Page number
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           default: 20
- *         description: Number of items per page
  *     responses:
  *       200:
- *         description: Pending partners retrieved successfully with images
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       _id:
- *                         type: string
- *                       shopName:
- *                         type: string
- *                       ownerName:
- *                         type: string
- *                       mobileNumber:
- *                         type: string
- *                       email:
- *                         type: string
- *                       shopAddress:
- *                         type: string
- *                       storePhoto:
- *                         type: object
- *                         properties:
- *                           data:
- *                             type: string
- *                             description: Base64 encoded image data
- *                           contentType:
- *                             type: string
- *                           filename:
- *                             type: string
- *                           size:
- *                             type: number
- *                       priceList:
- *                         type: object
- *                         properties:
- *                           data:
- *                             type: string
- *                             description: Base64 encoded file data
- *                           contentType:
- *                             type: string
- *                           filename:
- *                             type: string
- *                           size:
- *                             type: number
- *                       approvalStatus:
- *                         type: string
- *                       createdAt:
- *                         type: string
- *                         format: date-time
- *                 pagination:
- *                   type: object
- *                   properties:
- *                     page:
- *                       type: integer
- *                     limit:
- *                       type: integer
- *                     total:
- *                       type: integer
- *                     pages:
- *                       type: integer
- *       401:
- *         description: Unauthorized
+ *         description: Coupons retrieved successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Error'
+ *               $ref: '#/components/schemas/Success'
  */
-router.get('/partners/pending', authenticateToken, authenticateAdmin, async (req, res) => {
+router.get('/coupons', authenticateToken, requirePermission('coupons', 'read'), async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const { isActive, search, page = 1, limit = 20 } = req.query;
 
-    // Build query for pending partners
-    const query = {
-      $or: [
-        { approvalStatus: 'pending' },
-        { approvalStatus: { $exists: false } },
-        { isApproved: false }
-      ]
-    };
+    const query = {};
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) query.code = { $regex: `^${String(search).toUpperCase().replace(/[^A-Z0-9_-]/g, '')}` };
 
-    // Pagination
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
 
-    // Get total count
-    const total = await Partner.countDocuments(query);
-
-    // Get partners with pagination - include file data
-    const partners = await Partner.find(query)
-      .select('-password') // Exclude password
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limitNum);
-
-    // Convert Buffer data to base64 for JSON response
-    const partnersWithImages = partners.map(partner => {
-      const partnerObj = partner.toObject();
-      
-      // Convert storePhoto buffer to base64
-      if (partnerObj.storePhoto && partnerObj.storePhoto.data) {
-        partnerObj.storePhoto.data = partnerObj.storePhoto.data.toString('base64');
-      }
-      
-      // Convert priceList buffer to base64
-      if (partnerObj.priceList && partnerObj.priceList.data) {
-        partnerObj.priceList.data = partnerObj.priceList.data.toString('base64');
-      }
-      
-      return partnerObj;
-    });
-
-    // Calculate pagination info
-    const pages = Math.ceil(total / limitNum);
+    const [total, coupons] = await Promise.all([
+      Coupon.countDocuments(query),
+      Coupon.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+    ]);
 
     res.status(200).json({
       success: true,
-      data: partnersWithImages,
+      data: coupons,
       pagination: {
         page: pageNum,
         limit: limitNum,
         total,
-        pages
+        pages: Math.ceil(total / limitNum)
       }
     });
   } catch (error) {
-    console.error('Get pending partners error:', error);
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving coupons'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/coupons:
+ *   post:
+ *     summary: Create a coupon (admin only)
+ *     description: Targeting lists (serviceIds, serviceCategories, cities) left empty match every booking.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - discountType
+ *               - value
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "MONSOON20"
+ *               description:
+ *                 type: string
+ *                 example: "20% off car washes, up to Rs. 150"
+ *               discountType:
+ *                 type: string
+ *                 enum: [flat, percent]
+ *               value:
+ *                 type: number
+ *                 example: 20
+ *               maxDiscount:
+ *                 type: number
+ *                 example: 150
+ *               minOrderAmount:
+ *                 type: number
+ *                 example: 499
+ *               usageLimit:
+ *                 type: integer
+ *                 example: 1000
+ *               perUserLimit:
+ *                 type: integer
+ *                 example: 1
+ *               firstBookingOnly:
+ *                 type: boolean
+ *               serviceIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               serviceCategories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               cities:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["Ahmedabad", "Surat"]
+ *               validFrom:
+ *                 type: string
+ *                 format: date-time
+ *               validUntil:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Coupon created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Coupon code already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/coupons', authenticateToken, requirePermission('coupons', 'create'), audit('coupon.create', 'coupon', { fields: ['code', ...COUPON_FIELDS] }), validateCouponCreate, async (req, res) => {
+  try {
+    const coupon = new Coupon({ createdBy: req.user.email });
+    ['code', ...COUPON_FIELDS].forEach(field => {
+      if (req.body[field] !== undefined && req.body[field] !== null) coupon[field] = req.body[field];
+    });
+    await coupon.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create coupon error:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error while retrieving pending partners',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      message: 'Internal server error while creating coupon'
     });
   }
 });
 
 /**
  * @swagger
- * /admin/partners/approve-by-mobile:
- *   post:
- *     summary: Approve partner by mobile number
- *     description: Search partner by mobile number and approve them (set isApproved to true and approvalStatus to approved)
+ * /admin/coupons/{couponId}:
+ *   put:
+ *     summary: Update a coupon (admin only)
+ *     description: The code cannot be changed. Send null for maxDiscount, usageLimit or a validity date to clear it.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: couponId
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - mobileNumber
- *             properties:
- *               mobileNumber:
- *                 type: string
- *                 pattern: '^[6-9]\d{9}$'
- *                 example: "9876543210"
- *                 description: 10-digit Indian mobile number
- *               notes:
- *                 type: string
- *                 example: "All documents verified and approved"
  *     responses:
  *       200:
- *         description: Partner approved successfully
+ *         description: Coupon updated successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: "Partner approved successfully"
- *                 data:
- *                   type: object
- *                   properties:
- *                     partnerId:
- *                       type: string
- *                     mobileNumber:
- *                       type: string
- *                     isApproved:
- *                       type: boolean
- *                       example: true
- *                     approvalStatus:
- *                       type: string
- *                       example: "approved"
- *                     approvedAt:
- *                       type: string
- *                       format: date-time
+ *               $ref: '#/components/schemas/Success'
  *       400:
- *         description: Partner already approved or invalid mobile number
- *       401:
- *         description: Unauthorized
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Partner not found
+ *         description: Coupon not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/partners/approve-by-mobile', authenticateToken, authenticateAdmin, async (req, res) => {
+router.put('/coupons/:couponId', authenticateToken, requirePermission('coupons', 'update'), audit('coupon.update', 'coupon', { param: 'couponId', fields: COUPON_FIELDS }), validateCouponUpdate, async (req, res) => {
   try {
-    const { mobileNumber, notes } = req.body;
+    const { couponId } = req.params;
 
-    // Validate mobile number
-    if (!mobileNumber) {
+    if (!couponId.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
         success: false,
-        message: 'Mobile number is required'
+        message: 'Invalid coupon ID format'
       });
     }
 
-    if (!mobileNumber.match(/^[6-9]\d{9}$/)) {
-      return res.status(400).json({
+    const coupon = await Coupon.findById(couponId);
+    if (!coupon) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid mobile number format. Must be 10 digits starting with 6-9'
+        message: 'Coupon not found'
       });
     }
 
-    // Find partner by mobile number
-    const partner = await Partner.findOne({
-      $or: [
-        { mobileNumber },
-        { phoneNumber: mobileNumber }
-      ]
+    COUPON_FIELDS.forEach(field => {
+      if (req.body[field] === undefined) return;
+      coupon[field] = req.body[field] === null ? undefined : req.body[field];
     });
+    await coupon.save();
 
-    if (!partner) {
-      return res.status(404).json({
+    res.status(200).json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
         success: false,
-        message: `Partner with mobile number ${mobileNumber} not found`
+        message: error.message
       });
     }
+    console.error('Update coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating coupon'
+    });
+  }
+});
 
-    // Check if partner is already approved
-    if (partner.isApproved === true && partner.approvalStatus === 'approved') {
+/**
+ * @swagger
+ * /admin/coupons/{couponId}:
+ *   delete:
+ *     summary: Deactivate a coupon (admin only)
+ *     description: Bookings that already used the coupon keep their discount.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: couponId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon deactivated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       404:
+ *         description: Coupon not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/coupons/:couponId', authenticateToken, requirePermission('coupons', 'delete'), audit('coupon.delete', 'coupon', { param: 'couponId' }), async (req, res) => {
+  try {
+    const { couponId } = req.params;
+
+    if (!couponId.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
         success: false,
-        message: 'Partner is already approved',
-        data: {
-          partnerId: partner._id,
-          mobileNumber: partner.mobileNumber || partner.phoneNumber,
-          isApproved: partner.isApproved,
-          approvalStatus: partner.approvalStatus
-        }
+        message: 'Invalid coupon ID format'
       });
     }
 
-    // Check if partner was rejected
-    if (partner.approvalStatus === 'rejected') {
-      return res.status(400).json({
+    const coupon = await Coupon.findByIdAndUpdate(couponId, { $set: { isActive: false } }, { new: true });
+    if (!coupon) {
+      return res.status(404).json({
         success: false,
-        message: 'Cannot approve rejected partner. Please ask them to reapply.'
+        message: 'Coupon not found'
       });
     }
 
-    // Approve partner
-    partner.isApproved = true;
-    partner.approvalStatus = 'approved';
-    partner.approvalDate = new Date();
-    partner.approvedBy = req.user.adminId || req.user._id;
-    
-    if (notes) {
-      partner.approvalNotes = notes;
-    }
-
-    await partner.save();
-
     res.status(200).json({
       success: true,
-      message: 'Partner approved successfully',
-      data: {
-        partnerId: partner._id,
-        mobileNumber: partner.mobileNumber || partner.phoneNumber,
-        shopName: partner.shopName || partner.businessName,
-        ownerName: partner.ownerName || partner.name,
-        isApproved: partner.isApproved,
-        approvalStatus: partner.approvalStatus,
-        approvedAt: partner.approvalDate
-      }
+      message: 'Coupon deactivated successfully',
+      data: coupon
     });
   } catch (error) {
-    console.error('Approve partner by mobile error:', error);
+    console.error('Deactivate coupon error:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error while approving partner',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      message: 'Internal server error while deactivating coupon'
     });
   }
 });
 
 /**
  * @swagger
- * /admin/partners/{partnerId}/approve:
- *   post:
- *     summary: Approve partner registration by ID
+ * /admin/coupons/{couponId}/redemptions:
+ *   get:
+ *     summary: List a coupon's redemptions (admin only)
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: partnerId
+ *         name: couponId
  *         required: true
  *         schema:
  *           type: string
- *         example: "507f1f77bcf86cd799439012"
- *         description: Partner ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               notes:
- *                 type: string
- *                 example: "All documents verified and approved"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [applied, released]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
  *     responses:
  *       200:
- *         description: Partner approved successfully
+ *         description: Redemptions retrieved successfully
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Success'
- *       400:
- *         description: Partner already approved
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Unauthorized
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Partner not found
+ *         description: Coupon not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/partners/:partnerId/approve', authenticateToken, authenticateAdmin, async (req, res) => {
+router.get('/coupons/:couponId/redemptions', authenticateToken, requirePermission('coupons', 'read'), async (req, res) => {
   try {
-    const { partnerId } = req.params;
-    const { notes } = req.body;
+    const { couponId } = req.params;
+    const { status, page = 1, limit = 20 } = req.query;
 
-    // Validate partner ID format
-    if (!partnerId.match(/^[0-9a-fA-F]{24}$/)) {
+    if (!couponId.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid partner ID format'
+        message: 'Invalid coupon ID format'
       });
     }
 
-    // Find partner
-    const partner = await Partner.findById(partnerId);
-    if (!partner) {
+    const coupon = await Coupon.findById(couponId);
+    if (!coupon) {
       return res.status(404).json({
         success: false,
-        message: 'Partner not found'
+        message: 'Coupon not found'
       });
     }
 
-    // Check if partner can be approved
-    if (partner.isApproved === true && partner.approvalStatus === 'approved') {
-      return res.status(400).json({
-        success: false,
-        message: 'Partner is already approved'
-      });
-    }
+    const query = { couponId };
+    if (status) query.status = status;
 
-    if (partner.approvalStatus === 'rejected') {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot approve rejected partner. Please ask them to reapply.'
-      });
-    }
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [total, redemptions, [totals]] = await Promise.all([
+      CouponRedemption.countDocuments(query),
+      CouponRedemption.find(query)
+        .populate('userId', 'name email phoneNumber')
+        .populate('bookingId', 'bookingId status totalAmount')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      CouponRedemption.aggregate([
+        { $match: { couponId: coupon._id, status: 'applied' } },
+        { $group: { _id: null, count: { $sum: 1 }, discount: { $sum: '$discount' } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        coupon,
+        activeRedemptions: totals ? totals.count : 0,
+        totalDiscount: totals ? Math.round(totals.discount * 100) / 100 : 0,
+        redemptions
+      },
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Get coupon redemptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving coupon redemptions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/reviews:
+ *   get:
+ *     summary: Review moderation queue (admin only)
+ *     description: Flagged reviews by default, most reported first.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [published, flagged, hidden]
+ *           default: flagged
+ *       - in: query
+ *         name: partnerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ */
+router.get('/reviews', authenticateToken, requirePermission('reviews', 'read'), async (req, res) => {
+  try {
+    const { status = 'flagged', partnerId, page = 1, limit = 20 } = req.query;
 
-    // Approve partner
-    partner.isApproved = true;
-    partner.approvalStatus = 'approved';
-    partner.approvalDate = new Date();
-    partner.approvedBy = req.user.adminId || req.user._id;
-    partner.approvalNotes = notes || 'Approved by admin';
+    const query = { status };
+    if (partnerId && String(partnerId).match(/^[0-9a-fA-F]{24}$/)) query.partnerId = partnerId;
 
-    await partner.save();
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
 
-    // TODO: Send approval notification to partner
-    // await sendPartnerApprovalNotification(partner);
+    const [total, reviews] = await Promise.all([
+      Review.countDocuments(query),
+      Review.find(query)
+        .select('-photos.data')
+        .populate('partnerId', 'businessName phoneNumber')
+        .sort({ reportCount: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+    ]);
 
     res.status(200).json({
       success: true,
-      message: 'Partner approved successfully',
-      data: {
-        partnerId,
-        isApproved: partner.isApproved,
-        approvalStatus: partner.approvalStatus,
-        approvedAt: partner.approvalDate
+      data: reviews,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
       }
     });
   } catch (error) {
-    console.error('Approve partner error:', error);
+    console.error('Get reviews error:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error while approving partner'
+      message: 'Internal server error while retrieving reviews'
     });
   }
 });
 
 /**
  * @swagger
- * /admin/partners/{partnerId}/reject:
- *   post:
- *     summary: Reject partner registration
+ * /admin/reviews/{reviewId}/moderate:
+ *   put:
+ *     summary: Publish or hide a review (admin only)
+ *     description: Hidden reviews are removed from listings and from the partner and service ratings. Publishing clears the flag; the review is flagged again only after REVIEW_REPORT_THRESHOLD new reports.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: partnerId
+ *         name: reviewId
  *         required: true
  *         schema:
  *           type: string
- *         example: "507f1f77bcf86cd799439012"
- *         description: Partner ID
  *     requestBody:
  *       required: true
  *       content:
@@ -1043,238 +4479,172 @@ router.post('/partners/:partnerId/approve', authenticateToken, authenticateAdmin
  *           schema:
  *             type: object
  *             required:
- *               - reason
+ *               - action
  *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [publish, hide]
  *               reason:
  *                 type: string
- *                 example: "Incomplete documentation"
+ *                 example: "Abusive language"
  *     responses:
  *       200:
- *         description: Partner rejected successfully
+ *         description: Review moderated successfully
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Success'
- *       400:
- *         description: Partner already processed
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Unauthorized
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Partner not found
+ *         description: Review not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/partners/:partnerId/reject', authenticateToken, authenticateAdmin, async (req, res) => {
+router.put('/reviews/:reviewId/moderate', authenticateToken, requirePermission('reviews', 'update'), audit('review.moderate', 'review', { param: 'reviewId', fields: ['action', 'reason'] }), validateReviewModeration, async (req, res) => {
   try {
-    const { partnerId } = req.params;
-    const { reason } = req.body;
-
-    if (!reason) {
-      return res.status(400).json({
-        success: false,
-        message: 'Rejection reason is required'
-      });
-    }
+    const { reviewId } = req.params;
 
-    // Validate partner ID format
-    if (!partnerId.match(/^[0-9a-fA-F]{24}$/)) {
+    if (!reviewId.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid partner ID format'
+        message: 'Invalid review ID format'
       });
     }
 
-    // Find partner
-    const partner = await Partner.findById(partnerId);
-    if (!partner) {
-      return res.status(404).json({
-        success: false,
-        message: 'Partner not found'
-      });
-    }
+    const review = await moderateReview(reviewId, {
+      action: req.body.action,
+      reason: req.body.reason,
+      moderatedBy: req.user.email
+    });
 
-    // Check if partner can be rejected
-    if (['approved', 'rejected'].includes(partner.status)) {
-      return res.status(400).json({
+    res.status(200).json({
+      success: true,
+      message: req.body.action === 'hide' ? 'Review hidden successfully' : 'Review published successfully',
+      data: review.getPublicView()
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'Partner is already processed'
+        message: error.message
       });
     }
+    console.error('Moderate review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while moderating review'
+    });
+  }
+});
 
-    // Reject partner
-    partner.status = 'rejected';
-    partner.rejectedAt = new Date();
-    partner.rejectedBy = req.user.adminId;
-    partner.rejectionReason = reason;
-    partner.updatedAt = new Date();
-
-    await partner.save();
-
-    // TODO: Send rejection notification to partner
-    // await sendPartnerRejectionNotification(partner, reason);
+/**
+ * @swagger
+ * /admin/reviews/recompute-ratings:
+ *   post:
+ *     summary: Rebuild all partner and service ratings from reviews (admin only)
+ *     description: Run after changing REVIEW_RATING_METHOD or the Bayesian prior.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Ratings recomputed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ */
+router.post('/reviews/recompute-ratings', authenticateToken, requirePermission('reviews', 'update'), audit('review.recompute_ratings'), async (req, res) => {
+  try {
+    const result = await recomputeAllRatings();
 
     res.status(200).json({
       success: true,
-      message: 'Partner rejected successfully',
-      data: {
-        partnerId,
-        status: 'rejected',
-        rejectedAt: partner.rejectedAt,
-        reason: partner.rejectionReason
-      }
+      message: 'Ratings recomputed successfully',
+      data: { ...result, method: RATING_METHOD }
     });
   } catch (error) {
-    console.error('Reject partner error:', error);
+    console.error('Recompute ratings error:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error while rejecting partner'
+      message: 'Internal server error while recomputing ratings'
     });
   }
 });
 
 /**
  * @swagger
- * /admin/bookings:
- *   get:
- *     summary: Get all bookings (admin only)
+ * /admin/push/broadcast:
+ *   post:
+ *     summary: Push a message to all customers or partners, optionally in one city (admin only)
+ *     description: Sent to the FCM topic the apps are subscribed to (users, partners, users_city_<city> or partners_city_<city>), e.g. to ask partners in a city to go online during an emergency surge.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 20
- *         description: Number of items per page
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: ["pending", "confirmed", "in-progress", "completed", "cancelled"]
- *         description: Filter by booking status
- *       - in: query
- *         name: dateFrom
- *         schema:
- *           type: string
- *           format: date
- *         example: "2023-12-01"
- *         description: Filter from date
- *       - in: query
- *         name: dateTo
- *         schema:
- *           type: string
- *           format: date
- *         example: "2023-12-31"
- *         description: Filter to date
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - audience
+ *               - title
+ *               - body
+ *             properties:
+ *               audience:
+ *                 type: string
+ *                 enum: [users, partners]
+ *               city:
+ *                 type: string
+ *                 example: "Ahmedabad"
+ *               title:
+ *                 type: string
+ *                 example: "Heavy rain alert"
+ *               body:
+ *                 type: string
+ *                 example: "Many SOS requests in your area. Go online to receive them."
  *     responses:
  *       200:
- *         description: Bookings retrieved successfully
+ *         description: Broadcast sent
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Booking'
- *                 pagination:
- *                   type: object
- *                   properties:
- *                     page:
- *                       type: integer
- *                       example: 1
- *                     limit:
- *                       type: integer
- *                       example: 20
- *                     total:
- *                       type: integer
- *                       example: 3420
- *                     pages:
- *                       type: integer
- *                       example: 171
- *       401:
- *         description: Unauthorized
+ *               $ref: '#/components/schemas/Success'
+ *       502:
+ *         description: Push service rejected the broadcast
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/bookings', authenticateToken, authenticateAdmin, async (req, res) => {
+router.post('/push/broadcast', authenticateToken, requirePermission('notifications', 'create'), audit('notification.broadcast', undefined, { fields: ['audience', 'city', 'title', 'body'] }), validatePushBroadcast, async (req, res) => {
   try {
-    const { page = 1, limit = 20, status, dateFrom, dateTo } = req.query;
-
-    // Build query
-    const query = {};
-    if (status) {
-      query.status = status;
-    }
-
-    if (dateFrom || dateTo) {
-      query.createdAt = {};
-      if (dateFrom) {
-        query.createdAt.$gte = new Date(dateFrom);
-      }
-      if (dateTo) {
-        query.createdAt.$lte = new Date(dateTo + 'T23:59:59.999Z');
-      }
+    const { audience, city, title, body } = req.body;
+    const topic = city ? getCityTopic(audience, city) : audience;
+
+    let result;
+    try {
+      result = await broadcastToTopic(topic, { title, body, data: { event: 'broadcast' } });
+    } catch (error) {
+      console.error(`Push broadcast to ${topic} failed:`, error.message);
+      return res.status(502).json({
+        success: false,
+        message: 'Push service rejected the broadcast'
+      });
     }
 
-    // Pagination
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const skip = (pageNum - 1) * limitNum;
-
-    // Get total count
-    const total = await Booking.countDocuments(query);
-
-    // Get bookings with pagination
-    const bookings = await Booking.find(query)
-      .populate('userId', 'name email phone')
-      .populate('partnerId', 'businessName email phone')
-      .populate('serviceId', 'name category')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limitNum);
-
-    // Calculate pagination info
-    const pages = Math.ceil(total / limitNum);
-
     res.status(200).json({
       success: true,
-      data: bookings,
-      pagination: {
-        page: pageNum,
-        limit: limitNum,
-        total,
-        pages
-      }
+      message: 'Broadcast sent successfully',
+      data: { topic, messageId: result.messageId }
     });
   } catch (error) {
-    console.error('Get admin bookings error:', error);
+    console.error('Push broadcast error:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error while retrieving bookings'
+      message: 'Internal server error while sending broadcast'
     });
   }
 });
@@ -1349,7 +4719,7 @@ router.get('/bookings', authenticateToken, authenticateAdmin, async (req, res) =
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/emergencies', authenticateToken, authenticateAdmin, async (req, res) => {
+router.get('/emergencies', authenticateToken, requirePermission('emergencies', 'read'), async (req, res) => {
   try {
     const { page = 1, limit = 20, status, priority } = req.query;
 
@@ -1452,7 +4822,7 @@ router.get('/emergencies', authenticateToken, authenticateAdmin, async (req, res
  *       401:
  *         description: Unauthorized
  */
-router.post('/services', authenticateToken, authenticateAdmin, async (req, res) => {
+router.post('/services', authenticateToken, requirePermission('catalog', 'create'), audit('service.create', 'service', { fields: ['name', 'description', 'category', 'subCategory', 'serviceType', 'estimatedDuration', 'complexity', 'basePrice', 'currency', 'pricingModel', 'vehicleType', 'isEmergencyService', 'isActive'] }), async (req, res) => {
   try {
     const {
       name,
@@ -1588,7 +4958,7 @@ router.post('/services', authenticateToken, authenticateAdmin, async (req, res)
  *       401:
  *         description: Unauthorized
  */
-router.post('/tyres', authenticateToken, authenticateAdmin, async (req, res) => {
+router.post('/tyres', authenticateToken, requirePermission('catalog', 'create'), audit('tyre.create', 'tyre', { fields: ['brand', 'name', 'model', 'description', 'size', 'loadIndex', 'speedRating', 'type', 'pattern', 'vehicleType', 'suitableFor', 'basePrice', 'currency', 'features', 'warranty', 'isActive'] }), async (req, res) => {
   try {
     const {
       brand,
@@ -1745,7 +5115,7 @@ router.post('/tyres', authenticateToken, authenticateAdmin, async (req, res) =>
  *       200:
  *         description: Customers retrieved successfully
  */
-router.get('/customers', authenticateToken, authenticateAdmin, async (req, res) => {
+router.get('/customers', authenticateToken, requirePermission('users', 'read'), async (req, res) => {
   try {
     const { 
       search, 
@@ -1915,7 +5285,7 @@ router.get('/customers', authenticateToken, authenticateAdmin, async (req, res)
  *       200:
  *         description: Partners retrieved successfully
  */
-router.get('/partners/list', authenticateToken, authenticateAdmin, async (req, res) => {
+router.get('/partners/list', authenticateToken, requirePermission('partners', 'read'), async (req, res) => {
   try {
     const { 
       search, 
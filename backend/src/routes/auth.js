@@ -3,7 +3,12 @@ const router = express.Router();
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { validateRegistration, validateLogin } = require('../middleware/validation');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRegistration, validateLogin, validateTokenRefresh } = require('../middleware/validation');
+const { issueOTP, verifyOTPCode } = require('../services/otpService');
+const { findReferrer } = require('../services/referrals');
+const { createSession, refreshSession, revokeSession, revokeAllSessions } = require('../services/sessions');
+const { getSessionContext, setPartnerCookies } = require('../utils/authSession');
 
 /**
  * @swagger
@@ -83,6 +88,10 @@ const { validateRegistration, validateLogin } = require('../middleware/validatio
  *                 enum: [en, hi, gu]
  *                 example: "en"
  *                 description: Preferred language (optional)
+ *               referralCode:
+ *                 type: string
+ *                 example: "K7M2QX9P"
+ *                 description: Another customer's referral code (optional). Both get a wallet bonus after this customer's first completed booking.
  *               vehicleDetails:
  *                 type: object
  *                 properties:
@@ -141,7 +150,8 @@ router.post('/register', validateRegistration, async (req, res) => {
       profilePicture,
       address,
       language,
-      vehicleDetails 
+      vehicleDetails,
+      referralCode
     } = req.body;
 
     // Normalize phone number (accept both phone and phoneNumber)
@@ -187,6 +197,9 @@ router.post('/register', validateRegistration, async (req, res) => {
       }
     }
 
+    // Throws 400 for an unknown code
+    const referrer = referralCode ? await findReferrer(referralCode) : null;
+
     // Create new user - password will be hashed by pre-save hook
     const userData = {
       name: name.trim(),
@@ -197,7 +210,8 @@ router.post('/register', validateRegistration, async (req, res) => {
       ...(dateOfBirth && { dateOfBirth: new Date(dateOfBirth) }),
       ...(profilePicture && { profilePicture }),
       ...(address && { address }),
-      ...(language && { language })
+      ...(language && { language }),
+      ...(referrer && { referredBy: referrer._id })
     };
 
     // Add vehicle details if provided
@@ -229,6 +243,12 @@ router.post('/register', validateRegistration, async (req, res) => {
       data: userResponse
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Registration error:', error);
     
     // Handle duplicate key error
@@ -287,9 +307,15 @@ router.post('/register', validateRegistration, async (req, res) => {
  *               password:
  *                 type: string
  *                 example: "password123"
+ *               deviceId:
+ *                 type: string
+ *                 description: App install ID. Logging in again from the same device ends its previous session.
+ *               deviceName:
+ *                 type: string
+ *                 example: "Pixel 7"
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful. The access token is short-lived (JWT_EXPIRE); use the refresh token with /auth/refresh to get a new one.
  *         content:
  *           application/json:
  *             schema:
@@ -308,7 +334,17 @@ router.post('/register', validateRegistration, async (req, res) => {
  *                       $ref: '#/components/schemas/User'
  *                     token:
  *                       type: string
+ *                       description: Access token
  *                       example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                     tokenExpiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Single-use refresh token (store in secure storage)
+ *                     refreshTokenExpiresAt:
+ *                       type: string
+ *                       format: date-time
  *       401:
  *         description: Invalid credentials
  *         content:
@@ -370,16 +406,8 @@ router.post('/login', validateLogin, async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user._id, 
-        email: user.email || user.phoneNumber, 
-        role: 'user' 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Start a session for this device
+    const { token, tokenExpiresAt, refreshToken, refreshTokenExpiresAt } = await createSession('user', user, getSessionContext(req));
 
     // Update last login and last active
     user.lastLogin = new Date();
@@ -396,7 +424,10 @@ router.post('/login', validateLogin, async (req, res) => {
       message: 'Login successful',
       data: {
         user: userResponse,
-        token
+        token,
+        tokenExpiresAt,
+        refreshToken,
+        refreshTokenExpiresAt
       }
     });
   } catch (error) {
@@ -414,6 +445,7 @@ router.post('/login', validateLogin, async (req, res) => {
  * /auth/send-otp:
  *   post:
  *     summary: Send OTP for verification
+ *     description: Generates a one-time code for an existing customer or partner account and delivers it by SMS. The response is the same whether or not the number has an account. A new code can only be requested after the resend cooldown, and the number of codes per hour is limited.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -427,6 +459,16 @@ router.post('/login', validateLogin, async (req, res) => {
  *               phone:
  *                 type: string
  *                 example: "+919876543210"
+ *                 description: 10-digit Indian mobile number (can also be +919876543210)
+ *               phoneNumber:
+ *                 type: string
+ *                 example: "9876543210"
+ *                 description: Alternative field for the mobile number
+ *               userType:
+ *                 type: string
+ *                 enum: [user, partner]
+ *                 default: user
+ *                 example: "user"
  *     responses:
  *       200:
  *         description: OTP sent successfully
@@ -440,40 +482,48 @@ router.post('/login', validateLogin, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Resend cooldown active or hourly OTP limit reached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.post('/send-otp', async (req, res) => {
   try {
-    const { phone } = req.body;
+    const { phone, phoneNumber, userType = 'user' } = req.body;
 
-    // Validate phone number format
-    const phoneRegex = /^\+[1-9]\d{1,14}$/;
-    if (!phoneRegex.test(phone)) {
+    if (!['user', 'partner'].includes(userType)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid phone number format'
+        message: 'userType must be one of: user, partner'
       });
     }
 
-    // Generate 6-digit OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    
-    // Store OTP in user document or cache (for demo, we'll just return success)
-    // In production, integrate with SMS service like Twilio, AWS SNS, etc.
-    
-    // TODO: Integrate with SMS service
-    // await sendSMS(phone, `Your Rollon verification code is: ${otp}`);
-    
-    // TODO: Store OTP in database/cache with expiration
-    
+    const result = await issueOTP({ phone: phoneNumber || phone, userType });
+
     res.status(200).json({
       success: true,
       message: 'OTP sent successfully',
       data: {
-        phone,
-        otp: process.env.NODE_ENV === 'development' ? otp : undefined // Only show OTP in development
+        phone: result.phone,
+        expiresIn: result.expiresIn,
+        resendAfter: result.resendAfter,
+        otp: process.env.NODE_ENV === 'development' && result.otp ? result.otp : undefined // Only show OTP in development
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      if (error.details?.retryAfter) {
+        res.set('Retry-After', String(error.details.retryAfter));
+      }
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+
     console.error('Send OTP error:', error);
     res.status(500).json({
       success: false,
@@ -487,6 +537,7 @@ router.post('/send-otp', async (req, res) => {
  * /auth/verify-otp:
  *   post:
  *     summary: Verify OTP
+ *     description: Verifies the code sent by /auth/send-otp and marks the phone number as verified. Each code is single use and is invalidated after too many wrong attempts.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -501,9 +552,18 @@ router.post('/send-otp', async (req, res) => {
  *               phone:
  *                 type: string
  *                 example: "+919876543210"
+ *               phoneNumber:
+ *                 type: string
+ *                 example: "9876543210"
+ *                 description: Alternative field for the mobile number
  *               otp:
  *                 type: string
  *                 example: "123456"
+ *               userType:
+ *                 type: string
+ *                 enum: [user, partner]
+ *                 default: user
+ *                 example: "user"
  *     responses:
  *       200:
  *         description: OTP verified successfully
@@ -512,7 +572,13 @@ router.post('/send-otp', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Success'
  *       400:
- *         description: Invalid OTP
+ *         description: Invalid or expired OTP
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Maximum verification attempts exceeded
  *         content:
  *           application/json:
  *             schema:
@@ -520,41 +586,42 @@ router.post('/send-otp', async (req, res) => {
  */
 router.post('/verify-otp', async (req, res) => {
   try {
-    const { phone, otp } = req.body;
+    const { phone, phoneNumber, otp, userType = 'user' } = req.body;
 
     // Validate inputs
-    if (!phone || !otp) {
+    if (!(phoneNumber || phone) || !otp) {
       return res.status(400).json({
         success: false,
         message: 'Phone number and OTP are required'
       });
     }
 
-    // TODO: Verify OTP from database/cache
-    // const isValidOTP = await verifyOTP(phone, otp);
-    
-    // For demo purposes, accept any 6-digit OTP
-    const isValidOTP = /^\d{6}$/.test(otp);
-    
-    if (!isValidOTP) {
+    if (!['user', 'partner'].includes(userType)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid OTP'
+        message: 'userType must be one of: user, partner'
       });
     }
 
-    // Mark phone as verified
-    const user = await User.findOne({ phone });
-    if (user) {
-      user.phoneVerified = true;
-      await user.save();
-    }
+    const result = await verifyOTPCode({ phone: phoneNumber || phone, otp, userType });
 
     res.status(200).json({
       success: true,
-      message: 'OTP verified successfully'
+      message: 'OTP verified successfully',
+      data: {
+        phone: result.phone,
+        isPhoneVerified: true
+      }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+
     console.error('Verify OTP error:', error);
     res.status(500).json({
       success: false,
@@ -734,9 +801,12 @@ router.post('/reset-password', async (req, res) => {
     user.resetPasswordExpires = undefined;
     await user.save();
 
+    // Whoever knew the old password is logged out everywhere
+    await revokeAllSessions('user', user._id, 'password_reset');
+
     res.status(200).json({
       success: true,
-      message: 'Password reset successfully'
+      message: 'Password reset successfully. Please login again on all your devices.'
     });
   } catch (error) {
     console.error('Reset password error:', error);
@@ -747,11 +817,101 @@ router.post('/reset-password', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Get a new access token
+ *     description: Works for customer, partner and admin sessions. The refresh token is rotated - the response carries a new one and the old one stops working. Presenting an already used refresh token ends the session on that device. The partner web app can omit the body; its refresh token is read from the partnerRefreshToken cookie and both cookies are renewed.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *     responses:
+ *       200:
+ *         description: New tokens issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     tokenExpiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     refreshToken:
+ *                       type: string
+ *                     refreshTokenExpiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       401:
+ *         description: Refresh token invalid, expired, already used or its session has ended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/refresh', validateTokenRefresh, async (req, res) => {
+  try {
+    const fromCookie = !req.body.refreshToken && req.cookies?.partnerRefreshToken;
+    const refreshToken = req.body.refreshToken || fromCookie;
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is required. Please login again.'
+      });
+    }
+
+    const { token, tokenExpiresAt, refreshToken: nextRefreshToken, refreshTokenExpiresAt, session } = await refreshSession(refreshToken, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip
+    });
+
+    const tokens = { token, tokenExpiresAt, refreshToken: nextRefreshToken, refreshTokenExpiresAt };
+    if (fromCookie && session.ownerType === 'partner') {
+      setPartnerCookies(res, tokens);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: tokens
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while refreshing token'
+    });
+  }
+});
+
 /**
  * @swagger
  * /auth/logout:
  *   post:
  *     summary: Logout user
+ *     description: Ends the session of this device. Its access and refresh tokens stop working immediately.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -769,13 +929,10 @@ router.post('/reset-password', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/logout', async (req, res) => {
+router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // In a stateless JWT system, logout is handled client-side
-    // You can implement token blacklisting here if needed
-    
-    // TODO: Add token to blacklist if implementing token invalidation
-    
+    await revokeSession(req.user.sid);
+
     res.status(200).json({
       success: true,
       message: 'Logout successful'
@@ -789,4 +946,66 @@ router.post('/logout', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Logout user from all devices
+ *     description: Ends every session of the account, including this one.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out of all devices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Logged out of all devices"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessionsRevoked:
+ *                       type: integer
+ *                       example: 3
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    // Verify user role
+    if (req.user.role !== 'user') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. User role required.'
+      });
+    }
+
+    const sessionsRevoked = await revokeAllSessions('user', req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all devices',
+      data: { sessionsRevoked }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during logout'
+    });
+  }
+});
+
 module.exports = router;
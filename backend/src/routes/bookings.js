@@ -2,16 +2,24 @@ const express = require('express');
 const router = express.Router();
 const Booking = require('../models/Booking');
 const User = require('../models/User');
-const Partner = require('../models/Partner');
-const Service = require('../models/Service');
+const Refund = require('../models/Refund');
 const { authenticateToken } = require('../middleware/auth');
-const { validateBookingCreate, validateBookingUpdate, validateFeedback } = require('../middleware/validation');
+const { validateBookingCreate, validateBookingUpdate, validateFeedback, validateDispute, validateLivePosition } = require('../middleware/validation');
+const { findTrackable, recordPosition, subscribe, getSnapshot } = require('../services/liveTracking');
+const { transitionBooking, isTerminal } = require('../services/bookingStateMachine');
+const { reserveSlot } = require('../services/availability');
+const { raiseDispute } = require('../services/refunds');
+const { applyCommission } = require('../services/commission');
+const { redeemCoupon, releaseRedemption } = require('../services/coupons');
+const { createReview } = require('../services/reviews');
+const { notifyBooking } = require('../services/notifications');
 
 /**
  * @swagger
  * /bookings:
  *   post:
  *     summary: Create a new booking
+ *     description: scheduledTime must be the start of a free slot returned by GET /partners/{partnerId}/availability. The slot is re-checked against the partner's business hours, capacity and existing bookings while the partner's schedule is locked, so two customers cannot take the last place in the same slot.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -54,6 +62,10 @@ const { validateBookingCreate, validateBookingUpdate, validateFeedback } = requi
  *               specialInstructions:
  *                 type: string
  *                 example: "Please check the brakes thoroughly"
+ *               couponCode:
+ *                 type: string
+ *                 description: Coupon to redeem; check it first with POST /coupons/validate
+ *                 example: "FIRST100"
  *               location:
  *                 type: object
  *                 properties:
@@ -94,8 +106,20 @@ const { validateBookingCreate, validateBookingUpdate, validateFeedback } = requi
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Partner, service or coupon not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       409:
- *         description: Booking conflict
+ *         description: Time slot no longer available (data.availableSlots lists the free slots of that day), or coupon limit reached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: Partner schedule busy, retry
  *         content:
  *           application/json:
  *             schema:
@@ -111,7 +135,7 @@ router.post('/', authenticateToken, validateBookingCreate, async (req, res) => {
       });
     }
 
-    const { partnerId, serviceId, scheduledTime, vehicleDetails, specialInstructions, location } = req.body;
+    const { partnerId, serviceId, scheduledTime, vehicleDetails, specialInstructions, location, couponCode } = req.body;
     const userId = req.user.userId;
 
     // Validate partner ID format
@@ -130,69 +154,16 @@ router.post('/', authenticateToken, validateBookingCreate, async (req, res) => {
       });
     }
 
-    // Check if partner exists and is approved
-    const partner = await Partner.findById(partnerId);
-    if (!partner) {
-      return res.status(404).json({
-        success: false,
-        message: 'Partner not found'
-      });
-    }
-
-    if (partner.status !== 'approved') {
-      return res.status(400).json({
-        success: false,
-        message: 'Partner is not approved'
-      });
-    }
-
-    // Check if partner offers this service
-    const partnerService = partner.services.find(s => s.serviceId.toString() === serviceId);
-    if (!partnerService) {
-      return res.status(400).json({
-        success: false,
-        message: 'Partner does not offer this service'
-      });
-    }
-
-    // Check if service exists and is active
-    const service = await Service.findById(serviceId);
-    if (!service || !service.isActive) {
-      return res.status(404).json({
-        success: false,
-        message: 'Service not found or inactive'
-      });
-    }
-
     // Validate scheduled time
-    const scheduledDate = new Date(scheduledTime);
-    const now = new Date();
-    
-    if (scheduledDate <= now) {
+    const scheduledStart = new Date(scheduledTime);
+    if (scheduledStart <= new Date()) {
       return res.status(400).json({
         success: false,
         message: 'Scheduled time must be in the future'
       });
     }
 
-    // Check for booking conflicts (same partner, overlapping time)
-    const existingBooking = await Booking.findOne({
-      partnerId,
-      status: { $in: ['pending', 'confirmed', 'in-progress'] },
-      scheduledTime: {
-        $gte: new Date(scheduledDate.getTime() - 2 * 60 * 60 * 1000), // 2 hours before
-        $lte: new Date(scheduledDate.getTime() + 2 * 60 * 60 * 1000)  // 2 hours after
-      }
-    });
-
-    if (existingBooking) {
-      return res.status(409).json({
-        success: false,
-        message: 'Time slot not available. Please choose a different time.'
-      });
-    }
-
-    // Get user details for vehicle information
+    // Get user details for vehicle and location information
     const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({
@@ -201,24 +172,66 @@ router.post('/', authenticateToken, validateBookingCreate, async (req, res) => {
       });
     }
 
-    // Create new booking
-    const booking = new Booking({
-      userId,
-      partnerId,
-      serviceId,
-      scheduledTime: scheduledDate,
-      vehicleDetails: vehicleDetails || user.vehicleDetails || {},
-      specialInstructions: specialInstructions || '',
-      location: location || user.location || {},
-      status: 'pending',
-      price: partnerService.price
+    // Fall back to the user's first registered vehicle
+    const vehicle = vehicleDetails
+      ? { ...vehicleDetails, brand: vehicleDetails.brand || vehicleDetails.make }
+      : (user.vehicles && user.vehicles[0]) || {};
+
+    // The slot is checked against business hours, capacity and other bookings while the partner's schedule is locked
+    const booking = await reserveSlot({ partnerId, serviceId, start: scheduledStart }, async ({ partner, service, partnerService, durationMinutes, slot }) => {
+      const newBooking = new Booking({
+        bookingType: 'scheduled',
+        userId,
+        userLocation: location && location.latitude !== undefined
+          ? { type: 'Point', coordinates: [location.longitude, location.latitude] }
+          : user.location,
+        userAddress: location && location.address ? { street: location.address } : user.address,
+        partnerId,
+        partnerLocation: partner.location,
+        serviceId,
+        serviceName: partnerService.name || service.name,
+        serviceDescription: partnerService.description || service.description,
+        serviceCategory: partnerService.category || service.category,
+        vehicleDetails: {
+          type: vehicle.type,
+          brand: vehicle.brand,
+          model: vehicle.model,
+          registrationNumber: vehicle.registrationNumber,
+          color: vehicle.color,
+          fuelType: vehicle.fuelType
+        },
+        scheduledDate: slot.start,
+        scheduledTime: slot.startTime,
+        scheduledEndTime: slot.end,
+        estimatedDuration: durationMinutes,
+        basePrice: partnerService.price,
+        userNotes: specialInstructions || '',
+        status: 'pending'
+      });
+
+      // Redeeming sets the discount; give the coupon back if the booking is not saved
+      if (couponCode) {
+        await redeemCoupon(couponCode, { booking: newBooking, user, partner });
+      }
+
+      try {
+        newBooking.calculateTotalAmount();
+        await applyCommission(newBooking);
+        await newBooking.save();
+      } catch (error) {
+        if (couponCode) await releaseRedemption(newBooking._id, 'Booking could not be created');
+        throw error;
+      }
+      return newBooking;
     });
 
-    await booking.save();
+    // Confirm to the customer and ask the partner to accept (runs in the background)
+    notifyBooking(booking, 'booking_created');
+    notifyBooking(booking, 'booking_requested');
 
     // Populate related data for response
     await booking.populate([
-      { path: 'partnerId', select: 'businessName email phone address' },
+      { path: 'partnerId', select: 'businessName shopName email mobileNumber address' },
       { path: 'serviceId', select: 'name description category' }
     ]);
 
@@ -228,6 +241,13 @@ router.post('/', authenticateToken, validateBookingCreate, async (req, res) => {
       data: booking
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
     console.error('Create booking error:', error);
     res.status(500).json({
       success: false,
@@ -330,6 +350,7 @@ router.get('/:bookingId', authenticateToken, async (req, res) => {
  * /bookings/{bookingId}:
  *   put:
  *     summary: Update booking details
+ *     description: Passing scheduledTime reschedules a pending or accepted booking to another free slot from GET /partners/{partnerId}/availability. The booking's current slot does not count against it.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -425,63 +446,66 @@ router.put('/:bookingId', authenticateToken, validateBookingUpdate, async (req,
     }
 
     // Check if booking can be updated
-    if (['completed', 'cancelled'].includes(booking.status)) {
+    if (isTerminal(booking.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot update completed or cancelled booking'
+        message: `Cannot update a ${booking.status} booking`
       });
     }
 
-    // Validate scheduled time if provided
+    if (specialInstructions !== undefined) booking.userNotes = specialInstructions;
+    if (location && location.latitude !== undefined && location.longitude !== undefined) {
+      booking.userLocation = { type: 'Point', coordinates: [location.longitude, location.latitude] };
+    }
+    if (location && location.address) booking.userAddress = { street: location.address };
+
+    // Reschedule
     if (scheduledTime) {
-      const newScheduledDate = new Date(scheduledTime);
-      const now = new Date();
-      
-      if (newScheduledDate <= now) {
+      if (!['pending', 'accepted'].includes(booking.status)) {
         return res.status(400).json({
           success: false,
-          message: 'Scheduled time must be in the future'
+          message: `Cannot reschedule a booking that is ${booking.status}`
         });
       }
 
-      // Check for booking conflicts
-      const existingBooking = await Booking.findOne({
-        _id: { $ne: bookingId },
-        partnerId: booking.partnerId,
-        status: { $in: ['pending', 'confirmed', 'in-progress'] },
-        scheduledTime: {
-          $gte: new Date(newScheduledDate.getTime() - 2 * 60 * 60 * 1000),
-          $lte: new Date(newScheduledDate.getTime() + 2 * 60 * 60 * 1000)
-        }
-      });
-
-      if (existingBooking) {
-        return res.status(409).json({
+      const newStart = new Date(scheduledTime);
+      if (newStart <= new Date()) {
+        return res.status(400).json({
           success: false,
-          message: 'Time slot not available. Please choose a different time.'
+          message: 'Scheduled time must be in the future'
         });
       }
-    }
-
-    // Update booking
-    const updateData = {};
-    if (scheduledTime) updateData.scheduledTime = new Date(scheduledTime);
-    if (specialInstructions !== undefined) updateData.specialInstructions = specialInstructions;
-    if (location) updateData.location = location;
-    updateData.updatedAt = new Date();
 
-    const updatedBooking = await Booking.findByIdAndUpdate(
-      bookingId,
-      { $set: updateData },
-      { new: true }
-    );
+      // The booking's own slot is excluded so it can move within its current time
+      await reserveSlot({
+        partnerId: booking.partnerId,
+        serviceId: booking.serviceId,
+        start: newStart,
+        excludeBookingId: booking._id
+      }, async ({ durationMinutes, slot }) => {
+        booking.scheduledDate = slot.start;
+        booking.scheduledTime = slot.startTime;
+        booking.scheduledEndTime = slot.end;
+        booking.estimatedDuration = durationMinutes;
+        await booking.save();
+      });
+    } else {
+      await booking.save();
+    }
 
     res.status(200).json({
       success: true,
       message: 'Booking updated successfully',
-      data: updatedBooking
+      data: booking
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
     console.error('Update booking error:', error);
     res.status(500).json({
       success: false,
@@ -490,11 +514,161 @@ router.put('/:bookingId', authenticateToken, validateBookingUpdate, async (req,
   }
 });
 
+/**
+ * @swagger
+ * /bookings/{bookingId}/live:
+ *   get:
+ *     summary: Live tracking stream for a booking (Server-Sent Events)
+ *     description: Opened by the customer or the partner while the booking is accepted or in progress. Emits a `snapshot` event with both parties' last known positions and the ETA, then `location` and `status` events. Authenticate with the Authorization header or the auth cookie.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Event stream opened
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Booking is not being tracked
+ *       404:
+ *         description: Booking not found or access denied
+ */
+router.get('/:bookingId/live', authenticateToken, async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+
+    // Validate booking ID format
+    if (!bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID format'
+      });
+    }
+
+    const { doc: booking } = await findTrackable('booking', bookingId, req.user);
+
+    if (!['accepted', 'in_progress'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Live tracking is not available for a booking that is ${booking.status}`
+      });
+    }
+
+    subscribe('booking', booking._id, req, res, getSnapshot('booking', booking));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Open booking live stream error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while opening live tracking stream'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /bookings/{bookingId}/live/location:
+ *   post:
+ *     summary: Post a live GPS position for a booking
+ *     description: Called periodically by the customer or the partner. The position is stored as a breadcrumb for dispute review, the ETA is recomputed and both are pushed to every open live stream.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - latitude
+ *               - longitude
+ *             properties:
+ *               latitude:
+ *                 type: number
+ *                 example: 28.6139
+ *               longitude:
+ *                 type: number
+ *                 example: 77.2090
+ *               accuracy:
+ *                 type: number
+ *                 example: 12
+ *               heading:
+ *                 type: number
+ *                 example: 90
+ *               speed:
+ *                 type: number
+ *                 example: 8.5
+ *     responses:
+ *       200:
+ *         description: Position recorded
+ *       400:
+ *         description: Validation error or booking not being tracked
+ *       404:
+ *         description: Booking not found or access denied
+ */
+router.post('/:bookingId/live/location', authenticateToken, validateLivePosition, async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+
+    // Validate booking ID format
+    if (!bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID format'
+      });
+    }
+
+    const { doc: booking, role } = await findTrackable('booking', bookingId, req.user);
+    const result = await recordPosition('booking', booking, role, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Position recorded',
+      data: result
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Record booking live position error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while recording position'
+    });
+  }
+});
+
 /**
  * @swagger
  * /bookings/{bookingId}/cancel:
  *   post:
  *     summary: Cancel a booking
+ *     description: Online payments are refunded under the cancellation policy - in full before the partner accepts or at least REFUND_FULL_HOURS (24) before the slot, REFUND_PARTIAL_PERCENT (50%) up to REFUND_PARTIAL_HOURS (2) before it, and not at all after that. The refund issued, if any, is returned with the applied policy rule.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -516,6 +690,11 @@ router.put('/:bookingId', authenticateToken, validateBookingUpdate, async (req,
  *               reason:
  *                 type: string
  *                 example: "Change of plans"
+ *               refundTo:
+ *                 type: string
+ *                 enum: [source, wallet]
+ *                 default: source
+ *                 description: Refund to the original payment method or instantly to the wallet. Wallet payments are always refunded to the wallet.
  *     responses:
  *       200:
  *         description: Booking cancelled successfully
@@ -541,6 +720,12 @@ router.put('/:bookingId', authenticateToken, validateBookingUpdate, async (req,
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Booking can no longer be cancelled, or its status changed while the request was processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.post('/:bookingId/cancel', authenticateToken, async (req, res) => {
   try {
@@ -553,7 +738,7 @@ router.post('/:bookingId/cancel', authenticateToken, async (req, res) => {
     }
 
     const { bookingId } = req.params;
-    const { reason } = req.body;
+    const { reason, refundTo = 'source' } = req.body;
     const userId = req.user.userId;
 
     // Validate booking ID format
@@ -564,61 +749,51 @@ router.post('/:bookingId/cancel', authenticateToken, async (req, res) => {
       });
     }
 
-    // Find booking
-    const booking = await Booking.findOne({ _id: bookingId, userId });
-    if (!booking) {
-      return res.status(404).json({
-        success: false,
-        message: 'Booking not found or access denied'
-      });
-    }
-
-    // Check if booking can be cancelled
-    if (['completed', 'cancelled'].includes(booking.status)) {
+    if (!['source', 'wallet'].includes(refundTo)) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot cancel completed or already cancelled booking'
+        message: 'Refund destination must be source or wallet'
       });
     }
 
-    if (booking.status === 'in-progress') {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot cancel booking that is in progress'
-      });
-    }
-
-    // Check cancellation time limit (24 hours before scheduled time)
-    const scheduledTime = new Date(booking.scheduledTime);
-    const now = new Date();
-    const timeDifference = scheduledTime.getTime() - now.getTime();
-    const hoursDifference = timeDifference / (1000 * 60 * 60);
-
-    if (hoursDifference < 24) {
-      return res.status(400).json({
+    // Find booking
+    const booking = await Booking.findOne({ _id: bookingId, userId });
+    if (!booking) {
+      return res.status(404).json({
         success: false,
-        message: 'Cannot cancel booking less than 24 hours before scheduled time'
+        message: 'Booking not found or access denied'
       });
     }
 
-    // Cancel booking
-    booking.status = 'cancelled';
-    booking.cancellationReason = reason || 'Cancelled by user';
-    booking.cancelledAt = new Date();
-    booking.updatedAt = new Date();
+    // Rejects cancelling bookings that are in progress or already closed;
+    // late cancellations are allowed but refunded less under the refund policy
+    const cancelled = await transitionBooking(booking, 'cancelled', {
+      actor: 'user',
+      actorId: userId,
+      reason: reason || 'Cancelled by user',
+      refundTo
+    });
 
-    await booking.save();
+    const refund = await Refund.findOne({ bookingId: booking._id, type: 'cancellation' });
 
     res.status(200).json({
       success: true,
       message: 'Booking cancelled successfully',
       data: {
         bookingId,
-        status: 'cancelled',
-        cancellationReason: booking.cancellationReason
+        status: cancelled.status,
+        cancellationReason: cancelled.cancellationReason,
+        refund: refund ? refund.getSummary() : null
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
     console.error('Cancel booking error:', error);
     res.status(500).json({
       success: false,
@@ -632,6 +807,7 @@ router.post('/:bookingId/cancel', authenticateToken, async (req, res) => {
  * /bookings/{bookingId}/feedback:
  *   post:
  *     summary: Submit feedback for a completed booking
+ *     description: Creates a review of the booking, the same as POST /reviews with sourceType booking (without photos).
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -741,74 +917,151 @@ router.post('/:bookingId/feedback', authenticateToken, validateFeedback, async (
       });
     }
 
-    // Check if feedback already exists
-    if (booking.feedback) {
-      return res.status(400).json({
+    // Stored as a review, which also updates the partner's and service's rating
+    const review = await createReview({
+      sourceType: 'booking',
+      sourceId: booking._id,
+      userId,
+      rating,
+      comment,
+      serviceQuality,
+      timeliness,
+      communication
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Feedback submitted successfully',
+      data: {
+        bookingId,
+        feedback: review.getPublicView()
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'Feedback already submitted for this booking'
+        message: error.statusCode === 409 ? 'Feedback already submitted for this booking' : error.message
       });
     }
+    console.error('Submit feedback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while submitting feedback'
+    });
+  }
+});
 
-    // Validate rating values
-    const validateRating = (value, fieldName) => {
-      if (value && (value < 1 || value > 5)) {
-        throw new Error(`${fieldName} must be between 1 and 5`);
-      }
-      return value;
-    };
-
-    try {
-      validateRating(rating, 'Rating');
-      validateRating(serviceQuality, 'Service quality');
-      validateRating(timeliness, 'Timeliness');
-      validateRating(communication, 'Communication');
-    } catch (validationError) {
-      return res.status(400).json({
+/**
+ * @swagger
+ * /bookings/{bookingId}/dispute:
+ *   post:
+ *     summary: Dispute a completed booking
+ *     description: Opens a dispute on a completed booking paid online. Support reviews it and may issue a partial or full refund against the original transaction.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "507f1f77bcf86cd799439014"
+ *         description: Booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Brake pads were not replaced although I was charged for them"
+ *               requestedAmount:
+ *                 type: number
+ *                 description: Amount in rupees the customer asks to get back
+ *                 example: 400
+ *     responses:
+ *       201:
+ *         description: Dispute raised successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Booking cannot be disputed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Booking not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A dispute is already open
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:bookingId/dispute', authenticateToken, validateDispute, async (req, res) => {
+  try {
+    // Verify user role
+    if (req.user.role !== 'user') {
+      return res.status(403).json({
         success: false,
-        message: validationError.message
+        message: 'Access denied. User role required.'
       });
     }
 
-    // Add feedback to booking
-    booking.feedback = {
-      rating,
-      comment,
-      serviceQuality: serviceQuality || rating,
-      timeliness: timeliness || rating,
-      communication: communication || rating,
-      submittedAt: new Date()
-    };
-
-    await booking.save();
-
-    // Update partner rating (calculate average rating)
-    const partner = await Partner.findById(booking.partnerId);
-    if (partner) {
-      const allBookings = await Booking.find({
-        partnerId: booking.partnerId,
-        'feedback.rating': { $exists: true }
-      });
+    const { bookingId } = req.params;
+    const { reason, requestedAmount } = req.body;
 
-      const totalRating = allBookings.reduce((sum, b) => sum + b.feedback.rating, 0);
-      const averageRating = totalRating / allBookings.length;
+    // Validate booking ID format
+    if (!bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID format'
+      });
+    }
 
-      partner.rating = Math.round(averageRating * 10) / 10; // Round to 1 decimal place
-      await partner.save();
+    const booking = await Booking.findOne({ _id: bookingId, userId: req.user.userId });
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found or access denied'
+      });
     }
 
-    res.status(200).json({
+    const dispute = await raiseDispute(booking, { reason, requestedAmount });
+
+    res.status(201).json({
       success: true,
-      message: 'Feedback submitted successfully',
+      message: 'Dispute raised successfully',
       data: {
         bookingId,
-        feedback: booking.feedback
+        dispute
       }
     });
   } catch (error) {
-    console.error('Submit feedback error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+    console.error('Raise dispute error:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error while submitting feedback'
+      message: 'Internal server error while raising dispute'
     });
   }
 });
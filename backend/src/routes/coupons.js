@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const { validateCouponCheck } = require('../middleware/validation');
+const { resolveBookingContext } = require('../services/availability');
+const { previewCoupon } = require('../services/coupons');
+
+/**
+ * @swagger
+ * /coupons/validate:
+ *   post:
+ *     summary: Check a coupon before booking
+ *     description: Returns the discount the coupon would give on the partner's price for the service. Nothing is reserved; the coupon is redeemed when it is passed as couponCode to POST /bookings.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - partnerId
+ *               - serviceId
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "FIRST100"
+ *               partnerId:
+ *                 type: string
+ *                 example: "507f1f77bcf86cd799439012"
+ *               serviceId:
+ *                 type: string
+ *                 example: "507f1f77bcf86cd799439013"
+ *     responses:
+ *       200:
+ *         description: Coupon can be used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *                       example: "FIRST100"
+ *                     orderAmount:
+ *                       type: number
+ *                       example: 799
+ *                     discount:
+ *                       type: number
+ *                       example: 100
+ *                     payableAmount:
+ *                       type: number
+ *                       example: 699
+ *       400:
+ *         description: Coupon does not apply (expired, wrong service or city, below minimum amount, not a first booking)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Coupon, partner or service not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Coupon usage limit reached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/validate', authenticateToken, validateCouponCheck, async (req, res) => {
+  try {
+    // Verify user role
+    if (req.user.role !== 'user') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. User role required.'
+      });
+    }
+
+    const { code, partnerId, serviceId } = req.body;
+
+    const user = await User.findById(req.user.userId).select('address');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { partner, service, partnerService } = await resolveBookingContext(partnerId, serviceId);
+    const coupon = await previewCoupon({
+      code,
+      userId: req.user.userId,
+      user,
+      partner,
+      partnerService,
+      service
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon applied',
+      data: coupon
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+    console.error('Validate coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while validating coupon'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { validateDeviceRegister, validateDeviceUnregister } = require('../middleware/validation');
+const { registerDevice, unregisterDevice, listDevices } = require('../services/devices');
+
+// Devices belong to customer and partner accounts
+const requireDeviceOwner = (req, res, next) => {
+  if (!['user', 'partner'].includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. User or partner role required.'
+    });
+  }
+  next();
+};
+
+const getOwner = (req) => ({
+  ownerType: req.user.role,
+  ownerId: req.user.role === 'partner' ? req.user.partnerId : req.user.userId
+});
+
+/**
+ * @swagger
+ * /devices:
+ *   post:
+ *     summary: Register a push notification token
+ *     description: Call after login and on every app launch. The device is subscribed to the users/partners topic and to the city topic of the account's address (e.g. partners_city_ahmedabad). Sending the same deviceId with a new token replaces the old token.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - platform
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: FCM registration token
+ *               platform:
+ *                 type: string
+ *                 enum: [android, ios, web]
+ *               deviceId:
+ *                 type: string
+ *                 example: "c1f2a9e0-7d4b-4a1e-9a55-2b6f0f3f8b21"
+ *               appVersion:
+ *                 type: string
+ *                 example: "2.4.0"
+ *     responses:
+ *       200:
+ *         description: Device registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', authenticateToken, requireDeviceOwner, validateDeviceRegister, async (req, res) => {
+  try {
+    const { token, platform, deviceId, appVersion } = req.body;
+
+    const device = await registerDevice({ ...getOwner(req), token, platform, deviceId, appVersion });
+
+    res.status(200).json({
+      success: true,
+      message: 'Device registered successfully',
+      data: device.getSummary()
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Register device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while registering device'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /devices:
+ *   get:
+ *     summary: List the account's registered devices
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Devices retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ */
+router.get('/', authenticateToken, requireDeviceOwner, async (req, res) => {
+  try {
+    const { ownerType, ownerId } = getOwner(req);
+    const devices = await listDevices(ownerType, ownerId);
+
+    res.status(200).json({
+      success: true,
+      data: devices.map(device => device.getSummary())
+    });
+  } catch (error) {
+    console.error('Get devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving devices'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /devices:
+ *   delete:
+ *     summary: Unregister a push notification token
+ *     description: Call on logout so the device stops receiving the account's notifications.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Device unregistered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       404:
+ *         description: Token is not registered to this account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/', authenticateToken, requireDeviceOwner, validateDeviceUnregister, async (req, res) => {
+  try {
+    const { ownerType, ownerId } = getOwner(req);
+    await unregisterDevice(ownerType, ownerId, req.body.token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Device unregistered successfully'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Unregister device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while unregistering device'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,31 @@
 const express = require('express');
+const twilio = require('twilio');
 const router = express.Router();
 const Emergency = require('../models/Emergency');
 const User = require('../models/User');
 const Partner = require('../models/Partner');
+const Booking = require('../models/Booking');
 const { authenticateToken } = require('../middleware/auth');
-const { validateEmergencyCreate, validateLocationUpdate } = require('../middleware/validation');
+const { validateEmergencyCreate, validateEmergencyResolve, validateLocationUpdate, validateLivePosition } = require('../middleware/validation');
+const { startDispatch, acceptOffer, declineOffer, stopDispatch } = require('../services/emergencyDispatch');
+const { notifyEmergencyContacts, updateDeliveryStatus } = require('../services/emergencyContacts');
+const { notifyEmergency } = require('../services/notifications');
+const { findTrackable, recordPosition, subscribe, getSnapshot, publishStatus } = require('../services/liveTracking');
+const { transitionBooking, canTransition } = require('../services/bookingStateMachine');
+
+// Request aliases accepted by the SOS endpoint, mapped to Emergency.emergencyType values
+const EMERGENCY_TYPE_ALIASES = {
+  'flat-tire': 'flat_tire',
+  'out-of-fuel': 'fuel_empty',
+  'battery-dead': 'battery_dead'
+};
 
 /**
  * @swagger
  * /emergency/sos:
  *   post:
  *     summary: Create emergency SOS request
+ *     description: Creates the emergency and starts automatic dispatch. Online, approved emergency partners whose emergencyRadius covers the user's location are ranked by distance, rating and emergencyResponseTime and offered the job in waves until one accepts. Every offer is recorded in statusHistory.
  *     tags: [Emergency]
  *     security:
  *       - bearerAuth: []
@@ -27,8 +42,9 @@ const { validateEmergencyCreate, validateLocationUpdate } = require('../middlewa
  *             properties:
  *               emergencyType:
  *                 type: string
- *                 enum: ["breakdown", "accident", "flat-tire", "out-of-fuel", "other"]
+ *                 enum: ["breakdown", "accident", "flat_tire", "fuel_empty", "battery_dead", "medical", "flat-tire", "out-of-fuel", "battery-dead", "other"]
  *                 example: "breakdown"
+ *                 description: Hyphenated values are accepted as aliases of the underscore values
  *               priority:
  *                 type: string
  *                 enum: ["low", "medium", "high", "critical"]
@@ -114,7 +130,7 @@ router.post('/sos', authenticateToken, validateEmergencyCreate, async (req, res)
     // Check if user already has an active emergency
     const activeEmergency = await Emergency.findOne({
       userId,
-      status: { $in: ['pending', 'assigned', 'responding'] }
+      status: { $in: ['active', 'assigned', 'in_progress'] }
     });
 
     if (activeEmergency) {
@@ -134,29 +150,45 @@ router.post('/sos', authenticateToken, validateEmergencyCreate, async (req, res)
       });
     }
 
+    // Fall back to the user's first registered vehicle
+    const vehicle = vehicleDetails
+      ? { ...vehicleDetails, brand: vehicleDetails.brand || vehicleDetails.make }
+      : (user.vehicles && user.vehicles[0]) || {};
+
     // Create emergency request
     const emergency = new Emergency({
       userId,
-      emergencyType,
+      emergencyType: EMERGENCY_TYPE_ALIASES[emergencyType] || emergencyType,
       priority,
-      location: {
+      userLocation: {
         type: 'Point',
         coordinates: [longitude, latitude] // MongoDB expects [longitude, latitude]
       },
-      address: address || '',
+      userAddress: typeof address === 'string' ? { street: address } : (address || {}),
       description: description || '',
-      vehicleDetails: vehicleDetails || user.vehicleDetails || {},
-      status: 'pending',
-      createdAt: new Date()
+      vehicleDetails: {
+        type: vehicle.type,
+        brand: vehicle.brand,
+        model: vehicle.model,
+        registrationNumber: vehicle.registrationNumber,
+        color: vehicle.color,
+        fuelType: vehicle.fuelType
+      },
+      status: 'active',
+      requestTime: new Date()
     });
 
     await emergency.save();
 
-    // TODO: Notify nearby emergency service providers
-    // await notifyEmergencyProviders(emergency);
+    // Offer the job to nearby emergency partners in waves (runs in the background)
+    startDispatch(emergency._id).catch(error => {
+      console.error(`Emergency dispatch error for ${emergency.emergencyId}:`, error);
+    });
 
-    // TODO: Send SMS/email notification to user
-    // await sendEmergencyNotification(user.phone, user.email, emergency);
+    // Message the user's emergency contacts with a live tracking link (runs in the background)
+    notifyEmergencyContacts(emergency._id, 'raised').catch(error => {
+      console.error(`Emergency contact notification error for ${emergency.emergencyId}:`, error);
+    });
 
     res.status(201).json({
       success: true,
@@ -172,6 +204,375 @@ router.post('/sos', authenticateToken, validateEmergencyCreate, async (req, res)
   }
 });
 
+/**
+ * @swagger
+ * /emergency/partner/offers:
+ *   get:
+ *     summary: List open SOS offers for the logged-in partner (Partner Auth Required)
+ *     description: Returns active emergencies that have been offered to this partner by the dispatch engine and have not yet expired.
+ *     tags: [Emergency]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Open offers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       403:
+ *         description: Partner role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/partner/offers', authenticateToken, async (req, res) => {
+  try {
+    // Verify partner role
+    if (req.user.role !== 'partner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Partner role required.'
+      });
+    }
+
+    const partnerId = req.user.partnerId;
+    const now = new Date();
+
+    const emergencies = await Emergency.find({
+      status: 'active',
+      dispatchOffers: {
+        $elemMatch: {
+          partnerId,
+          status: 'pending',
+          expiresAt: { $gt: now }
+        }
+      }
+    })
+      .select('emergencyId emergencyType priority userLocation userAddress description vehicleDetails requestTime dispatchOffers')
+      .sort({ requestTime: 1 });
+
+    const offers = emergencies.map(emergency => {
+      const offer = emergency.getPendingOffer(partnerId);
+      return {
+        id: emergency._id,
+        emergencyId: emergency.emergencyId,
+        emergencyType: emergency.emergencyType,
+        priority: emergency.priority,
+        description: emergency.description,
+        vehicleDetails: emergency.vehicleDetails,
+        userLocation: emergency.userLocation,
+        userAddress: emergency.userAddress,
+        requestTime: emergency.requestTime,
+        distance: offer.distance,
+        offeredAt: offer.offeredAt,
+        expiresAt: offer.expiresAt,
+        expiresInSeconds: Math.max(Math.round((offer.expiresAt - now) / 1000), 0)
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: offers
+    });
+  } catch (error) {
+    console.error('Get partner emergency offers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving emergency offers'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /emergency/partner/assigned:
+ *   get:
+ *     summary: List emergencies assigned to the logged-in partner (Partner Auth Required)
+ *     tags: [Emergency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [assigned, in_progress, resolved, cancelled]
+ *         description: Filter by status (defaults to assigned and in_progress)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Assigned emergencies retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Unknown status filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Partner role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/partner/assigned', authenticateToken, async (req, res) => {
+  try {
+    // Verify partner role
+    if (req.user.role !== 'partner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Partner role required.'
+      });
+    }
+
+    const { status, page = 1, limit = 10 } = req.query;
+
+    const statuses = Object.keys(Emergency.STATUS_TRANSITIONS);
+    if (status !== undefined && !statuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${statuses.join(', ')}`
+      });
+    }
+
+    // Build query
+    const query = {
+      assignedPartnerId: req.user.partnerId,
+      status: status || { $in: ['assigned', 'in_progress'] }
+    };
+
+    // Pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const total = await Emergency.countDocuments(query);
+
+    const emergencies = await Emergency.find(query)
+      .select('-dispatchOffers')
+      .populate('userId', 'name phoneNumber')
+      .sort({ requestTime: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const pages = Math.ceil(total / limitNum);
+
+    res.status(200).json({
+      success: true,
+      data: emergencies,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages
+      }
+    });
+  } catch (error) {
+    console.error('Get partner assigned emergencies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving assigned emergencies'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /emergency/track/{trackingToken}:
+ *   get:
+ *     summary: Public emergency tracking view
+ *     description: Opened from the tracking link sent to the user's emergency contacts. Returns status, location and the assigned partner's name only; no phone numbers are exposed. Once the emergency is resolved or cancelled only its outcome is shown, and the link expires TRACKING_LINK_GRACE_HOURS (2) later.
+ *     tags: [Emergency]
+ *     parameters:
+ *       - in: path
+ *         name: trackingToken
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tracking token from the SMS/WhatsApp link
+ *     responses:
+ *       200:
+ *         description: Tracking information retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       404:
+ *         description: Tracking link is invalid or has expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/track/:trackingToken', async (req, res) => {
+  try {
+    const { trackingToken } = req.params;
+
+    if (!/^[0-9a-f]{32}$/.test(trackingToken)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tracking link is invalid or has expired'
+      });
+    }
+
+    const emergency = await Emergency.findOne({ trackingToken });
+    if (!emergency || emergency.isTrackingLinkExpired()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tracking link is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: emergency.getTrackingInfo()
+    });
+  } catch (error) {
+    console.error('Track emergency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving tracking information'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /emergency/track/{trackingToken}/live:
+ *   get:
+ *     summary: Public live tracking stream (Server-Sent Events)
+ *     description: Streams the same live positions and ETA that the user and partner see, for emergency contacts holding the tracking link. Emits a `snapshot` event on connect, then `location` and `status` events. The stream closes once the emergency is resolved or cancelled.
+ *     tags: [Emergency]
+ *     parameters:
+ *       - in: path
+ *         name: trackingToken
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tracking token from the SMS/WhatsApp link
+ *     responses:
+ *       200:
+ *         description: Event stream opened
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Tracking link is invalid or has expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/track/:trackingToken/live', async (req, res) => {
+  try {
+    const { trackingToken } = req.params;
+
+    if (!/^[0-9a-f]{32}$/.test(trackingToken)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tracking link is invalid or has expired'
+      });
+    }
+
+    const emergency = await Emergency.findOne({ trackingToken });
+    if (!emergency || !emergency.isActive()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tracking link is invalid or has expired'
+      });
+    }
+
+    subscribe('emergency', emergency._id, req, res, {
+      ...getSnapshot('emergency', emergency),
+      assignedPartnerName: emergency.assignedPartnerName
+    });
+  } catch (error) {
+    console.error('Track emergency live error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while opening tracking stream'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /emergency/notifications/status:
+ *   post:
+ *     summary: SMS/WhatsApp delivery receipt webhook
+ *     description: Twilio status callback (configure TWILIO_STATUS_CALLBACK_URL). Updates the delivery status of emergency contact notifications. Requests are verified with the X-Twilio-Signature header when TWILIO_AUTH_TOKEN is set.
+ *     tags: [Emergency]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               MessageSid:
+ *                 type: string
+ *                 example: "SM0123456789abcdef0123456789abcdef"
+ *               MessageStatus:
+ *                 type: string
+ *                 example: "delivered"
+ *     responses:
+ *       200:
+ *         description: Receipt processed
+ *       403:
+ *         description: Invalid signature
+ */
+router.post('/notifications/status', async (req, res) => {
+  try {
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    const callbackUrl = process.env.TWILIO_STATUS_CALLBACK_URL;
+
+    if (authToken && callbackUrl) {
+      const signature = req.get('X-Twilio-Signature');
+      if (!signature || !twilio.validateRequest(authToken, signature, callbackUrl, req.body)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Invalid webhook signature'
+        });
+      }
+    } else if (process.env.NODE_ENV === 'production') {
+      return res.status(403).json({
+        success: false,
+        message: 'Delivery receipts are not configured'
+      });
+    }
+
+    const { MessageSid, MessageStatus } = req.body;
+    const updated = await updateDeliveryStatus(MessageSid, MessageStatus);
+
+    res.status(200).json({
+      success: true,
+      data: { updated }
+    });
+  } catch (error) {
+    console.error('Notification status webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while processing delivery receipt'
+    });
+  }
+});
+
 /**
  * @swagger
  * /emergency/{emergencyId}:
@@ -233,12 +634,16 @@ router.get('/:emergencyId', authenticateToken, async (req, res) => {
     if (userRole === 'user') {
       query.userId = userId;
     } else if (userRole === 'partner') {
-      query.assignedPartner = req.user.partnerId;
+      // Assigned partner, or a partner that has been offered this emergency
+      query.$or = [
+        { assignedPartnerId: req.user.partnerId },
+        { 'dispatchOffers.partnerId': req.user.partnerId }
+      ];
     }
 
-    const emergency = await Emergency.findById(query)
-      .populate('userId', 'name email phone')
-      .populate('assignedPartner', 'businessName email phone address');
+    const emergency = await Emergency.findOne(query)
+      .populate('userId', 'name email phoneNumber')
+      .populate('assignedPartnerId', 'shopName businessName email mobileNumber address location');
 
     if (!emergency) {
       return res.status(404).json({
@@ -368,22 +773,12 @@ router.put('/:emergencyId/update-location', authenticateToken, validateLocationU
       });
     }
 
-    // Update location
-    emergency.location = {
-      type: 'Point',
-      coordinates: [longitude, latitude]
-    };
     if (address) {
-      emergency.address = address;
+      await Emergency.updateOne({ _id: emergency._id }, { $set: { 'userAddress.street': address } });
     }
-    emergency.updatedAt = new Date();
 
-    await emergency.save();
-
-    // TODO: Notify assigned partner about location update
-    // if (emergency.assignedPartner) {
-    //   await notifyPartnerLocationUpdate(emergency);
-    // }
+    // Records a breadcrumb, updates userLocation and pushes it to the assigned partner's live stream
+    const { eta } = await recordPosition('emergency', emergency, 'user', { latitude, longitude });
 
     res.status(200).json({
       success: true,
@@ -391,10 +786,17 @@ router.put('/:emergencyId/update-location', authenticateToken, validateLocationU
       data: {
         latitude,
         longitude,
-        address: emergency.address
+        address: address || emergency.userAddress?.street,
+        eta
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Update emergency location error:', error);
     res.status(500).json({
       success: false,
@@ -405,9 +807,10 @@ router.put('/:emergencyId/update-location', authenticateToken, validateLocationU
 
 /**
  * @swagger
- * /emergency/{emergencyId}/cancel:
- *   post:
- *     summary: Cancel emergency request
+ * /emergency/{emergencyId}/live:
+ *   get:
+ *     summary: Live tracking stream for an emergency (Server-Sent Events)
+ *     description: Opened by the stranded user or the assigned partner. Emits a `snapshot` event with both parties' last known positions and the ETA, then a `location` event whenever either side posts a position and a `status` event on status changes. The stream closes when the emergency is resolved or cancelled. Authenticate with the Authorization header or the auth cookie.
  *     tags: [Emergency]
  *     security:
  *       - bearerAuth: []
@@ -419,34 +822,202 @@ router.put('/:emergencyId/update-location', authenticateToken, validateLocationU
  *           type: string
  *         example: "507f1f77bcf86cd799439015"
  *         description: Emergency ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               reason:
- *                 type: string
- *                 example: "Problem resolved by myself"
  *     responses:
  *       200:
- *         description: Emergency cancelled successfully
+ *         description: Event stream opened
  *         content:
- *           application/json:
+ *           text/event-stream:
  *             schema:
- *               $ref: '#/components/schemas/Success'
- *       400:
- *         description: Cannot cancel emergency
+ *               type: string
+ *       404:
+ *         description: Emergency not found or access denied
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Unauthorized
- *         content:
- *           application/json:
- *             schema:
+ */
+router.get('/:emergencyId/live', authenticateToken, async (req, res) => {
+  try {
+    const { emergencyId } = req.params;
+
+    // Validate emergency ID format
+    if (!emergencyId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid emergency ID format'
+      });
+    }
+
+    const { doc: emergency } = await findTrackable('emergency', emergencyId, req.user);
+
+    if (!emergency.isActive()) {
+      return res.status(400).json({
+        success: false,
+        message: `Live tracking is not available for an emergency that is ${emergency.status}`
+      });
+    }
+
+    subscribe('emergency', emergency._id, req, res, getSnapshot('emergency', emergency));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Open emergency live stream error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while opening live tracking stream'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /emergency/{emergencyId}/live/location:
+ *   post:
+ *     summary: Post a live GPS position for an emergency
+ *     description: Called periodically by the user or the assigned partner. The position is stored as a breadcrumb (the last TRACKING_BREADCRUMB_LIMIT points are kept for dispute review), the ETA is recomputed and both are pushed to every open live stream.
+ *     tags: [Emergency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: emergencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "507f1f77bcf86cd799439015"
+ *         description: Emergency ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - latitude
+ *               - longitude
+ *             properties:
+ *               latitude:
+ *                 type: number
+ *                 example: 28.6139
+ *               longitude:
+ *                 type: number
+ *                 example: 77.2090
+ *               accuracy:
+ *                 type: number
+ *                 description: GPS accuracy in meters
+ *                 example: 12
+ *               heading:
+ *                 type: number
+ *                 description: Heading in degrees
+ *                 example: 90
+ *               speed:
+ *                 type: number
+ *                 description: Speed in meters per second
+ *                 example: 8.5
+ *     responses:
+ *       200:
+ *         description: Position recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Validation error or emergency no longer active
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Emergency not found or access denied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:emergencyId/live/location', authenticateToken, validateLivePosition, async (req, res) => {
+  try {
+    const { emergencyId } = req.params;
+
+    // Validate emergency ID format
+    if (!emergencyId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid emergency ID format'
+      });
+    }
+
+    const { doc: emergency, role } = await findTrackable('emergency', emergencyId, req.user);
+    const result = await recordPosition('emergency', emergency, role, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Position recorded',
+      data: result
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Record emergency live position error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while recording position'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /emergency/{emergencyId}/cancel:
+ *   post:
+ *     summary: Cancel emergency request
+ *     description: A booking raised for the emergency is cancelled with it and refunded under the emergency cancellation policy.
+ *     tags: [Emergency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: emergencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "507f1f77bcf86cd799439015"
+ *         description: Emergency ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Problem resolved by myself"
+ *     responses:
+ *       200:
+ *         description: Emergency cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Cannot cancel emergency
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Emergency not found
@@ -454,6 +1025,12 @@ router.put('/:emergencyId/update-location', authenticateToken, validateLocationU
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Emergency status changed before the update was saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.post('/:emergencyId/cancel', authenticateToken, async (req, res) => {
   try {
@@ -494,20 +1071,37 @@ router.post('/:emergencyId/cancel', authenticateToken, async (req, res) => {
       });
     }
 
-    if (emergency.status === 'responding') {
+    if (emergency.status === 'in_progress') {
       return res.status(400).json({
         success: false,
         message: 'Cannot cancel emergency while help is responding'
       });
     }
 
-    // Cancel emergency
-    emergency.status = 'cancelled';
-    emergency.cancellationReason = reason || 'Cancelled by user';
-    emergency.cancelledAt = new Date();
-    emergency.updatedAt = new Date();
+    // Stop offering the job to partners and cancel
+    await stopDispatch(emergency);
+    emergency.userNotes = reason || emergency.userNotes;
+    await emergency.updateStatus('cancelled', 'user', reason || 'Cancelled by user');
+    publishStatus('emergency', emergency);
 
-    await emergency.save();
+    // Cancel the booking raised for this emergency through the state machine, so the
+    // refund hook applies the emergency cancellation policy to whatever was paid
+    if (emergency.relatedBookingId) {
+      const booking = await Booking.findOne({ _id: emergency.relatedBookingId, userId });
+      if (booking && canTransition(booking.status, 'cancelled', 'user')) {
+        try {
+          await transitionBooking(booking, 'cancelled', {
+            actor: 'user',
+            actorId: userId,
+            reason: reason || 'Emergency cancelled by user',
+            updates: { isEmergency: true }
+          });
+        } catch (error) {
+          // A concurrent update already moved the booking on; the emergency stays cancelled
+          if (error.statusCode !== 409) throw error;
+        }
+      }
+    }
 
     // TODO: Notify assigned partner about cancellation
     // if (emergency.assignedPartner) {
@@ -520,10 +1114,17 @@ router.post('/:emergencyId/cancel', authenticateToken, async (req, res) => {
       data: {
         emergencyId,
         status: 'cancelled',
-        cancellationReason: emergency.cancellationReason
+        cancellationReason: reason || 'Cancelled by user'
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Cancel emergency error:', error);
     res.status(500).json({
       success: false,
@@ -694,6 +1295,564 @@ router.get('/nearby-partners', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /emergency/{emergencyId}/accept:
+ *   post:
+ *     summary: Accept an SOS dispatch offer (Partner Auth Required)
+ *     description: Accepts an open dispatch offer. The first partner to accept is assigned; other open offers are withdrawn.
+ *     tags: [Emergency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: emergencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "507f1f77bcf86cd799439015"
+ *         description: Emergency ID
+ *     responses:
+ *       200:
+ *         description: Emergency assigned to the partner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       403:
+ *         description: Partner role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Already assigned to another partner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       410:
+ *         description: Offer expired or no longer available
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:emergencyId/accept', authenticateToken, async (req, res) => {
+  try {
+    // Verify partner role
+    if (req.user.role !== 'partner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Partner role required.'
+      });
+    }
+
+    const { emergencyId } = req.params;
+
+    // Validate emergency ID format
+    if (!emergencyId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid emergency ID format'
+      });
+    }
+
+    const emergency = await acceptOffer(emergencyId, req.user.partnerId);
+    publishStatus('emergency', emergency);
+
+    res.status(200).json({
+      success: true,
+      message: 'Emergency assigned to you. Please proceed to the user location.',
+      data: {
+        emergencyId: emergency._id,
+        status: emergency.status,
+        userLocation: emergency.userLocation,
+        userAddress: emergency.userAddress,
+        emergencyType: emergency.emergencyType,
+        priority: emergency.priority,
+        responseTime: emergency.responseTime
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Accept emergency offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while accepting emergency'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /emergency/{emergencyId}/decline:
+ *   post:
+ *     summary: Decline an SOS dispatch offer (Partner Auth Required)
+ *     tags: [Emergency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: emergencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "507f1f77bcf86cd799439015"
+ *         description: Emergency ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Mechanic not available"
+ *     responses:
+ *       200:
+ *         description: Offer declined
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       410:
+ *         description: Offer expired or no longer available
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:emergencyId/decline', authenticateToken, async (req, res) => {
+  try {
+    // Verify partner role
+    if (req.user.role !== 'partner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Partner role required.'
+      });
+    }
+
+    const { emergencyId } = req.params;
+    const { reason } = req.body;
+
+    // Validate emergency ID format
+    if (!emergencyId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid emergency ID format'
+      });
+    }
+
+    await declineOffer(emergencyId, req.user.partnerId, reason);
+
+    res.status(200).json({
+      success: true,
+      message: 'Emergency offer declined',
+      data: {
+        emergencyId
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Decline emergency offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while declining emergency'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /emergency/{emergencyId}/arrive:
+ *   post:
+ *     summary: Mark arrival at the user location (Partner Auth Required)
+ *     description: Records arrivalTime on an assigned emergency.
+ *     tags: [Emergency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: emergencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "507f1f77bcf86cd799439015"
+ *         description: Emergency ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 example: "Reached near the petrol pump"
+ *     responses:
+ *       200:
+ *         description: Arrival recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Emergency is not in assigned status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Emergency not found or not assigned to this partner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:emergencyId/arrive', authenticateToken, async (req, res) => {
+  try {
+    // Verify partner role
+    if (req.user.role !== 'partner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Partner role required.'
+      });
+    }
+
+    const { emergencyId } = req.params;
+    const { notes } = req.body;
+
+    // Validate emergency ID format
+    if (!emergencyId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid emergency ID format'
+      });
+    }
+
+    const emergency = await Emergency.findOne({ _id: emergencyId, assignedPartnerId: req.user.partnerId });
+    if (!emergency) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emergency not found or not assigned to you'
+      });
+    }
+
+    if (emergency.status !== 'assigned') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot mark arrival for an emergency that is ${emergency.status}`
+      });
+    }
+
+    if (emergency.arrivalTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'Arrival has already been recorded'
+      });
+    }
+
+    await emergency.markArrived(notes);
+    publishStatus('emergency', emergency);
+
+    res.status(200).json({
+      success: true,
+      message: 'Arrival recorded successfully',
+      data: {
+        emergencyId,
+        status: emergency.status,
+        arrivalTime: emergency.arrivalTime,
+        arrivalTimeSeconds: emergency.calculateArrivalTime()
+      }
+    });
+  } catch (error) {
+    console.error('Mark emergency arrival error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while recording arrival'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /emergency/{emergencyId}/start:
+ *   post:
+ *     summary: Start work on an assigned emergency (Partner Auth Required)
+ *     description: Moves the emergency from assigned to in_progress.
+ *     tags: [Emergency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: emergencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "507f1f77bcf86cd799439015"
+ *         description: Emergency ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 example: "Replacing punctured tyre with spare"
+ *     responses:
+ *       200:
+ *         description: Work started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invalid status transition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Emergency not found or not assigned to this partner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Emergency status changed before the update was saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:emergencyId/start', authenticateToken, async (req, res) => {
+  try {
+    // Verify partner role
+    if (req.user.role !== 'partner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Partner role required.'
+      });
+    }
+
+    const { emergencyId } = req.params;
+    const { notes } = req.body;
+
+    // Validate emergency ID format
+    if (!emergencyId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid emergency ID format'
+      });
+    }
+
+    const emergency = await Emergency.findOne({ _id: emergencyId, assignedPartnerId: req.user.partnerId });
+    if (!emergency) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emergency not found or not assigned to you'
+      });
+    }
+
+    if (!emergency.canTransitionTo('in_progress')) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot start work on an emergency that is ${emergency.status}`
+      });
+    }
+
+    await emergency.startWork(notes);
+    publishStatus('emergency', emergency);
+
+    res.status(200).json({
+      success: true,
+      message: 'Emergency work started',
+      data: {
+        emergencyId,
+        status: emergency.status,
+        arrivalTime: emergency.arrivalTime
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Start emergency work error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while starting emergency work'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /emergency/{emergencyId}/resolve:
+ *   post:
+ *     summary: Resolve an emergency (Partner Auth Required)
+ *     description: Moves the emergency from in_progress to resolved, recording the cost breakdown and resolution notes. actualCost is the sum of the cost breakdown.
+ *     tags: [Emergency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: emergencyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "507f1f77bcf86cd799439015"
+ *         description: Emergency ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               costBreakdown:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - item
+ *                     - amount
+ *                   properties:
+ *                     item:
+ *                       type: string
+ *                       example: "Puncture repair"
+ *                     amount:
+ *                       type: number
+ *                       example: 250
+ *                     description:
+ *                       type: string
+ *                       example: "Tubeless plug repair"
+ *               resolutionNotes:
+ *                 type: string
+ *                 example: "Tyre repaired on the spot, vehicle running"
+ *     responses:
+ *       200:
+ *         description: Emergency resolved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Validation error or invalid status transition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Emergency not found or not assigned to this partner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Emergency status changed before the update was saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:emergencyId/resolve', authenticateToken, validateEmergencyResolve, async (req, res) => {
+  try {
+    // Verify partner role
+    if (req.user.role !== 'partner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Partner role required.'
+      });
+    }
+
+    const { emergencyId } = req.params;
+    const { costBreakdown = [], resolutionNotes = '' } = req.body;
+
+    // Validate emergency ID format
+    if (!emergencyId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid emergency ID format'
+      });
+    }
+
+    const emergency = await Emergency.findOne({ _id: emergencyId, assignedPartnerId: req.user.partnerId });
+    if (!emergency) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emergency not found or not assigned to you'
+      });
+    }
+
+    if (!emergency.canTransitionTo('resolved')) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot resolve an emergency that is ${emergency.status}. Start work first.`
+      });
+    }
+
+    await emergency.resolve(
+      costBreakdown.map(item => ({
+        item: item.item,
+        amount: parseFloat(item.amount),
+        description: item.description
+      })),
+      resolutionNotes
+    );
+    publishStatus('emergency', emergency);
+
+    // Let the user's emergency contacts know the emergency is over (runs in the background)
+    notifyEmergencyContacts(emergency._id, 'resolved').catch(error => {
+      console.error(`Emergency contact notification error for ${emergency.emergencyId}:`, error);
+    });
+    notifyEmergency(emergency, 'emergency_resolved');
+
+    res.status(200).json({
+      success: true,
+      message: 'Emergency resolved successfully',
+      data: {
+        emergencyId,
+        status: emergency.status,
+        costBreakdown: emergency.costBreakdown,
+        actualCost: emergency.actualCost,
+        resolutionNotes: emergency.resolutionNotes,
+        responseTimeSeconds: emergency.calculateResponseTime(),
+        arrivalTimeSeconds: emergency.calculateArrivalTime(),
+        resolutionTimeSeconds: emergency.calculateResolutionTime()
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Resolve emergency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while resolving emergency'
+    });
+  }
+});
+
 // Helper function to get emergency service IDs based on emergency type
 async function getEmergencyServiceIds(emergencyType) {
   const Service = require('../models/Service');
@@ -0,0 +1,333 @@
+const express = require('express');
+const router = express.Router();
+const Booking = require('../models/Booking');
+const Invoice = require('../models/Invoice');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { generateBookingInvoice, renderInvoicePdf, getInvoiceFileName } = require('../services/invoices');
+
+const requireBookingsRead = requirePermission('bookings', 'read');
+
+/**
+ * Admins need read permission on bookings; customers and partners are limited by getAccessQuery
+ */
+const checkAdminPermission = (req, res, next) => {
+  if (!req.user.adminId) return next();
+  return requireBookingsRead(req, res, next);
+};
+
+/**
+ * Ownership filter for the caller: customers see their invoices, partners the ones
+ * they issued and admins everything. Returns null for other roles.
+ */
+const getAccessQuery = (user) => {
+  if (user.adminId) return {};
+  if (user.role === 'user') return { userId: user.userId };
+  if (user.role === 'partner') return { partnerId: user.partnerId };
+  return null;
+};
+
+/**
+ * Send an invoice as JSON, or as a PDF download when ?format=pdf
+ */
+const sendInvoice = (req, res, invoice) => {
+  if (req.query.format === 'pdf') {
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${getInvoiceFileName(invoice)}"`
+    });
+    return res.status(200).send(renderInvoicePdf(invoice));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: invoice.getSummary()
+  });
+};
+
+/**
+ * @swagger
+ * /invoices:
+ *   get:
+ *     summary: List invoices
+ *     description: Customers see invoices for their bookings, partners the invoices they issued and admins with read permission on bookings see all invoices.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: partnerId
+ *         schema:
+ *           type: string
+ *         description: Filter by partner (admin only)
+ *       - in: query
+ *         name: financialYear
+ *         schema:
+ *           type: string
+ *         example: "2025-26"
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Invoices retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       403:
+ *         description: Access denied, or the admin lacks read permission on bookings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', authenticateToken, checkAdminPermission, async (req, res) => {
+  try {
+    const query = getAccessQuery(req.user);
+    if (!query) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const { partnerId, financialYear, page = 1, limit = 20 } = req.query;
+
+    if (financialYear) query.financialYear = financialYear;
+    if (partnerId && req.user.adminId) {
+      if (!partnerId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid partner ID format'
+        });
+      }
+      query.partnerId = partnerId;
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [total, invoices] = await Promise.all([
+      Invoice.countDocuments(query),
+      Invoice.find(query)
+        .sort({ invoiceDate: -1 })
+        .skip(skip)
+        .limit(limitNum)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: invoices.map(invoice => ({
+        id: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        documentType: invoice.documentType,
+        invoiceDate: invoice.invoiceDate,
+        bookingReference: invoice.booking && invoice.booking.reference,
+        supplierName: invoice.supplier && invoice.supplier.name,
+        recipientName: invoice.recipient && invoice.recipient.name,
+        totalTax: invoice.totals.totalTax / 100,
+        grandTotal: invoice.totals.grandTotal / 100
+      })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving invoices'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /invoices/bookings/{bookingId}:
+ *   get:
+ *     summary: Get the invoice for a completed booking
+ *     description: Returns the invoice as JSON, or as a PDF download with format=pdf. Issues the invoice first if the booking is completed but was not invoiced yet.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Invoice retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid booking ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Booking not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Booking is not completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/bookings/:bookingId', authenticateToken, checkAdminPermission, async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+
+    if (!bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID format'
+      });
+    }
+
+    const query = getAccessQuery(req.user);
+    if (!query) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const booking = await Booking.findOne({ _id: bookingId, ...query });
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found or access denied'
+      });
+    }
+
+    const invoice = await generateBookingInvoice(booking);
+
+    sendInvoice(req, res, invoice);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Get booking invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving invoice'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /invoices/{invoiceId}:
+ *   get:
+ *     summary: Get an invoice
+ *     description: Returns the invoice as JSON, or as a PDF download with format=pdf.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Invoice retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid invoice ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Invoice not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:invoiceId', authenticateToken, checkAdminPermission, async (req, res) => {
+  try {
+    const { invoiceId } = req.params;
+
+    if (!invoiceId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invoice ID format'
+      });
+    }
+
+    const query = getAccessQuery(req.user);
+    if (!query) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const invoice = await Invoice.findOne({ _id: invoiceId, ...query });
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found or access denied'
+      });
+    }
+
+    sendInvoice(req, res, invoice);
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving invoice'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const Partner = require('../models/Partner');
 const Service = require('../models/Service');
 const Tyre = require('../models/Tyre');
 const Booking = require('../models/Booking');
+const Settlement = require('../models/Settlement');
 const { authenticateToken } = require('../middleware/auth');
 const { validatePartnerRegistration, validatePartnerLogin, validatePartnerProfileUpdate, validateServiceAdd } = require('../middleware/validation');
 const { uploadPartnerFiles, handleUploadError } = require('../middleware/upload');
+const { transitionBooking, normalizeStatus } = require('../services/bookingStateMachine');
+const { getAvailability } = require('../services/availability');
+const { publishStatus } = require('../services/liveTracking');
+const { getPartnerStatement, getPartnerBalance, resolveStatementPeriod } = require('../services/ledger');
+const { createSession, revokeSession, revokeAllSessions } = require('../services/sessions');
+const { getSessionContext, setPartnerCookies, clearPartnerCookies } = require('../utils/authSession');
 
 /**
  * @swagger
@@ -578,7 +584,7 @@ router.post('/register', uploadPartnerFiles, handleUploadError, validatePartnerR
  * /partners/login:
  *   post:
  *     summary: Login partner with email or phone
- *     description: Login partner using email or mobile number (phone/mobileNumber) and password. JWT token is stored in HTTP-only cookie.
+ *     description: Login partner using email or mobile number (phone/mobileNumber) and password. The access and refresh tokens are stored in HTTP-only cookies.
  *     tags: [Partners]
  *     requestBody:
  *       required: true
@@ -616,15 +622,21 @@ router.post('/register', uploadPartnerFiles, handleUploadError, validatePartnerR
  *                 format: password
  *                 example: "password123"
  *                 description: Partner password
+ *               deviceId:
+ *                 type: string
+ *                 description: App install ID. Logging in again from the same device ends its previous session.
+ *               deviceName:
+ *                 type: string
+ *                 example: "Pixel 7"
  *     responses:
  *       200:
- *         description: Login successful. JWT token stored in HTTP-only cookie (web) and returned in response body (mobile).
+ *         description: Login successful. Access and refresh tokens stored in HTTP-only cookies (web) and returned in response body (mobile). The access token is short-lived; renew it with /auth/refresh.
  *         headers:
  *           Set-Cookie:
- *             description: JWT token in HTTP-only cookie (for web browsers)
+ *             description: Access token (partnerToken) and refresh token (partnerRefreshToken, sent only to /api/auth/refresh) in HTTP-only cookies (for web browsers)
  *             schema:
  *               type: string
- *               example: "partnerToken=eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...; HttpOnly; Secure; SameSite=Strict; Max-Age=604800"
+ *               example: "partnerToken=eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...; HttpOnly; Secure; SameSite=Strict; Max-Age=900"
  *         content:
  *           application/json:
  *             schema:
@@ -643,8 +655,17 @@ router.post('/register', uploadPartnerFiles, handleUploadError, validatePartnerR
  *                       $ref: '#/components/schemas/Partner'
  *                     token:
  *                       type: string
- *                       description: JWT token for mobile apps (store in secure storage)
+ *                       description: JWT access token for mobile apps (store in secure storage)
  *                       example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                     tokenExpiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Single-use refresh token for mobile apps (store in secure storage)
+ *                     refreshTokenExpiresAt:
+ *                       type: string
+ *                       format: date-time
  *       401:
  *         description: Invalid credentials or account not approved
  *         content:
@@ -775,16 +796,8 @@ router.post('/login', validatePartnerLogin, async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        partnerId: partner._id, 
-        email: partner.email || partner.mobileNumber, 
-        role: 'partner' 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Start a session for this device
+    const tokens = await createSession('partner', partner, getSessionContext(req));
 
     // Update last login
     partner.lastLogin = new Date();
@@ -796,24 +809,20 @@ router.post('/login', validatePartnerLogin, async (req, res) => {
     delete partnerResponse.storePhoto?.data;
     delete partnerResponse.priceList?.data;
 
-    // Set JWT token in HTTP-only cookie (for web browsers)
-    const cookieOptions = {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production', // HTTPS only in production
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days in milliseconds
-    };
-
-    res.cookie('partnerToken', token, cookieOptions);
+    // Set the tokens in HTTP-only cookies (for web browsers)
+    setPartnerCookies(res, tokens);
 
-    // Return token in response body as well (for mobile apps)
-    // Mobile apps should store this in secure storage (Keychain/Keystore)
+    // Return the tokens in response body as well (for mobile apps)
+    // Mobile apps should store them in secure storage (Keychain/Keystore)
     res.status(200).json({
       success: true,
       message: 'Login successful. Token stored in cookie (web) and returned in response (mobile).',
       data: {
         partner: partnerResponse,
-        token // Include token for mobile apps to store securely
+        token: tokens.token, // Include token for mobile apps to store securely
+        tokenExpiresAt: tokens.tokenExpiresAt,
+        refreshToken: tokens.refreshToken,
+        refreshTokenExpiresAt: tokens.refreshTokenExpiresAt
       }
     });
   } catch (error) {
@@ -831,7 +840,7 @@ router.post('/login', validatePartnerLogin, async (req, res) => {
  * /partners/logout:
  *   post:
  *     summary: Logout partner
- *     description: Clears the authentication cookie
+ *     description: Ends the session of this device and clears the authentication cookies
  *     tags: [Partners]
  *     security:
  *       - bearerAuth: []
@@ -854,12 +863,9 @@ router.post('/login', validatePartnerLogin, async (req, res) => {
  */
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // Clear the cookie
-    res.clearCookie('partnerToken', {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict'
-    });
+    // End this device's session and clear the cookies
+    await revokeSession(req.user.sid);
+    clearPartnerCookies(res);
 
     res.status(200).json({
       success: true,
@@ -874,6 +880,65 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /partners/logout-all:
+ *   post:
+ *     summary: Logout partner from all devices
+ *     description: Ends every session of the partner account, including this one, and clears the authentication cookies
+ *     tags: [Partners]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out of all devices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Logged out of all devices"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessionsRevoked:
+ *                       type: integer
+ *                       example: 2
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    // Verify partner role
+    if (req.user.role !== 'partner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Partner role required.'
+      });
+    }
+
+    const sessionsRevoked = await revokeAllSessions('partner', req.user.partnerId);
+    clearPartnerCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all devices',
+      data: { sessionsRevoked }
+    });
+  } catch (error) {
+    console.error('Partner logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during logout'
+    });
+  }
+});
+
 /**
  * @swagger
  * /partners/profile:
@@ -1020,6 +1085,48 @@ router.get('/profile', authenticateToken, async (req, res) => {
  *                       type: string
  *                     closeTime:
  *                       type: string
+ *                     breakStart:
+ *                       type: string
+ *                     breakEnd:
+ *                       type: string
+ *               serviceCapacity:
+ *                 type: integer
+ *                 description: Number of bookings that can be served at the same time (bays/mechanics)
+ *                 example: 2
+ *               settlementCycle:
+ *                 type: string
+ *                 enum: [weekly, monthly]
+ *                 description: How often earnings are paid out
+ *               bankDetails:
+ *                 type: object
+ *                 description: Payout account. Settlements without bank details are held until they are added.
+ *                 properties:
+ *                   accountNumber:
+ *                     type: string
+ *                     example: "50100123456789"
+ *                   ifscCode:
+ *                     type: string
+ *                     example: "HDFC0001234"
+ *                   accountHolderName:
+ *                     type: string
+ *                     example: "Sharma Auto Works"
+ *                   bankName:
+ *                     type: string
+ *                     example: "HDFC Bank"
+ *               language:
+ *                 type: string
+ *                 enum: [en, hi, gu]
+ *                 description: Language of notifications
+ *               notifications:
+ *                 type: object
+ *                 description: Channels the partner wants notifications on
+ *                 properties:
+ *                   push:
+ *                     type: boolean
+ *                   sms:
+ *                     type: boolean
+ *                   email:
+ *                     type: boolean
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -1074,7 +1181,12 @@ router.put('/profile', authenticateToken, validatePartnerProfileUpdate, async (r
       businessDescription,
       description,
       businessHours,
-      businessType
+      serviceCapacity,
+      settlementCycle,
+      bankDetails,
+      businessType,
+      language,
+      notifications
     } = req.body;
     
     const partnerId = req.user.partnerId;
@@ -1162,7 +1274,20 @@ router.put('/profile', authenticateToken, validatePartnerProfileUpdate, async (r
     if (businessDescription) updateData.businessDescription = businessDescription.trim();
     if (description) updateData.businessDescription = description.trim(); // Map description to businessDescription
     if (businessHours && Array.isArray(businessHours)) updateData.businessHours = businessHours;
+    if (serviceCapacity) updateData.serviceCapacity = parseInt(serviceCapacity, 10);
+    if (settlementCycle) updateData.settlementCycle = settlementCycle;
+    if (bankDetails && typeof bankDetails === 'object') {
+      ['accountNumber', 'ifscCode', 'accountHolderName', 'bankName'].forEach(field => {
+        if (bankDetails[field]) updateData[`bankDetails.${field}`] = String(bankDetails[field]).trim();
+      });
+    }
     if (businessType) updateData.businessType = businessType;
+    if (language) updateData.language = language;
+    if (notifications && typeof notifications === 'object') {
+      ['push', 'sms', 'email'].forEach(channel => {
+        if (typeof notifications[channel] === 'boolean') updateData[`notifications.${channel}`] = notifications[channel];
+      });
+    }
 
     // Extract coordinates from Google Maps link if provided
     if (googleMapsLink) {
@@ -1419,7 +1544,7 @@ router.post('/services', authenticateToken, validateServiceAdd, async (req, res)
  *         name: status
  *         schema:
  *           type: string
- *           enum: ["pending", "confirmed", "in-progress", "completed", "cancelled"]
+ *           enum: ["pending", "accepted", "in_progress", "completed", "cancelled", "rejected", "expired"]
  *         description: Filter by booking status
  *       - in: query
  *         name: page
@@ -1486,7 +1611,7 @@ router.get('/bookings', authenticateToken, async (req, res) => {
     // Build query
     const query = { partnerId };
     if (status) {
-      query.status = status;
+      query.status = normalizeStatus(status) || status;
     }
 
     // Pagination
@@ -1532,6 +1657,7 @@ router.get('/bookings', authenticateToken, async (req, res) => {
  * /partners/bookings/{bookingId}/status:
  *   put:
  *     summary: Update booking status
+ *     description: Moves the booking through the booking state machine. Partners may accept or reject a pending booking, start an accepted booking, complete an in-progress booking and cancel an accepted booking. The legacy values "confirmed" and "in-progress" are accepted as aliases of "accepted" and "in_progress".
  *     tags: [Partners]
  *     security:
  *       - bearerAuth: []
@@ -1554,8 +1680,11 @@ router.get('/bookings', authenticateToken, async (req, res) => {
  *             properties:
  *               status:
  *                 type: string
- *                 enum: ["confirmed", "in-progress", "completed", "cancelled"]
- *                 example: "confirmed"
+ *                 enum: ["accepted", "rejected", "in_progress", "completed", "cancelled"]
+ *                 example: "accepted"
+ *               reason:
+ *                 type: string
+ *                 example: "Mechanic unavailable at that time"
  *               notes:
  *                 type: string
  *                 example: "Service completed successfully"
@@ -1578,12 +1707,24 @@ router.get('/bookings', authenticateToken, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Transition not allowed for partners
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Booking not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Illegal status transition, or the booking status changed while the request was processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.put('/bookings/:bookingId/status', authenticateToken, async (req, res) => {
   try {
@@ -1596,19 +1737,106 @@ router.put('/bookings/:bookingId/status', authenticateToken, async (req, res) =>
     }
 
     const { bookingId } = req.params;
-    const { status, notes } = req.body;
+    const { status, reason, notes } = req.body;
     const partnerId = req.user.partnerId;
 
-    // Validate status
-    const validStatuses = ['confirmed', 'in-progress', 'completed', 'cancelled'];
-    if (!validStatuses.includes(status)) {
+    // Validate booking ID format
+    if (!bookingId.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid status. Must be one of: confirmed, in-progress, completed, cancelled'
+        message: 'Invalid booking ID format'
       });
     }
 
-    // Validate booking ID format
+    const booking = await Booking.findOne({ _id: bookingId, partnerId });
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found or access denied'
+      });
+    }
+
+    const updated = await transitionBooking(booking, status, {
+      actor: 'partner',
+      actorId: partnerId,
+      reason: reason || notes || '',
+      updates: notes ? { partnerNotes: notes } : {}
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking status updated successfully',
+      data: {
+        bookingId,
+        status: updated.status,
+        notes: updated.partnerNotes || ''
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+    console.error('Update booking status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating booking status'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /partners/bookings/{bookingId}/arrived:
+ *   post:
+ *     summary: Report arriving at the customer for an accepted booking
+ *     description: Records the arrival time, which stops the ETA on live tracking. If the service still has not started BOOKING_NO_SHOW_GRACE_MINUTES after the scheduled time, the booking is cancelled as a customer no-show instead of a partner no-show.
+ *     tags: [Partners]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "507f1f77bcf86cd799439014"
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Arrival recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       404:
+ *         description: Booking not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The booking is not accepted, or arrival was already reported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/bookings/:bookingId/arrived', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'partner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Partner role required.'
+      });
+    }
+
+    const { bookingId } = req.params;
+    const partnerId = req.user.partnerId;
+
     if (!bookingId.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
         success: false,
@@ -1616,40 +1844,203 @@ router.put('/bookings/:bookingId/status', authenticateToken, async (req, res) =>
       });
     }
 
-    // Find and update booking
-    const booking = await Booking.findOneAndUpdate(
-      { _id: bookingId, partnerId },
-      {
-        $set: {
-          status,
-          ...(notes && { notes }),
-          updatedAt: new Date()
-        }
-      },
+    // Only the first report counts, and only while the booking waits for the service to start
+    const updated = await Booking.findOneAndUpdate(
+      { _id: bookingId, partnerId, status: 'accepted', actualArrivalTime: { $exists: false } },
+      { $set: { actualArrivalTime: new Date() } },
       { new: true }
     );
 
-    if (!booking) {
-      return res.status(404).json({
+    if (!updated) {
+      const booking = await Booking.findOne({ _id: bookingId, partnerId }).select('status actualArrivalTime');
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found or access denied'
+        });
+      }
+      return res.status(409).json({
         success: false,
-        message: 'Booking not found or access denied'
+        message: booking.actualArrivalTime
+          ? 'Arrival was already reported for this booking'
+          : `Arrival cannot be reported for a booking that is ${booking.status}`
       });
     }
 
+    publishStatus('booking', updated);
+
     res.status(200).json({
       success: true,
-      message: 'Booking status updated successfully',
+      message: 'Arrival recorded',
       data: {
         bookingId,
-        status,
-        notes: notes || ''
+        status: updated.status,
+        actualArrivalTime: updated.actualArrivalTime
       }
     });
   } catch (error) {
-    console.error('Update booking status error:', error);
+    console.error('Report booking arrival error:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error while updating booking status'
+      message: 'Internal server error while recording arrival'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /partners/earnings/statement:
+ *   get:
+ *     summary: Get the partner's earnings statement
+ *     description: Ledger entries for the period with a running balance. Each completed booking shows the amount collected, the platform commission and the partner's earnings; payouts reduce the balance. A positive balance is owed to the partner; cash bookings where the partner kept the full amount make it go down by the commission.
+ *     tags: [Partners]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2025-01-01"
+ *         description: First day (defaults to the start of the current month)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2025-01-31"
+ *         description: Last day, inclusive (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Statement retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invalid period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/earnings/statement', authenticateToken, async (req, res) => {
+  try {
+    // Verify partner role
+    if (req.user.role !== 'partner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Partner role required.'
+      });
+    }
+
+    const period = resolveStatementPeriod(req.query);
+    const [statement, currentBalance] = await Promise.all([
+      getPartnerStatement(req.user.partnerId, period),
+      getPartnerBalance(req.user.partnerId)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...statement,
+        currentBalance: currentBalance / 100
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Get partner statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving statement'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /partners/settlements:
+ *   get:
+ *     summary: Get the partner's settlements and payout status
+ *     tags: [Partners]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, on_hold, processing, paid, failed]
+ *         description: Filter by payout status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Settlements retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ */
+router.get('/settlements', authenticateToken, async (req, res) => {
+  try {
+    // Verify partner role
+    if (req.user.role !== 'partner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Partner role required.'
+      });
+    }
+
+    const { status, page = 1, limit = 10 } = req.query;
+
+    const query = { partnerId: req.user.partnerId };
+    if (status) {
+      query.status = status;
+    }
+
+    // Pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [total, settlements] = await Promise.all([
+      Settlement.countDocuments(query),
+      Settlement.find(query)
+        .sort({ periodEnd: -1 })
+        .skip(skip)
+        .limit(limitNum)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: settlements.map(settlement => settlement.getSummary()),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Get partner settlements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving settlements'
     });
   }
 });
@@ -1754,6 +2145,134 @@ router.post('/reset-password-test', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /partners/{partnerId}/availability:
+ *   get:
+ *     summary: Get bookable slots for a partner's service on a date (Public API - No Auth Required)
+ *     description: Slots are derived from the partner's businessHours (excluding breaks), the service's estimated duration, the partner's serviceCapacity (bays/mechanics) and existing pending, accepted and in-progress bookings. Times are in the business timezone (IST). Slots starting within the minimum lead time are not returned.
+ *     tags: [Partners]
+ *     parameters:
+ *       - in: path
+ *         name: partnerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "507f1f77bcf86cd799439012"
+ *         description: Partner ID
+ *       - in: query
+ *         name: serviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "507f1f77bcf86cd799439013"
+ *         description: Service ID
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2024-01-15"
+ *         description: Date in YYYY-MM-DD format
+ *     responses:
+ *       200:
+ *         description: Availability retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     date:
+ *                       type: string
+ *                       example: "2024-01-15"
+ *                     durationMinutes:
+ *                       type: integer
+ *                       example: 60
+ *                     capacity:
+ *                       type: integer
+ *                       example: 2
+ *                     slots:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           startTime:
+ *                             type: string
+ *                             example: "10:30"
+ *                           endTime:
+ *                             type: string
+ *                             example: "11:30"
+ *                           start:
+ *                             type: string
+ *                             format: date-time
+ *                           remaining:
+ *                             type: integer
+ *                             example: 1
+ *                           available:
+ *                             type: boolean
+ *                             example: true
+ *       400:
+ *         description: Invalid partner ID, service ID or date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Partner or service not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:partnerId/availability', async (req, res) => {
+  try {
+    const { partnerId } = req.params;
+    const { serviceId, date } = req.query;
+
+    // Validate partner ID format
+    if (!partnerId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid partner ID format'
+      });
+    }
+
+    // Validate service ID format
+    if (!serviceId || !String(serviceId).match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid service ID format'
+      });
+    }
+
+    const availability = await getAvailability({ partnerId, serviceId, date: String(date || '') });
+
+    res.status(200).json({
+      success: true,
+      data: availability
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Get partner availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving availability'
+    });
+  }
+});
+
 /**
  * @swagger
  * /partners:
@@ -0,0 +1,477 @@
+const express = require('express');
+const router = express.Router();
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const { authenticateToken } = require('../middleware/auth');
+const { validatePaymentVerification } = require('../middleware/validation');
+const { createBookingOrder, payBookingWithWallet, verifyCheckoutPayment, handleWebhook } = require('../services/bookingPayments');
+const { getBalance } = require('../services/wallet');
+
+/**
+ * @swagger
+ * /payments/bookings/{bookingId}/order:
+ *   post:
+ *     summary: Create a payment order for a booking
+ *     description: Opens a gateway order for the booking's totalAmount and returns the values the app needs to launch the checkout. Calling it again while the booking is unpaid returns the same order.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "507f1f77bcf86cd799439014"
+ *         description: Booking ID
+ *     responses:
+ *       201:
+ *         description: Payment order created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     payment:
+ *                       type: object
+ *                     checkout:
+ *                       type: object
+ *                       properties:
+ *                         provider:
+ *                           type: string
+ *                           example: "razorpay"
+ *                         keyId:
+ *                           type: string
+ *                           example: "rzp_test_1DP5mmOlF5G5ag"
+ *                         orderId:
+ *                           type: string
+ *                           example: "order_9A33XWu170gUtm"
+ *                         amount:
+ *                           type: number
+ *                           description: Amount in paise
+ *                           example: 80000
+ *                         currency:
+ *                           type: string
+ *                           example: "INR"
+ *       400:
+ *         description: Booking cannot be paid for
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Booking not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Booking is already paid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/bookings/:bookingId/order', authenticateToken, async (req, res) => {
+  try {
+    // Verify user role
+    if (req.user.role !== 'user') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. User role required.'
+      });
+    }
+
+    const { bookingId } = req.params;
+
+    // Validate booking ID format
+    if (!bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID format'
+      });
+    }
+
+    const booking = await Booking.findOne({ _id: bookingId, userId: req.user.userId });
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found or access denied'
+      });
+    }
+
+    const { payment, checkout } = await createBookingOrder(booking, req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment order created successfully',
+      data: {
+        payment: payment.getSummary(),
+        checkout
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+    console.error('Create payment order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating payment order'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /payments/bookings/{bookingId}/wallet:
+ *   post:
+ *     summary: Pay for a booking from the wallet
+ *     description: Debits the booking's totalAmount from the customer's wallet and marks the booking paid. Repeating the call never charges twice. Refunds of wallet payments always go back to the wallet.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "507f1f77bcf86cd799439014"
+ *         description: Booking ID
+ *     responses:
+ *       201:
+ *         description: Booking paid from the wallet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     payment:
+ *                       type: object
+ *                     walletBalance:
+ *                       type: number
+ *                       description: Balance left in rupees
+ *                       example: 150
+ *       400:
+ *         description: Booking cannot be paid for, or the wallet balance is too low
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Booking not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Booking is already paid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/bookings/:bookingId/wallet', authenticateToken, async (req, res) => {
+  try {
+    // Verify user role
+    if (req.user.role !== 'user') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. User role required.'
+      });
+    }
+
+    const { bookingId } = req.params;
+
+    // Validate booking ID format
+    if (!bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID format'
+      });
+    }
+
+    const booking = await Booking.findOne({ _id: bookingId, userId: req.user.userId });
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found or access denied'
+      });
+    }
+
+    const payment = await payBookingWithWallet(booking, req.user.userId);
+    const balance = await getBalance(req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking paid from wallet',
+      data: {
+        payment: payment.getSummary(),
+        walletBalance: balance / 100
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+    console.error('Wallet payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while paying from wallet'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /payments/verify:
+ *   post:
+ *     summary: Confirm a payment from the checkout callback
+ *     description: Verifies the signature the checkout returned and marks the booking paid (or credits the wallet for a top-up order). The gateway webhook reaches the same result independently; whichever arrives first wins and the other is a no-op.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *               - paymentId
+ *               - signature
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *                 example: "order_9A33XWu170gUtm"
+ *               paymentId:
+ *                 type: string
+ *                 example: "pay_29QQoUBi66xm2f"
+ *               signature:
+ *                 type: string
+ *                 example: "9ef4dffbfd84f1318f6739a3ce19f9d85851857ae648f114332d8401e0949a3d"
+ *     responses:
+ *       200:
+ *         description: Payment confirmed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       202:
+ *         description: Payment authorised but not captured yet; the booking is marked paid once it is
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invalid payment signature, failed payment or amount mismatch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Payment order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/verify', authenticateToken, validatePaymentVerification, async (req, res) => {
+  try {
+    // Verify user role
+    if (req.user.role !== 'user') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. User role required.'
+      });
+    }
+
+    const { orderId, paymentId, signature } = req.body;
+    const payment = await verifyCheckoutPayment({ orderId, paymentId, signature }, req.user.userId);
+
+    // Authorised but not captured yet
+    if (payment.status !== 'paid') {
+      return res.status(202).json({
+        success: true,
+        message: 'Payment received and waiting to be captured',
+        data: payment.getSummary()
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment verified successfully',
+      data: payment.getSummary()
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+    console.error('Verify payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while verifying payment'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /payments/bookings/{bookingId}:
+ *   get:
+ *     summary: List payment attempts and refunds for a booking
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "507f1f77bcf86cd799439014"
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Payments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       404:
+ *         description: Booking not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/bookings/:bookingId', authenticateToken, async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+
+    // Validate booking ID format
+    if (!bookingId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID format'
+      });
+    }
+
+    // Build query based on user role
+    const query = { _id: bookingId };
+    if (req.user.role === 'user') {
+      query.userId = req.user.userId;
+    } else if (req.user.role === 'partner') {
+      query.partnerId = req.user.partnerId;
+    }
+
+    const booking = await Booking.findOne(query).select('bookingId totalAmount paymentStatus paymentMethod transactionId refundedAmount');
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found or access denied'
+      });
+    }
+
+    const [payments, refunds] = await Promise.all([
+      Payment.find({ bookingId: booking._id }).sort({ createdAt: -1 }),
+      Refund.find({ bookingId: booking._id }).sort({ createdAt: -1 })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bookingId: booking.bookingId,
+        totalAmount: booking.totalAmount,
+        paymentStatus: booking.paymentStatus,
+        paymentMethod: booking.paymentMethod,
+        transactionId: booking.transactionId,
+        refundedAmount: booking.refundedAmount,
+        payments: payments.map(payment => payment.getSummary()),
+        refunds: refunds.map(refund => refund.getSummary())
+      }
+    });
+  } catch (error) {
+    console.error('Get booking payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving payments'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /payments/webhook/{provider}:
+ *   post:
+ *     summary: Payment gateway webhook
+ *     description: Point the gateway's webhook at /api/payments/webhook/razorpay (events payment.captured, payment.failed and order.paid). Requests are verified against the raw body with X-Razorpay-Signature and RAZORPAY_WEBHOOK_SECRET. Redelivered events are acknowledged without being applied twice.
+ *     tags: [Payments]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [razorpay, fake]
+ *     responses:
+ *       200:
+ *         description: Event processed or ignored
+ *       403:
+ *         description: Invalid webhook signature
+ *       404:
+ *         description: Unknown payment provider
+ */
+router.post('/webhook/:provider', async (req, res) => {
+  try {
+    const result = await handleWebhook(req.params.provider, req.rawBody, req.body, req.headers);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    // A 500 makes the gateway redeliver the event later
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while processing payment webhook'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,504 @@
+const express = require('express');
+const router = express.Router();
+const Partner = require('../models/Partner');
+const Review = require('../models/Review');
+const Service = require('../models/Service');
+const { authenticateToken } = require('../middleware/auth');
+const { uploadReviewPhotos, handleUploadError } = require('../middleware/upload');
+const { validateReviewCreate, validateReviewReply, validateReviewReport } = require('../middleware/validation');
+const { createReview, listReviews, replyToReview, reportReview } = require('../services/reviews');
+
+/**
+ * Shared handler for the partner and service listings
+ */
+const sendReviewList = async (req, res, filter, summary) => {
+  const { sort = 'recent', withPhotos, page = 1, limit = 20 } = req.query;
+
+  const pageNum = parseInt(page);
+  const limitNum = Math.min(parseInt(limit), 50);
+
+  const { total, reviews, distribution } = await listReviews(filter, {
+    sort,
+    withPhotos: withPhotos === 'true',
+    page: pageNum,
+    limit: limitNum
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      summary: { ...summary, distribution },
+      reviews: reviews.map(review => review.getPublicView())
+    },
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum)
+    }
+  });
+};
+
+/**
+ * @swagger
+ * /reviews:
+ *   post:
+ *     summary: Review a completed booking, service call or resolved emergency
+ *     description: Only the customer who received the service can review it, and only once. Send as multipart/form-data to attach up to REVIEW_MAX_PHOTOS (5) JPEG, PNG or WebP photos in the "photos" field, each at most REVIEW_PHOTO_MAX_MB (2 MB) and 10 MB together.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sourceType
+ *               - sourceId
+ *               - rating
+ *             properties:
+ *               sourceType:
+ *                 type: string
+ *                 enum: [booking, service_call, emergency]
+ *               sourceId:
+ *                 type: string
+ *                 example: "507f1f77bcf86cd799439014"
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               serviceQuality:
+ *                 type: integer
+ *               timeliness:
+ *                 type: integer
+ *               communication:
+ *                 type: integer
+ *               comment:
+ *                 type: string
+ *                 example: "Fixed the puncture in 15 minutes, fair price"
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Review published
+ *       400:
+ *         description: Not completed yet, or invalid review
+ *       404:
+ *         description: Booking, service call or emergency not found
+ *       409:
+ *         description: Already reviewed
+ */
+router.post('/', authenticateToken, uploadReviewPhotos, handleUploadError, validateReviewCreate, async (req, res) => {
+  try {
+    // Verify user role
+    if (req.user.role !== 'user') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. User role required.'
+      });
+    }
+
+    const { sourceType, sourceId, rating, serviceQuality, timeliness, communication, comment } = req.body;
+
+    const review = await createReview({
+      sourceType,
+      sourceId,
+      userId: req.user.userId,
+      rating,
+      serviceQuality,
+      timeliness,
+      communication,
+      comment,
+      photos: req.files || []
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted successfully',
+      data: review.getPublicView()
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+    console.error('Create review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while submitting review'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /reviews/partners/{partnerId}:
+ *   get:
+ *     summary: List a partner's reviews
+ *     description: Public. Hidden reviews are left out. The summary rating uses REVIEW_RATING_METHOD (average or bayesian).
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: partnerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [recent, rating_high, rating_low]
+ *           default: recent
+ *       - in: query
+ *         name: withPhotos
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved successfully
+ *       404:
+ *         description: Partner not found
+ */
+router.get('/partners/:partnerId', async (req, res) => {
+  try {
+    const { partnerId } = req.params;
+
+    // Validate partner ID format
+    if (!partnerId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid partner ID format'
+      });
+    }
+
+    const partner = await Partner.findById(partnerId).select('rating reviewCount');
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Partner not found'
+      });
+    }
+
+    await sendReviewList(req, res, { partnerId }, {
+      rating: partner.rating,
+      reviewCount: partner.reviewCount
+    });
+  } catch (error) {
+    console.error('Get partner reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving reviews'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /reviews/services/{serviceId}:
+ *   get:
+ *     summary: List reviews of a service across partners
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: serviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [recent, rating_high, rating_low]
+ *           default: recent
+ *       - in: query
+ *         name: withPhotos
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved successfully
+ *       404:
+ *         description: Service not found
+ */
+router.get('/services/:serviceId', async (req, res) => {
+  try {
+    const { serviceId } = req.params;
+
+    // Validate service ID format
+    if (!serviceId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid service ID format'
+      });
+    }
+
+    const service = await Service.findById(serviceId).select('averageRating reviewCount');
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    await sendReviewList(req, res, { serviceId }, {
+      rating: service.averageRating,
+      reviewCount: service.reviewCount
+    });
+  } catch (error) {
+    console.error('Get service reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving reviews'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /reviews/{reviewId}/photos/{index}:
+ *   get:
+ *     summary: Get a review photo
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: index
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The image
+ *         content:
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Photo not found
+ */
+router.get('/:reviewId/photos/:index', async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    const index = parseInt(req.params.index);
+
+    if (!reviewId.match(/^[0-9a-fA-F]{24}$/) || !(index >= 0)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+
+    const review = await Review.findOne({ _id: reviewId, status: { $in: Review.VISIBLE_STATUSES } })
+      .select({ photos: { $slice: [index, 1] } });
+    const photo = review && review.photos[0];
+    if (!photo || !photo.data) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+
+    res.set('Content-Type', photo.contentType);
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.send(photo.data);
+  } catch (error) {
+    console.error('Get review photo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving photo'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /reviews/{reviewId}/reply:
+ *   put:
+ *     summary: Reply to a review (Partner Auth Required)
+ *     description: The reply is shown under the review. Replying again replaces it.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 example: "Thank you! See you at your next service."
+ *     responses:
+ *       200:
+ *         description: Reply saved
+ *       403:
+ *         description: Review is not about this partner
+ *       404:
+ *         description: Review not found
+ */
+router.put('/:reviewId/reply', authenticateToken, validateReviewReply, async (req, res) => {
+  try {
+    // Verify partner role
+    if (req.user.role !== 'partner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Partner role required.'
+      });
+    }
+
+    const { reviewId } = req.params;
+
+    // Validate review ID format
+    if (!reviewId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid review ID format'
+      });
+    }
+
+    const review = await replyToReview(reviewId, req.user.partnerId, req.body.message);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reply saved',
+      data: review.getPublicView()
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Reply to review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while replying to review'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /reviews/{reviewId}/report:
+ *   post:
+ *     summary: Report an abusive or fake review
+ *     description: Customers and partners can report a review once. After REVIEW_REPORT_THRESHOLD (3) reports it is flagged for admin moderation.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [spam, offensive, fake, irrelevant, other]
+ *               details:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Report received
+ *       404:
+ *         description: Review not found
+ *       409:
+ *         description: Already reported
+ */
+router.post('/:reviewId/report', authenticateToken, validateReviewReport, async (req, res) => {
+  try {
+    if (!['user', 'partner'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const { reviewId } = req.params;
+
+    // Validate review ID format
+    if (!reviewId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid review ID format'
+      });
+    }
+
+    const reporter = {
+      id: req.user.role === 'partner' ? req.user.partnerId : req.user.userId,
+      role: req.user.role
+    };
+    await reportReview(reviewId, reporter, { reason: req.body.reason, details: req.body.details });
+
+    res.status(200).json({
+      success: true,
+      message: 'Thank you. Our team will review this report.'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Report review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while reporting review'
+    });
+  }
+});
+
+module.exports = router;
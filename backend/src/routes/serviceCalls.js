@@ -6,6 +6,15 @@ const Partner = require('../models/Partner');
 const User = require('../models/User');
 const { authenticateToken } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/validation');
+const {
+  respondToCall,
+  counterQuote,
+  acceptQuote,
+  cancelCall,
+  completeCall
+} = require('../services/serviceCalls');
+const { createReview } = require('../services/reviews');
 
 /**
  * Validation for creating service call
@@ -45,11 +54,6 @@ const validateServiceCall = [
     .isIn(['service_request', 'inquiry', 'emergency'])
     .withMessage('Call type must be one of: service_request, inquiry, emergency'),
   
-  body('callStatus')
-    .optional()
-    .isIn(['pending', 'accepted', 'rejected', 'completed', 'cancelled'])
-    .withMessage('Call status must be one of: pending, accepted, rejected, completed, cancelled'),
-  
   body('source')
     .optional()
     .isIn(['app', 'web', 'phone', 'other'])
@@ -68,11 +72,138 @@ const validateServiceCall = [
   }
 ];
 
+/**
+ * Validation for a partner's response to a service call
+ */
+const validateCallResponse = [
+  body('action')
+    .isIn(['quote', 'accept', 'reject'])
+    .withMessage('Action must be one of: quote, accept, reject'),
+  
+  // Required for quotes, optional otherwise
+  body('price')
+    .if((value, { req }) => req.body.action === 'quote' || value !== undefined)
+    .isFloat({ gt: 0 })
+    .withMessage('Price must be greater than zero')
+    .toFloat(),
+  
+  body('estimatedTime')
+    .optional()
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('Estimated time must be between 1 and 1440 minutes')
+    .toInt(),
+  
+  body('validForHours')
+    .optional()
+    .isInt({ min: 1, max: 168 })
+    .withMessage('Quote validity must be between 1 and 168 hours')
+    .toInt(),
+  
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message must be less than 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation for a customer's counter-offer
+ */
+const validateCounterOffer = [
+  body('price')
+    .isFloat({ gt: 0 })
+    .withMessage('Counter-offer price must be greater than zero')
+    .toFloat(),
+  
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message must be less than 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation for accepting a quote
+ */
+const validateQuoteAcceptance = [
+  body('scheduledTime')
+    .isISO8601()
+    .withMessage('Scheduled time must be a valid date and time')
+    .toDate(),
+  
+  body('specialInstructions')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Special instructions must be less than 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation for cancelling a service call
+ */
+const validateCallCancel = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation for completing a service call
+ */
+const validateCallCompletion = [
+  body('actualPrice')
+    .isFloat({ min: 0 })
+    .withMessage('Actual price must be zero or more')
+    .toFloat(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation for rating a service call
+ */
+const validateCallRating = [
+  body('customerRating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5')
+    .toInt(),
+  
+  body('customerFeedback')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Feedback must be less than 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Count calls per status, with every status present
+ */
+const countByStatus = (calls = []) => {
+  const counts = Object.fromEntries(ServiceCall.CALL_STATUSES.map(status => [status, 0]));
+  calls.forEach(call => {
+    counts[call.callStatus]++;
+  });
+  return counts;
+};
+
 /**
  * @swagger
  * /service-calls:
  *   post:
  *     summary: Create a service call request (Customer Auth Required)
+ *     description: The call is created pending. The partner then quotes, accepts or rejects it via /service-calls/{callId}/respond.
  *     tags: [Service Calls]
  *     security:
  *       - bearerAuth: []
@@ -110,11 +241,6 @@ const validateServiceCall = [
  *                 type: string
  *                 enum: [service_request, inquiry, emergency]
  *                 example: "service_request"
- *               callStatus:
- *                 type: string
- *                 enum: [pending, accepted, rejected, completed, cancelled]
- *                 example: "pending"
- *                 description: "Call status (optional, defaults to 'pending')"
  *               source:
  *                 type: string
  *                 enum: [app, web, phone, other]
@@ -161,7 +287,6 @@ router.post('/', authenticateToken, validateServiceCall, async (req, res) => {
       preferredTime,
       urgency,
       callType,
-      callStatus,
       source,
       vehicleDetails
     } = req.body;
@@ -230,7 +355,8 @@ router.post('/', authenticateToken, validateServiceCall, async (req, res) => {
       preferredTime,
       urgency: urgency || 'medium',
       callType: callType || 'service_request',
-      callStatus: callStatus || 'pending', // Allow customer to set status, default to pending
+      // New calls always start pending; later statuses come from the lifecycle routes
+      callStatus: 'pending',
       vehicleDetails: vehicleDetails || {},
       source: source || 'app',
       ipAddress: req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for']?.split(',')[0] || 'unknown', // Auto-calculate IP
@@ -291,7 +417,7 @@ router.post('/', authenticateToken, validateServiceCall, async (req, res) => {
  *         name: callStatus
  *         schema:
  *           type: string
- *           enum: [pending, accepted, rejected, completed, cancelled]
+ *           enum: [pending, quoted, countered, accepted, rejected, expired, completed, cancelled]
  *         description: Filter by call status
  *     responses:
  *       200:
@@ -350,13 +476,7 @@ router.get('/partner/dashboard', authenticateToken, async (req, res) => {
 
     // Calculate statistics
     const totalCalls = serviceCalls.length;
-    const callsByStatus = {
-      pending: serviceCalls.filter(call => call.callStatus === 'pending').length,
-      accepted: serviceCalls.filter(call => call.callStatus === 'accepted').length,
-      rejected: serviceCalls.filter(call => call.callStatus === 'rejected').length,
-      completed: serviceCalls.filter(call => call.callStatus === 'completed').length,
-      cancelled: serviceCalls.filter(call => call.callStatus === 'cancelled').length
-    };
+    const callsByStatus = countByStatus(serviceCalls);
 
     // Group calls by service
     const callsByService = {};
@@ -370,13 +490,7 @@ router.get('/partner/dashboard', authenticateToken, async (req, res) => {
           serviceName,
           serviceCategory: call.serviceCategory,
           totalCalls: 0,
-          callsByStatus: {
-            pending: 0,
-            accepted: 0,
-            rejected: 0,
-            completed: 0,
-            cancelled: 0
-          },
+          callsByStatus: countByStatus(),
           calls: []
         };
       }
@@ -473,10 +587,17 @@ router.get('/partner/dashboard', authenticateToken, async (req, res) => {
           preferredTime: call.preferredTime,
           vehicleDetails: call.vehicleDetails,
           partnerResponse: call.partnerResponse,
+          counterOffer: call.counterOffer,
+          offerExpiresAt: call.offerExpiresAt,
+          agreedPrice: call.agreedPrice,
+          bookingId: call.bookingId,
+          negotiationHistory: call.negotiationHistory,
           completedAt: call.completedAt,
           actualPrice: call.actualPrice,
           customerRating: call.customerRating,
           customerFeedback: call.customerFeedback,
+          cancelledAt: call.cancelledAt,
+          cancellationReason: call.cancellationReason,
           createdAt: call.createdAt,
           updatedAt: call.updatedAt
         }))
@@ -529,7 +650,7 @@ router.get('/partner/dashboard', authenticateToken, async (req, res) => {
  *         name: callStatus
  *         schema:
  *           type: string
- *           enum: [pending, accepted, rejected, completed, cancelled]
+ *           enum: [pending, quoted, countered, accepted, rejected, expired, completed, cancelled]
  *         description: Filter by call status
  *       - in: query
  *         name: page
@@ -616,13 +737,7 @@ router.get('/customer/dashboard', authenticateToken, async (req, res) => {
     const totalCalls = await ServiceCall.countDocuments({ customerId });
     const allCallsForStats = await ServiceCall.find({ customerId });
     
-    const callsByStatus = {
-      pending: allCallsForStats.filter(call => call.callStatus === 'pending').length,
-      accepted: allCallsForStats.filter(call => call.callStatus === 'accepted').length,
-      rejected: allCallsForStats.filter(call => call.callStatus === 'rejected').length,
-      completed: allCallsForStats.filter(call => call.callStatus === 'completed').length,
-      cancelled: allCallsForStats.filter(call => call.callStatus === 'cancelled').length
-    };
+    const callsByStatus = countByStatus(allCallsForStats);
 
     // Group calls by service
     const callsByService = {};
@@ -636,13 +751,7 @@ router.get('/customer/dashboard', authenticateToken, async (req, res) => {
           serviceName,
           serviceCategory: call.serviceCategory,
           totalCalls: 0,
-          callsByStatus: {
-            pending: 0,
-            accepted: 0,
-            rejected: 0,
-            completed: 0,
-            cancelled: 0
-          }
+          callsByStatus: countByStatus()
         };
       }
       
@@ -665,13 +774,7 @@ router.get('/customer/dashboard', authenticateToken, async (req, res) => {
           partnerName,
           partnerPhone: call.partnerPhone,
           totalCalls: 0,
-          callsByStatus: {
-            pending: 0,
-            accepted: 0,
-            rejected: 0,
-            completed: 0,
-            cancelled: 0
-          }
+          callsByStatus: countByStatus()
         };
       }
       
@@ -698,13 +801,7 @@ router.get('/customer/dashboard', authenticateToken, async (req, res) => {
           serviceName: call.serviceName || 'Unknown Service',
           serviceCategory: call.serviceCategory,
           totalCalls: 0,
-          callsByStatus: {
-            pending: 0,
-            accepted: 0,
-            rejected: 0,
-            completed: 0,
-            cancelled: 0
-          },
+          callsByStatus: countByStatus(),
           recentCalls: []
         };
       }
@@ -796,10 +893,17 @@ router.get('/customer/dashboard', authenticateToken, async (req, res) => {
           preferredTime: call.preferredTime,
           vehicleDetails: call.vehicleDetails,
           partnerResponse: call.partnerResponse,
+          counterOffer: call.counterOffer,
+          offerExpiresAt: call.offerExpiresAt,
+          agreedPrice: call.agreedPrice,
+          bookingId: call.bookingId,
+          negotiationHistory: call.negotiationHistory,
           completedAt: call.completedAt,
           actualPrice: call.actualPrice,
           customerRating: call.customerRating,
           customerFeedback: call.customerFeedback,
+          cancelledAt: call.cancelledAt,
+          cancellationReason: call.cancellationReason,
           createdAt: call.createdAt,
           updatedAt: call.updatedAt
         })),
@@ -821,5 +925,641 @@ router.get('/customer/dashboard', authenticateToken, async (req, res) => {
   }
 });
 
-module.exports = router;
+/**
+ * @swagger
+ * /service-calls/{callId}:
+ *   get:
+ *     summary: Get a service call with its negotiation history
+ *     tags: [Service Calls]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: callId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Service call ID
+ *     responses:
+ *       200:
+ *         description: Service call retrieved successfully
+ *       404:
+ *         description: Service call not found
+ */
+router.get('/:callId', authenticateToken, async (req, res) => {
+  try {
+    const { callId } = req.params;
+
+    // Validate call ID format
+    if (!callId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid service call ID format'
+      });
+    }
+
+    // Customers and partners only see their own calls
+    const query = { _id: callId };
+    if (req.user.role === 'user') {
+      query.customerId = req.user.userId;
+    } else if (req.user.role === 'partner') {
+      query.partnerId = req.user.partnerId;
+    }
+
+    const serviceCall = await ServiceCall.findOne(query);
+    if (!serviceCall) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service call not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: serviceCall
+    });
+  } catch (error) {
+    console.error('Get service call error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving service call'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /service-calls/{callId}/respond:
+ *   post:
+ *     summary: Respond to a service call (Partner Auth Required)
+ *     description: |
+ *       - quote: offer a price on a pending call, revise an open quote or answer a counter-offer with a new price. The quote is open for validForHours (default SERVICE_CALL_QUOTE_VALIDITY_HOURS, 24) and then expires.
+ *       - accept: take a pending call directly, or agree to the customer's counter-offer, which becomes the quote the customer books.
+ *       - reject: decline the call.
+ *     tags: [Service Calls]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: callId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Service call ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [quote, accept, reject]
+ *                 example: "quote"
+ *               price:
+ *                 type: number
+ *                 description: Quoted price in rupees (required for quote)
+ *                 example: 1200
+ *               estimatedTime:
+ *                 type: integer
+ *                 description: Estimated time in minutes
+ *                 example: 90
+ *               validForHours:
+ *                 type: integer
+ *                 example: 24
+ *               message:
+ *                 type: string
+ *                 example: "Includes two new tubeless tyres and fitting"
+ *     responses:
+ *       200:
+ *         description: Response recorded
+ *       400:
+ *         description: Call cannot be answered this way
+ *       404:
+ *         description: Service call not found
+ *       409:
+ *         description: Counter-offer expired, or the call changed in the meantime
+ */
+router.post('/:callId/respond', authenticateToken, validateCallResponse, async (req, res) => {
+  try {
+    // Verify partner role
+    if (req.user.role !== 'partner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Partner role required.'
+      });
+    }
+
+    const { callId } = req.params;
+
+    // Validate call ID format
+    if (!callId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid service call ID format'
+      });
+    }
+
+    const serviceCall = await ServiceCall.findOne({ _id: callId, partnerId: req.user.partnerId });
+    if (!serviceCall) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service call not found or access denied'
+      });
+    }
+
+    const { action, price, estimatedTime, message, validForHours } = req.body;
+    const updated = await respondToCall(serviceCall, { action, price, estimatedTime, message, validForHours });
+
+    res.status(200).json({
+      success: true,
+      message: `Service call ${updated.callStatus}`,
+      data: updated
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+    console.error('Respond to service call error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while responding to service call'
+    });
+  }
+});
 
+/**
+ * @swagger
+ * /service-calls/{callId}/counter:
+ *   post:
+ *     summary: Counter a partner's quote (Customer Auth Required)
+ *     description: Offers a lower price. The partner can quote again, accept the counter-offer or reject the call; an unanswered counter-offer expires after SERVICE_CALL_QUOTE_VALIDITY_HOURS (24).
+ *     tags: [Service Calls]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: callId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Service call ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - price
+ *             properties:
+ *               price:
+ *                 type: number
+ *                 example: 1000
+ *               message:
+ *                 type: string
+ *                 example: "Another shop quoted 1000"
+ *     responses:
+ *       200:
+ *         description: Counter-offer sent
+ *       400:
+ *         description: No open quote, or the price is not below the quote
+ *       404:
+ *         description: Service call not found
+ *       409:
+ *         description: Quote expired, or the call changed in the meantime
+ */
+router.post('/:callId/counter', authenticateToken, validateCounterOffer, async (req, res) => {
+  try {
+    // Verify customer role
+    if (req.user.role !== 'user') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Customer role required.'
+      });
+    }
+
+    const { callId } = req.params;
+
+    // Validate call ID format
+    if (!callId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid service call ID format'
+      });
+    }
+
+    const serviceCall = await ServiceCall.findOne({ _id: callId, customerId: req.user.userId });
+    if (!serviceCall) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service call not found or access denied'
+      });
+    }
+
+    const { price, message } = req.body;
+    const updated = await counterQuote(serviceCall, { price, message });
+
+    res.status(200).json({
+      success: true,
+      message: 'Counter-offer sent',
+      data: updated
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+    console.error('Counter service call quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while sending counter-offer'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /service-calls/{callId}/accept-quote:
+ *   post:
+ *     summary: Accept a partner's quote and book it (Customer Auth Required)
+ *     description: Creates a scheduled booking at the quoted price for the chosen slot, which must be free in the partner's schedule. The call moves to accepted and links to the booking.
+ *     tags: [Service Calls]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: callId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Service call ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scheduledTime
+ *             properties:
+ *               scheduledTime:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2024-01-20T09:00:00.000Z"
+ *               specialInstructions:
+ *                 type: string
+ *                 example: "Call before arriving"
+ *     responses:
+ *       201:
+ *         description: Quote accepted and booking created
+ *       400:
+ *         description: No open quote, or the time is not a bookable slot
+ *       404:
+ *         description: Service call not found
+ *       409:
+ *         description: Quote expired, slot taken, or the call changed in the meantime
+ */
+router.post('/:callId/accept-quote', authenticateToken, validateQuoteAcceptance, async (req, res) => {
+  try {
+    // Verify customer role
+    if (req.user.role !== 'user') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Customer role required.'
+      });
+    }
+
+    const { callId } = req.params;
+
+    // Validate call ID format
+    if (!callId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid service call ID format'
+      });
+    }
+
+    const serviceCall = await ServiceCall.findOne({ _id: callId, customerId: req.user.userId });
+    if (!serviceCall) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service call not found or access denied'
+      });
+    }
+
+    const { scheduledTime, specialInstructions } = req.body;
+    const { serviceCall: updated, booking } = await acceptQuote(serviceCall, { scheduledTime, specialInstructions });
+
+    res.status(201).json({
+      success: true,
+      message: 'Quote accepted and booking created',
+      data: {
+        serviceCall: updated,
+        booking
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+    console.error('Accept service call quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while accepting quote'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /service-calls/{callId}/cancel:
+ *   post:
+ *     summary: Cancel a service call (Customer Auth Required)
+ *     description: Pending, quoted, countered and accepted calls can be cancelled. A call that was turned into a booking is cancelled by cancelling the booking.
+ *     tags: [Service Calls]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: callId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Service call ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Fixed it myself"
+ *     responses:
+ *       200:
+ *         description: Service call cancelled
+ *       400:
+ *         description: Call cannot be cancelled
+ *       404:
+ *         description: Service call not found
+ *       409:
+ *         description: The call changed in the meantime
+ */
+router.post('/:callId/cancel', authenticateToken, validateCallCancel, async (req, res) => {
+  try {
+    // Verify customer role
+    if (req.user.role !== 'user') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Customer role required.'
+      });
+    }
+
+    const { callId } = req.params;
+
+    // Validate call ID format
+    if (!callId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid service call ID format'
+      });
+    }
+
+    const serviceCall = await ServiceCall.findOne({ _id: callId, customerId: req.user.userId });
+    if (!serviceCall) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service call not found or access denied'
+      });
+    }
+
+    const updated = await cancelCall(serviceCall, { reason: req.body.reason });
+
+    res.status(200).json({
+      success: true,
+      message: 'Service call cancelled',
+      data: updated
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+    console.error('Cancel service call error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while cancelling service call'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /service-calls/{callId}/complete:
+ *   post:
+ *     summary: Mark an accepted service call completed (Partner Auth Required)
+ *     description: Records the price actually charged. A call that was turned into a booking completes with the booking.
+ *     tags: [Service Calls]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: callId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Service call ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - actualPrice
+ *             properties:
+ *               actualPrice:
+ *                 type: number
+ *                 example: 1150
+ *     responses:
+ *       200:
+ *         description: Service call completed
+ *       400:
+ *         description: Call is not accepted, or was booked
+ *       404:
+ *         description: Service call not found
+ *       409:
+ *         description: The call changed in the meantime
+ */
+router.post('/:callId/complete', authenticateToken, validateCallCompletion, async (req, res) => {
+  try {
+    // Verify partner role
+    if (req.user.role !== 'partner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Partner role required.'
+      });
+    }
+
+    const { callId } = req.params;
+
+    // Validate call ID format
+    if (!callId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid service call ID format'
+      });
+    }
+
+    const serviceCall = await ServiceCall.findOne({ _id: callId, partnerId: req.user.partnerId });
+    if (!serviceCall) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service call not found or access denied'
+      });
+    }
+
+    const updated = await completeCall(serviceCall, { actualPrice: req.body.actualPrice });
+
+    res.status(200).json({
+      success: true,
+      message: 'Service call completed',
+      data: updated
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+    console.error('Complete service call error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while completing service call'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /service-calls/{callId}/rate:
+ *   post:
+ *     summary: Rate a completed service call (Customer Auth Required)
+ *     description: A call can be rated once. The rating is stored as a review of the partner (same as POST /reviews with sourceType service_call).
+ *     tags: [Service Calls]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: callId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Service call ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - customerRating
+ *             properties:
+ *               customerRating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 5
+ *               customerFeedback:
+ *                 type: string
+ *                 example: "Quick and fairly priced"
+ *     responses:
+ *       200:
+ *         description: Rating saved
+ *       400:
+ *         description: Call is not completed
+ *       404:
+ *         description: Service call not found
+ *       409:
+ *         description: Call was already rated
+ */
+router.post('/:callId/rate', authenticateToken, validateCallRating, async (req, res) => {
+  try {
+    // Verify customer role
+    if (req.user.role !== 'user') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Customer role required.'
+      });
+    }
+
+    const { callId } = req.params;
+
+    // Validate call ID format
+    if (!callId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid service call ID format'
+      });
+    }
+
+    const serviceCall = await ServiceCall.findOne({ _id: callId, customerId: req.user.userId });
+    if (!serviceCall) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service call not found or access denied'
+      });
+    }
+
+    // Stored as a review, which also sets customerRating/customerFeedback on the call
+    const { customerRating, customerFeedback } = req.body;
+    const review = await createReview({
+      sourceType: 'service_call',
+      sourceId: serviceCall._id,
+      userId: req.user.userId,
+      rating: customerRating,
+      comment: customerFeedback
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Thank you for your feedback',
+      data: review.getPublicView()
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+    console.error('Rate service call error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while rating service call'
+    });
+  }
+});
+
+module.exports = router;
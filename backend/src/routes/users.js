@@ -119,6 +119,17 @@ router.get('/profile', authenticateToken, async (req, res) => {
  *                 type: string
  *                 enum: [en, hi, gu]
  *                 example: "en"
+ *                 description: Language of notifications
+ *               notifications:
+ *                 type: object
+ *                 description: Channels the user wants notifications on
+ *                 properties:
+ *                   push:
+ *                     type: boolean
+ *                   sms:
+ *                     type: boolean
+ *                   email:
+ *                     type: boolean
  *               emergencyContacts:
  *                 type: array
  *                 items:
@@ -188,6 +199,7 @@ router.put('/profile', authenticateToken, validateProfileUpdate, async (req, res
       profilePicture,
       address,
       language,
+      notifications,
       emergencyContacts 
     } = req.body;
     
@@ -264,6 +276,11 @@ router.put('/profile', authenticateToken, validateProfileUpdate, async (req, res
     if (profilePicture) updateData.profilePicture = profilePicture;
     if (address) updateData.address = address;
     if (language) updateData.language = language;
+    if (notifications && typeof notifications === 'object') {
+      ['push', 'sms', 'email'].forEach(channel => {
+        if (typeof notifications[channel] === 'boolean') updateData[`notifications.${channel}`] = notifications[channel];
+      });
+    }
     if (normalizedEmergencyContacts) updateData.emergencyContacts = normalizedEmergencyContacts;
 
     // Update user profile
@@ -0,0 +1,294 @@
+const express = require('express');
+const router = express.Router();
+const WalletTransaction = require('../models/WalletTransaction');
+const { authenticateToken } = require('../middleware/auth');
+const { validateWalletTopup } = require('../middleware/validation');
+const { getBalance, createTopupOrder } = require('../services/wallet');
+const { getReferralSummary } = require('../services/referrals');
+
+const RECENT_TRANSACTIONS = 10;
+
+// Wallet routes are for customers only
+const requireUserRole = (req, res, next) => {
+  if (req.user.role !== 'user') {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. User role required.'
+    });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /wallet:
+ *   get:
+ *     summary: Get wallet balance and recent transactions
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wallet retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     balance:
+ *                       type: number
+ *                       description: Balance in rupees
+ *                       example: 250
+ *                     referralCode:
+ *                       type: string
+ *                       example: "K7M2QX9P"
+ *                     recentTransactions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       403:
+ *         description: Access denied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', authenticateToken, requireUserRole, async (req, res) => {
+  try {
+    const [balance, referral, transactions] = await Promise.all([
+      getBalance(req.user.userId),
+      getReferralSummary(req.user.userId),
+      WalletTransaction.find({ userId: req.user.userId })
+        .sort({ createdAt: -1 })
+        .limit(RECENT_TRANSACTIONS)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        balance: balance / 100,
+        referralCode: referral.referralCode,
+        recentTransactions: transactions.map(transaction => transaction.getSummary())
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Get wallet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving wallet'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /wallet/transactions:
+ *   get:
+ *     summary: List wallet transactions
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [topup, refund, referral_bonus, booking_payment, adjustment]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Transactions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       403:
+ *         description: Access denied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/transactions', authenticateToken, requireUserRole, async (req, res) => {
+  try {
+    const { type, page = 1, limit = 20 } = req.query;
+
+    const query = { userId: req.user.userId };
+    if (type) query.type = type;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [total, transactions] = await Promise.all([
+      WalletTransaction.countDocuments(query),
+      WalletTransaction.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: transactions.map(transaction => transaction.getSummary()),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Get wallet transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving wallet transactions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /wallet/topup:
+ *   post:
+ *     summary: Start a wallet top-up
+ *     description: Opens a gateway order for the amount. The wallet is credited once the payment is confirmed through POST /payments/verify, the gateway webhook or reconciliation. Top-ups must be between WALLET_TOPUP_MIN (₹100) and WALLET_TOPUP_MAX (₹10000), and the balance cannot exceed WALLET_MAX_BALANCE (₹20000).
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Top-up in rupees
+ *                 example: 500
+ *     responses:
+ *       201:
+ *         description: Top-up order created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Amount outside the allowed range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/topup', authenticateToken, requireUserRole, validateWalletTopup, async (req, res) => {
+  try {
+    const { payment, checkout } = await createTopupOrder(req.user.userId, req.body.amount);
+
+    res.status(201).json({
+      success: true,
+      message: 'Top-up order created successfully',
+      data: {
+        payment: payment.getSummary(),
+        checkout
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.details && { data: error.details })
+      });
+    }
+    console.error('Create wallet top-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating top-up order'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /wallet/referrals:
+ *   get:
+ *     summary: Get referral code and referral earnings
+ *     description: Share the code with friends; when someone registers with it, both customers get a wallet bonus after their first completed booking (REFERRAL_REFERRER_BONUS ₹100 and REFERRAL_REFEREE_BONUS ₹50).
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Referral summary retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     referralCode:
+ *                       type: string
+ *                       example: "K7M2QX9P"
+ *                     referredCount:
+ *                       type: integer
+ *                       example: 3
+ *                     rewardedCount:
+ *                       type: integer
+ *                       example: 2
+ *                     totalEarned:
+ *                       type: number
+ *                       example: 200
+ */
+router.get('/referrals', authenticateToken, requireUserRole, async (req, res) => {
+  try {
+    const summary = await getReferralSummary(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Get referrals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving referrals'
+    });
+  }
+});
+
+module.exports = router;
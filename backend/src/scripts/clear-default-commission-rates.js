@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Partner = require('../models/Partner');
+const connectDB = require('../config/database');
+
+// Value every partner was given by the old schema default
+const FORMER_DEFAULT_RATE = 10;
+
+/**
+ * Remove the commission rate partners only have because of the former schema default
+ * A partner rate outranks category and booking type commission rules, so while these
+ * stay set those rules never apply. Rates an admin set (commissionRateSetAt) are kept.
+ * Safe to run more than once.
+ */
+const clearDefaultCommissionRates = async () => {
+  try {
+    await connectDB();
+    console.log('📊 Connected to MongoDB\n');
+
+    console.log(`🧹 Clearing commission rates left at the former default of ${FORMER_DEFAULT_RATE}%...`);
+    const result = await Partner.updateMany(
+      { commissionRate: FORMER_DEFAULT_RATE, commissionRateSetAt: { $exists: false } },
+      { $unset: { commissionRate: 1 } }
+    );
+    console.log(`   ✅ Cleared ${result.modifiedCount} partner(s); commission rules now apply to them`);
+  } catch (error) {
+    console.error('❌ Error clearing commission rates:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+};
+
+// Run script
+if (require.main === module) {
+  clearDefaultCommissionRates();
+}
+
+module.exports = { clearDefaultCommissionRates };
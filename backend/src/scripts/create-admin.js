@@ -2,6 +2,19 @@ const mongoose = require('mongoose');
 require('dotenv').config();
 
 const Admin = require('../models/Admin');
+const { setSeedPassword } = require('../services/adminPasswords');
+
+const ADMIN_EMAIL = (process.env.ADMIN_SEED_EMAIL || 'rollonadmin@admin.com').toLowerCase().trim();
+
+const printPasswordSetup = (resetLink) => {
+  if (resetLink) {
+    console.log('   Choose a password with this one-time link before logging in:');
+    console.log(`   ${resetLink}`);
+    console.log('   The link expires; run this script again for a new one');
+  } else {
+    console.log('   Password: ADMIN_SEED_PASSWORD');
+  }
+};
 
 const createAdmin = async () => {
   try {
@@ -11,23 +24,23 @@ const createAdmin = async () => {
     console.log('📊 Connected to MongoDB');
     
     // Check if admin already exists
-    const existingAdmin = await Admin.findOne({ email: 'rollonadmin@admin.com' });
+    const existingAdmin = await Admin.findOne({ email: ADMIN_EMAIL }).select('+password +passwordHistory');
     
     if (existingAdmin) {
-      console.log('✅ Admin user already exists with email: rollonadmin@admin.com');
+      console.log(`✅ Admin user already exists with email: ${ADMIN_EMAIL}`);
       console.log('   Updating password...');
-      existingAdmin.password = 'RollOn@1234';
-      await existingAdmin.save();
+      const resetLink = await setSeedPassword(existingAdmin);
       console.log('✅ Admin password updated successfully');
+      printPasswordSetup(resetLink);
+      await mongoose.connection.close();
       process.exit(0);
     }
     
     // Create new admin user
     const admin = new Admin({
       username: 'rollonadmin',
-      email: 'rollonadmin@admin.com',
+      email: ADMIN_EMAIL,
       name: 'Rollon Admin',
-      password: 'RollOn@1234', // Will be hashed by pre-save hook
       role: 'super_admin',
       isActive: true,
       isEmailVerified: true,
@@ -64,19 +77,20 @@ const createAdmin = async () => {
       ]
     });
     
-    await admin.save();
+    // Saved with the password (hashed by the pre-save hook)
+    const resetLink = await setSeedPassword(admin);
     
     console.log('✅ Admin user created successfully!');
-    console.log('   Email: rollonadmin@admin.com');
-    console.log('   Password: RollOn@1234');
+    console.log(`   Email: ${ADMIN_EMAIL}`);
     console.log('   Role: super_admin');
+    printPasswordSetup(resetLink);
     
     // Close database connection
     await mongoose.connection.close();
     console.log('📊 Database connection closed');
     process.exit(0);
   } catch (error) {
-    console.error('❌ Error creating admin user:', error);
+    console.error('❌ Error creating admin user:', error.details ? `${error.message}: ${error.details.requirements.join(', ')}` : error);
     await mongoose.connection.close();
     process.exit(1);
   }
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Admin = require('../models/Admin');
+const connectDB = require('../config/database');
+
+/**
+ * Mark admins created before role templates as having custom permissions
+ * Their permissions were set one by one, so they must not be replaced by their role's
+ * template the next time they change role or are saved. Super admins are allowed
+ * everything and are left alone. Safe to run more than once.
+ */
+const markAdminPermissionsCustom = async () => {
+  try {
+    await connectDB();
+    console.log('📊 Connected to MongoDB\n');
+
+    console.log('🔐 Marking existing admin permissions as custom...');
+    const result = await Admin.updateMany(
+      { customPermissions: { $exists: false }, role: { $ne: 'super_admin' } },
+      { $set: { customPermissions: true } }
+    );
+    console.log(`   ✅ Marked ${result.modifiedCount} admin(s); their permissions are kept as they are`);
+  } catch (error) {
+    console.error('❌ Error marking admin permissions:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+};
+
+// Run script
+if (require.main === module) {
+  markAdminPermissionsCustom();
+}
+
+module.exports = { markAdminPermissionsCustom };
@@ -6,12 +6,15 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const cookieParser = require('cookie-parser');
 const swaggerUi = require('swagger-ui-express');
+const mongoose = require('mongoose');
 require('dotenv').config();
 
 const connectDB = require('./config/database');
 const swaggerSpecs = require('./config/swagger');
 const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
+const { resumePendingDispatches } = require('./services/emergencyDispatch');
+const { startJobs, stopJobs } = require('./jobs');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -23,6 +26,22 @@ const serviceCallRoutes = require('./routes/serviceCalls');
 const bookingRoutes = require('./routes/bookings');
 const emergencyRoutes = require('./routes/emergency');
 const adminRoutes = require('./routes/admin');
+const paymentRoutes = require('./routes/payments');
+const invoiceRoutes = require('./routes/invoices');
+const couponRoutes = require('./routes/coupons');
+const walletRoutes = require('./routes/wallet');
+const reviewRoutes = require('./routes/reviews');
+const deviceRoutes = require('./routes/devices');
+
+// OTP codes are hashed and two-factor secrets encrypted with these; refuse to start rather than fall back to a guessable one
+if (!process.env.OTP_SECRET && !process.env.JWT_SECRET) {
+  console.error('❌ OTP_SECRET or JWT_SECRET must be set');
+  process.exit(1);
+}
+if (!process.env.TWO_FACTOR_ENCRYPTION_KEY) {
+  console.error('❌ TWO_FACTOR_ENCRYPTION_KEY must be set');
+  process.exit(1);
+}
 
 const app = express();
 
@@ -32,6 +51,18 @@ app.set('trust proxy', true);
 // Connect to MongoDB
 connectDB();
 
+// Re-arm emergency dispatch timers that were lost on restart
+mongoose.connection.once('open', () => {
+  resumePendingDispatches()
+    .then(count => {
+      if (count > 0) console.log(`🚨 Resumed dispatch for ${count} active emergencies`);
+    })
+    .catch(error => console.error('Error resuming emergency dispatch:', error));
+
+  // Booking expiry and other background jobs
+  startJobs();
+});
+
 // Security middleware
 app.use(helmet());
 app.use(cors({
@@ -51,7 +82,15 @@ app.use('/api/', limiter);
 app.use(cookieParser());
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Compression middleware
@@ -94,6 +133,12 @@ app.use('/api/service-calls', serviceCallRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/emergency', emergencyRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/devices', deviceRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -109,7 +154,13 @@ app.get('/', (req, res) => {
       serviceCalls: '/api/service-calls',
       bookings: '/api/bookings',
       emergency: '/api/emergency',
-      admin: '/api/admin'
+      admin: '/api/admin',
+      payments: '/api/payments',
+      invoices: '/api/invoices',
+      coupons: '/api/coupons',
+      wallet: '/api/wallet',
+      reviews: '/api/reviews',
+      devices: '/api/devices'
     }
   });
 });
@@ -129,6 +180,7 @@ const server = app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  stopJobs();
   server.close(() => {
     console.log('Process terminated');
   });
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const Admin = require('../models/Admin');
+const createHttpError = require('../utils/httpError');
+const { sendEmail } = require('./email');
+const { revokeAllSessions } = require('./sessions');
+
+/**
+ * Admin password policy and reset configuration - all values can be overridden from the environment
+ */
+const MIN_LENGTH = parseInt(process.env.ADMIN_PASSWORD_MIN_LENGTH, 10) || 12;
+// The current password and this many earlier ones cannot be chosen again
+const HISTORY_SIZE = parseInt(process.env.ADMIN_PASSWORD_HISTORY, 10) || 5;
+const RESET_EXPIRE_MINUTES = parseInt(process.env.ADMIN_PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+
+const COMPLEXITY_RULES = [
+  { pattern: /[a-z]/, message: 'at least one lowercase letter' },
+  { pattern: /[A-Z]/, message: 'at least one uppercase letter' },
+  { pattern: /\d/, message: 'at least one number' },
+  { pattern: /[^a-zA-Z0-9]/, message: 'at least one symbol' }
+];
+
+/**
+ * Requirements every admin password must meet, for forms and error messages
+ */
+const getPasswordRequirements = () => [
+  `at least ${MIN_LENGTH} characters`,
+  ...COMPLEXITY_RULES.map(rule => rule.message),
+  'must not contain the username or email name',
+  `must not be one of the last ${HISTORY_SIZE + 1} passwords`
+];
+
+/**
+ * Check a new password against the length and complexity rules
+ * @param {string} password - New password
+ * @param {Object} admin - { username, email } of the admin it is for
+ * @throws 400 with the unmet requirements in details
+ */
+const assertPasswordPolicy = (password, { username, email } = {}) => {
+  const value = String(password || '');
+  const unmet = [];
+
+  if (value.length < MIN_LENGTH) {
+    unmet.push(`at least ${MIN_LENGTH} characters`);
+  }
+  COMPLEXITY_RULES
+    .filter(rule => !rule.pattern.test(value))
+    .forEach(rule => unmet.push(rule.message));
+
+  const lower = value.toLowerCase();
+  const names = [username, email && email.split('@')[0]]
+    .filter(name => name && name.length >= 3)
+    .map(name => name.toLowerCase());
+  if (names.some(name => lower.includes(name))) {
+    unmet.push('must not contain the username or email name');
+  }
+
+  if (unmet.length > 0) {
+    throw createHttpError(400, 'Password does not meet the password policy', { requirements: unmet });
+  }
+};
+
+/**
+ * Give an admin a new password that passes the policy and was not used recently
+ * The admin must be loaded with +password +passwordHistory; it is modified, not saved.
+ */
+const changePassword = async (admin, newPassword) => {
+  assertPasswordPolicy(newPassword, admin);
+
+  const previous = [admin.password, ...(admin.passwordHistory || []).map(entry => entry.hash)].filter(Boolean);
+  for (const hash of previous) {
+    if (await bcrypt.compare(newPassword, hash)) {
+      throw createHttpError(400, `Password must not be one of the last ${HISTORY_SIZE + 1} passwords`);
+    }
+  }
+
+  if (admin.password) {
+    admin.passwordHistory = [
+      ...(admin.passwordHistory || []),
+      { hash: admin.password, changedAt: admin.passwordChangedAt || admin.createdAt }
+    ].slice(-HISTORY_SIZE);
+  }
+  admin.password = newPassword;
+  admin.passwordResetRequired = false;
+  admin.passwordResetToken = undefined;
+  admin.passwordResetExpires = undefined;
+};
+
+const getResetLink = (token) => {
+  const baseUrl = process.env.ADMIN_PANEL_URL || `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')}/admin`;
+  return `${baseUrl.replace(/\/$/, '')}/reset-password?token=${token}`;
+};
+
+/**
+ * Give an admin created or kept up by a setup script a password the operator can use
+ * With ADMIN_SEED_PASSWORD the admin gets that password, checked against the policy and
+ * history like any other change. Without it the admin chooses one through a one-time reset
+ * link, which is returned for the script to print; until then a new admin has a random one.
+ * The admin must be loaded with +password +passwordHistory; it is saved, and an existing
+ * admin is logged out everywhere.
+ * @returns {Promise<string|null>} The reset link, or null when ADMIN_SEED_PASSWORD was used
+ */
+const setSeedPassword = async (admin) => {
+  const isNew = admin.isNew;
+  let resetLink = null;
+
+  if (process.env.ADMIN_SEED_PASSWORD) {
+    await changePassword(admin, process.env.ADMIN_SEED_PASSWORD);
+    await admin.save();
+  } else {
+    if (isNew) {
+      admin.password = `${crypto.randomBytes(MIN_LENGTH).toString('base64url').slice(0, MIN_LENGTH)}aA1!`;
+    }
+    admin.passwordResetRequired = true;
+    resetLink = getResetLink(await admin.generatePasswordResetToken(RESET_EXPIRE_MINUTES));
+  }
+
+  if (!isNew) {
+    await revokeAllSessions('admin', admin._id, 'password_reset');
+  }
+  return resetLink;
+};
+
+/**
+ * Email a reset link; failures are logged, not thrown
+ * @param {boolean} forced - The reset was required by a super admin
+ */
+const sendResetEmail = async (admin, token, forced) => {
+  const intro = forced
+    ? 'A super admin has required you to choose a new password for the Rollon admin panel. You cannot log in until you do.'
+    : 'We received a request to reset your Rollon admin panel password. If you did not ask for this you can ignore this email.';
+
+  try {
+    await sendEmail(
+      admin.email,
+      'Reset your Rollon admin password',
+      `Hi ${admin.name},\n\n${intro}\n\nReset your password: ${getResetLink(token)}\n\n` +
+        `The link works once and expires in ${RESET_EXPIRE_MINUTES} minutes.\n\n- Team Rollon`
+    );
+  } catch (error) {
+    console.error('Admin password reset email error:', error);
+  }
+};
+
+/**
+ * Email a one-time reset link to an active admin
+ * Unknown or inactive addresses are ignored so the response does not reveal which admins exist.
+ * @returns {Promise<string|null>} The reset token, or null when nothing was sent
+ */
+const requestPasswordReset = async (email) => {
+  const admin = await Admin.findOne({ email: String(email).toLowerCase().trim(), isActive: true });
+  if (!admin) return null;
+
+  const token = await admin.generatePasswordResetToken(RESET_EXPIRE_MINUTES);
+
+  // Runs in the background
+  sendResetEmail(admin, token, admin.passwordResetRequired);
+
+  return token;
+};
+
+/**
+ * Set a new password with a reset link token
+ * The account is unlocked and every session of the admin is ended.
+ */
+const resetPassword = async (token, newPassword) => {
+  const admin = await Admin.findOne({
+    passwordResetToken: Admin.hashResetToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+password +passwordHistory');
+  if (!admin) {
+    throw createHttpError(400, 'Invalid or expired reset token');
+  }
+
+  await changePassword(admin, newPassword);
+  admin.unlockAccount();
+  await admin.save();
+  await revokeAllSessions('admin', admin._id, 'password_reset');
+
+  return admin;
+};
+
+/**
+ * Lift the failed-login lock on an admin account before it runs out
+ */
+const unlockAdmin = async (adminId) => {
+  const admin = await Admin.findById(adminId);
+  if (!admin) {
+    throw createHttpError(404, 'Admin not found');
+  }
+  if (!admin.isAccountLocked()) {
+    throw createHttpError(400, 'Admin account is not locked');
+  }
+
+  admin.unlockAccount();
+  await admin.save();
+  return admin;
+};
+
+/**
+ * Make an admin choose a new password
+ * They are logged out everywhere, cannot log in with the old password, and are emailed a reset link.
+ * @param {Object} actor - { adminId } of the super admin
+ */
+const forcePasswordReset = async (actor, adminId) => {
+  if (String(actor.adminId) === String(adminId)) {
+    throw createHttpError(400, 'Use forgot password to reset your own password');
+  }
+
+  const admin = await Admin.findById(adminId);
+  if (!admin) {
+    throw createHttpError(404, 'Admin not found');
+  }
+
+  admin.passwordResetRequired = true;
+  const token = await admin.generatePasswordResetToken(RESET_EXPIRE_MINUTES);
+  await revokeAllSessions('admin', admin._id, 'password_reset');
+
+  // Runs in the background
+  sendResetEmail(admin, token, true);
+
+  return admin;
+};
+
+module.exports = {
+  getPasswordRequirements,
+  assertPasswordPolicy,
+  setSeedPassword,
+  requestPasswordReset,
+  resetPassword,
+  unlockAdmin,
+  forcePasswordReset
+};
@@ -0,0 +1,216 @@
+const Admin = require('../models/Admin');
+const createHttpError = require('../utils/httpError');
+const { revokeAllSessions } = require('./sessions');
+const { assertPasswordPolicy } = require('./adminPasswords');
+
+const { PERMISSION_MODULES, PERMISSION_ACTIONS, ROLE_TEMPLATES } = Admin;
+const ROLES = Admin.schema.path('role').enumValues;
+
+/**
+ * Check a permissions list and merge entries for the same module
+ * @param {Array} permissions - [{ module, actions: [] }]
+ * @returns {Array} Permissions with at least one action, in PERMISSION_MODULES order
+ */
+const normalizePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    throw createHttpError(400, 'permissions must be an array of { module, actions }');
+  }
+
+  const merged = new Map();
+  permissions.forEach((entry) => {
+    const { module, actions } = entry || {};
+    if (!PERMISSION_MODULES.includes(module)) {
+      throw createHttpError(400, `Unknown permission module: ${module}`, { modules: PERMISSION_MODULES });
+    }
+    if (!Array.isArray(actions) || actions.some(action => !PERMISSION_ACTIONS.includes(action))) {
+      throw createHttpError(400, `Invalid actions for ${module}`, { actions: PERMISSION_ACTIONS });
+    }
+    merged.set(module, new Set([...(merged.get(module) || []), ...actions]));
+  });
+
+  return PERMISSION_MODULES
+    .filter(module => merged.has(module) && merged.get(module).size > 0)
+    .map(module => ({
+      module,
+      actions: PERMISSION_ACTIONS.filter(action => merged.get(module).has(action))
+    }));
+};
+
+/**
+ * An admin can only hand out permissions they hold themselves
+ */
+const assertCanGrant = (actor, permissions) => {
+  const missing = permissions.flatMap(({ module, actions }) =>
+    actions.filter(action => !actor.hasPermission(module, action)).map(action => `${module}:${action}`));
+
+  if (missing.length > 0) {
+    throw createHttpError(403, 'You cannot grant permissions you do not have', { missing });
+  }
+};
+
+const assertCanAssignRole = (actor, role) => {
+  if (role === 'super_admin' && actor.role !== 'super_admin') {
+    throw createHttpError(403, 'Only a super admin can create or promote super admins');
+  }
+};
+
+/**
+ * Load an admin another admin is about to change
+ * Nobody edits their own role, status or permissions, and super admins are only
+ * managed by super admins.
+ */
+const findManagedAdmin = async (actor, adminId) => {
+  if (String(actor._id) === String(adminId)) {
+    throw createHttpError(400, 'You cannot change your own role, status or permissions');
+  }
+
+  const admin = await Admin.findById(adminId);
+  if (!admin) {
+    throw createHttpError(404, 'Admin not found');
+  }
+  if (admin.role === 'super_admin' && actor.role !== 'super_admin') {
+    throw createHttpError(403, 'Only a super admin can manage super admins');
+  }
+  return admin;
+};
+
+/**
+ * Role templates and the available modules and actions, for the permission editor
+ */
+const getRoleTemplates = () => ({
+  roles: ROLES.map(role => ({
+    role,
+    permissions: role === 'super_admin' ? 'all' : ROLE_TEMPLATES[role]
+  })),
+  modules: PERMISSION_MODULES,
+  actions: PERMISSION_ACTIONS
+});
+
+/**
+ * Admins matching the filters, newest first
+ * @param {Object} filters - { role, isActive, search, page, limit }
+ */
+const listAdmins = async ({ role, isActive, search, page = 1, limit = 20 }) => {
+  const query = {};
+  if (role) query.role = role;
+  if (isActive !== undefined) query.isActive = isActive;
+  if (search) {
+    const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    query.$or = [{ name: pattern }, { email: pattern }, { username: pattern }];
+  }
+
+  const [total, admins] = await Promise.all([
+    Admin.countDocuments(query),
+    Admin.find(query)
+      .select('-password -twoFactorSecret -passwordResetToken -loginHistory -actionsPerformed')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  return { total, admins };
+};
+
+/**
+ * Create an admin account
+ * Without permissions the new admin follows the role template; with them the
+ * permissions are custom. Either way the creator must hold every permission granted.
+ * The password must meet the admin password policy.
+ * @param {Object} actor - Admin document of the creator (req.admin)
+ * @param {Object} params - { username, email, name, password, role, department, phoneNumber, permissions }
+ */
+const createAdmin = async (actor, { username, email, name, password, role = 'support', department, phoneNumber, permissions }) => {
+  assertCanAssignRole(actor, role);
+  assertPasswordPolicy(password, { username, email });
+
+  const customPermissions = permissions !== undefined && role !== 'super_admin';
+  const granted = customPermissions ? normalizePermissions(permissions) : (ROLE_TEMPLATES[role] || []);
+  assertCanGrant(actor, granted);
+
+  try {
+    return await Admin.create({
+      username,
+      email,
+      name,
+      password,
+      role,
+      department,
+      phoneNumber,
+      customPermissions,
+      ...(customPermissions && { permissions: granted })
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createHttpError(409, 'An admin with this email or username already exists');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Change another admin's profile, role or active status
+ * Changing an admin's role or deactivating them ends all of their sessions, because
+ * access tokens carry the role they were issued with.
+ * @param {Object} updates - { name, department, phoneNumber, role, isActive }
+ */
+const updateAdmin = async (actor, adminId, { name, department, phoneNumber, role, isActive }) => {
+  const admin = await findManagedAdmin(actor, adminId);
+
+  const roleChanged = role !== undefined && role !== admin.role;
+  if (roleChanged) {
+    assertCanAssignRole(actor, role);
+    if (!admin.customPermissions) {
+      assertCanGrant(actor, ROLE_TEMPLATES[role] || []);
+    }
+    admin.role = role;
+  }
+  if (name !== undefined) admin.name = name;
+  if (department !== undefined) admin.department = department;
+  if (phoneNumber !== undefined) admin.phoneNumber = phoneNumber;
+
+  const deactivated = isActive === false && admin.isActive;
+  if (isActive !== undefined) admin.isActive = isActive;
+
+  await admin.save();
+
+  if (deactivated) {
+    await revokeAllSessions('admin', admin._id, 'deactivated');
+  } else if (roleChanged) {
+    await revokeAllSessions('admin', admin._id, 'role_changed');
+  }
+
+  return admin;
+};
+
+/**
+ * Give an admin custom permissions, or put them back on their role template
+ * @param {Object} params - { permissions } or { useRoleTemplate: true }
+ */
+const setPermissions = async (actor, adminId, { permissions, useRoleTemplate }) => {
+  const admin = await findManagedAdmin(actor, adminId);
+  if (admin.role === 'super_admin') {
+    throw createHttpError(400, 'Super admins have every permission');
+  }
+
+  if (useRoleTemplate) {
+    assertCanGrant(actor, ROLE_TEMPLATES[admin.role] || []);
+    admin.customPermissions = false;
+    admin.permissions = ROLE_TEMPLATES[admin.role] || [];
+  } else {
+    const granted = normalizePermissions(permissions);
+    assertCanGrant(actor, granted);
+    admin.customPermissions = true;
+    admin.permissions = granted;
+  }
+
+  await admin.save();
+  return admin;
+};
+
+module.exports = {
+  getRoleTemplates,
+  listAdmins,
+  createAdmin,
+  updateAdmin,
+  setPermissions
+};
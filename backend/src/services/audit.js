@@ -0,0 +1,231 @@
+const Admin = require('../models/Admin');
+const AuditLog = require('../models/AuditLog');
+const Booking = require('../models/Booking');
+const CommissionRule = require('../models/CommissionRule');
+const Coupon = require('../models/Coupon');
+const Partner = require('../models/Partner');
+const Review = require('../models/Review');
+const Service = require('../models/Service');
+const Settlement = require('../models/Settlement');
+const Tyre = require('../models/Tyre');
+const User = require('../models/User');
+const { csvValue } = require('../utils/csv');
+
+/**
+ * Audit configuration - all values can be overridden from the environment
+ */
+const EXPORT_MAX_ROWS = parseInt(process.env.AUDIT_EXPORT_MAX_ROWS, 10) || 10000;
+// Longer before/after values (e.g. whole history arrays) are not stored
+const MAX_VALUE_LENGTH = 1000;
+
+const TARGET_MODELS = {
+  admin: Admin,
+  partner: Partner,
+  user: User,
+  booking: Booking,
+  settlement: Settlement,
+  commission_rule: CommissionRule,
+  coupon: Coupon,
+  review: Review,
+  service: Service,
+  tyre: Tyre
+};
+
+// Never copied into the log
+const SECRET_KEY = /password|secret|token|otp|hash|backup|^code$/i;
+const IGNORED_PATHS = ['__v', 'updatedAt'];
+
+/**
+ * Plain JSON copy of a value: ids and dates as strings, files left out, secrets removed
+ */
+const toPlain = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value) || value._bsontype === 'Binary') return '[binary]';
+  if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') return value.toString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => !SECRET_KEY.test(key))
+      .map(([key, item]) => [key, toPlain(item)]));
+  }
+  return value;
+};
+
+/**
+ * Leaf values of a document by dot path; arrays are compared as a whole
+ */
+const flatten = (value, prefix = '', paths = {}) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.entries(value).forEach(([key, item]) => flatten(item, prefix ? `${prefix}.${key}` : key, paths));
+  } else if (prefix) {
+    paths[prefix] = value;
+  }
+  return paths;
+};
+
+const limitValue = (value) => {
+  const json = JSON.stringify(value);
+  return json && json.length > MAX_VALUE_LENGTH ? '[too large to store]' : value;
+};
+
+/**
+ * Fields that differ between two versions of a document
+ * @returns {Array} [{ path, before, after }]
+ */
+const diffDocuments = (before, after) => {
+  const beforePaths = flatten(toPlain(before) || {});
+  const afterPaths = flatten(toPlain(after) || {});
+
+  return [...new Set([...Object.keys(beforePaths), ...Object.keys(afterPaths)])]
+    .filter(path => !IGNORED_PATHS.includes(path.split('.')[0]))
+    .filter(path => JSON.stringify(beforePaths[path]) !== JSON.stringify(afterPaths[path]))
+    .map(path => ({
+      path,
+      before: limitValue(beforePaths[path] === undefined ? null : beforePaths[path]),
+      after: limitValue(afterPaths[path] === undefined ? null : afterPaths[path])
+    }));
+};
+
+/**
+ * Current version of an audited record
+ * @param {string} targetType - Key of TARGET_MODELS
+ * @param {Object} filter - Query that finds the record
+ */
+const loadTarget = (targetType, filter) => TARGET_MODELS[targetType].findOne(filter).lean();
+
+/**
+ * Append an entry to the audit log
+ * The target is reloaded to diff it against the version loaded before the request.
+ * Never throws - failures are logged - so it can run after the response is sent.
+ * @param {Object} entry - { actor, action, targetType, targetId, before, details, method, path, statusCode, ipAddress, userAgent }
+ */
+const recordAudit = async ({ actor, action, targetType, targetId, before, details, ...request }) => {
+  try {
+    let changes = [];
+    if (targetType && targetId) {
+      const after = await loadTarget(targetType, { _id: targetId });
+      changes = diffDocuments(before, after);
+    }
+
+    return await AuditLog.create({
+      actor,
+      action,
+      targetType,
+      targetId,
+      changes,
+      details: limitValue(toPlain(details)),
+      ...request
+    });
+  } catch (error) {
+    console.error(`Audit ${action} error:`, error);
+    return null;
+  }
+};
+
+/**
+ * Query for the search and export filters
+ * @param {Object} filters - { adminId, actorEmail, action, targetType, targetId, from, to }
+ */
+const buildAuditQuery = ({ adminId, actorEmail, action, targetType, targetId, from, to }) => {
+  const query = {};
+  if (adminId) query['actor.adminId'] = adminId;
+  if (actorEmail) query['actor.email'] = actorEmail.toLowerCase().trim();
+  // partner. matches every partner action
+  if (action) {
+    query.action = action.endsWith('.')
+      ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+      : action;
+  }
+  if (targetType) query.targetType = targetType;
+  if (targetId) query.targetId = targetId;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+  return query;
+};
+
+/**
+ * Audit entries matching the filters, newest first
+ * @param {Object} filters - See buildAuditQuery
+ * @param {Object} options - { page, limit }
+ */
+const searchAuditLog = async (filters, { page = 1, limit = 50 }) => {
+  const query = buildAuditQuery(filters);
+
+  const [total, entries] = await Promise.all([
+    AuditLog.countDocuments(query),
+    AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  return { total, entries };
+};
+
+/**
+ * Export matching entries, newest first, up to AUDIT_EXPORT_MAX_ROWS
+ * @param {Object} filters - See buildAuditQuery
+ * @param {string} format - csv | json
+ * @returns {Promise<{ fileName: string, contentType: string, content: string, count: number, truncated: boolean }>}
+ */
+const exportAuditLog = async (filters, format = 'csv') => {
+  const query = buildAuditQuery(filters);
+  const [total, entries] = await Promise.all([
+    AuditLog.countDocuments(query),
+    AuditLog.find(query).sort({ createdAt: -1 }).limit(EXPORT_MAX_ROWS)
+  ]);
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  const base = {
+    count: entries.length,
+    truncated: total > entries.length
+  };
+
+  if (format === 'json') {
+    return {
+      ...base,
+      fileName: `audit-log-${stamp}.json`,
+      contentType: 'application/json; charset=utf-8',
+      content: JSON.stringify(entries.map(entry => entry.getSummary()), null, 2)
+    };
+  }
+
+  const header = [
+    'TIMESTAMP', 'ADMIN_ID', 'ADMIN_EMAIL', 'ADMIN_ROLE', 'ACTION', 'TARGET_TYPE', 'TARGET_ID',
+    'METHOD', 'PATH', 'STATUS', 'IP_ADDRESS', 'USER_AGENT', 'CHANGES', 'DETAILS'
+  ];
+  const rows = entries.map(entry => [
+    entry.createdAt.toISOString(),
+    entry.actor.adminId,
+    entry.actor.email,
+    entry.actor.role,
+    entry.action,
+    entry.targetType,
+    entry.targetId,
+    entry.method,
+    entry.path,
+    entry.statusCode,
+    entry.ipAddress,
+    entry.userAgent,
+    JSON.stringify(entry.changes),
+    entry.details === undefined ? '' : JSON.stringify(entry.details)
+  ].map(csvValue).join(','));
+
+  return {
+    ...base,
+    fileName: `audit-log-${stamp}.csv`,
+    contentType: 'text/csv; charset=utf-8',
+    content: [header.join(','), ...rows].join('\n') + '\n'
+  };
+};
+
+module.exports = {
+  loadTarget,
+  recordAudit,
+  searchAuditLog,
+  exportAuditLog
+};
@@ -0,0 +1,412 @@
+const crypto = require('crypto');
+const Partner = require('../models/Partner');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const createHttpError = require('../utils/httpError');
+const { distanceBetweenPoints } = require('../utils/geo');
+const {
+  parseTime,
+  formatTime,
+  isValidDateString,
+  toInstant,
+  toLocalParts,
+  getDayName
+} = require('../utils/schedule');
+
+/**
+ * Scheduling configuration - all values can be overridden from the environment
+ */
+const SLOT_INTERVAL_MINUTES = parseInt(process.env.BOOKING_SLOT_INTERVAL_MINUTES, 10) || 30;
+const MIN_LEAD_MINUTES = parseInt(process.env.BOOKING_MIN_LEAD_MINUTES, 10) || 60;
+const MAX_ADVANCE_DAYS = parseInt(process.env.BOOKING_MAX_ADVANCE_DAYS, 10) || 30;
+const DEFAULT_SERVICE_DURATION_MINUTES = 60;
+
+// Bookings in these statuses occupy capacity
+const BLOCKING_STATUSES = ['pending', 'accepted', 'in_progress'];
+
+// Used for partners that have not configured businessHours yet
+const DEFAULT_BUSINESS_HOURS = {
+  openTime: '09:00',
+  closeTime: '18:00',
+  closedDays: ['sunday']
+};
+
+// Schedule lock lease; long enough to cover the availability query and the booking save
+const LOCK_TTL_MS = parseInt(process.env.BOOKING_SCHEDULE_LOCK_TTL_MS, 10) || 30000;
+const LOCK_RETRIES = 10;
+const LOCK_RETRY_DELAY_MS = 200;
+
+// Alternative partner suggestions
+const ALTERNATIVE_SEARCH_RADIUS_KM = parseFloat(process.env.BOOKING_ALTERNATIVE_RADIUS_KM) || 15;
+const MAX_ALTERNATIVES = 3;
+const ALTERNATIVE_CANDIDATES = 10;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Opening windows of a partner on a date as [start, end] minutes since midnight
+ * The break (breakStart - breakEnd) splits the day into two windows.
+ */
+const getOpeningWindows = (partner, dateString) => {
+  const day = getDayName(dateString);
+  let hours;
+
+  if (!partner.businessHours || partner.businessHours.length === 0) {
+    if (DEFAULT_BUSINESS_HOURS.closedDays.includes(day)) return [];
+    hours = DEFAULT_BUSINESS_HOURS;
+  } else {
+    hours = partner.businessHours.find(entry => entry.day === day);
+    if (!hours || !hours.isOpen) return [];
+  }
+
+  const open = parseTime(hours.openTime);
+  const close = parseTime(hours.closeTime);
+  if (open === null || close === null || close <= open) return [];
+
+  const breakStart = parseTime(hours.breakStart);
+  const breakEnd = parseTime(hours.breakEnd);
+  if (breakStart === null || breakEnd === null || breakEnd <= breakStart ||
+    breakEnd <= open || breakStart >= close) {
+    return [[open, close]];
+  }
+
+  return [
+    [open, Math.max(breakStart, open)],
+    [Math.min(breakEnd, close), close]
+  ].filter(([start, end]) => end > start);
+};
+
+/**
+ * Duration of a service at a partner: the partner's own estimate, then the catalogue estimate
+ */
+const getServiceDuration = (partnerService, service) =>
+  (partnerService && partnerService.estimatedTime) ||
+  (service && service.estimatedDuration) ||
+  DEFAULT_SERVICE_DURATION_MINUTES;
+
+/**
+ * Time ranges already taken by the partner's open bookings between two instants
+ */
+const getBookedIntervals = async (partnerId, from, to, excludeBookingId) => {
+  const query = {
+    partnerId,
+    status: { $in: BLOCKING_STATUSES },
+    // A booking that started the previous day can still run into this one
+    scheduledDate: { $gte: new Date(from.getTime() - DAY_MS), $lt: to }
+  };
+  if (excludeBookingId) {
+    query._id = { $ne: excludeBookingId };
+  }
+
+  const bookings = await Booking.find(query)
+    .select('scheduledDate scheduledTime scheduledEndTime estimatedDuration');
+
+  return bookings
+    .map(booking => {
+      const start = booking.getScheduledStart();
+      const end = booking.scheduledEndTime ||
+        new Date(start.getTime() + (booking.estimatedDuration || DEFAULT_SERVICE_DURATION_MINUTES) * MINUTE_MS);
+      return { start, end };
+    })
+    .filter(interval => interval.end > from && interval.start < to);
+};
+
+/**
+ * Highest number of bookings running at the same moment within [start, end)
+ */
+const getPeakConcurrency = (intervals, start, end) => {
+  const events = [];
+  intervals.forEach(interval => {
+    if (interval.start < end && interval.end > start) {
+      events.push([Math.max(interval.start.getTime(), start.getTime()), 1]);
+      events.push([Math.min(interval.end.getTime(), end.getTime()), -1]);
+    }
+  });
+
+  // Ends sort before starts at the same instant so back-to-back bookings do not overlap
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  let current = 0;
+  let peak = 0;
+  events.forEach(([, change]) => {
+    current += change;
+    peak = Math.max(peak, current);
+  });
+
+  return peak;
+};
+
+/**
+ * Load and check the partner, service and the partner's offer of that service
+ */
+const resolveBookingContext = async (partnerId, serviceId) => {
+  const partner = await Partner.findById(partnerId)
+    .select('shopName businessName ownerName location address services businessHours serviceCapacity isApproved approvalStatus isActive');
+
+  if (!partner || !partner.isApproved || partner.approvalStatus !== 'approved') {
+    throw createHttpError(404, 'Partner not found or not approved');
+  }
+
+  const partnerService = partner.services.find(s =>
+    s.serviceId && s.serviceId.toString() === serviceId.toString()
+  );
+  if (!partnerService || partnerService.isAvailable === false) {
+    throw createHttpError(400, 'Partner does not offer this service');
+  }
+
+  const service = await Service.findById(serviceId);
+  if (!service || !service.isActive) {
+    throw createHttpError(404, 'Service not found or inactive');
+  }
+
+  return {
+    partner,
+    service,
+    partnerService,
+    durationMinutes: getServiceDuration(partnerService, service)
+  };
+};
+
+/**
+ * Bookable slots of one day for an already resolved booking context
+ */
+const computeAvailability = async (context, dateString, excludeBookingId) => {
+  const { partner, durationMinutes } = context;
+  const capacity = partner.serviceCapacity || 1;
+  const now = Date.now();
+  const earliestStart = now + MIN_LEAD_MINUTES * MINUTE_MS;
+
+  const dayStart = toInstant(dateString, 0);
+  const dayEnd = toInstant(dateString, 24 * 60);
+  const intervals = await getBookedIntervals(partner._id, dayStart, dayEnd, excludeBookingId);
+
+  const slots = [];
+  getOpeningWindows(partner, dateString).forEach(([windowStart, windowEnd]) => {
+    for (let minutes = windowStart; minutes + durationMinutes <= windowEnd; minutes += SLOT_INTERVAL_MINUTES) {
+      const start = toInstant(dateString, minutes);
+      if (start.getTime() < earliestStart) continue;
+
+      const end = new Date(start.getTime() + durationMinutes * MINUTE_MS);
+      const remaining = Math.max(capacity - getPeakConcurrency(intervals, start, end), 0);
+
+      slots.push({
+        startTime: formatTime(minutes),
+        endTime: formatTime(minutes + durationMinutes),
+        start,
+        end,
+        remaining,
+        available: remaining > 0
+      });
+    }
+  });
+
+  return {
+    date: dateString,
+    day: getDayName(dateString),
+    durationMinutes,
+    capacity,
+    slotIntervalMinutes: SLOT_INTERVAL_MINUTES,
+    slots
+  };
+};
+
+/**
+ * Check that a date is a valid YYYY-MM-DD within the booking window
+ */
+const assertBookableDate = (dateString) => {
+  if (!isValidDateString(dateString)) {
+    throw createHttpError(400, 'Date must be in YYYY-MM-DD format');
+  }
+
+  const today = toLocalParts(new Date()).dateString;
+  const lastDay = toLocalParts(new Date(Date.now() + MAX_ADVANCE_DAYS * DAY_MS)).dateString;
+  if (dateString < today || dateString > lastDay) {
+    throw createHttpError(400, `Bookings can only be made from today up to ${MAX_ADVANCE_DAYS} days ahead`);
+  }
+};
+
+/**
+ * Bookable slots for a partner's service on a date
+ * @param {Object} params - { partnerId, serviceId, date: 'YYYY-MM-DD', excludeBookingId }
+ */
+const getAvailability = async ({ partnerId, serviceId, date, excludeBookingId }) => {
+  assertBookableDate(date);
+
+  const context = await resolveBookingContext(partnerId, serviceId);
+  const availability = await computeAvailability(context, date, excludeBookingId);
+
+  return {
+    partnerId,
+    serviceId,
+    ...availability
+  };
+};
+
+/**
+ * Run fn while holding a short lease on the partner's schedule
+ * Serialises slot reservations for a partner across requests and server instances.
+ * The lease carries a random token and is only released by its holder, so a request that
+ * outlives its lease cannot release one another request has taken since.
+ * fn receives renewLease(), which extends the lease only while this request still holds it
+ * and rejects with a 503 once another request has taken it over.
+ */
+const withScheduleLock = async (partnerId, fn) => {
+  const token = crypto.randomBytes(16).toString('hex');
+
+  const renewLease = async () => {
+    const now = new Date();
+    const renewed = await Partner.updateOne(
+      { _id: partnerId, scheduleLockToken: token, scheduleLockedUntil: { $gt: now } },
+      { $set: { scheduleLockedUntil: new Date(now.getTime() + LOCK_TTL_MS) } }
+    );
+    if (renewed.modifiedCount !== 1) {
+      throw createHttpError(503, 'The partner schedule is busy. Please try again.');
+    }
+  };
+
+  for (let attempt = 0; attempt < LOCK_RETRIES; attempt++) {
+    const now = new Date();
+    const locked = await Partner.findOneAndUpdate(
+      {
+        _id: partnerId,
+        $or: [
+          { scheduleLockedUntil: null },
+          { scheduleLockedUntil: { $lte: now } }
+        ]
+      },
+      { $set: { scheduleLockedUntil: new Date(now.getTime() + LOCK_TTL_MS), scheduleLockToken: token } },
+      { projection: { _id: 1 } }
+    );
+
+    if (locked) {
+      try {
+        return await fn(renewLease);
+      } finally {
+        await Partner.updateOne(
+          { _id: partnerId, scheduleLockToken: token },
+          { $unset: { scheduleLockedUntil: 1, scheduleLockToken: 1 } }
+        );
+      }
+    }
+
+    await sleep(LOCK_RETRY_DELAY_MS);
+  }
+
+  throw createHttpError(503, 'The partner schedule is busy. Please try again.');
+};
+
+/**
+ * Reserve a slot and persist the booking while the partner's schedule is locked
+ * @param {Object} params - { partnerId, serviceId, start: Date, excludeBookingId,
+ *   durationMinutes: overrides the catalogue duration, e.g. with the partner's quote }
+ * @param {Function} persist - async ({ partner, service, partnerService, durationMinutes, slot }) => result
+ */
+const reserveSlot = async ({ partnerId, serviceId, start, excludeBookingId, durationMinutes }, persist) => {
+  const { dateString } = toLocalParts(start);
+  assertBookableDate(dateString);
+
+  const context = await resolveBookingContext(partnerId, serviceId);
+  if (durationMinutes > 0) {
+    context.durationMinutes = durationMinutes;
+  }
+
+  return withScheduleLock(partnerId, async (renewLease) => {
+    const availability = await computeAvailability(context, dateString, excludeBookingId);
+    const slot = availability.slots.find(s => s.start.getTime() === start.getTime());
+    const availableSlots = availability.slots.filter(s => s.available).map(s => s.startTime);
+
+    if (!slot) {
+      throw createHttpError(400, 'Requested time is not a bookable slot for this partner', {
+        date: dateString,
+        availableSlots
+      });
+    }
+
+    if (!slot.available) {
+      throw createHttpError(409, 'Time slot not available. Please choose a different time.', {
+        date: dateString,
+        availableSlots
+      });
+    }
+
+    // The availability read is only valid while the lease is held; a request that has
+    // lost it must not save a booking another request may have overlapped since
+    await renewLease();
+    return persist({ ...context, slot });
+  });
+};
+
+/**
+ * Nearby partners offering the same service that still have a free slot today or tomorrow
+ * Used to offer the customer somewhere else to go when a booking expires or is auto-cancelled.
+ */
+const findAlternativePartners = async (booking, limit = MAX_ALTERNATIVES) => {
+  if (!booking.userLocation || !booking.userLocation.coordinates) return [];
+
+  const candidates = await Partner.find({
+    _id: { $ne: booking.partnerId },
+    isApproved: true,
+    approvalStatus: 'approved',
+    'services.serviceId': booking.serviceId,
+    location: {
+      $nearSphere: {
+        $geometry: {
+          type: 'Point',
+          coordinates: booking.userLocation.coordinates
+        },
+        $maxDistance: ALTERNATIVE_SEARCH_RADIUS_KM * 1000
+      }
+    }
+  })
+    .select('_id')
+    .limit(ALTERNATIVE_CANDIDATES);
+
+  const today = toLocalParts(new Date()).dateString;
+  const tomorrow = toLocalParts(new Date(Date.now() + DAY_MS)).dateString;
+  const alternatives = [];
+
+  for (const candidate of candidates) {
+    if (alternatives.length >= limit) break;
+
+    try {
+      const context = await resolveBookingContext(candidate._id, booking.serviceId);
+      let slot = null;
+
+      for (const date of [today, tomorrow]) {
+        const { slots } = await computeAvailability(context, date);
+        slot = slots.find(s => s.available);
+        if (slot) break;
+      }
+      if (!slot) continue;
+
+      const { partner, partnerService } = context;
+      const distance = distanceBetweenPoints(booking.userLocation, partner.location);
+      alternatives.push({
+        partnerId: partner._id,
+        partnerName: partner.shopName || partner.businessName || partner.ownerName,
+        distance: distance !== null ? Math.round(distance * 100) / 100 : undefined,
+        price: partnerService.price,
+        nextAvailableSlot: slot.start
+      });
+    } catch (error) {
+      // Partner no longer offers the service or is not bookable - skip it
+      if (!error.statusCode) throw error;
+    }
+  }
+
+  return alternatives;
+};
+
+module.exports = {
+  getAvailability,
+  resolveBookingContext,
+  reserveSlot,
+  getOpeningWindows,
+  getPeakConcurrency,
+  findAlternativePartners,
+  BLOCKING_STATUSES,
+  SLOT_INTERVAL_MINUTES
+};
@@ -0,0 +1,354 @@
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const createHttpError = require('../utils/httpError');
+const { getGateway } = require('./payments');
+const { creditTopup, debitWallet } = require('./wallet');
+const { refundLateCapture } = require('./refunds');
+const { postOnlinePayment } = require('./ledger');
+
+/**
+ * Reconciliation configuration - all values can be overridden from the environment
+ */
+const RECONCILE_AFTER_MINUTES = parseInt(process.env.PAYMENT_RECONCILE_AFTER_MINUTES, 10) || 15;
+const RECONCILE_MAX_AGE_HOURS = parseInt(process.env.PAYMENT_RECONCILE_MAX_AGE_HOURS, 10) || 48;
+const RECONCILE_BATCH_SIZE = 50;
+
+const CURRENCY = 'INR';
+const UNPAYABLE_STATUSES = ['cancelled', 'rejected', 'expired'];
+
+/**
+ * Mirror a paid or failed payment onto its booking (or credit a paid wallet top-up)
+ * Conditional updates keep this idempotent: a paid or refunded booking is never overwritten.
+ * A capture that arrives after the booking was cancelled, rejected or expired is refunded.
+ */
+const syncBooking = async (payment) => {
+  if (payment.purpose === 'wallet_topup') {
+    if (payment.status === 'paid') await creditTopup(payment);
+    return;
+  }
+
+  if (payment.status === 'paid') {
+    const result = await Booking.updateOne(
+      {
+        _id: payment.bookingId,
+        status: { $nin: UNPAYABLE_STATUSES },
+        paymentStatus: { $in: ['pending', 'failed'] }
+      },
+      {
+        $set: {
+          paymentStatus: 'paid',
+          paymentMethod: payment.method || 'online',
+          transactionId: payment.providerPaymentId
+        }
+      }
+    );
+    // A booking already posted to the ledger as cash is moved over to online
+    if (result.modifiedCount > 0) {
+      await postOnlinePayment(payment.bookingId);
+      return;
+    }
+
+    const booking = await Booking.findById(payment.bookingId).select('status paymentStatus');
+    if (booking && UNPAYABLE_STATUSES.includes(booking.status) && ['pending', 'failed'].includes(booking.paymentStatus)) {
+      await refundLateCapture(payment);
+    }
+  } else if (payment.status === 'failed') {
+    await Booking.updateOne(
+      { _id: payment.bookingId, paymentStatus: 'pending' },
+      { $set: { paymentStatus: 'failed' } }
+    );
+  }
+};
+
+/**
+ * Amount still to pay for a booking, in paise; throws when it cannot be paid
+ */
+const getPayableAmount = (booking) => {
+  if (UNPAYABLE_STATUSES.includes(booking.status)) {
+    throw createHttpError(400, `Cannot pay for a ${booking.status} booking`);
+  }
+  if (['paid', 'partially_refunded', 'refunded'].includes(booking.paymentStatus)) {
+    throw createHttpError(409, `Booking payment is already ${booking.paymentStatus}`);
+  }
+
+  const amount = Math.round((booking.totalAmount || 0) * 100);
+  if (amount <= 0) {
+    throw createHttpError(400, 'Booking has no amount to pay');
+  }
+  return amount;
+};
+
+/**
+ * Create (or reuse) a gateway order for a booking's totalAmount
+ * An unpaid order for the same amount is returned again (gateways accept several
+ * attempts per order), so retries from the app do not open duplicate orders.
+ */
+const createBookingOrder = async (booking, userId) => {
+  const amount = getPayableAmount(booking);
+  const gateway = getGateway();
+
+  let payment = await Payment.findOne({
+    bookingId: booking._id,
+    provider: gateway.name,
+    status: { $in: ['created', 'failed'] },
+    amount
+  }).sort({ createdAt: -1 });
+
+  if (!payment) {
+    const order = await gateway.createOrder({
+      amount,
+      currency: CURRENCY,
+      receipt: booking.bookingId,
+      notes: { bookingId: booking.bookingId }
+    });
+
+    payment = await Payment.create({
+      bookingId: booking._id,
+      userId,
+      provider: gateway.name,
+      orderId: order.orderId,
+      amount: order.amount,
+      currency: order.currency
+    });
+  }
+
+  return {
+    payment,
+    checkout: {
+      ...gateway.getCheckoutConfig(),
+      orderId: payment.orderId,
+      amount: payment.amount,
+      currency: payment.currency,
+      receipt: booking.bookingId
+    }
+  };
+};
+
+/**
+ * Pay a booking's totalAmount from the customer's wallet
+ * The debit is keyed by booking, so a retried request never charges twice; the Payment
+ * record it creates is refunded like any other, always back to the wallet.
+ */
+const payBookingWithWallet = async (booking, userId) => {
+  const amount = getPayableAmount(booking);
+
+  const transaction = await debitWallet(userId, amount, {
+    type: 'booking_payment',
+    idempotencyKey: `booking:${booking._id}`,
+    description: `Payment for booking ${booking.bookingId}`,
+    bookingId: booking._id
+  });
+
+  let payment;
+  try {
+    payment = await Payment.create({
+      bookingId: booking._id,
+      userId,
+      provider: 'wallet',
+      orderId: `wallet_${transaction._id}`,
+      providerPaymentId: String(transaction._id),
+      amount: transaction.amount,
+      currency: CURRENCY,
+      status: 'paid',
+      method: 'wallet',
+      paidAt: transaction.completedAt || new Date()
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    payment = await Payment.findOne({ orderId: `wallet_${transaction._id}` });
+  }
+
+  await syncBooking(payment);
+  return payment;
+};
+
+/**
+ * Apply a final gateway outcome to a payment and its booking
+ * Each eventId is applied at most once, and a paid payment stays paid, so webhook
+ * retries, the checkout callback and reconciliation can all report the same payment.
+ * A capture whose amount or currency differs from the order is flagged, never marked paid.
+ * @param {Object} result - { orderId, eventId, type, source, outcome, providerPaymentId, method, amount, currency, failureReason }
+ * @returns {Promise<{ applied: boolean, flagged?: boolean, payment: Object|null }>}
+ */
+const applyPaymentResult = async (result) => {
+  const { orderId, eventId, type, source, outcome, providerPaymentId, method, amount, currency, failureReason } = result;
+
+  const existing = await Payment.findOne({ orderId });
+  if (!existing) {
+    return { applied: false, payment: null };
+  }
+
+  if (!['paid', 'failed'].includes(outcome)) {
+    return { applied: false, payment: existing };
+  }
+
+  const now = new Date();
+
+  if (outcome === 'paid' && (amount !== existing.amount || currency !== existing.currency)) {
+    const flagReason = `Gateway reported ${amount} ${currency} for an order of ${existing.amount} ${existing.currency}`;
+    console.error(`Payment order ${orderId} flagged: ${flagReason}`);
+
+    const flagged = await Payment.findOneAndUpdate(
+      { _id: existing._id, 'events.eventId': { $ne: eventId } },
+      {
+        $push: { events: { eventId, type, source, receivedAt: now } },
+        $set: { flaggedAt: now, flagReason }
+      },
+      { new: true }
+    );
+    return { applied: false, flagged: true, payment: flagged || existing };
+  }
+
+  const update = {
+    $push: { events: { eventId, type, source, receivedAt: now } },
+    $set: outcome === 'paid'
+      ? { status: 'paid', paidAt: now, providerPaymentId, method }
+      : { status: 'failed', failedAt: now, providerPaymentId, method, failureReason }
+  };
+
+  // A failure reported after the order was paid (e.g. an earlier declined attempt) is ignored
+  const payment = await Payment.findOneAndUpdate(
+    { _id: existing._id, 'events.eventId': { $ne: eventId }, status: { $ne: 'paid' } },
+    update,
+    { new: true }
+  );
+
+  // Re-sync even when nothing changed so a crash between the two writes heals on retry
+  await syncBooking(payment || existing);
+
+  return { applied: Boolean(payment), payment: payment || existing };
+};
+
+/**
+ * Confirm a payment from the checkout callback (orderId, paymentId, signature)
+ * Only a payment the gateway reports as captured marks the booking paid; one that is
+ * still authorised is returned unchanged.
+ */
+const verifyCheckoutPayment = async ({ orderId, paymentId, signature }, userId) => {
+  const payment = await Payment.findOne({ orderId, userId });
+  if (!payment) {
+    throw createHttpError(404, 'Payment order not found');
+  }
+
+  const gateway = getGateway(payment.provider);
+  if (!gateway.verifyCheckoutSignature({ orderId, paymentId, signature })) {
+    throw createHttpError(400, 'Invalid payment signature');
+  }
+
+  // The signature only proves the IDs; the outcome and amount come from the gateway's own record
+  const captured = await gateway.fetchPayment(paymentId);
+  if (captured.orderId !== orderId) {
+    throw createHttpError(400, 'Payment does not belong to this order');
+  }
+
+  // Authorised but not captured yet: the webhook or reconciliation settles it later
+  if (!captured.outcome) {
+    return payment;
+  }
+
+  const { payment: updated, flagged } = await applyPaymentResult({
+    orderId,
+    eventId: `checkout:${paymentId}:${captured.outcome}`,
+    type: 'checkout.verified',
+    source: 'checkout',
+    outcome: captured.outcome,
+    providerPaymentId: paymentId,
+    method: captured.method || payment.method || 'online',
+    amount: captured.amount,
+    currency: captured.currency,
+    failureReason: captured.failureReason
+  });
+
+  if (flagged) {
+    throw createHttpError(400, 'Payment amount does not match the order');
+  }
+  if (captured.outcome === 'failed') {
+    throw createHttpError(400, `Payment failed${captured.failureReason ? `: ${captured.failureReason}` : ''}`);
+  }
+
+  return updated;
+};
+
+/**
+ * Verify and apply a gateway webhook
+ * @param {string} provider - Gateway name from the webhook URL
+ * @param {Buffer|string} rawBody - Unparsed request body the signature was computed over
+ */
+const handleWebhook = async (provider, rawBody, body, headers) => {
+  let gateway;
+  try {
+    gateway = getGateway(provider);
+  } catch (error) {
+    throw createHttpError(404, 'Unknown payment provider');
+  }
+
+  if (!rawBody || !gateway.verifyWebhookSignature(rawBody, headers)) {
+    throw createHttpError(403, 'Invalid webhook signature');
+  }
+
+  const event = gateway.parseWebhookEvent(body, headers);
+  if (!event.orderId || !event.outcome) {
+    return { applied: false, ignored: true, type: event.type };
+  }
+
+  const { applied, payment } = await applyPaymentResult({ ...event, source: 'webhook' });
+  return {
+    applied,
+    ignored: !payment,
+    type: event.type,
+    status: payment ? payment.status : undefined
+  };
+};
+
+/**
+ * Ask the gateway about orders still waiting for an outcome
+ * Catches payments whose webhook never arrived. Safe to run repeatedly.
+ */
+const reconcilePayments = async () => {
+  const now = Date.now();
+
+  // Failed orders are included because the customer may retry on the same order
+  const payments = await Payment.find({
+    status: { $in: ['created', 'failed'] },
+    createdAt: {
+      $lte: new Date(now - RECONCILE_AFTER_MINUTES * 60 * 1000),
+      $gte: new Date(now - RECONCILE_MAX_AGE_HOURS * 60 * 60 * 1000)
+    }
+  })
+    .sort({ lastReconciledAt: 1, createdAt: 1 })
+    .limit(RECONCILE_BATCH_SIZE);
+
+  let settled = 0;
+  for (const payment of payments) {
+    try {
+      const status = await getGateway(payment.provider).fetchOrderStatus(payment.orderId);
+
+      await Payment.updateOne({ _id: payment._id }, { $set: { lastReconciledAt: new Date() } });
+      if (!status.outcome) continue;
+      // Nothing new: the same failed attempt is already recorded
+      if (status.outcome === payment.status && status.providerPaymentId === payment.providerPaymentId) continue;
+
+      const { applied } = await applyPaymentResult({
+        ...status,
+        orderId: payment.orderId,
+        eventId: `reconcile:${status.providerPaymentId}:${status.outcome}`,
+        type: `reconcile.${status.outcome}`,
+        source: 'reconciliation'
+      });
+      if (applied) settled++;
+    } catch (error) {
+      console.error(`Reconciling payment order ${payment.orderId} failed:`, error.message);
+    }
+  }
+
+  return settled;
+};
+
+module.exports = {
+  createBookingOrder,
+  payBookingWithWallet,
+  applyPaymentResult,
+  verifyCheckoutPayment,
+  handleWebhook,
+  reconcilePayments
+};
@@ -0,0 +1,238 @@
+const Booking = require('../models/Booking');
+const createHttpError = require('../utils/httpError');
+const { publishStatus } = require('./liveTracking');
+const { refundCancelledBooking } = require('./refunds');
+const { postBookingCompletion } = require('./ledger');
+const { generateBookingInvoice } = require('./invoices');
+const { releaseRedemption } = require('./coupons');
+const { rewardReferral } = require('./referrals');
+const { syncCallWithBooking } = require('./serviceCalls');
+const { notifyBookingStatus } = require('./notifications');
+
+const BOOKING_STATUSES = ['pending', 'accepted', 'in_progress', 'completed', 'cancelled', 'rejected', 'expired'];
+const ACTORS = ['user', 'partner', 'admin', 'system'];
+
+// Closing statuses that return an online payment to the customer
+const REFUNDABLE_STATUSES = ['cancelled', 'rejected', 'expired'];
+
+// Legacy status names still sent by older partner app builds
+const STATUS_ALIASES = {
+  confirmed: 'accepted',
+  'in-progress': 'in_progress'
+};
+
+/**
+ * Legal transitions: current status -> next status -> actors allowed to make it
+ * completed, cancelled, rejected and expired are terminal.
+ */
+const TRANSITIONS = {
+  pending: {
+    accepted: ['partner', 'admin'],
+    rejected: ['partner', 'admin'],
+    cancelled: ['user', 'admin', 'system'],
+    expired: ['system', 'admin']
+  },
+  accepted: {
+    in_progress: ['partner', 'admin'],
+    cancelled: ['user', 'partner', 'admin', 'system']
+  },
+  in_progress: {
+    completed: ['partner', 'admin']
+  },
+  completed: {},
+  cancelled: {},
+  rejected: {},
+  expired: {}
+};
+
+/**
+ * Map legacy aliases onto Booking.status values
+ * @returns {string|null} The schema status, or null if unknown
+ */
+const normalizeStatus = (status) => {
+  const normalized = STATUS_ALIASES[status] || status;
+  return BOOKING_STATUSES.includes(normalized) ? normalized : null;
+};
+
+const isTerminal = (status) => Object.keys(TRANSITIONS[status] || {}).length === 0;
+
+/**
+ * Statuses an actor may move a booking to from its current status
+ */
+const getAllowedTransitions = (fromStatus, actor) => {
+  const next = TRANSITIONS[fromStatus] || {};
+  return Object.keys(next).filter(status => next[status].includes(actor));
+};
+
+const canTransition = (fromStatus, toStatus, actor) => {
+  const next = TRANSITIONS[fromStatus] || {};
+  return Boolean(next[toStatus] && next[toStatus].includes(actor));
+};
+
+/**
+ * Throw an HTTP error describing why a transition is not allowed
+ */
+const assertTransition = (fromStatus, toStatus, actor) => {
+  if (!ACTORS.includes(actor)) {
+    throw new Error(`Unknown booking status actor: ${actor}`);
+  }
+
+  if (!toStatus) {
+    throw createHttpError(400, `Invalid status. Must be one of: ${BOOKING_STATUSES.join(', ')}`);
+  }
+
+  const next = TRANSITIONS[fromStatus] || {};
+
+  if (!next[toStatus]) {
+    throw createHttpError(409, `Cannot change booking status from ${fromStatus} to ${toStatus}`, {
+      currentStatus: fromStatus,
+      allowedTransitions: getAllowedTransitions(fromStatus, actor)
+    });
+  }
+
+  if (!next[toStatus].includes(actor)) {
+    throw createHttpError(403, `A ${actor} cannot change booking status from ${fromStatus} to ${toStatus}`, {
+      currentStatus: fromStatus,
+      allowedTransitions: getAllowedTransitions(fromStatus, actor)
+    });
+  }
+};
+
+/**
+ * Steps run after a booking reaches one of the listed statuses, in order
+ * Each step is independent: a failure is logged and the remaining steps still run.
+ * Steps receive the updated booking and { fromStatus, toStatus, actor, actorId, refundTo }.
+ */
+const POST_TRANSITION_HOOKS = [
+  {
+    // Missed postings are picked up by the settlement job
+    name: 'posting to the ledger',
+    statuses: ['completed'],
+    run: (booking) => postBookingCompletion(booking)
+  },
+  {
+    // Missed invoices are issued by the invoice job
+    name: 'invoicing',
+    statuses: ['completed'],
+    run: (booking) => generateBookingInvoice(booking)
+  },
+  {
+    // Missed referral bonuses are paid by the wallet job
+    name: 'rewarding the referral',
+    statuses: ['completed'],
+    run: (booking) => rewardReferral(booking.userId)
+  },
+  {
+    // Bookings converted from a service call close the call with them
+    name: 'updating the service call',
+    statuses: ['completed', ...REFUNDABLE_STATUSES],
+    run: (booking) => syncCallWithBooking(booking)
+  },
+  {
+    // Refund failures are recorded on the Refund and retried by the reconciliation job
+    name: 'refunding',
+    statuses: REFUNDABLE_STATUSES,
+    run: (booking, { actor, fromStatus, refundTo }) => refundCancelledBooking(booking, { actor, fromStatus, refundTo })
+  },
+  {
+    name: 'releasing the coupon',
+    statuses: REFUNDABLE_STATUSES,
+    run: (booking, { toStatus }) => releaseRedemption(booking._id, `Booking ${toStatus}`)
+  },
+  {
+    // Runs in the background; delivery failures are logged and recorded on the booking
+    name: 'notifying',
+    statuses: BOOKING_STATUSES,
+    run: (booking, { toStatus, actor }) => {
+      notifyBookingStatus(booking, toStatus, actor);
+    }
+  }
+];
+
+const runPostTransitionHooks = async (booking, context) => {
+  for (const hook of POST_TRANSITION_HOOKS) {
+    if (!hook.statuses.includes(context.toStatus)) continue;
+
+    try {
+      await hook.run(booking, context);
+    } catch (error) {
+      console.error(`Booking ${booking.bookingId}: ${hook.name} after ${context.toStatus} failed:`, error);
+    }
+  }
+};
+
+/**
+ * Move a booking to a new status
+ * Every status change goes through here so statusHistory records who made it and why, then
+ * the POST_TRANSITION_HOOKS for the new status run (ledger, invoice, referral, service call,
+ * refund, coupon and notifications).
+ * The change is only made if the stored booking still has the status it was loaded with, so
+ * two requests (or a request and the expiry job) cannot both move the same booking; the loser
+ * gets a 409 and none of the hooks run for it.
+ * @param {Object} booking - Booking document
+ * @param {string} toStatus - Target status (legacy aliases accepted)
+ * @param {Object} options - { actor: 'user'|'partner'|'admin'|'system', actorId: _id of the user, partner or admin,
+ *   reason, refundTo: 'source'|'wallet', updates: other fields to set with the status }
+ * @returns {Promise<Object>} The updated booking document
+ */
+const transitionBooking = async (booking, toStatus, { actor, actorId, reason = '', refundTo, updates = {} } = {}) => {
+  const fromStatus = booking.status;
+  const nextStatus = normalizeStatus(toStatus);
+
+  assertTransition(fromStatus, nextStatus, actor);
+
+  const now = new Date();
+  const changes = { ...updates, status: nextStatus };
+
+  if (nextStatus === 'in_progress') {
+    changes.serviceStartTime = now;
+    if (!booking.actualArrivalTime) changes.actualArrivalTime = now;
+  }
+
+  if (nextStatus === 'completed') {
+    changes.serviceEndTime = now;
+    changes.completedAt = now;
+    if (booking.serviceStartTime) {
+      changes.actualDuration = Math.round((now - booking.serviceStartTime) / 60000);
+    }
+  }
+
+  if (nextStatus === 'cancelled') {
+    changes.cancelledAt = now;
+    changes.cancellationReason = reason;
+  }
+
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: fromStatus },
+    {
+      $set: changes,
+      $push: { statusHistory: { status: nextStatus, timestamp: now, updatedBy: actor, updatedById: actorId, reason } }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    const current = await Booking.findById(booking._id).select('status');
+    throw createHttpError(409, 'Booking status changed while this request was being processed. Reload the booking and try again.', {
+      currentStatus: current ? current.status : null
+    });
+  }
+
+  publishStatus('booking', updated);
+
+  await runPostTransitionHooks(updated, { fromStatus, toStatus: nextStatus, actor, actorId, refundTo });
+
+  return updated;
+};
+
+module.exports = {
+  BOOKING_STATUSES,
+  TRANSITIONS,
+  normalizeStatus,
+  isTerminal,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition,
+  transitionBooking,
+  POST_TRANSITION_HOOKS
+};
@@ -0,0 +1,88 @@
+const Partner = require('../models/Partner');
+const CommissionRule = require('../models/CommissionRule');
+
+const DEFAULT_COMMISSION_RATE = process.env.DEFAULT_COMMISSION_RATE !== undefined
+  ? parseFloat(process.env.DEFAULT_COMMISSION_RATE)
+  : 10;
+
+/**
+ * Booking type used for rule matching; emergency bookings match 'emergency'
+ */
+const getBookingType = (booking) => (booking.isEmergency ? 'emergency' : booking.bookingType);
+
+/**
+ * Most specific rule first; among equally specific rules the lower rate wins
+ */
+const bySpecificity = (a, b) => b.getSpecificity() - a.getSpecificity() || a.rate - b.rate;
+
+/**
+ * Resolve the commission rate for a booking context
+ * Precedence:
+ *   1. Active promotional rule (most specific)
+ *   2. Standing rule scoped to the partner (most specific)
+ *   3. The partner's negotiated Partner.commissionRate
+ *   4. Standing category / booking type rule (most specific)
+ *   5. DEFAULT_COMMISSION_RATE
+ * @param {Object} context - { partnerId, serviceCategory, bookingType, at }
+ * @returns {Promise<{ rate: number, source: string, ruleId?: Object, name: string }>}
+ */
+const resolveCommission = async ({ partnerId, serviceCategory, bookingType, at = new Date() }) => {
+  const [rules, partner] = await Promise.all([
+    CommissionRule.find({
+      isActive: true,
+      $or: [{ partnerId: { $exists: false } }, { partnerId: null }, { partnerId }]
+    }),
+    partnerId ? Partner.findById(partnerId).select('commissionRate') : null
+  ]);
+
+  const matching = rules.filter(rule => rule.matches({ partnerId, serviceCategory, bookingType, at }));
+  const fromRule = (rule, source) => ({ rate: rule.rate, source, ruleId: rule._id, name: rule.name });
+
+  const promotion = matching.filter(rule => rule.isPromotional).sort(bySpecificity)[0];
+  if (promotion) return fromRule(promotion, 'promotion');
+
+  const standing = matching.filter(rule => !rule.isPromotional).sort(bySpecificity);
+
+  const partnerRule = standing.find(rule => rule.partnerId);
+  if (partnerRule) return fromRule(partnerRule, 'partner_rule');
+
+  if (partner && partner.commissionRate !== undefined && partner.commissionRate !== null) {
+    return { rate: partner.commissionRate, source: 'partner', name: 'Partner commission rate' };
+  }
+
+  if (standing.length > 0) return fromRule(standing[0], 'rule');
+
+  return { rate: DEFAULT_COMMISSION_RATE, source: 'default', name: 'Platform default' };
+};
+
+/**
+ * Resolve the commission for a booking, stamp the applied rule on it and recompute
+ * commissionAmount/partnerEarnings. The stamp is what later calculations use, so
+ * editing or expiring a rule never changes existing bookings. Does not save.
+ */
+const applyCommission = async (booking, { at } = {}) => {
+  const resolved = await resolveCommission({
+    partnerId: booking.partnerId,
+    serviceCategory: booking.serviceCategory,
+    bookingType: getBookingType(booking),
+    at: at || booking.createdAt || new Date()
+  });
+
+  booking.commissionRule = {
+    source: resolved.source,
+    ruleId: resolved.ruleId,
+    name: resolved.name,
+    rate: resolved.rate,
+    appliedAt: new Date()
+  };
+  booking.calculatePartnerEarnings();
+
+  return booking.commissionRule;
+};
+
+module.exports = {
+  resolveCommission,
+  applyCommission,
+  getBookingType,
+  DEFAULT_COMMISSION_RATE
+};
@@ -0,0 +1,221 @@
+const Booking = require('../models/Booking');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const createHttpError = require('../utils/httpError');
+
+// Bookings that never happened do not count against first-booking coupons
+const INACTIVE_BOOKING_STATUSES = ['cancelled', 'rejected', 'expired'];
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Find an active coupon by code
+ */
+const findCoupon = async (code) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code), isActive: true });
+  if (!coupon) {
+    throw createHttpError(404, 'Coupon not found');
+  }
+  return coupon;
+};
+
+/**
+ * Check a coupon against a booking context and work out the discount
+ * Limits are checked here for a clear error; redeemCoupon enforces them atomically.
+ * @param {Object} context - { userId, serviceId, serviceCategory, city, orderAmount, at }
+ * @returns {Promise<number>} Discount in rupees
+ */
+const checkEligibility = async (coupon, { userId, serviceId, serviceCategory, city, orderAmount, at = new Date() }) => {
+  if (coupon.validFrom && at < coupon.validFrom) {
+    throw createHttpError(400, 'Coupon is not active yet');
+  }
+  if (coupon.validUntil && at >= coupon.validUntil) {
+    throw createHttpError(400, 'Coupon has expired');
+  }
+
+  if (coupon.serviceIds.length > 0 && !coupon.serviceIds.some(id => String(id) === String(serviceId))) {
+    throw createHttpError(400, 'Coupon does not apply to this service');
+  }
+  if (coupon.serviceCategories.length > 0 && !coupon.serviceCategories.includes(serviceCategory)) {
+    throw createHttpError(400, 'Coupon does not apply to this service category');
+  }
+  if (coupon.cities.length > 0 && !coupon.cities.includes(String(city || '').trim().toLowerCase())) {
+    throw createHttpError(400, 'Coupon is not available in this city');
+  }
+
+  if (orderAmount < coupon.minOrderAmount) {
+    throw createHttpError(400, `Coupon needs a minimum booking amount of ₹${coupon.minOrderAmount}`, {
+      minOrderAmount: coupon.minOrderAmount
+    });
+  }
+
+  if (coupon.usageLimit && coupon.redemptionCount >= coupon.usageLimit) {
+    throw createHttpError(409, 'Coupon usage limit has been reached');
+  }
+
+  const [userRedemptions, previousBookings] = await Promise.all([
+    CouponRedemption.countDocuments({ couponId: coupon._id, userId, status: 'applied' }),
+    coupon.firstBookingOnly
+      ? Booking.countDocuments({ userId, status: { $nin: INACTIVE_BOOKING_STATUSES } })
+      : 0
+  ]);
+
+  if (userRedemptions >= coupon.perUserLimit) {
+    throw createHttpError(409, 'You have already used this coupon the maximum number of times');
+  }
+  if (previousBookings > 0) {
+    throw createHttpError(400, 'Coupon is only valid on your first booking');
+  }
+
+  return coupon.calculateDiscount(orderAmount);
+};
+
+/**
+ * City a booking is served in: the partner's city, else the customer's
+ */
+const getBookingCity = ({ partner, booking, user }) =>
+  (partner && partner.address && partner.address.city) ||
+  (booking && booking.userAddress && booking.userAddress.city) ||
+  (user && user.address && user.address.city);
+
+/**
+ * Preview a coupon for a partner's service without redeeming it
+ * @param {Object} params - { code, userId, user, partner, partnerService, service }
+ */
+const previewCoupon = async ({ code, userId, user, partner, partnerService, service }) => {
+  const coupon = await findCoupon(code);
+  const orderAmount = partnerService.price;
+
+  const discount = await checkEligibility(coupon, {
+    userId,
+    serviceId: service._id,
+    serviceCategory: partnerService.category || service.category,
+    city: getBookingCity({ partner, user }),
+    orderAmount
+  });
+
+  return {
+    code: coupon.code,
+    description: coupon.description,
+    discountType: coupon.discountType,
+    value: coupon.value,
+    maxDiscount: coupon.maxDiscount,
+    orderAmount,
+    discount,
+    payableAmount: Math.round((orderAmount - discount) * 100) / 100
+  };
+};
+
+/**
+ * Give up a reserved global use of a coupon
+ */
+const returnUse = (couponId) => Coupon.updateOne(
+  { _id: couponId, redemptionCount: { $gt: 0 } },
+  { $inc: { redemptionCount: -1 } }
+);
+
+/**
+ * Redeem a coupon on an unsaved booking and set booking.discount
+ * The global usage limit is reserved with a conditional $inc and the per-user limit by
+ * claiming a free userSlot under a unique index, so concurrent bookings cannot overspend
+ * either. First-booking-only coupons are also claimed under a unique index per user.
+ * Call releaseRedemption if the booking is not saved.
+ * @param {string} code - Coupon code
+ * @param {Object} params - { booking, user, partner }
+ * @returns {Promise<Object>} The redemption
+ */
+const redeemCoupon = async (code, { booking, user, partner }) => {
+  const coupon = await findCoupon(code);
+  const orderAmount = booking.basePrice +
+    (booking.additionalCharges || []).reduce((sum, charge) => sum + (charge.amount || 0), 0);
+
+  const discount = await checkEligibility(coupon, {
+    userId: booking.userId,
+    serviceId: booking.serviceId,
+    serviceCategory: booking.serviceCategory,
+    city: getBookingCity({ partner, booking, user }),
+    orderAmount
+  });
+
+  const reserved = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [
+        { usageLimit: { $exists: false } },
+        { usageLimit: null },
+        { $expr: { $lt: ['$redemptionCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+  if (!reserved) {
+    throw createHttpError(409, 'Coupon usage limit has been reached');
+  }
+
+  let redemption = null;
+  for (let userSlot = 1; userSlot <= coupon.perUserLimit && !redemption; userSlot++) {
+    try {
+      redemption = await CouponRedemption.create({
+        couponId: coupon._id,
+        code: coupon.code,
+        userId: booking.userId,
+        bookingId: booking._id,
+        userSlot,
+        ...(coupon.firstBookingOnly && { firstBookingOnly: true }),
+        discount
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        await returnUse(coupon._id);
+        throw error;
+      }
+      // Another booking got a first-booking discount at the same time
+      if (error.keyPattern && error.keyPattern.firstBookingOnly) {
+        await returnUse(coupon._id);
+        throw createHttpError(400, 'Coupon is only valid on your first booking');
+      }
+    }
+  }
+
+  if (!redemption) {
+    await returnUse(coupon._id);
+    throw createHttpError(409, 'You have already used this coupon the maximum number of times');
+  }
+
+  booking.discount = discount;
+  booking.coupon = {
+    couponId: coupon._id,
+    code: coupon.code,
+    discount
+  };
+
+  return redemption;
+};
+
+/**
+ * Release a booking's coupon so the customer can use it again
+ * Safe to call repeatedly and for bookings without a coupon.
+ * @returns {Promise<boolean>} Whether a redemption was released
+ */
+const releaseRedemption = async (bookingId, reason = '') => {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { bookingId, status: 'applied' },
+    { $set: { status: 'released', releasedAt: new Date(), releaseReason: reason } },
+    { new: true }
+  );
+  if (!redemption) return false;
+
+  await returnUse(redemption.couponId);
+  return true;
+};
+
+module.exports = {
+  normalizeCode,
+  findCoupon,
+  checkEligibility,
+  previewCoupon,
+  redeemCoupon,
+  releaseRedemption
+};
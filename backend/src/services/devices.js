@@ -0,0 +1,198 @@
+const DeviceToken = require('../models/DeviceToken');
+const Partner = require('../models/Partner');
+const User = require('../models/User');
+const createHttpError = require('../utils/httpError');
+const { sendPush, subscribeToTopic, unsubscribeFromTopic } = require('./push');
+
+/**
+ * Registry configuration - all values can be overridden from the environment
+ */
+const MAX_DEVICES_PER_ACCOUNT = parseInt(process.env.PUSH_MAX_DEVICES_PER_ACCOUNT, 10) || 10;
+
+const OWNERS = {
+  user: { model: User, audience: 'users' },
+  partner: { model: Partner, audience: 'partners' }
+};
+
+/**
+ * FCM topic names allow letters, digits and -_.~%
+ */
+const toTopicName = (value) => String(value).trim().toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+/**
+ * Topic of every customer or partner in a city, e.g. partners_city_ahmedabad
+ * @param {string} audience - users | partners
+ */
+const getCityTopic = (audience, city) => `${audience}_city_${toTopicName(city)}`;
+
+/**
+ * Topics the server subscribes an account's devices to: everyone of its kind
+ * (users / partners) and everyone of its kind in its city
+ */
+const getOwnerTopics = async (ownerType, ownerId) => {
+  const { model, audience } = OWNERS[ownerType];
+  const owner = await model.findById(ownerId).select('address.city');
+  const city = owner && owner.address && owner.address.city;
+
+  return [audience, ...(city && toTopicName(city) ? [getCityTopic(audience, city)] : [])];
+};
+
+/**
+ * Move a device's FCM topic subscriptions to the given topics
+ * Failures are logged; the next registration of the device tries again.
+ */
+const syncTopics = async (device, topics) => {
+  const current = device.topics || [];
+  const added = topics.filter(topic => !current.includes(topic));
+  const removed = current.filter(topic => !topics.includes(topic));
+  if (added.length === 0 && removed.length === 0) return device;
+
+  try {
+    for (const topic of removed) {
+      await unsubscribeFromTopic([device.token], topic);
+    }
+    for (const topic of added) {
+      const invalid = await subscribeToTopic([device.token], topic);
+      if (invalid.length > 0) {
+        await DeviceToken.deleteOne({ _id: device._id });
+        throw createHttpError(400, 'Push token was rejected by the push service');
+      }
+    }
+  } catch (error) {
+    if (error.statusCode) throw error;
+    console.error(`Push topic update failed for device ${device._id}:`, error.message);
+    return device;
+  }
+
+  return DeviceToken.findByIdAndUpdate(device._id, { $set: { topics } }, { new: true });
+};
+
+/**
+ * Register (or refresh) an app install's push token for an account
+ * Apps call this after login and on every launch. A token that moves to another account
+ * leaves the old account's topics, a new token from the same deviceId replaces the old
+ * one, and only the MAX_DEVICES_PER_ACCOUNT most recently seen devices are kept.
+ * @param {Object} params - { ownerType: 'user'|'partner', ownerId, token, platform, deviceId, appVersion }
+ */
+const registerDevice = async ({ ownerType, ownerId, token, platform, deviceId, appVersion }) => {
+  const existing = await DeviceToken.findOne({ token });
+  const sameOwner = existing && existing.ownerType === ownerType && String(existing.ownerId) === String(ownerId);
+  if (existing && !sameOwner) {
+    await syncTopics(existing, []);
+  }
+
+  if (deviceId) {
+    const replaced = await DeviceToken.find({ ownerType, ownerId, deviceId, token: { $ne: token } });
+    for (const device of replaced) {
+      await syncTopics(device, []);
+      await DeviceToken.deleteOne({ _id: device._id });
+    }
+  }
+
+  const device = await DeviceToken.findOneAndUpdate(
+    { token },
+    {
+      $set: {
+        ownerType,
+        ownerId,
+        platform,
+        deviceId,
+        appVersion,
+        lastSeenAt: new Date(),
+        topics: sameOwner ? existing.topics : []
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  const stale = await DeviceToken.find({ ownerType, ownerId })
+    .sort({ lastSeenAt: -1 })
+    .skip(MAX_DEVICES_PER_ACCOUNT);
+  for (const old of stale) {
+    await syncTopics(old, []);
+    await DeviceToken.deleteOne({ _id: old._id });
+  }
+
+  return syncTopics(device, await getOwnerTopics(ownerType, ownerId));
+};
+
+/**
+ * Remove a push token from an account, e.g. on logout
+ */
+const unregisterDevice = async (ownerType, ownerId, token) => {
+  const device = await DeviceToken.findOne({ token, ownerType, ownerId });
+  if (!device) {
+    throw createHttpError(404, 'Device not registered');
+  }
+
+  await syncTopics(device, []);
+  await DeviceToken.deleteOne({ _id: device._id });
+};
+
+const listDevices = (ownerType, ownerId) =>
+  DeviceToken.find({ ownerType, ownerId }).sort({ lastSeenAt: -1 });
+
+const hasDevices = async (ownerType, ownerId) =>
+  Boolean(await DeviceToken.exists({ ownerType, ownerId }));
+
+/**
+ * Push to every registered device of an account
+ * Tokens the push service reports as invalid are deleted. Succeeds when at least one
+ * device got the message; otherwise throws the first failure (error.permanent when
+ * no usable device is left, so it is not worth retrying).
+ * @param {Object} notification - { title, body, data }
+ * @returns {Promise<{ messageId, status, delivered, pruned }>}
+ */
+const sendToOwner = async (ownerType, ownerId, notification) => {
+  const devices = await DeviceToken.find({ ownerType, ownerId });
+
+  const results = await Promise.all(devices.map(async (device) => {
+    try {
+      return { result: await sendPush({ token: device.token }, notification) };
+    } catch (error) {
+      if (error.code === 'invalid_token') {
+        await DeviceToken.deleteOne({ _id: device._id, token: device.token });
+        return { pruned: true };
+      }
+      return { error };
+    }
+  }));
+
+  const delivered = results.filter(outcome => outcome.result);
+  const pruned = results.filter(outcome => outcome.pruned).length;
+
+  if (delivered.length === 0) {
+    const failure = results.find(outcome => outcome.error);
+    if (failure) throw failure.error;
+
+    const error = new Error(pruned > 0 ? 'All registered devices were invalid' : 'No registered devices');
+    error.permanent = true;
+    throw error;
+  }
+
+  return {
+    success: true,
+    messageId: delivered[0].result.messageId,
+    status: 'sent',
+    delivered: delivered.length,
+    pruned
+  };
+};
+
+/**
+ * Push to every device subscribed to a topic
+ */
+const broadcastToTopic = async (topic, notification) => sendPush({ topic }, notification);
+
+module.exports = {
+  registerDevice,
+  unregisterDevice,
+  listDevices,
+  hasDevices,
+  sendToOwner,
+  broadcastToTopic,
+  getCityTopic,
+  getOwnerTopics
+};
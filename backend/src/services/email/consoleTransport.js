@@ -0,0 +1,17 @@
+/**
+ * Development transport - prints emails to the server console
+ */
+const send = async ({ to, subject, text }) => {
+  console.log(`📧 [EMAIL] to ${to}: ${subject}\n${text}`);
+
+  return {
+    success: true,
+    messageId: `console-${Date.now()}`,
+    status: 'sent'
+  };
+};
+
+module.exports = {
+  name: 'console',
+  send
+};
@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Offline transport - appends every email as a JSON line to an outbox file
+ * so that notifications can be inspected without an SMTP server
+ */
+const getOutboxPath = () => path.resolve(process.env.EMAIL_OUTBOX_FILE || './logs/email-outbox.log');
+
+const send = async ({ to, subject, text }) => {
+  const outboxPath = getOutboxPath();
+  const messageId = `file-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+
+  await fs.promises.mkdir(path.dirname(outboxPath), { recursive: true });
+  await fs.promises.appendFile(outboxPath, JSON.stringify({
+    messageId,
+    to,
+    subject,
+    text,
+    sentAt: new Date().toISOString()
+  }) + '\n');
+
+  return {
+    success: true,
+    messageId,
+    status: 'sent'
+  };
+};
+
+module.exports = {
+  name: 'file',
+  send,
+  getOutboxPath
+};
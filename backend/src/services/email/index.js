@@ -0,0 +1,55 @@
+const smtpTransport = require('./smtpTransport');
+const consoleTransport = require('./consoleTransport');
+const fileTransport = require('./fileTransport');
+
+const transports = {
+  smtp: smtpTransport,
+  console: consoleTransport,
+  file: fileTransport
+};
+
+let activeTransport = null;
+
+/**
+ * Resolve the transport from EMAIL_TRANSPORT (smtp | console | file)
+ * Defaults to SMTP in production and the console everywhere else
+ */
+const getTransport = () => {
+  if (activeTransport) return activeTransport;
+
+  const name = process.env.EMAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown email transport: ${name}`);
+  }
+
+  activeTransport = transport;
+  return activeTransport;
+};
+
+/**
+ * Replace the active transport (e.g. with a custom or in-memory transport)
+ */
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {string} to - Recipient address
+ * @param {string} subject - Subject line
+ * @param {string} text - Plain-text body
+ * @param {Object} options - { html }
+ */
+const sendEmail = async (to, subject, text, options = {}) => {
+  const transport = getTransport();
+  return transport.send({ to, subject, text, html: options.html });
+};
+
+module.exports = {
+  sendEmail,
+  getTransport,
+  setTransport
+};
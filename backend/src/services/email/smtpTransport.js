@@ -0,0 +1,48 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+/**
+ * Lazily create the SMTP transporter so the server can boot without credentials
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    const { SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS } = process.env;
+    if (!SMTP_HOST || !SMTP_USER || !SMTP_PASS) {
+      throw new Error('SMTP credentials are not configured');
+    }
+
+    const port = parseInt(SMTP_PORT, 10) || 587;
+    transporter = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: { user: SMTP_USER, pass: SMTP_PASS }
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Send an email through the configured SMTP server
+ */
+const send = async ({ to, subject, text, html }) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+    to,
+    subject,
+    text,
+    ...(html && { html })
+  });
+
+  return {
+    success: true,
+    messageId: info.messageId,
+    status: 'sent'
+  };
+};
+
+module.exports = {
+  name: 'smtp',
+  send
+};
@@ -0,0 +1,153 @@
+const Emergency = require('../models/Emergency');
+const User = require('../models/User');
+const { sendSMS } = require('./sms');
+
+/**
+ * Channels used to reach emergency contacts (comma separated: sms, whatsapp)
+ */
+const CONTACT_CHANNELS = (process.env.EMERGENCY_CONTACT_CHANNELS || 'sms')
+  .split(',')
+  .map(channel => channel.trim())
+  .filter(channel => ['sms', 'whatsapp'].includes(channel));
+
+// Twilio message statuses mapped to contactsNotified[].notificationStatus
+const PROVIDER_STATUS_MAP = {
+  queued: 'sent',
+  accepted: 'sent',
+  sending: 'sent',
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'delivered',
+  undelivered: 'failed',
+  failed: 'failed'
+};
+
+/**
+ * Public link that lets contacts follow the emergency without logging in
+ */
+const getTrackingLink = (emergency) => {
+  const baseUrl = process.env.TRACKING_BASE_URL || process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${baseUrl.replace(/\/$/, '')}/track/${emergency.trackingToken}`;
+};
+
+const formatEmergencyType = (emergency) => emergency.emergencyType.replace(/_/g, ' ');
+
+/**
+ * Build the message text for an emergency lifecycle event
+ * @param {string} event - raised | assigned | resolved
+ */
+const buildContactMessage = (event, emergency, user) => {
+  const name = user.name || 'Your contact';
+  const link = getTrackingLink(emergency);
+
+  switch (event) {
+    case 'raised':
+      return `Rollon SOS: ${name} has reported a ${formatEmergencyType(emergency)} emergency` +
+        `${emergency.userAddress && emergency.userAddress.street ? ` near ${emergency.userAddress.street}` : ''}. ` +
+        `We are finding help nearby. Track live: ${link}`;
+    case 'assigned':
+      return `Rollon SOS update: ${emergency.assignedPartnerName || 'A partner'} is on the way to help ${name}. Track live: ${link}`;
+    case 'resolved':
+      return `Rollon SOS update: ${name}'s emergency has been resolved. Details: ${link}`;
+    default:
+      throw new Error(`Unknown emergency contact event: ${event}`);
+  }
+};
+
+/**
+ * Primary contacts first, then the rest in the order the user saved them
+ */
+const orderContacts = (contacts = []) => [
+  ...contacts.filter(contact => contact.isPrimary),
+  ...contacts.filter(contact => !contact.isPrimary)
+].filter(contact => contact.phoneNumber);
+
+/**
+ * Message every emergency contact of the emergency's user
+ * Delivery problems are recorded per contact and never thrown to the caller.
+ * @param {string} emergencyId - Emergency document ID
+ * @param {string} event - raised | assigned | resolved
+ */
+const notifyEmergencyContacts = async (emergencyId, event) => {
+  const emergency = await Emergency.findById(emergencyId);
+  if (!emergency) return null;
+
+  const user = await User.findById(emergency.userId).select('name emergencyContacts');
+  const contacts = orderContacts(user && user.emergencyContacts);
+  if (contacts.length === 0) return emergency;
+
+  const message = buildContactMessage(event, emergency, user);
+  const statusCallback = process.env.TWILIO_STATUS_CALLBACK_URL;
+  const results = [];
+
+  for (const contact of contacts) {
+    for (const channel of CONTACT_CHANNELS) {
+      const entry = {
+        name: contact.name,
+        phoneNumber: contact.phoneNumber,
+        relationship: contact.relationship,
+        isPrimary: contact.isPrimary,
+        event,
+        channel
+      };
+
+      try {
+        const result = await sendSMS(contact.phoneNumber, message, { channel, statusCallback });
+        entry.messageId = result.messageId;
+        entry.notificationStatus = PROVIDER_STATUS_MAP[result.status] || 'sent';
+      } catch (error) {
+        entry.notificationStatus = 'failed';
+        entry.error = error.message;
+        console.error(`Emergency contact notification failed for ${emergency.emergencyId}:`, error.message);
+      }
+
+      results.push(entry);
+      emergency.notificationsSent.push({
+        type: channel,
+        recipient: 'emergency_contact',
+        sentAt: new Date(),
+        status: entry.notificationStatus,
+        messageId: entry.messageId,
+        message
+      });
+    }
+  }
+
+  // notifyContacts records the entries and saves
+  return emergency.notifyContacts(results);
+};
+
+/**
+ * Apply a provider delivery receipt to the matching contact notification
+ * @param {string} messageId - Provider message ID (e.g. Twilio MessageSid)
+ * @param {string} providerStatus - Provider status (e.g. delivered, undelivered)
+ */
+const updateDeliveryStatus = async (messageId, providerStatus) => {
+  const notificationStatus = PROVIDER_STATUS_MAP[providerStatus];
+  if (!messageId || !notificationStatus) return false;
+
+  const result = await Emergency.updateOne(
+    { 'contactsNotified.messageId': messageId },
+    {
+      $set: {
+        'contactsNotified.$[contact].notificationStatus': notificationStatus,
+        'notificationsSent.$[sent].status': notificationStatus
+      }
+    },
+    {
+      arrayFilters: [
+        { 'contact.messageId': messageId },
+        { 'sent.messageId': messageId }
+      ]
+    }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+module.exports = {
+  notifyEmergencyContacts,
+  updateDeliveryStatus,
+  getTrackingLink,
+  buildContactMessage
+};
@@ -0,0 +1,461 @@
+const Emergency = require('../models/Emergency');
+const Partner = require('../models/Partner');
+const { sendSMS } = require('./sms');
+const { notifyEmergencyContacts } = require('./emergencyContacts');
+const { notifyEmergency } = require('./notifications');
+const { sendToOwner } = require('./devices');
+const { distanceBetweenPoints } = require('../utils/geo');
+const createHttpError = require('../utils/httpError');
+
+/**
+ * Dispatch configuration - all values can be overridden from the environment
+ */
+const WAVE_SIZE = parseInt(process.env.DISPATCH_WAVE_SIZE, 10) || 3;
+const OFFER_TIMEOUT_SECONDS = parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS, 10) || 45;
+const MAX_WAVES = parseInt(process.env.DISPATCH_MAX_WAVES, 10) || 4;
+const MAX_SEARCH_RADIUS_KM = parseFloat(process.env.DISPATCH_MAX_SEARCH_RADIUS_KM) || 25;
+const DEFAULT_PARTNER_RADIUS_KM = 10;
+const DEFAULT_RESPONSE_TIME_MINUTES = 30;
+
+// Ranking weights (lower score is better)
+const WEIGHTS = {
+  distance: 0.5,
+  rating: 0.3,
+  responseTime: 0.2
+};
+
+// Wave timers keyed by emergency ID
+const waveTimers = new Map();
+
+const getPartnerDisplayName = (partner) =>
+  partner.shopName || partner.businessName || partner.ownerName || partner.name;
+
+/**
+ * Score a candidate partner for an emergency
+ * Combines distance (relative to the partner's own radius), rating and usual response time
+ */
+const scorePartner = (partner, distance) => {
+  const radius = partner.emergencyRadius || DEFAULT_PARTNER_RADIUS_KM;
+  const responseTime = partner.emergencyResponseTime || DEFAULT_RESPONSE_TIME_MINUTES;
+
+  const distanceScore = Math.min(distance / radius, 1);
+  const ratingScore = 1 - (partner.rating || 0) / 5;
+  const responseTimeScore = Math.min(responseTime, 60) / 60;
+
+  return (
+    distanceScore * WEIGHTS.distance +
+    ratingScore * WEIGHTS.rating +
+    responseTimeScore * WEIGHTS.responseTime
+  );
+};
+
+/**
+ * Find and rank partners that can respond to an emergency
+ * Only online, approved emergency-service partners whose emergencyRadius covers
+ * the user's location and who are not already busy with another emergency.
+ */
+const findCandidatePartners = async (emergency, excludePartnerIds = []) => {
+  const [lng, lat] = emergency.userLocation.coordinates;
+
+  const busyPartnerIds = await Emergency.distinct('assignedPartnerId', {
+    status: { $in: ['assigned', 'in_progress'] },
+    assignedPartnerId: { $exists: true }
+  });
+
+  const partners = await Partner.find({
+    _id: { $nin: [...excludePartnerIds, ...busyPartnerIds] },
+    isOnline: true,
+    isApproved: true,
+    approvalStatus: 'approved',
+    isEmergencyService: true,
+    location: {
+      $nearSphere: {
+        $geometry: {
+          type: 'Point',
+          coordinates: [lng, lat]
+        },
+        $maxDistance: MAX_SEARCH_RADIUS_KM * 1000
+      }
+    }
+  }).select('shopName businessName ownerName name mobileNumber phoneNumber location rating emergencyRadius emergencyResponseTime');
+
+  return partners
+    .map(partner => {
+      const distance = distanceBetweenPoints(emergency.userLocation, partner.location);
+      return { partner, distance };
+    })
+    .filter(({ partner, distance }) =>
+      distance !== null && distance <= (partner.emergencyRadius || DEFAULT_PARTNER_RADIUS_KM)
+    )
+    .map(candidate => ({
+      ...candidate,
+      score: scorePartner(candidate.partner, candidate.distance)
+    }))
+    .sort((a, b) => a.score - b.score);
+};
+
+/**
+ * Tell a partner about a new offer by SMS and on their registered devices
+ * Delivery problems are logged but never stop the dispatch.
+ * @returns {Promise<Object[]>} notificationsSent entries for the deliveries
+ */
+const notifyPartnerOfOffer = async (emergency, partner, distance, expiresAt) => {
+  const message = `Rollon SOS: ${emergency.emergencyType.replace(/_/g, ' ')} (${emergency.priority} priority) ` +
+    `${distance.toFixed(1)} km from you. Open the partner app within ${OFFER_TIMEOUT_SECONDS} seconds to accept. Ref ${emergency.emergencyId}`;
+  const phone = partner.mobileNumber || partner.phoneNumber;
+
+  const deliveries = [
+    phone && { type: 'sms', send: () => sendSMS(phone, message) },
+    {
+      type: 'push',
+      send: () => sendToOwner('partner', partner._id, {
+        title: 'Rollon SOS nearby',
+        body: message,
+        data: { event: 'emergency_offer', emergencyId: emergency._id, expiresAt: expiresAt.toISOString() }
+      })
+    }
+  ].filter(Boolean);
+
+  const sent = [];
+  for (const { type, send } of deliveries) {
+    let status = 'sent';
+    let messageId;
+    try {
+      ({ messageId } = await send());
+    } catch (error) {
+      // Partners without the app installed only get the SMS
+      if (type === 'push' && error.permanent) continue;
+      status = 'failed';
+      console.error(`Dispatch offer ${type} notification failed for partner ${partner._id}:`, error.message);
+    }
+
+    sent.push({
+      type,
+      recipient: 'partner',
+      event: 'emergency_offer',
+      sentAt: new Date(),
+      status,
+      messageId,
+      message
+    });
+  }
+
+  return sent;
+};
+
+const clearWaveTimer = (emergencyId) => {
+  const key = emergencyId.toString();
+  if (waveTimers.has(key)) {
+    clearTimeout(waveTimers.get(key));
+    waveTimers.delete(key);
+  }
+};
+
+const scheduleWaveTimeout = (emergencyId, wave, delayMs) => {
+  clearWaveTimer(emergencyId);
+
+  const timer = setTimeout(() => {
+    waveTimers.delete(emergencyId.toString());
+    runNextWave(emergencyId, wave).catch(error => {
+      console.error(`Dispatch wave error for emergency ${emergencyId}:`, error);
+    });
+  }, Math.max(delayMs, 0));
+
+  // Do not keep the process alive just for dispatch timers
+  if (timer.unref) timer.unref();
+  waveTimers.set(emergencyId.toString(), timer);
+};
+
+/**
+ * Expire the open offers of the previous wave and offer the job to the next batch
+ * The wave is claimed with a conditional update, so a stale timer, a decline and an
+ * accept or cancel racing each other cannot run the same wave twice.
+ * @param {string} emergencyId
+ * @param {number} expectedWave - Wave the caller believes is current; stale timers are ignored
+ */
+const runNextWave = async (emergencyId, expectedWave) => {
+  const emergency = await Emergency.findById(emergencyId);
+  if (!emergency) return null;
+
+  if (emergency.status !== 'active' || emergency.assignedPartnerId) {
+    clearWaveTimer(emergencyId);
+    return emergency;
+  }
+
+  if (expectedWave !== undefined && emergency.dispatchWave !== expectedWave) {
+    return emergency;
+  }
+
+  const now = new Date();
+  const currentWave = emergency.dispatchWave;
+  const events = [];
+  const addEvent = (notes) => events.push({ status: 'active', timestamp: now, updatedBy: 'system', notes });
+
+  // Expire whatever is still open from the previous wave
+  emergency.dispatchOffers
+    .filter(offer => offer.status === 'pending')
+    .forEach(offer => addEvent(`Offer to ${offer.partnerName} expired (wave ${offer.wave})`));
+
+  let candidates = [];
+  if (currentWave >= MAX_WAVES) {
+    addEvent(`No partner accepted after ${MAX_WAVES} dispatch waves`);
+  } else {
+    const alreadyOffered = emergency.dispatchOffers.map(offer => offer.partnerId);
+    candidates = await findCandidatePartners(emergency, alreadyOffered);
+    if (candidates.length === 0) {
+      addEvent('No available emergency partners in range');
+    }
+  }
+
+  const exhausted = candidates.length === 0;
+  const wave = exhausted ? currentWave : currentWave + 1;
+  const expiresAt = new Date(now.getTime() + OFFER_TIMEOUT_SECONDS * 1000);
+  const batch = candidates.slice(0, WAVE_SIZE);
+
+  const offers = batch.map(({ partner, distance, score }) => {
+    const partnerName = getPartnerDisplayName(partner);
+    addEvent(`Offered to ${partnerName} (wave ${wave}, ${distance.toFixed(1)} km)`);
+    return {
+      partnerId: partner._id,
+      partnerName,
+      wave,
+      distance: Math.round(distance * 100) / 100,
+      score: Math.round(score * 1000) / 1000,
+      offeredAt: now,
+      expiresAt,
+      status: 'pending'
+    };
+  });
+
+  const claimed = await Emergency.findOneAndUpdate(
+    { _id: emergency._id, status: 'active', assignedPartnerId: null, dispatchWave: currentWave },
+    {
+      $set: {
+        'dispatchOffers.$[open].status': 'expired',
+        'dispatchOffers.$[open].respondedAt': now,
+        dispatchWave: wave,
+        dispatchStatus: exhausted ? 'exhausted' : 'searching'
+      },
+      $push: { statusHistory: { $each: events } }
+    },
+    { new: true, arrayFilters: [{ 'open.status': 'pending' }] }
+  );
+
+  // Someone else moved the emergency on first
+  if (!claimed) {
+    return Emergency.findById(emergencyId);
+  }
+  if (exhausted) {
+    return claimed;
+  }
+
+  // Offers go in before partners hear about them so an immediate accept finds its offer
+  const offered = await Emergency.findOneAndUpdate(
+    { _id: claimed._id, status: 'active', dispatchWave: wave },
+    { $push: { dispatchOffers: { $each: offers } } },
+    { new: true }
+  );
+  if (!offered) {
+    return Emergency.findById(emergencyId);
+  }
+
+  const notifications = [];
+  for (const { partner, distance } of batch) {
+    notifications.push(...await notifyPartnerOfOffer(offered, partner, distance, expiresAt));
+  }
+  if (notifications.length > 0) {
+    await Emergency.updateOne({ _id: offered._id }, { $push: { notificationsSent: { $each: notifications } } });
+    offered.notificationsSent.push(...notifications);
+  }
+
+  scheduleWaveTimeout(offered._id, wave, OFFER_TIMEOUT_SECONDS * 1000);
+
+  return offered;
+};
+
+/**
+ * Start automatic dispatch for a newly created emergency
+ */
+const startDispatch = async (emergencyId) => {
+  return runNextWave(emergencyId, 0);
+};
+
+/**
+ * Partner accepts an open offer
+ * The assignment is claimed atomically so only the first partner to accept wins.
+ */
+const acceptOffer = async (emergencyId, partnerId) => {
+  const now = new Date();
+
+  const claimed = await Emergency.findOneAndUpdate(
+    {
+      _id: emergencyId,
+      status: 'active',
+      assignedPartnerId: null,
+      dispatchOffers: {
+        $elemMatch: {
+          partnerId,
+          status: 'pending',
+          expiresAt: { $gt: now }
+        }
+      }
+    },
+    { $set: { assignedPartnerId: partnerId } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    const emergency = await Emergency.findById(emergencyId);
+    if (!emergency) {
+      throw createHttpError(404, 'Emergency not found');
+    }
+    if (emergency.assignedPartnerId) {
+      throw createHttpError(409, 'This emergency has already been assigned to another partner');
+    }
+    throw createHttpError(410, 'This offer has expired or is no longer available');
+  }
+
+  clearWaveTimer(emergencyId);
+
+  const partner = await Partner.findById(partnerId).select('shopName businessName ownerName name mobileNumber phoneNumber');
+  const partnerName = getPartnerDisplayName(partner);
+
+  claimed.dispatchOffers.forEach(offer => {
+    if (offer.status !== 'pending') return;
+    if (offer.partnerId.toString() === partnerId.toString()) {
+      offer.status = 'accepted';
+    } else {
+      offer.status = 'withdrawn';
+    }
+    offer.respondedAt = now;
+  });
+
+  claimed.dispatchStatus = 'assigned';
+  claimed.recordDispatchEvent(`Offer accepted by ${partnerName}`);
+
+  // assignPartner sets status/responseTime and saves
+  await claimed.assignPartner(partner._id, partnerName, partner.mobileNumber || partner.phoneNumber);
+
+  // Let the user's emergency contacts know help is on the way (runs in the background)
+  notifyEmergencyContacts(claimed._id, 'assigned').catch(error => {
+    console.error(`Emergency contact notification error for ${claimed.emergencyId}:`, error);
+  });
+  notifyEmergency(claimed, 'emergency_assigned');
+
+  return claimed;
+};
+
+/**
+ * Partner declines an open offer
+ * The offer is closed with a conditional update, so a decline cannot overwrite an accept,
+ * a wave expiring or another partner's response saved at the same time.
+ * When nobody in the current wave is left to answer, the next wave starts immediately.
+ */
+const declineOffer = async (emergencyId, partnerId, reason = '') => {
+  const existing = await Emergency.findById(emergencyId);
+  if (!existing) {
+    throw createHttpError(404, 'Emergency not found');
+  }
+
+  const offer = existing.getPendingOffer(partnerId);
+  if (!offer) {
+    throw createHttpError(410, 'This offer has expired or is no longer available');
+  }
+
+  const now = new Date();
+  const emergency = await Emergency.findOneAndUpdate(
+    {
+      _id: emergencyId,
+      status: 'active',
+      assignedPartnerId: null,
+      dispatchOffers: {
+        $elemMatch: {
+          partnerId,
+          status: 'pending',
+          expiresAt: { $gt: now }
+        }
+      }
+    },
+    {
+      $set: {
+        'dispatchOffers.$.status': 'declined',
+        'dispatchOffers.$.respondedAt': now
+      },
+      $push: {
+        statusHistory: {
+          status: 'active',
+          timestamp: now,
+          updatedBy: 'system',
+          notes: `Offer declined by ${offer.partnerName}${reason ? `: ${reason}` : ''}`
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!emergency) {
+    throw createHttpError(410, 'This offer has expired or is no longer available');
+  }
+
+  const waveStillOpen = emergency.dispatchOffers.some(o =>
+    o.wave === emergency.dispatchWave && o.status === 'pending'
+  );
+
+  if (!waveStillOpen && emergency.status === 'active') {
+    await runNextWave(emergency._id, emergency.dispatchWave);
+  }
+
+  return emergency;
+};
+
+/**
+ * Stop dispatching (e.g. the user cancelled the emergency)
+ */
+const stopDispatch = async (emergency) => {
+  clearWaveTimer(emergency._id);
+
+  const now = new Date();
+  emergency.dispatchOffers.forEach(offer => {
+    if (offer.status === 'pending') {
+      offer.status = 'withdrawn';
+      offer.respondedAt = now;
+    }
+  });
+
+  if (emergency.dispatchStatus === 'searching' || emergency.dispatchStatus === 'pending') {
+    emergency.dispatchStatus = 'stopped';
+  }
+};
+
+/**
+ * Re-arm wave timers after a server restart
+ */
+const resumePendingDispatches = async () => {
+  const emergencies = await Emergency.find({
+    status: 'active',
+    dispatchStatus: { $in: ['pending', 'searching'] }
+  }).select('dispatchWave dispatchOffers');
+
+  for (const emergency of emergencies) {
+    const currentOffers = emergency.dispatchOffers.filter(o => o.wave === emergency.dispatchWave);
+    const expiresAt = currentOffers.length > 0
+      ? Math.max(...currentOffers.map(o => o.expiresAt.getTime()))
+      : Date.now();
+
+    scheduleWaveTimeout(emergency._id, emergency.dispatchWave, expiresAt - Date.now());
+  }
+
+  return emergencies.length;
+};
+
+module.exports = {
+  startDispatch,
+  runNextWave,
+  acceptOffer,
+  declineOffer,
+  stopDispatch,
+  findCandidatePartners,
+  scorePartner,
+  resumePendingDispatches,
+  OFFER_TIMEOUT_SECONDS
+};
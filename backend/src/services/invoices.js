@@ -0,0 +1,440 @@
+const Booking = require('../models/Booking');
+const Partner = require('../models/Partner');
+const User = require('../models/User');
+const Invoice = require('../models/Invoice');
+const InvoiceCounter = require('../models/InvoiceCounter');
+const createHttpError = require('../utils/httpError');
+const { toLocalParts } = require('../utils/schedule');
+const { getStateCode, getStateCodeFromGstin, getStateName } = require('../utils/gstStates');
+const { createPdf, wrapText } = require('../utils/pdf');
+
+/**
+ * Invoice configuration - all values can be overridden from the environment
+ * Booking prices are GST inclusive; the tax is backed out of each line.
+ */
+const GST_RATE = process.env.GST_RATE !== undefined ? parseFloat(process.env.GST_RATE) : 18;
+const GST_SAC_CODE = process.env.GST_SAC_CODE || '998714'; // maintenance and repair of motor vehicles
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'INV';
+
+const BACKFILL_BATCH_SIZE = 100;
+
+const toPaise = (rupees) => Math.round((rupees || 0) * 100);
+
+/**
+ * Indian financial year (April to March) of a date, in business-local time
+ * @returns {{ label: string, code: string }} e.g. { label: '2025-26', code: '2526' }
+ */
+const getFinancialYear = (date = new Date()) => {
+  const { dateString } = toLocalParts(date);
+  const year = parseInt(dateString.slice(0, 4), 10);
+  const month = parseInt(dateString.slice(5, 7), 10);
+  const startYear = month >= 4 ? year : year - 1;
+  const endYear = String(startYear + 1).slice(2);
+
+  return {
+    label: `${startYear}-${endYear}`,
+    code: `${String(startYear).slice(2)}${endYear}`
+  };
+};
+
+/**
+ * Invoice number: prefix, financial year and a zero-padded sequence (16 characters max)
+ */
+const formatInvoiceNumber = (financialYearCode, sequence) =>
+  `${INVOICE_PREFIX}/${financialYearCode}/${String(sequence).padStart(6, '0')}`;
+
+/**
+ * Split a GST-inclusive amount into taxable value and tax
+ * Intra-state supplies split the tax equally into CGST and SGST; inter-state supplies pay IGST.
+ */
+const splitTax = (amount, rate, supplyType) => {
+  const taxableValue = Math.round((amount * 100) / (100 + rate));
+  const tax = amount - taxableValue;
+
+  if (supplyType === 'inter_state') {
+    return { taxableValue, cgst: 0, sgst: 0, igst: tax };
+  }
+
+  const cgst = Math.round(tax / 2);
+  return { taxableValue, cgst, sgst: tax - cgst, igst: 0 };
+};
+
+/**
+ * Line items from basePrice and additionalCharges, in paise
+ * The booking discount is spread across lines in proportion to their price, with the
+ * rounding remainder on the last line, so line totals add up to the booking total.
+ */
+const buildLineItems = (booking, { gstRate, supplyType }) => {
+  const charges = [
+    { description: booking.serviceName, amount: toPaise(booking.basePrice) },
+    ...(booking.additionalCharges || [])
+      .filter(charge => charge.amount > 0)
+      .map(charge => ({
+        description: charge.description ? `${charge.name} - ${charge.description}` : charge.name,
+        amount: toPaise(charge.amount)
+      }))
+  ];
+
+  const gross = charges.reduce((sum, charge) => sum + charge.amount, 0);
+  const discount = Math.min(toPaise(booking.discount), gross);
+  let discountLeft = discount;
+
+  return charges.map((charge, index) => {
+    const lineDiscount = index === charges.length - 1
+      ? discountLeft
+      : Math.min(discountLeft, Math.round(gross > 0 ? (discount * charge.amount) / gross : 0));
+    discountLeft -= lineDiscount;
+
+    const total = charge.amount - lineDiscount;
+
+    return {
+      description: charge.description || 'Service',
+      sacCode: GST_SAC_CODE,
+      quantity: 1,
+      grossAmount: charge.amount,
+      discount: lineDiscount,
+      gstRate,
+      total,
+      ...splitTax(total, gstRate, supplyType)
+    };
+  });
+};
+
+const sumLines = (lineItems) => {
+  const totals = lineItems.reduce((sum, item) => ({
+    grossAmount: sum.grossAmount + item.grossAmount,
+    discount: sum.discount + item.discount,
+    taxableValue: sum.taxableValue + item.taxableValue,
+    cgst: sum.cgst + item.cgst,
+    sgst: sum.sgst + item.sgst,
+    igst: sum.igst + item.igst,
+    grandTotal: sum.grandTotal + item.total
+  }), { grossAmount: 0, discount: 0, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, grandTotal: 0 });
+
+  totals.totalTax = totals.cgst + totals.sgst + totals.igst;
+  return totals;
+};
+
+const pickAddress = (address) => (address ? {
+  street: address.street,
+  city: address.city,
+  state: address.state,
+  pincode: address.pincode
+} : undefined);
+
+/**
+ * Reserve the next invoice number for a partner
+ * A concurrent first invoice of the year can collide on the counter upsert; retry once.
+ */
+const nextSequence = async (partnerId, financialYear) => {
+  try {
+    return await InvoiceCounter.next(partnerId, financialYear);
+  } catch (error) {
+    if (error.code === 11000) return InvoiceCounter.next(partnerId, financialYear);
+    throw error;
+  }
+};
+
+/**
+ * Issue the invoice for a completed booking
+ * Idempotent: a booking gets one invoice (unique index on bookingId).
+ * @returns {Promise<Object>} The invoice
+ */
+const generateBookingInvoice = async (booking) => {
+  if (booking.status !== 'completed') {
+    throw createHttpError(409, 'Invoices are issued for completed bookings only');
+  }
+
+  const existing = await Invoice.findOne({ bookingId: booking._id });
+  if (existing) return existing;
+
+  const [partner, user] = await Promise.all([
+    Partner.findById(booking.partnerId).select('businessName ownerName email phoneNumber address gstNumber panNumber'),
+    User.findById(booking.userId).select('name email phoneNumber address')
+  ]);
+  if (!partner || !user) {
+    throw createHttpError(404, 'Partner or customer for this booking no longer exists');
+  }
+
+  const isRegistered = Boolean(partner.gstNumber);
+  const supplierStateCode = getStateCodeFromGstin(partner.gstNumber) ||
+    getStateCode(partner.address && partner.address.state);
+
+  const recipientAddress = booking.userAddress && booking.userAddress.state ? booking.userAddress : user.address;
+  const recipientStateCode = getStateCode(recipientAddress && recipientAddress.state);
+
+  // Services are supplied where the customer is; fall back to the partner's state
+  const placeOfSupplyCode = recipientStateCode || supplierStateCode;
+  const supplyType = supplierStateCode && placeOfSupplyCode && supplierStateCode !== placeOfSupplyCode
+    ? 'inter_state'
+    : 'intra_state';
+
+  const gstRate = isRegistered ? GST_RATE : 0;
+  const lineItems = buildLineItems(booking, { gstRate, supplyType });
+
+  const invoiceDate = booking.completedAt || new Date();
+  const financialYear = getFinancialYear(invoiceDate);
+  const sequence = await nextSequence(partner._id, financialYear.label);
+
+  let invoice;
+  try {
+    invoice = await Invoice.create({
+      invoiceNumber: formatInvoiceNumber(financialYear.code, sequence),
+      documentType: isRegistered ? 'tax_invoice' : 'bill_of_supply',
+      financialYear: financialYear.label,
+      sequence,
+      invoiceDate,
+      partnerId: partner._id,
+      userId: user._id,
+      bookingId: booking._id,
+      supplier: {
+        name: partner.businessName,
+        gstNumber: partner.gstNumber,
+        panNumber: partner.panNumber,
+        address: pickAddress(partner.address),
+        stateCode: supplierStateCode,
+        email: partner.email,
+        phoneNumber: partner.phoneNumber
+      },
+      recipient: {
+        name: user.name,
+        email: user.email,
+        phoneNumber: user.phoneNumber,
+        address: pickAddress(recipientAddress),
+        stateCode: recipientStateCode
+      },
+      placeOfSupply: {
+        stateCode: placeOfSupplyCode,
+        stateName: getStateName(placeOfSupplyCode)
+      },
+      supplyType,
+      booking: {
+        reference: booking.bookingId,
+        serviceName: booking.serviceName,
+        vehicleRegistration: booking.vehicleDetails && booking.vehicleDetails.registrationNumber,
+        completedAt: booking.completedAt,
+        paymentMethod: booking.paymentMethod,
+        paymentStatus: booking.paymentStatus
+      },
+      lineItems,
+      totals: sumLines(lineItems)
+    });
+  } catch (error) {
+    // Issued concurrently; the reserved number is left unused
+    if (error.code === 11000) {
+      const issued = await Invoice.findOne({ bookingId: booking._id });
+      if (issued) return issued;
+    }
+    throw error;
+  }
+
+  await Booking.updateOne({ _id: booking._id }, { $set: { invoiceId: invoice._id } });
+  booking.invoiceId = invoice._id;
+
+  return invoice;
+};
+
+/**
+ * Issue invoices for completed bookings that missed one (e.g. the process died mid-completion)
+ */
+const generateMissingInvoices = async () => {
+  const bookings = await Booking.find({
+    status: 'completed',
+    invoiceId: { $exists: false }
+  })
+    .sort({ completedAt: 1 })
+    .limit(BACKFILL_BATCH_SIZE);
+
+  let issued = 0;
+  for (const booking of bookings) {
+    try {
+      await generateBookingInvoice(booking);
+      issued++;
+    } catch (error) {
+      console.error(`Invoicing booking ${booking.bookingId} failed:`, error.message);
+    }
+  }
+
+  return issued;
+};
+
+/**
+ * Format paise as an amount string, e.g. 123456 -> "1,234.56"
+ */
+const formatAmount = (paise) => ((paise || 0) / 100).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatDate = (date) => {
+  const [year, month, day] = toLocalParts(date).dateString.split('-');
+  return `${day}/${month}/${year}`;
+};
+
+const formatAddress = (address) => (address
+  ? [address.street, address.city, address.state, address.pincode].filter(Boolean).join(', ')
+  : '');
+
+/**
+ * Render an invoice as a PDF
+ * @returns {Buffer}
+ */
+const renderInvoicePdf = (invoice) => {
+  const pdf = createPdf();
+  const left = 40;
+  const right = pdf.width - 40;
+  const isInterState = invoice.supplyType === 'inter_state';
+  const isTaxInvoice = invoice.documentType === 'tax_invoice';
+  let y = 50;
+
+  pdf.text(isTaxInvoice ? 'TAX INVOICE' : 'BILL OF SUPPLY', pdf.width / 2, y, { size: 16, font: 'bold', align: 'center' });
+  y += 30;
+
+  // Supplier on the left, invoice details on the right
+  const supplier = invoice.supplier || {};
+  const supplierLines = [
+    ...wrapText(formatAddress(supplier.address), 280, 9),
+    supplier.gstNumber ? `GSTIN: ${supplier.gstNumber}` : null,
+    supplier.panNumber ? `PAN: ${supplier.panNumber}` : null,
+    supplier.phoneNumber ? `Phone: ${supplier.phoneNumber}` : null,
+    supplier.email ? `Email: ${supplier.email}` : null
+  ].filter(Boolean);
+
+  pdf.text(supplier.name, left, y, { size: 12, font: 'bold' });
+  supplierLines.forEach((text, index) => pdf.text(text, left, y + 14 + index * 12, { size: 9 }));
+
+  const details = [
+    ['Invoice No', invoice.invoiceNumber],
+    ['Invoice Date', formatDate(invoice.invoiceDate)],
+    ['Booking', invoice.booking && invoice.booking.reference],
+    ['Place of Supply', invoice.placeOfSupply && invoice.placeOfSupply.stateCode
+      ? `${invoice.placeOfSupply.stateCode}-${invoice.placeOfSupply.stateName}`
+      : '-']
+  ];
+  details.forEach(([label, value], index) => {
+    pdf.text(`${label}:`, 360, y + index * 14, { size: 9, font: 'bold' });
+    pdf.text(value || '-', 440, y + index * 14, { size: 9 });
+  });
+
+  y += Math.max(14 + supplierLines.length * 12, details.length * 14) + 16;
+
+  // Recipient
+  const recipient = invoice.recipient || {};
+  pdf.text('Bill To', left, y, { size: 10, font: 'bold' });
+  const recipientLines = [
+    recipient.name,
+    ...wrapText(formatAddress(recipient.address), 300, 9),
+    recipient.phoneNumber ? `Phone: ${recipient.phoneNumber}` : null,
+    recipient.email ? `Email: ${recipient.email}` : null
+  ].filter(Boolean);
+  recipientLines.forEach((text, index) => pdf.text(text, left, y + 14 + index * 12, { size: 9 }));
+
+  if (invoice.booking) {
+    const serviceLines = [
+      invoice.booking.serviceName ? `Service: ${invoice.booking.serviceName}` : null,
+      invoice.booking.vehicleRegistration ? `Vehicle: ${invoice.booking.vehicleRegistration}` : null,
+      invoice.booking.paymentMethod ? `Payment: ${invoice.booking.paymentMethod}` : null
+    ].filter(Boolean);
+    serviceLines.forEach((text, index) => pdf.text(text, 360, y + 14 + index * 12, { size: 9 }));
+  }
+
+  y += 14 + recipientLines.length * 12 + 20;
+
+  // Line items
+  const columns = isInterState
+    ? [
+      { label: 'Taxable', x: 385, key: 'taxableValue' },
+      { label: 'IGST', x: 455, key: 'igst' },
+      { label: 'Total', x: right, key: 'total' }
+    ]
+    : [
+      { label: 'Taxable', x: 345, key: 'taxableValue' },
+      { label: 'CGST', x: 405, key: 'cgst' },
+      { label: 'SGST', x: 465, key: 'sgst' },
+      { label: 'Total', x: right, key: 'total' }
+    ];
+
+  pdf.line(left, y, right, y);
+  pdf.text('#', left + 4, y + 14, { size: 9, font: 'bold' });
+  pdf.text('Description', left + 24, y + 14, { size: 9, font: 'bold' });
+  pdf.text('SAC', 235, y + 14, { size: 9, font: 'bold' });
+  if (isTaxInvoice) pdf.text('Rate', 275, y + 14, { size: 9, font: 'bold' });
+  columns.forEach(column => pdf.text(column.label, column.x, y + 14, { size: 9, font: 'bold', align: 'right' }));
+  y += 22;
+  pdf.line(left, y, right, y);
+  y += 14;
+
+  invoice.lineItems.forEach((item, index) => {
+    const description = wrapText(item.description, 165, 9);
+    if (item.discount > 0) description.push(`(discount ${formatAmount(item.discount)})`);
+
+    if (y + description.length * 12 > pdf.height - 160) {
+      pdf.addPage();
+      y = 50;
+    }
+
+    pdf.text(String(index + 1), left + 4, y, { size: 9 });
+    description.forEach((text, lineIndex) => pdf.text(text, left + 24, y + lineIndex * 12, { size: 9 }));
+    pdf.text(item.sacCode || '', 235, y, { size: 9 });
+    if (isTaxInvoice) pdf.text(`${item.gstRate}%`, 275, y, { size: 9 });
+    columns.forEach(column => pdf.text(formatAmount(item[column.key]), column.x, y, { size: 9, align: 'right' }));
+
+    y += description.length * 12 + 6;
+  });
+
+  pdf.line(left, y, right, y);
+  y += 16;
+
+  // Totals
+  const totals = invoice.totals;
+  const totalRows = [
+    ['Gross Amount', totals.grossAmount],
+    totals.discount > 0 ? ['Discount', -totals.discount] : null,
+    ['Taxable Value', totals.taxableValue],
+    ...(isTaxInvoice
+      ? (isInterState
+        ? [['IGST', totals.igst]]
+        : [['CGST', totals.cgst], ['SGST', totals.sgst]])
+      : [])
+  ].filter(Boolean);
+
+  totalRows.forEach(([label, amount]) => {
+    pdf.text(label, 400, y, { size: 9 });
+    pdf.text(formatAmount(amount), right, y, { size: 9, align: 'right' });
+    y += 14;
+  });
+  pdf.line(400, y - 4, right, y - 4);
+  y += 8;
+  pdf.text('Total (INR)', 400, y, { size: 11, font: 'bold' });
+  pdf.text(formatAmount(totals.grandTotal), right, y, { size: 11, font: 'bold', align: 'right' });
+  y += 30;
+
+  // Footer
+  const notes = [
+    isTaxInvoice
+      ? 'Prices are inclusive of GST. Tax is not payable on reverse charge basis.'
+      : 'Supplier is not registered under GST; no tax has been charged.',
+    'This is a computer generated invoice and does not require a signature.'
+  ];
+  notes.forEach(text => {
+    pdf.text(text, left, y, { size: 8 });
+    y += 12;
+  });
+
+  return pdf.toBuffer();
+};
+
+/**
+ * PDF file name for an invoice
+ */
+const getInvoiceFileName = (invoice) => `${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+
+module.exports = {
+  getFinancialYear,
+  formatInvoiceNumber,
+  buildLineItems,
+  generateBookingInvoice,
+  generateMissingInvoices,
+  renderInvoicePdf,
+  getInvoiceFileName
+};
@@ -0,0 +1,468 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Partner = require('../models/Partner');
+const LedgerEntry = require('../models/LedgerEntry');
+const Refund = require('../models/Refund');
+const { applyCommission } = require('./commission');
+const createHttpError = require('../utils/httpError');
+const { toInstant, toLocalParts, isValidDateString } = require('../utils/schedule');
+
+const BACKFILL_BATCH_SIZE = 100;
+const MAX_STATEMENT_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ONLINE_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+const toPaise = (rupees) => Math.round((rupees || 0) * 100);
+
+/**
+ * Ledger lines for a completed booking
+ * Online: the platform collected the full amount and owes the partner their earnings.
+ * Cash: the partner collected the full amount and owes the platform its commission.
+ */
+const buildBookingLines = (booking) => {
+  const partnerId = booking.partnerId;
+  const total = toPaise(booking.totalAmount);
+  const commission = toPaise(booking.commissionAmount);
+  const earnings = total - commission;
+
+  if (ONLINE_PAYMENT_STATUSES.includes(booking.paymentStatus)) {
+    return [
+      { account: 'gateway_clearing', debit: total, memo: 'Collected online' },
+      { account: 'commission_revenue', credit: commission, memo: 'Platform commission' },
+      { account: 'partner_payable', partnerId, credit: earnings, memo: 'Partner earnings' }
+    ];
+  }
+
+  return [
+    { account: 'partner_payable', partnerId, debit: total, memo: 'Collected in cash by partner' },
+    { account: 'commission_revenue', credit: commission, memo: 'Platform commission' },
+    { account: 'partner_payable', partnerId, credit: earnings, memo: 'Partner earnings' }
+  ];
+};
+
+/**
+ * Ledger lines for a booking posted as cash that the customer then paid online
+ * The partner did not collect the amount after all, so it moves from the partner to the
+ * platform; earnings and commission are unchanged.
+ */
+const buildOnlinePaymentLines = (completion) => {
+  const collected = completion.lines
+    .filter(line => line.account === 'partner_payable')
+    .reduce((sum, line) => sum + line.debit, 0);
+
+  return [
+    { account: 'gateway_clearing', debit: collected, memo: 'Paid online after completion' },
+    { account: 'partner_payable', partnerId: completion.partnerId, credit: collected, memo: 'Not collected in cash' }
+  ];
+};
+
+/**
+ * Ledger lines taking a processed refund back out of a posted booking
+ * The refund is split between partner earnings and commission in the proportions the
+ * booking was posted with, so both end up based on the amount the platform kept.
+ * @param {Object[]} entries - The booking's completion entry and its online payment entry, if any
+ * @returns {Array|null} null when the booking was not collected online
+ */
+const buildRefundLines = (entries, refund) => {
+  const completion = entries.find(entry => entry.type === 'booking_completed');
+  const collected = entries
+    .flatMap(entry => entry.lines)
+    .filter(line => line.account === 'gateway_clearing')
+    .reduce((sum, line) => sum + line.debit, 0);
+  if (collected <= 0) return null;
+
+  const amount = Math.min(refund.amount, collected);
+  const commission = Math.round(amount * completion.getCommission() / collected);
+
+  return [
+    { account: 'partner_payable', partnerId: completion.partnerId, debit: amount - commission, memo: 'Partner earnings refunded' },
+    { account: 'commission_revenue', debit: commission, memo: 'Commission refunded' },
+    { account: 'gateway_clearing', credit: amount, memo: refund.destination === 'wallet' ? 'Refunded to wallet' : 'Refunded to customer' }
+  ];
+};
+
+/**
+ * Store the booking's commission and earnings net of refunds
+ */
+const syncBookingEarnings = async (bookingId) => {
+  const entries = await LedgerEntry.find({ bookingId, type: { $in: LedgerEntry.BOOKING_TYPES } });
+
+  await Booking.updateOne(
+    { _id: bookingId },
+    {
+      $set: {
+        commissionAmount: entries.reduce((sum, entry) => sum + entry.getCommission(), 0) / 100,
+        partnerEarnings: entries.reduce((sum, entry) => sum + entry.getEarnings(), 0) / 100
+      }
+    }
+  );
+};
+
+/**
+ * Take a processed refund back out of the partner's earnings
+ * Refunds on bookings that are not posted yet are reversed when the booking is posted.
+ * Idempotent: a refund is reversed once (unique index on refundId + type).
+ * @returns {Promise<Object|null>} The ledger entry, or null if there is nothing to post
+ */
+const postRefundReversal = async (refund) => {
+  if (refund.status !== 'processed') return null;
+
+  const existing = await LedgerEntry.findOne({ refundId: refund._id, type: 'booking_refund' });
+  if (existing) return existing;
+
+  const completion = await LedgerEntry.findOne({ bookingId: refund.bookingId, type: 'booking_completed' });
+  if (!completion) return null;
+
+  const onlinePayment = await LedgerEntry.findOne({ bookingId: refund.bookingId, type: 'booking_paid_online' });
+  const lines = buildRefundLines([completion, onlinePayment].filter(Boolean), refund);
+  if (!lines) {
+    await Refund.updateOne({ _id: refund._id }, { $set: { ledgerPostedAt: new Date() } });
+    return null;
+  }
+
+  let entry;
+  try {
+    entry = await LedgerEntry.create({
+      type: 'booking_refund',
+      description: `Refund - ${completion.description}`,
+      partnerId: completion.partnerId,
+      bookingId: refund.bookingId,
+      refundId: refund._id,
+      lines,
+      postedAt: refund.processedAt || new Date()
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return LedgerEntry.findOne({ refundId: refund._id, type: 'booking_refund' });
+    }
+    throw error;
+  }
+
+  await Refund.updateOne({ _id: refund._id }, { $set: { ledgerPostedAt: entry.postedAt } });
+  await syncBookingEarnings(refund.bookingId);
+  await refreshPartnerEarnings(completion.partnerId);
+
+  return entry;
+};
+
+/**
+ * Move a completed booking that was posted as cash over to online once it is paid online
+ * Called whenever a booking is marked paid; bookings that are not posted yet, or were
+ * posted as online, need nothing. Idempotent (unique index on bookingId + type).
+ * @returns {Promise<Object|null>} The ledger entry, or null if there is nothing to post
+ */
+const postOnlinePayment = async (bookingId) => {
+  const completion = await LedgerEntry.findOne({ bookingId, type: 'booking_completed' });
+  if (!completion) return null;
+  if (completion.lines.some(line => line.account === 'gateway_clearing')) return null;
+
+  const existing = await LedgerEntry.findOne({ bookingId, type: 'booking_paid_online' });
+  if (existing) return existing;
+
+  let entry;
+  try {
+    entry = await LedgerEntry.create({
+      type: 'booking_paid_online',
+      description: `Paid online - ${completion.description}`,
+      partnerId: completion.partnerId,
+      bookingId,
+      lines: buildOnlinePaymentLines(completion)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return LedgerEntry.findOne({ bookingId, type: 'booking_paid_online' });
+    }
+    throw error;
+  }
+
+  // Refunds processed before the payment was moved over
+  const refunds = await Refund.find({ bookingId, status: 'processed', ledgerPostedAt: { $exists: false } });
+  for (const refund of refunds) {
+    await postRefundReversal(refund);
+  }
+
+  return entry;
+};
+
+/**
+ * Post commission and partner earnings for a completed booking
+ * Idempotent: a booking is posted once (unique index on bookingId + type).
+ * @returns {Promise<Object|null>} The ledger entry, or null if there is nothing to post
+ */
+const postBookingCompletion = async (booking) => {
+  if (booking.status !== 'completed' || !booking.partnerId) return null;
+
+  const existing = await LedgerEntry.findOne({ bookingId: booking._id, type: 'booking_completed' });
+  if (existing) return existing;
+
+  // Use the rate stamped at booking time; older bookings are resolved now
+  if (!booking.commissionRule || booking.commissionRule.rate === undefined) {
+    await applyCommission(booking);
+  } else {
+    booking.calculatePartnerEarnings();
+  }
+
+  const lines = buildBookingLines(booking);
+  if (lines.every(line => !line.debit && !line.credit)) {
+    await Booking.updateOne({ _id: booking._id }, { $set: { ledgerPostedAt: new Date() } });
+    return null;
+  }
+
+  let entry;
+  try {
+    entry = await LedgerEntry.create({
+      type: 'booking_completed',
+      description: `Booking ${booking.bookingId} - ${booking.serviceName || 'service'}`,
+      partnerId: booking.partnerId,
+      bookingId: booking._id,
+      lines,
+      postedAt: booking.completedAt || new Date()
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return LedgerEntry.findOne({ bookingId: booking._id, type: 'booking_completed' });
+    }
+    throw error;
+  }
+
+  await Booking.updateOne(
+    { _id: booking._id },
+    {
+      $set: {
+        ledgerPostedAt: entry.postedAt,
+        commissionRule: booking.commissionRule,
+        commissionAmount: booking.commissionAmount,
+        partnerEarnings: booking.partnerEarnings
+      }
+    }
+  );
+  await refreshPartnerEarnings(booking.partnerId);
+
+  // Paid online while the booking was being posted as cash
+  if (!ONLINE_PAYMENT_STATUSES.includes(booking.paymentStatus)) {
+    const current = await Booking.findById(booking._id).select('paymentStatus');
+    if (current && ONLINE_PAYMENT_STATUSES.includes(current.paymentStatus)) {
+      await postOnlinePayment(booking._id);
+    }
+  }
+
+  // Refunds processed before the booking was posted
+  const refunds = await Refund.find({ bookingId: booking._id, status: 'processed' });
+  for (const refund of refunds) {
+    await postRefundReversal(refund);
+  }
+
+  return entry;
+};
+
+/**
+ * Post completed bookings that were missed (e.g. the process died mid-completion)
+ */
+const postMissingCompletions = async () => {
+  const bookings = await Booking.find({
+    status: 'completed',
+    partnerId: { $exists: true },
+    ledgerPostedAt: { $exists: false }
+  })
+    .sort({ completedAt: 1 })
+    .limit(BACKFILL_BATCH_SIZE);
+
+  let posted = 0;
+  for (const booking of bookings) {
+    try {
+      if (await postBookingCompletion(booking)) posted++;
+    } catch (error) {
+      console.error(`Posting booking ${booking.bookingId} to the ledger failed:`, error.message);
+    }
+  }
+
+  return posted;
+};
+
+/**
+ * Reverse processed dispute refunds that were missed
+ * Cancellation refunds are on bookings that never complete, so they have nothing to reverse.
+ */
+const postMissingRefundReversals = async () => {
+  const refunds = await Refund.find({
+    type: 'dispute',
+    status: 'processed',
+    ledgerPostedAt: { $exists: false }
+  })
+    .sort({ processedAt: 1 })
+    .limit(BACKFILL_BATCH_SIZE);
+
+  let posted = 0;
+  for (const refund of refunds) {
+    try {
+      if (await postRefundReversal(refund)) posted++;
+    } catch (error) {
+      console.error(`Reversing refund ${refund._id} in the ledger failed:`, error.message);
+    }
+  }
+
+  return posted;
+};
+
+/**
+ * Recompute Partner.totalEarnings and monthlyEarnings (rupees) from the ledger
+ * Earnings are net of refunds.
+ */
+const refreshPartnerEarnings = async (partnerId) => {
+  const monthStart = toInstant(`${toLocalParts(new Date()).dateString.slice(0, 7)}-01`, 0);
+
+  const [totals] = await LedgerEntry.aggregate([
+    { $match: { partnerId: new mongoose.Types.ObjectId(String(partnerId)), type: { $in: LedgerEntry.BOOKING_TYPES } } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': 'partner_payable' } },
+    // Same rule as LedgerEntry.getEarnings
+    {
+      $project: {
+        postedAt: 1,
+        earnings: {
+          $switch: {
+            branches: [
+              { case: { $eq: ['$type', 'booking_refund'] }, then: { $multiply: ['$lines.debit', -1] } },
+              { case: { $eq: ['$type', 'booking_paid_online'] }, then: 0 }
+            ],
+            default: '$lines.credit'
+          }
+        }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: '$earnings' },
+        month: { $sum: { $cond: [{ $gte: ['$postedAt', monthStart] }, '$earnings', 0] } }
+      }
+    }
+  ]);
+
+  await Partner.updateOne(
+    { _id: partnerId },
+    {
+      $set: {
+        totalEarnings: totals ? totals.total / 100 : 0,
+        monthlyEarnings: totals ? totals.month / 100 : 0
+      }
+    }
+  );
+};
+
+/**
+ * Partner balance in paise: positive means the platform owes the partner
+ */
+const getPartnerBalance = async (partnerId, { before } = {}) => {
+  const match = { partnerId: new mongoose.Types.ObjectId(String(partnerId)) };
+  if (before) match.postedAt = { $lt: before };
+
+  const [result] = await LedgerEntry.aggregate([
+    { $match: match },
+    { $group: { _id: null, balance: { $sum: '$partnerAmount' } } }
+  ]);
+
+  return result ? result.balance : 0;
+};
+
+/**
+ * Statement period from YYYY-MM-DD query values (both days inclusive, business-local)
+ * Defaults to the current month to date.
+ * @returns {{ from: Date, to: Date }} to is exclusive
+ */
+const resolveStatementPeriod = ({ from, to }) => {
+  const today = toLocalParts(new Date()).dateString;
+  const fromDate = from || `${today.slice(0, 7)}-01`;
+  const toDate = to || today;
+
+  if (!isValidDateString(fromDate) || !isValidDateString(toDate)) {
+    throw createHttpError(400, 'from and to must be dates in YYYY-MM-DD format');
+  }
+
+  const period = {
+    from: toInstant(fromDate, 0),
+    to: new Date(toInstant(toDate, 0).getTime() + DAY_MS)
+  };
+
+  if (period.from >= period.to) {
+    throw createHttpError(400, 'from must be on or before to');
+  }
+  if (period.to - period.from > MAX_STATEMENT_DAYS * DAY_MS) {
+    throw createHttpError(400, `Statements cover at most ${MAX_STATEMENT_DAYS} days`);
+  }
+
+  return period;
+};
+
+/**
+ * Partner statement for a period with opening/closing balance and running balance
+ * @param {string} partnerId - Partner ID
+ * @param {Object} options - { from, to } Dates (to is exclusive)
+ */
+const getPartnerStatement = async (partnerId, { from, to }) => {
+  const openingBalance = await getPartnerBalance(partnerId, { before: from });
+
+  const entries = await LedgerEntry.find({
+    partnerId,
+    postedAt: { $gte: from, $lt: to }
+  })
+    .sort({ postedAt: 1, _id: 1 })
+    .populate('bookingId', 'bookingId serviceName totalAmount paymentMethod paymentStatus')
+    .populate('settlementId', 'settlementId status');
+
+  let balance = openingBalance;
+  let earnings = 0;
+  let commission = 0;
+  let payouts = 0;
+
+  const lines = entries.map(entry => {
+    balance += entry.partnerAmount;
+
+    if (entry.type === 'partner_payout') {
+      payouts += -entry.partnerAmount;
+    } else {
+      commission += entry.getCommission();
+      earnings += entry.getEarnings();
+    }
+
+    return {
+      ...entry.getSummary(),
+      booking: entry.bookingId && entry.bookingId.bookingId ? {
+        bookingId: entry.bookingId.bookingId,
+        serviceName: entry.bookingId.serviceName,
+        totalAmount: entry.bookingId.totalAmount,
+        paymentMethod: entry.bookingId.paymentMethod
+      } : undefined,
+      settlement: entry.settlementId && entry.settlementId.settlementId ? {
+        settlementId: entry.settlementId.settlementId,
+        status: entry.settlementId.status
+      } : undefined,
+      balance: balance / 100
+    };
+  });
+
+  return {
+    from,
+    to,
+    openingBalance: openingBalance / 100,
+    closingBalance: balance / 100,
+    totals: {
+      earnings: earnings / 100,
+      commission: commission / 100,
+      payouts: payouts / 100
+    },
+    entries: lines
+  };
+};
+
+module.exports = {
+  postBookingCompletion,
+  postOnlinePayment,
+  postMissingCompletions,
+  postRefundReversal,
+  postMissingRefundReversals,
+  refreshPartnerEarnings,
+  getPartnerBalance,
+  getPartnerStatement,
+  resolveStatementPeriod
+};
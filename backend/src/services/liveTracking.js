@@ -0,0 +1,271 @@
+const Emergency = require('../models/Emergency');
+const Booking = require('../models/Booking');
+const { calculateDistance } = require('../utils/geo');
+const createHttpError = require('../utils/httpError');
+
+/**
+ * Live tracking configuration - all values can be overridden from the environment
+ */
+const BREADCRUMB_LIMIT = parseInt(process.env.TRACKING_BREADCRUMB_LIMIT, 10) || 200;
+const AVERAGE_SPEED_KMPH = parseFloat(process.env.TRACKING_AVERAGE_SPEED_KMPH) || 25;
+const HEARTBEAT_SECONDS = 25;
+// Below this reported speed the partner is treated as stopped and the average speed is used
+const MIN_MOVING_SPEED_KMPH = 5;
+
+/**
+ * Documents that can be tracked live
+ * partnerField is the field holding the partner that is travelling to the user.
+ */
+const TRACKABLE = {
+  emergency: {
+    Model: Emergency,
+    partnerField: 'assignedPartnerId',
+    activeStatuses: ['active', 'assigned', 'in_progress'],
+    arrivedField: 'arrivalTime',
+    updatesUserLocation: true
+  },
+  booking: {
+    Model: Booking,
+    partnerField: 'partnerId',
+    activeStatuses: ['accepted', 'in_progress'],
+    arrivedField: 'actualArrivalTime',
+    updatesUserLocation: false
+  }
+};
+
+// Open Server-Sent Event streams keyed by channel (e.g. emergency:<id>)
+// Streams live in this process only, so every subscriber of a document must reach the same instance.
+const channels = new Map();
+
+const getChannel = (kind, id) => `${kind}:${id}`;
+
+/**
+ * Latest breadcrumb recorded by a role, newest first
+ */
+const getLastPosition = (trail = [], role) => {
+  for (let i = trail.length - 1; i >= 0; i--) {
+    if (trail[i].role === role) return trail[i];
+  }
+  return null;
+};
+
+const toPosition = (point) => {
+  if (!point || !point.coordinates || point.coordinates.length < 2) return null;
+  return {
+    latitude: point.coordinates[1],
+    longitude: point.coordinates[0],
+    accuracy: point.accuracy,
+    heading: point.heading,
+    speed: point.speed,
+    recordedAt: point.recordedAt
+  };
+};
+
+/**
+ * Estimate the partner's arrival from straight-line distance and speed
+ * The partner's reported GPS speed (m/s) is used when they are moving.
+ */
+const estimateEta = (partnerPosition, userPosition) => {
+  if (!partnerPosition || !userPosition) return null;
+
+  const distanceKm = calculateDistance(
+    partnerPosition.latitude,
+    partnerPosition.longitude,
+    userPosition.latitude,
+    userPosition.longitude
+  );
+
+  const reportedKmph = partnerPosition.speed ? partnerPosition.speed * 3.6 : 0;
+  const speedKmph = reportedKmph >= MIN_MOVING_SPEED_KMPH ? reportedKmph : AVERAGE_SPEED_KMPH;
+  const minutes = Math.ceil((distanceKm / speedKmph) * 60);
+
+  return {
+    distanceKm: Math.round(distanceKm * 100) / 100,
+    minutes,
+    arrivalTime: new Date(Date.now() + minutes * 60000)
+  };
+};
+
+/**
+ * Current user and partner positions of a tracked document
+ * Falls back to the requested userLocation until the user streams a position.
+ */
+const getPositions = (doc) => {
+  return {
+    user: toPosition(getLastPosition(doc.trackingTrail, 'user')) || toPosition(doc.userLocation),
+    partner: toPosition(getLastPosition(doc.trackingTrail, 'partner'))
+  };
+};
+
+/**
+ * Snapshot sent to a subscriber when the stream opens
+ */
+const getSnapshot = (kind, doc) => {
+  const { user, partner } = getPositions(doc);
+  const arrived = Boolean(doc[TRACKABLE[kind].arrivedField]);
+
+  return {
+    status: doc.status,
+    user,
+    partner,
+    eta: arrived ? null : estimateEta(partner, user),
+    arrived
+  };
+};
+
+/**
+ * Load a tracked document the requester takes part in
+ * @returns {{ doc: Object, role: 'user'|'partner' }}
+ */
+const findTrackable = async (kind, id, requester) => {
+  const { Model, partnerField } = TRACKABLE[kind];
+  const query = { _id: id };
+  let role;
+
+  if (requester.role === 'user') {
+    query.userId = requester.userId;
+    role = 'user';
+  } else if (requester.role === 'partner') {
+    query[partnerField] = requester.partnerId;
+    role = 'partner';
+  } else {
+    throw createHttpError(403, 'Access denied. User or partner role required.');
+  }
+
+  const doc = await Model.findOne(query);
+  if (!doc) {
+    throw createHttpError(404, `${kind === 'emergency' ? 'Emergency' : 'Booking'} not found or access denied`);
+  }
+
+  return { doc, role };
+};
+
+/**
+ * Send an event to every open stream of a document
+ */
+const publish = (kind, id, event, data) => {
+  const subscribers = channels.get(getChannel(kind, id));
+  if (!subscribers) return 0;
+
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  subscribers.forEach(res => {
+    res.write(payload);
+    // compression() buffers responses; flush so events are delivered immediately
+    if (res.flush) res.flush();
+  });
+
+  return subscribers.size;
+};
+
+/**
+ * Record a GPS position as a breadcrumb, recompute the ETA and broadcast it
+ * The trail is capped at BREADCRUMB_LIMIT points and kept for dispute review.
+ */
+const recordPosition = async (kind, doc, role, { latitude, longitude, accuracy, heading, speed }) => {
+  const { Model, activeStatuses, arrivedField, updatesUserLocation } = TRACKABLE[kind];
+
+  if (!activeStatuses.includes(doc.status)) {
+    throw createHttpError(400, `Live tracking is not available for a ${kind} that is ${doc.status}`);
+  }
+
+  const point = {
+    role,
+    coordinates: [parseFloat(longitude), parseFloat(latitude)],
+    accuracy: accuracy !== undefined ? parseFloat(accuracy) : undefined,
+    heading: heading !== undefined ? parseFloat(heading) : undefined,
+    speed: speed !== undefined ? parseFloat(speed) : undefined,
+    recordedAt: new Date()
+  };
+  const position = toPosition(point);
+
+  const current = getPositions(doc);
+  const userPosition = role === 'user' ? position : current.user;
+  const partnerPosition = role === 'partner' ? position : current.partner;
+  const eta = doc[arrivedField] ? null : estimateEta(partnerPosition, userPosition);
+
+  const update = {
+    $push: { trackingTrail: { $each: [point], $slice: -BREADCRUMB_LIMIT } },
+    $set: { updatedAt: new Date() }
+  };
+  if (role === 'user' && updatesUserLocation) {
+    update.$set.userLocation = { type: 'Point', coordinates: point.coordinates };
+  }
+  if (eta) {
+    update.$set.estimatedArrivalTime = eta.arrivalTime;
+  }
+
+  await Model.updateOne({ _id: doc._id }, update);
+
+  publish(kind, doc._id, 'location', { role, position, eta });
+
+  return { position, eta };
+};
+
+/**
+ * Open a Server-Sent Events stream for a document
+ * Sends a snapshot immediately, then location/status events and a heartbeat comment.
+ */
+const subscribe = (kind, id, req, res, snapshot) => {
+  const channel = getChannel(kind, id);
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  res.write(`retry: 5000\nevent: snapshot\ndata: ${JSON.stringify(snapshot)}\n\n`);
+  if (res.flush) res.flush();
+
+  if (!channels.has(channel)) channels.set(channel, new Set());
+  channels.get(channel).add(res);
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+    if (res.flush) res.flush();
+  }, HEARTBEAT_SECONDS * 1000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const subscribers = channels.get(channel);
+    if (subscribers) {
+      subscribers.delete(res);
+      if (subscribers.size === 0) channels.delete(channel);
+    }
+  });
+};
+
+/**
+ * Broadcast a status change and close the streams once tracking is over
+ */
+const publishStatus = (kind, doc) => {
+  const { activeStatuses, arrivedField } = TRACKABLE[kind];
+
+  publish(kind, doc._id, 'status', {
+    status: doc.status,
+    arrived: Boolean(doc[arrivedField])
+  });
+
+  if (!activeStatuses.includes(doc.status)) {
+    const channel = getChannel(kind, doc._id);
+    const subscribers = channels.get(channel);
+    if (subscribers) {
+      subscribers.forEach(res => res.end());
+      channels.delete(channel);
+    }
+  }
+};
+
+module.exports = {
+  findTrackable,
+  recordPosition,
+  subscribe,
+  publish,
+  publishStatus,
+  getSnapshot,
+  estimateEta,
+  BREADCRUMB_LIMIT
+};
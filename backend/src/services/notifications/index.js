@@ -0,0 +1,255 @@
+const Admin = require('../../models/Admin');
+const Booking = require('../../models/Booking');
+const Emergency = require('../../models/Emergency');
+const Partner = require('../../models/Partner');
+const User = require('../../models/User');
+const { sendSMS } = require('../sms');
+const { sendEmail } = require('../email');
+const { hasDevices, sendToOwner } = require('../devices');
+const { toLocalParts, formatTime } = require('../../utils/schedule');
+const { TEMPLATES, renderTemplate } = require('./templates');
+
+/**
+ * Delivery retry - attempts per channel and the delay before the first retry (doubles each time)
+ */
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 3;
+const RETRY_DELAY_MS = parseInt(process.env.NOTIFICATION_RETRY_DELAY_MS, 10) || 2000;
+
+const RECIPIENTS = {
+  user: {
+    model: User,
+    select: 'name phoneNumber email language notifications'
+  },
+  partner: {
+    model: Partner,
+    select: 'name ownerName shopName businessName phoneNumber mobileNumber email language notifications'
+  },
+  admin: {
+    model: Admin,
+    select: 'name phoneNumber email language notifications'
+  }
+};
+
+// Documents whose notificationsSent records the deliveries
+const SOURCES = {
+  booking: Booking,
+  emergency: Emergency
+};
+
+const getPartnerDisplayName = (partner) =>
+  partner.shopName || partner.businessName || partner.ownerName || partner.name;
+
+/**
+ * Business-local date and time, e.g. 2025-03-14 10:30
+ */
+const formatDateTime = (date) => {
+  if (!date) return '';
+  const { dateString, minutes } = toLocalParts(date);
+  return `${dateString} ${formatTime(minutes)}`;
+};
+
+/**
+ * Where a channel reaches the recipient, or null when it cannot
+ * Push goes to the account's registered devices (admins have none).
+ */
+const getAddress = async (channel, recipientType, recipient) => {
+  switch (channel) {
+    case 'sms':
+      return recipient.mobileNumber || recipient.phoneNumber || null;
+    case 'email':
+      return recipient.email || null;
+    case 'push':
+      return recipientType !== 'admin' && await hasDevices(recipientType, recipient._id)
+        ? { ownerType: recipientType, ownerId: recipient._id }
+        : null;
+    default:
+      return null;
+  }
+};
+
+const CHANNELS = {
+  sms: (to, message) => sendSMS(to, `Rollon: ${message.body}`),
+  email: (to, message) => sendEmail(to, message.title, `${message.body}\n\n- Team Rollon`),
+  push: (to, message, data) => sendToOwner(to.ownerType, to.ownerId, { title: message.title, body: message.body, data })
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Call send until it succeeds, MAX_ATTEMPTS is reached or it fails with error.permanent
+ * @returns {Promise<{ result: Object, attempts: number }>} - the final error carries .attempts
+ */
+const withRetry = async (send) => {
+  let attempts = 0;
+
+  while (true) {
+    attempts += 1;
+    try {
+      return { result: await send(), attempts };
+    } catch (error) {
+      if (attempts >= MAX_ATTEMPTS || error.permanent) {
+        error.attempts = attempts;
+        throw error;
+      }
+      await sleep(RETRY_DELAY_MS * 2 ** (attempts - 1));
+    }
+  }
+};
+
+/**
+ * Send an event's notification to its recipient
+ * The template decides the channels; the recipient's notifications preferences can switch
+ * each of them off, and the text is rendered in the recipient's language. Every delivery
+ * is retried, then recorded on the source document's notificationsSent.
+ * Never throws - failures are logged - so callers can run it in the background.
+ * @param {string} event - Key of TEMPLATES
+ * @param {Object} params - { recipientId, data: template values, source: { type: 'booking'|'emergency', id } }
+ * @returns {Promise<Array>} The delivery entries
+ */
+const notify = async (event, { recipientId, data = {}, source } = {}) => {
+  try {
+    const template = TEMPLATES[event];
+    if (!template) {
+      throw new Error(`Unknown notification event: ${event}`);
+    }
+
+    const { model, select } = RECIPIENTS[template.recipient];
+    const recipient = recipientId && await model.findById(recipientId).select(select);
+    if (!recipient) return [];
+
+    const preferences = recipient.notifications || {};
+    const message = renderTemplate(event, recipient.language, data);
+    const pushData = {
+      event,
+      ...(source && { sourceType: source.type, sourceId: String(source.id) })
+    };
+
+    const targets = await Promise.all(template.channels
+      .filter(channel => preferences[channel] !== false)
+      .map(async channel => ({ channel, address: await getAddress(channel, template.recipient, recipient) })));
+
+    const deliveries = targets
+      .filter(({ address }) => address)
+      .map(async ({ channel, address }) => {
+        const entry = {
+          type: channel,
+          recipient: template.recipient,
+          event,
+          sentAt: new Date(),
+          message: message.body
+        };
+
+        try {
+          const { result, attempts } = await withRetry(() => CHANNELS[channel](address, message, pushData));
+          entry.status = 'sent';
+          entry.messageId = result.messageId;
+          entry.attempts = attempts;
+        } catch (error) {
+          entry.status = 'failed';
+          entry.error = error.message;
+          entry.attempts = error.attempts;
+          console.error(`Notification ${event} by ${channel} to ${template.recipient} ${recipient._id} failed:`, error.message);
+        }
+        return entry;
+      });
+
+    const entries = await Promise.all(deliveries);
+
+    if (source && SOURCES[source.type] && entries.length > 0) {
+      await SOURCES[source.type].updateOne(
+        { _id: source.id },
+        { $push: { notificationsSent: { $each: entries } } }
+      );
+    }
+
+    return entries;
+  } catch (error) {
+    console.error(`Notification ${event} error:`, error);
+    return [];
+  }
+};
+
+/**
+ * Template values shared by all booking events
+ */
+const getBookingData = async (booking) => {
+  const [user, partner] = await Promise.all([
+    User.findById(booking.userId).select('name'),
+    Partner.findById(booking.partnerId).select('name ownerName shopName businessName')
+  ]);
+
+  return {
+    bookingId: booking.bookingId,
+    serviceName: booking.serviceName,
+    scheduledAt: formatDateTime(booking.scheduledDate),
+    amount: booking.totalAmount,
+    customerName: (user && user.name) || 'A customer',
+    partnerName: (partner && getPartnerDisplayName(partner)) || 'Your service partner'
+  };
+};
+
+/**
+ * Send a booking event to the booking's customer or partner, as the template says
+ * @param {Object} booking - Booking document
+ * @param {string} event - booking_* key of TEMPLATES
+ */
+const notifyBooking = async (booking, event) => {
+  try {
+    const template = TEMPLATES[event];
+    const recipientId = template && template.recipient === 'partner' ? booking.partnerId : booking.userId;
+
+    return notify(event, {
+      recipientId,
+      data: await getBookingData(booking),
+      source: { type: 'booking', id: booking._id }
+    });
+  } catch (error) {
+    console.error(`Notification ${event} error for booking ${booking.bookingId}:`, error);
+    return [];
+  }
+};
+
+const BOOKING_STATUS_EVENTS = {
+  accepted: 'booking_accepted',
+  rejected: 'booking_rejected',
+  in_progress: 'booking_started',
+  completed: 'booking_completed',
+  expired: 'booking_expired'
+};
+
+/**
+ * Tell the other side about a booking status change
+ * Customer cancellations go to the partner; every other change goes to the customer.
+ */
+const notifyBookingStatus = async (booking, status, actor) => {
+  if (status === 'cancelled') {
+    return notifyBooking(booking, actor === 'user' ? 'booking_cancelled_by_customer' : 'booking_cancelled');
+  }
+  if (!BOOKING_STATUS_EVENTS[status]) return [];
+
+  return notifyBooking(booking, BOOKING_STATUS_EVENTS[status]);
+};
+
+/**
+ * Send an emergency event to the emergency's customer
+ * @param {Object} emergency - Emergency document
+ * @param {string} event - emergency_* key of TEMPLATES
+ */
+const notifyEmergency = async (emergency, event) => notify(event, {
+  recipientId: emergency.userId,
+  data: {
+    emergencyType: String(emergency.emergencyType || '').replace(/_/g, ' '),
+    partnerName: emergency.assignedPartnerName || 'A partner',
+    partnerPhone: emergency.assignedPartnerPhone || ''
+  },
+  source: { type: 'emergency', id: emergency._id }
+});
+
+module.exports = {
+  notify,
+  notifyBooking,
+  notifyBookingStatus,
+  notifyEmergency,
+  getPartnerDisplayName,
+  formatDateTime
+};
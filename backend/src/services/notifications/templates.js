@@ -0,0 +1,279 @@
+/**
+ * Notification templates by event
+ * Each event goes to one kind of recipient on its default channels; the recipient's
+ * notification preferences then decide which of those channels are used.
+ * Text is written in en, hi and gu and rendered in the recipient's language, falling
+ * back to English. {{placeholders}} are filled from the data passed to notify().
+ */
+const TEMPLATES = {
+  booking_created: {
+    recipient: 'user',
+    channels: ['push', 'email'],
+    en: {
+      title: 'Booking placed',
+      body: 'Your {{serviceName}} booking {{bookingId}} for {{scheduledAt}} has been sent to {{partnerName}}. We will let you know when they accept.'
+    },
+    hi: {
+      title: 'बुकिंग हो गई',
+      body: 'आपकी {{serviceName}} बुकिंग {{bookingId}} ({{scheduledAt}}) {{partnerName}} को भेज दी गई है। उनके स्वीकार करते ही हम आपको बताएंगे।'
+    },
+    gu: {
+      title: 'બુકિંગ થઈ ગયું',
+      body: 'તમારું {{serviceName}} બુકિંગ {{bookingId}} ({{scheduledAt}}) {{partnerName}} ને મોકલવામાં આવ્યું છે. તેઓ સ્વીકારે એટલે અમે તમને જાણ કરીશું.'
+    }
+  },
+
+  booking_requested: {
+    recipient: 'partner',
+    channels: ['push', 'sms'],
+    en: {
+      title: 'New booking request',
+      body: '{{customerName}} booked {{serviceName}} for {{scheduledAt}} ({{bookingId}}). Accept it in the Rollon Partner app before it expires.'
+    },
+    hi: {
+      title: 'नया बुकिंग अनुरोध',
+      body: '{{customerName}} ने {{scheduledAt}} के लिए {{serviceName}} बुक किया है ({{bookingId}})। समय समाप्त होने से पहले Rollon Partner ऐप में स्वीकार करें।'
+    },
+    gu: {
+      title: 'નવી બુકિંગ વિનંતી',
+      body: '{{customerName}} એ {{scheduledAt}} માટે {{serviceName}} બુક કર્યું છે ({{bookingId}}). સમય પૂરો થાય તે પહેલાં Rollon Partner ઍપમાં સ્વીકારો.'
+    }
+  },
+
+  booking_accepted: {
+    recipient: 'user',
+    channels: ['push', 'sms'],
+    en: {
+      title: 'Booking confirmed',
+      body: '{{partnerName}} accepted your {{serviceName}} booking {{bookingId}} for {{scheduledAt}}.'
+    },
+    hi: {
+      title: 'बुकिंग की पुष्टि हुई',
+      body: '{{partnerName}} ने {{scheduledAt}} के लिए आपकी {{serviceName}} बुकिंग {{bookingId}} स्वीकार कर ली है।'
+    },
+    gu: {
+      title: 'બુકિંગ કન્ફર્મ થયું',
+      body: '{{partnerName}} એ {{scheduledAt}} માટેનું તમારું {{serviceName}} બુકિંગ {{bookingId}} સ્વીકાર્યું છે.'
+    }
+  },
+
+  booking_rejected: {
+    recipient: 'user',
+    channels: ['push', 'sms'],
+    en: {
+      title: 'Booking declined',
+      body: '{{partnerName}} could not take your {{serviceName}} booking {{bookingId}}. Any payment will be refunded. Please choose another partner.'
+    },
+    hi: {
+      title: 'बुकिंग अस्वीकार',
+      body: '{{partnerName}} आपकी {{serviceName}} बुकिंग {{bookingId}} नहीं ले सके। कोई भी भुगतान वापस कर दिया जाएगा। कृपया दूसरा पार्टनर चुनें।'
+    },
+    gu: {
+      title: 'બુકિંગ નામંજૂર',
+      body: '{{partnerName}} તમારું {{serviceName}} બુકિંગ {{bookingId}} લઈ શક્યા નથી. કોઈપણ ચુકવણી પરત કરવામાં આવશે. કૃપા કરીને બીજા પાર્ટનર પસંદ કરો.'
+    }
+  },
+
+  booking_started: {
+    recipient: 'user',
+    channels: ['push'],
+    en: {
+      title: 'Service started',
+      body: '{{partnerName}} has started work on your {{serviceName}} ({{bookingId}}).'
+    },
+    hi: {
+      title: 'सेवा शुरू हुई',
+      body: '{{partnerName}} ने आपकी {{serviceName}} ({{bookingId}}) पर काम शुरू कर दिया है।'
+    },
+    gu: {
+      title: 'સેવા શરૂ થઈ',
+      body: '{{partnerName}} એ તમારી {{serviceName}} ({{bookingId}}) પર કામ શરૂ કર્યું છે.'
+    }
+  },
+
+  booking_completed: {
+    recipient: 'user',
+    channels: ['push', 'email'],
+    en: {
+      title: 'Service completed',
+      body: 'Your {{serviceName}} ({{bookingId}}) is complete. Total: ₹{{amount}}. Rate {{partnerName}} in the app.'
+    },
+    hi: {
+      title: 'सेवा पूरी हुई',
+      body: 'आपकी {{serviceName}} ({{bookingId}}) पूरी हो गई है। कुल: ₹{{amount}}। ऐप में {{partnerName}} को रेटिंग दें।'
+    },
+    gu: {
+      title: 'સેવા પૂર્ણ થઈ',
+      body: 'તમારી {{serviceName}} ({{bookingId}}) પૂર્ણ થઈ છે. કુલ: ₹{{amount}}. ઍપમાં {{partnerName}} ને રેટિંગ આપો.'
+    }
+  },
+
+  // Cancelled by the partner, an admin or the no-show job
+  booking_cancelled: {
+    recipient: 'user',
+    channels: ['push', 'sms'],
+    en: {
+      title: 'Booking cancelled',
+      body: 'Your {{serviceName}} booking {{bookingId}} for {{scheduledAt}} was cancelled. Any payment will be refunded.'
+    },
+    hi: {
+      title: 'बुकिंग रद्द',
+      body: '{{scheduledAt}} के लिए आपकी {{serviceName}} बुकिंग {{bookingId}} रद्द कर दी गई है। कोई भी भुगतान वापस कर दिया जाएगा।'
+    },
+    gu: {
+      title: 'બુકિંગ રદ',
+      body: '{{scheduledAt}} માટેનું તમારું {{serviceName}} બુકિંગ {{bookingId}} રદ કરવામાં આવ્યું છે. કોઈપણ ચુકવણી પરત કરવામાં આવશે.'
+    }
+  },
+
+  booking_cancelled_by_customer: {
+    recipient: 'partner',
+    channels: ['push', 'sms'],
+    en: {
+      title: 'Booking cancelled',
+      body: '{{customerName}} cancelled the {{serviceName}} booking {{bookingId}} for {{scheduledAt}}.'
+    },
+    hi: {
+      title: 'बुकिंग रद्द',
+      body: '{{customerName}} ने {{scheduledAt}} की {{serviceName}} बुकिंग {{bookingId}} रद्द कर दी है।'
+    },
+    gu: {
+      title: 'બુકિંગ રદ',
+      body: '{{customerName}} એ {{scheduledAt}} નું {{serviceName}} બુકિંગ {{bookingId}} રદ કર્યું છે.'
+    }
+  },
+
+  booking_expired: {
+    recipient: 'user',
+    channels: ['push', 'sms'],
+    en: {
+      title: 'Booking not accepted',
+      body: '{{partnerName}} did not respond to your {{serviceName}} booking {{bookingId}} in time. Any payment will be refunded. Please book another partner.'
+    },
+    hi: {
+      title: 'बुकिंग स्वीकार नहीं हुई',
+      body: '{{partnerName}} ने समय पर आपकी {{serviceName}} बुकिंग {{bookingId}} का जवाब नहीं दिया। कोई भी भुगतान वापस कर दिया जाएगा। कृपया दूसरा पार्टनर बुक करें।'
+    },
+    gu: {
+      title: 'બુકિંગ સ્વીકારાયું નથી',
+      body: '{{partnerName}} એ સમયસર તમારા {{serviceName}} બુકિંગ {{bookingId}} નો જવાબ આપ્યો નથી. કોઈપણ ચુકવણી પરત કરવામાં આવશે. કૃપા કરીને બીજા પાર્ટનર બુક કરો.'
+    }
+  },
+
+  service_call_quoted: {
+    recipient: 'user',
+    channels: ['push'],
+    en: {
+      title: 'New quote',
+      body: '{{partnerName}} quoted ₹{{amount}} for {{serviceName}}. Accept or counter it in the app.'
+    },
+    hi: {
+      title: 'नया कोटेशन',
+      body: '{{partnerName}} ने {{serviceName}} के लिए ₹{{amount}} का कोटेशन दिया है। ऐप में स्वीकार करें या अपना ऑफ़र दें।'
+    },
+    gu: {
+      title: 'નવું ક્વોટેશન',
+      body: '{{partnerName}} એ {{serviceName}} માટે ₹{{amount}} નું ક્વોટેશન આપ્યું છે. ઍપમાં સ્વીકારો અથવા તમારી ઓફર આપો.'
+    }
+  },
+
+  partner_approved: {
+    recipient: 'partner',
+    channels: ['push', 'sms', 'email'],
+    en: {
+      title: 'Welcome to Rollon',
+      body: 'Hi {{name}}, {{partnerName}} has been approved. You can now receive bookings in the Rollon Partner app.'
+    },
+    hi: {
+      title: 'Rollon में आपका स्वागत है',
+      body: 'नमस्ते {{name}}, {{partnerName}} स्वीकृत हो गया है। अब आप Rollon Partner ऐप में बुकिंग प्राप्त कर सकते हैं।'
+    },
+    gu: {
+      title: 'Rollon માં આપનું સ્વાગત છે',
+      body: 'નમસ્તે {{name}}, {{partnerName}} મંજૂર થયું છે. હવે તમે Rollon Partner ઍપમાં બુકિંગ મેળવી શકો છો.'
+    }
+  },
+
+  partner_rejected: {
+    recipient: 'partner',
+    channels: ['sms', 'email'],
+    en: {
+      title: 'Registration not approved',
+      body: 'Hi {{name}}, we could not approve {{partnerName}} on Rollon. Reason: {{reason}}. Contact support to reapply.'
+    },
+    hi: {
+      title: 'पंजीकरण स्वीकृत नहीं हुआ',
+      body: 'नमस्ते {{name}}, हम Rollon पर {{partnerName}} को स्वीकृत नहीं कर सके। कारण: {{reason}}। दोबारा आवेदन करने के लिए सहायता टीम से संपर्क करें।'
+    },
+    gu: {
+      title: 'નોંધણી મંજૂર થઈ નથી',
+      body: 'નમસ્તે {{name}}, અમે Rollon પર {{partnerName}} ને મંજૂર કરી શક્યા નથી. કારણ: {{reason}}. ફરી અરજી કરવા માટે સપોર્ટનો સંપર્ક કરો.'
+    }
+  },
+
+  emergency_assigned: {
+    recipient: 'user',
+    channels: ['push', 'sms'],
+    en: {
+      title: 'Help is on the way',
+      body: '{{partnerName}} is coming to help with your {{emergencyType}} emergency. Call them on {{partnerPhone}}.'
+    },
+    hi: {
+      title: 'मदद आ रही है',
+      body: '{{partnerName}} आपकी {{emergencyType}} आपात स्थिति में मदद के लिए आ रहे हैं। उन्हें {{partnerPhone}} पर कॉल करें।'
+    },
+    gu: {
+      title: 'મદદ આવી રહી છે',
+      body: '{{partnerName}} તમારી {{emergencyType}} ઇમરજન્સીમાં મદદ માટે આવી રહ્યા છે. તેમને {{partnerPhone}} પર કૉલ કરો.'
+    }
+  },
+
+  emergency_resolved: {
+    recipient: 'user',
+    channels: ['push'],
+    en: {
+      title: 'Emergency resolved',
+      body: 'Your {{emergencyType}} emergency has been resolved by {{partnerName}}. Stay safe!'
+    },
+    hi: {
+      title: 'आपात स्थिति सुलझ गई',
+      body: '{{partnerName}} ने आपकी {{emergencyType}} आपात स्थिति सुलझा दी है। सुरक्षित रहें!'
+    },
+    gu: {
+      title: 'ઇમરજન્સી ઉકેલાઈ ગઈ',
+      body: '{{partnerName}} એ તમારી {{emergencyType}} ઇમરજન્સી ઉકેલી છે. સુરક્ષિત રહો!'
+    }
+  }
+};
+
+const LANGUAGES = ['en', 'hi', 'gu'];
+
+/**
+ * Fill a template's placeholders; missing values render as empty strings
+ */
+const fill = (text, data) => text.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+  (data[key] === undefined || data[key] === null ? '' : String(data[key])));
+
+/**
+ * Render an event in the given language
+ * @returns {{ title: string, body: string }}
+ */
+const renderTemplate = (event, language, data = {}) => {
+  const template = TEMPLATES[event];
+  if (!template) {
+    throw new Error(`Unknown notification event: ${event}`);
+  }
+
+  const text = template[LANGUAGES.includes(language) ? language : 'en'];
+  return {
+    title: fill(text.title, data),
+    body: fill(text.body, data)
+  };
+};
+
+module.exports = {
+  TEMPLATES,
+  EVENTS: Object.keys(TEMPLATES),
+  LANGUAGES,
+  renderTemplate
+};
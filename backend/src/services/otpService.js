@@ -0,0 +1,137 @@
+const User = require('../models/User');
+const Partner = require('../models/Partner');
+const { sendSMS } = require('./sms');
+const createHttpError = require('../utils/httpError');
+const {
+  OTP_EXPIRY_MINUTES,
+  OTP_MAX_ATTEMPTS,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  OTP_MAX_SENDS_PER_HOUR,
+  normalizeIndianPhone
+} = require('../utils/otp');
+
+/**
+ * Find the account that owns a phone number
+ * Users are matched on phoneNumber, partners on mobileNumber (or legacy phoneNumber)
+ */
+const findAccount = async (phone, userType = 'user') => {
+  if (userType === 'partner') {
+    return Partner.findOne({
+      $or: [
+        { mobileNumber: phone },
+        { phoneNumber: phone }
+      ]
+    });
+  }
+
+  return User.findOne({ phoneNumber: phone });
+};
+
+/**
+ * Generate, store and deliver an OTP for the given phone number
+ * Enforces the resend cooldown and the hourly send limit per phone; the checks below give
+ * the retry time, and generateOTP enforces the same limits atomically for concurrent requests.
+ * Unknown numbers get the same result without an SMS being sent.
+ */
+const issueOTP = async ({ phone, userType = 'user' }) => {
+  const normalizedPhone = normalizeIndianPhone(phone);
+  if (!normalizedPhone) {
+    throw createHttpError(400, 'Please provide a valid 10-digit Indian mobile number');
+  }
+
+  const account = await findAccount(normalizedPhone, userType);
+  if (!account) {
+    // Same response as a real send so the endpoint does not reveal which numbers have accounts
+    return {
+      phone: normalizedPhone,
+      otp: null,
+      expiresIn: OTP_EXPIRY_MINUTES * 60,
+      resendAfter: OTP_RESEND_COOLDOWN_SECONDS
+    };
+  }
+
+  const now = Date.now();
+  const otpState = account.otp || {};
+
+  // Resend cooldown
+  if (otpState.lastSentAt) {
+    const secondsSinceLastSend = (now - otpState.lastSentAt.getTime()) / 1000;
+    if (secondsSinceLastSend < OTP_RESEND_COOLDOWN_SECONDS) {
+      throw createHttpError(429, 'Please wait before requesting another OTP', {
+        retryAfter: Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - secondsSinceLastSend)
+      });
+    }
+  }
+
+  // Hourly send limit
+  const windowActive = otpState.sendWindowStart && now - otpState.sendWindowStart.getTime() < 60 * 60 * 1000;
+  if (windowActive && (otpState.sendCount || 0) >= OTP_MAX_SENDS_PER_HOUR) {
+    throw createHttpError(429, 'Too many OTP requests. Please try again later.', {
+      retryAfter: Math.ceil((otpState.sendWindowStart.getTime() + 60 * 60 * 1000 - now) / 1000)
+    });
+  }
+
+  const otp = await account.generateOTP();
+  if (!otp) {
+    // Another request sent a code since this account was read
+    throw createHttpError(429, 'Please wait before requesting another OTP', {
+      retryAfter: OTP_RESEND_COOLDOWN_SECONDS
+    });
+  }
+
+  await sendSMS(
+    normalizedPhone,
+    `Your Rollon verification code is ${otp}. It is valid for ${OTP_EXPIRY_MINUTES} minutes. Do not share it with anyone.`
+  );
+
+  return {
+    phone: normalizedPhone,
+    otp,
+    expiresIn: OTP_EXPIRY_MINUTES * 60,
+    resendAfter: OTP_RESEND_COOLDOWN_SECONDS
+  };
+};
+
+/**
+ * Verify an OTP and mark the phone number as verified
+ */
+const verifyOTPCode = async ({ phone, otp, userType = 'user' }) => {
+  const normalizedPhone = normalizeIndianPhone(phone);
+  if (!normalizedPhone) {
+    throw createHttpError(400, 'Please provide a valid 10-digit Indian mobile number');
+  }
+
+  const account = await findAccount(normalizedPhone, userType);
+  if (!account || !account.otp || !account.otp.code) {
+    throw createHttpError(400, 'No active OTP found. Please request a new one.');
+  }
+
+  if (new Date() > account.otp.expiresAt) {
+    throw createHttpError(400, 'OTP has expired. Please request a new one.');
+  }
+
+  if ((account.otp.attempts || 0) >= OTP_MAX_ATTEMPTS) {
+    throw createHttpError(429, 'Maximum verification attempts exceeded. Please request a new OTP.');
+  }
+
+  // Attempts are counted in the database, so the account is not saved afterwards
+  const isValid = await account.verifyOTP(otp);
+  if (!isValid) {
+    throw createHttpError(400, 'Invalid OTP', {
+      attemptsRemaining: Math.max(OTP_MAX_ATTEMPTS - account.otp.attempts, 0)
+    });
+  }
+
+  await account.constructor.updateOne({ _id: account._id }, { $set: { isPhoneVerified: true } });
+  account.isPhoneVerified = true;
+
+  return {
+    phone: normalizedPhone,
+    account
+  };
+};
+
+module.exports = {
+  issueOTP,
+  verifyOTPCode
+};
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { hmacSha256, signaturesMatch } = require('./signature');
+
+/**
+ * Local gateway for development and tests - no network calls
+ * Orders live in memory; simulatePayment() produces a signed webhook exactly as the
+ * real gateway would, so the full webhook and reconciliation path can be exercised.
+ */
+const orders = new Map();
+
+const getSecret = () => process.env.FAKE_PAYMENT_SECRET || 'fake-payment-secret';
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+
+const createOrder = async ({ amount, currency, receipt, notes }) => {
+  const orderId = randomId('fake_order');
+  orders.set(orderId, { amount, currency, receipt, notes, payments: [] });
+
+  return {
+    orderId,
+    amount,
+    currency,
+    status: 'created'
+  };
+};
+
+const verifyCheckoutSignature = ({ orderId, paymentId, signature }) =>
+  signaturesMatch(hmacSha256(getSecret(), `${orderId}|${paymentId}`), signature);
+
+const verifyWebhookSignature = (rawBody, headers) =>
+  signaturesMatch(hmacSha256(getSecret(), rawBody), headers['x-fake-signature']);
+
+const parseWebhookEvent = (body) => ({
+  eventId: body.id,
+  type: body.event,
+  orderId: body.orderId,
+  outcome: ['paid', 'failed'].includes(body.outcome) ? body.outcome : null,
+  providerPaymentId: body.paymentId,
+  method: body.method || 'upi',
+  amount: body.amount,
+  currency: body.currency,
+  failureReason: body.failureReason
+});
+
+const toResult = (attempt) => ({
+  outcome: attempt.outcome,
+  providerPaymentId: attempt.paymentId,
+  method: attempt.method,
+  amount: attempt.amount,
+  currency: attempt.currency,
+  failureReason: attempt.failureReason
+});
+
+const fetchOrderStatus = async (orderId) => {
+  const order = orders.get(orderId);
+  if (!order) return { outcome: null };
+
+  const paid = order.payments.find(payment => payment.outcome === 'paid');
+  const latest = paid || order.payments[order.payments.length - 1];
+  if (!latest) return { outcome: null };
+
+  return toResult(latest);
+};
+
+const fetchPayment = async (paymentId) => {
+  for (const [orderId, order] of orders) {
+    const attempt = order.payments.find(payment => payment.paymentId === paymentId);
+    if (attempt) return { orderId, ...toResult(attempt) };
+  }
+  throw new Error(`Unknown fake payment: ${paymentId}`);
+};
+
+// Fake refunds settle immediately
+const refunds = new Map();
+const refundsByIdempotencyKey = new Map();
+
+const createRefund = async ({ providerPaymentId, amount, idempotencyKey }) => {
+  if (idempotencyKey && refundsByIdempotencyKey.has(idempotencyKey)) {
+    return { providerRefundId: refundsByIdempotencyKey.get(idempotencyKey), status: 'processed' };
+  }
+
+  const providerRefundId = randomId('fake_rfnd');
+  refunds.set(providerRefundId, { providerPaymentId, amount, status: 'processed' });
+  if (idempotencyKey) refundsByIdempotencyKey.set(idempotencyKey, providerRefundId);
+  return { providerRefundId, status: 'processed' };
+};
+
+const fetchRefundStatus = async (providerRefundId) => {
+  const refund = refunds.get(providerRefundId);
+  return {
+    providerRefundId,
+    status: refund ? refund.status : 'failed'
+  };
+};
+
+/**
+ * Record a payment attempt against an order and build the signed webhook for it
+ * @param {string} orderId - Order returned by createOrder
+ * @param {string} outcome - 'paid' or 'failed'
+ * @param {Object} options - { method, failureReason, amount, currency }; amount and currency default to the order's
+ * @returns {{ body, rawBody, headers, checkout }} Webhook request plus the checkout callback fields
+ */
+const simulatePayment = (orderId, outcome = 'paid', { method = 'upi', failureReason, amount, currency } = {}) => {
+  const order = orders.get(orderId);
+  if (!order) {
+    throw new Error(`Unknown fake order: ${orderId}`);
+  }
+
+  const paymentId = randomId('fake_pay');
+  const attempt = {
+    paymentId,
+    outcome,
+    method,
+    amount: amount || order.amount,
+    currency: currency || order.currency,
+    failureReason: outcome === 'failed' ? (failureReason || 'Payment declined') : undefined
+  };
+  order.payments.push(attempt);
+
+  const body = {
+    id: randomId('fake_evt'),
+    event: outcome === 'paid' ? 'payment.captured' : 'payment.failed',
+    orderId,
+    paymentId,
+    outcome,
+    method,
+    amount: attempt.amount,
+    currency: attempt.currency,
+    failureReason: attempt.failureReason
+  };
+  const rawBody = JSON.stringify(body);
+
+  return {
+    body,
+    rawBody,
+    headers: { 'x-fake-signature': hmacSha256(getSecret(), rawBody) },
+    checkout: {
+      orderId,
+      paymentId,
+      signature: hmacSha256(getSecret(), `${orderId}|${paymentId}`)
+    }
+  };
+};
+
+const getCheckoutConfig = () => ({
+  provider: 'fake',
+  keyId: 'fake_key'
+});
+
+module.exports = {
+  name: 'fake',
+  createOrder,
+  verifyCheckoutSignature,
+  verifyWebhookSignature,
+  parseWebhookEvent,
+  fetchOrderStatus,
+  fetchPayment,
+  createRefund,
+  fetchRefundStatus,
+  getCheckoutConfig,
+  simulatePayment
+};
@@ -0,0 +1,60 @@
+const razorpayGateway = require('./razorpayGateway');
+const fakeGateway = require('./fakeGateway');
+
+/**
+ * Payment gateways implement:
+ *   createOrder({ amount, currency, receipt, notes }) -> { orderId, amount, currency, status }
+ *   verifyCheckoutSignature({ orderId, paymentId, signature }) -> boolean
+ *   verifyWebhookSignature(rawBody, headers) -> boolean
+ *   parseWebhookEvent(body, headers) -> { eventId, type, orderId, outcome, providerPaymentId, method, amount, currency, failureReason }
+ *   fetchOrderStatus(orderId) -> { outcome, providerPaymentId, method, amount, currency, failureReason }
+ *   fetchPayment(paymentId) -> { orderId, outcome, providerPaymentId, method, amount, currency, failureReason }
+ *   createRefund({ providerPaymentId, amount, receipt, notes, idempotencyKey }) -> { providerRefundId, status }
+ *   fetchRefundStatus(providerRefundId) -> { providerRefundId, status }
+ *   getCheckoutConfig() -> public values the app needs to open the checkout
+ * outcome is 'paid', 'failed' or null when the gateway has nothing final yet; amount is
+ * what the payment actually captured, in paise;
+ * refund status is 'pending', 'processed' or 'failed'; a createRefund retried with the same
+ * idempotencyKey returns the refund already made instead of refunding twice.
+ */
+const gateways = {
+  razorpay: razorpayGateway,
+  fake: fakeGateway
+};
+
+let activeGateway = null;
+
+/**
+ * Resolve a gateway by name, or the active one from PAYMENT_GATEWAY (razorpay | fake)
+ * Defaults to Razorpay in production and the fake gateway everywhere else
+ */
+const getGateway = (name) => {
+  if (!name && activeGateway) return activeGateway;
+
+  const selected = name || process.env.PAYMENT_GATEWAY ||
+    (process.env.NODE_ENV === 'production' ? 'razorpay' : 'fake');
+  const gateway = Object.prototype.hasOwnProperty.call(gateways, selected) ? gateways[selected] : null;
+
+  if (!gateway) {
+    throw new Error(`Unknown payment gateway: ${selected}`);
+  }
+  if (gateway === fakeGateway && process.env.NODE_ENV === 'production') {
+    throw new Error('The fake payment gateway cannot be used in production');
+  }
+
+  if (!name) activeGateway = gateway;
+  return gateway;
+};
+
+/**
+ * Replace the active gateway (e.g. with an in-memory gateway in tests)
+ */
+const setGateway = (gateway) => {
+  activeGateway = gateway;
+};
+
+module.exports = {
+  getGateway,
+  setGateway,
+  gateways
+};
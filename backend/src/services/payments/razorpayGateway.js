@@ -0,0 +1,214 @@
+const https = require('https');
+const { hmacSha256, signaturesMatch } = require('./signature');
+
+const API_HOST = 'api.razorpay.com';
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Razorpay payment methods that map directly onto Booking.paymentMethod
+const METHOD_MAP = {
+  card: 'card',
+  upi: 'upi',
+  wallet: 'wallet'
+};
+
+const getCredentials = () => {
+  const { RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET } = process.env;
+  if (!RAZORPAY_KEY_ID || !RAZORPAY_KEY_SECRET) {
+    throw new Error('Razorpay credentials are not configured');
+  }
+  return { keyId: RAZORPAY_KEY_ID, keySecret: RAZORPAY_KEY_SECRET };
+};
+
+/**
+ * Call the Razorpay REST API with basic auth
+ * Uses Node's https module so no SDK is needed.
+ */
+const request = (method, path, body, headers = {}) => {
+  const { keyId, keySecret } = getCredentials();
+  const payload = body ? JSON.stringify(body) : null;
+
+  return new Promise((resolve, reject) => {
+    const req = https.request({
+      host: API_HOST,
+      path: `/v1${path}`,
+      method,
+      auth: `${keyId}:${keySecret}`,
+      timeout: REQUEST_TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(payload && { 'Content-Length': Buffer.byteLength(payload) }),
+        ...headers
+      }
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        let parsed;
+        try {
+          parsed = data ? JSON.parse(data) : {};
+        } catch (error) {
+          return reject(new Error(`Razorpay returned invalid JSON (HTTP ${res.statusCode})`));
+        }
+
+        if (res.statusCode >= 400) {
+          const description = parsed.error && parsed.error.description;
+          return reject(new Error(`Razorpay API error (HTTP ${res.statusCode}): ${description || 'unknown error'}`));
+        }
+        resolve(parsed);
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error('Razorpay API request timed out')));
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+};
+
+/**
+ * Normalise a Razorpay payment entity into a gateway-neutral result
+ */
+const toResult = (payment) => {
+  let outcome = null;
+  if (payment.status === 'captured') outcome = 'paid';
+  if (payment.status === 'failed') outcome = 'failed';
+
+  return {
+    outcome,
+    providerPaymentId: payment.id,
+    method: METHOD_MAP[payment.method] || 'online',
+    amount: payment.amount,
+    currency: payment.currency,
+    failureReason: payment.error_description || undefined
+  };
+};
+
+/**
+ * Create an order for the checkout
+ * @param {Object} params - { amount (paise), currency, receipt, notes }
+ */
+const createOrder = async ({ amount, currency, receipt, notes }) => {
+  const order = await request('POST', '/orders', { amount, currency, receipt, notes });
+  return {
+    orderId: order.id,
+    amount: order.amount,
+    currency: order.currency,
+    status: order.status
+  };
+};
+
+/**
+ * Verify the signature returned to the client by Razorpay Checkout
+ */
+const verifyCheckoutSignature = ({ orderId, paymentId, signature }) => {
+  const { keySecret } = getCredentials();
+  return signaturesMatch(hmacSha256(keySecret, `${orderId}|${paymentId}`), signature);
+};
+
+/**
+ * Verify the X-Razorpay-Signature header against the raw request body
+ */
+const verifyWebhookSignature = (rawBody, headers) => {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('RAZORPAY_WEBHOOK_SECRET is not configured');
+  }
+  return signaturesMatch(hmacSha256(secret, rawBody), headers['x-razorpay-signature']);
+};
+
+/**
+ * Turn a webhook body into { eventId, type, orderId, outcome, ... }
+ * Events other than payment.captured, payment.failed and order.paid carry no outcome.
+ */
+const parseWebhookEvent = (body, headers) => {
+  const payment = body.payload && body.payload.payment && body.payload.payment.entity;
+  const order = body.payload && body.payload.order && body.payload.order.entity;
+
+  const result = payment ? toResult(payment) : { outcome: null };
+  if (!['payment.captured', 'payment.failed', 'order.paid'].includes(body.event)) {
+    result.outcome = null;
+  }
+
+  return {
+    eventId: headers['x-razorpay-event-id'] || `${body.event}:${payment ? payment.id : order && order.id}`,
+    type: body.event,
+    orderId: (payment && payment.order_id) || (order && order.id),
+    ...result
+  };
+};
+
+/**
+ * Current outcome of an order, for reconciliation
+ * A captured payment wins over earlier failed attempts on the same order.
+ */
+const fetchOrderStatus = async (orderId) => {
+  const { items = [] } = await request('GET', `/orders/${encodeURIComponent(orderId)}/payments`);
+
+  const captured = items.find(payment => payment.status === 'captured');
+  if (captured) return toResult(captured);
+
+  // Razorpay lists the most recent attempt first
+  const failed = items.find(payment => payment.status === 'failed');
+  if (failed && items.every(payment => payment.status === 'failed')) return toResult(failed);
+
+  return { outcome: null };
+};
+
+/**
+ * A single payment, for checking a checkout callback against what was actually paid
+ */
+const fetchPayment = async (paymentId) => {
+  const payment = await request('GET', `/payments/${encodeURIComponent(paymentId)}`);
+  return {
+    orderId: payment.order_id,
+    ...toResult(payment)
+  };
+};
+
+/**
+ * Refund part or all of a captured payment
+ * Razorpay returns the existing refund when X-Refund-Idempotency repeats, so a retry after
+ * a timeout cannot refund twice.
+ * @param {Object} params - { providerPaymentId, amount (paise), receipt, notes, idempotencyKey }
+ */
+const createRefund = async ({ providerPaymentId, amount, receipt, notes, idempotencyKey }) => {
+  const refund = await request('POST', `/payments/${encodeURIComponent(providerPaymentId)}/refund`, {
+    amount,
+    receipt,
+    notes
+  }, idempotencyKey ? { 'X-Refund-Idempotency': idempotencyKey } : {});
+  return {
+    providerRefundId: refund.id,
+    status: refund.status
+  };
+};
+
+/**
+ * Current status of a refund: pending, processed or failed
+ */
+const fetchRefundStatus = async (providerRefundId) => {
+  const refund = await request('GET', `/refunds/${encodeURIComponent(providerRefundId)}`);
+  return {
+    providerRefundId: refund.id,
+    status: refund.status
+  };
+};
+
+const getCheckoutConfig = () => ({
+  provider: 'razorpay',
+  keyId: getCredentials().keyId
+});
+
+module.exports = {
+  name: 'razorpay',
+  createOrder,
+  verifyCheckoutSignature,
+  verifyWebhookSignature,
+  parseWebhookEvent,
+  fetchOrderStatus,
+  fetchPayment,
+  createRefund,
+  fetchRefundStatus,
+  getCheckoutConfig
+};
@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+
+/**
+ * HMAC-SHA256 hex digest used by the gateways for checkout and webhook signatures
+ */
+const hmacSha256 = (secret, payload) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+/**
+ * Constant-time comparison of two hex signatures
+ */
+const signaturesMatch = (expected, received) => {
+  if (typeof received !== 'string' || received.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+module.exports = {
+  hmacSha256,
+  signaturesMatch
+};
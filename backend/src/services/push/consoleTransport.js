@@ -0,0 +1,25 @@
+/**
+ * Development transport - prints push notifications to the server console
+ */
+const send = async ({ token, topic, title, body }) => {
+  const target = token ? `device …${token.slice(-8)}` : `topic ${topic}`;
+  console.log(`🔔 [PUSH] to ${target}: ${title} - ${body}`);
+
+  return {
+    success: true,
+    messageId: `console-${Date.now()}`,
+    status: 'sent'
+  };
+};
+
+// Topic membership only exists on FCM; nothing to do locally
+const subscribeToTopic = async () => [];
+
+const unsubscribeFromTopic = async () => [];
+
+module.exports = {
+  name: 'console',
+  send,
+  subscribeToTopic,
+  unsubscribeFromTopic
+};
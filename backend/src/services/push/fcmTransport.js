@@ -0,0 +1,176 @@
+const https = require('https');
+const jwt = require('jsonwebtoken');
+
+const FCM_HOST = 'fcm.googleapis.com';
+const IID_HOST = 'iid.googleapis.com';
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+const REQUEST_TIMEOUT_MS = 15000;
+
+let accessToken = null;
+
+const getServiceAccount = () => {
+  const { FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL, FIREBASE_PRIVATE_KEY } = process.env;
+  if (!FIREBASE_PROJECT_ID || !FIREBASE_CLIENT_EMAIL || !FIREBASE_PRIVATE_KEY) {
+    throw new Error('Firebase credentials are not configured');
+  }
+  return {
+    projectId: FIREBASE_PROJECT_ID,
+    clientEmail: FIREBASE_CLIENT_EMAIL,
+    // .env files keep the key on one line with literal \n
+    privateKey: FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
+  };
+};
+
+// FCM error codes meaning the token will never work again
+const INVALID_TOKEN_CODES = ['UNREGISTERED', 'INVALID_ARGUMENT'];
+
+/**
+ * Build an Error from an FCM error response
+ * Errors for dead tokens get code 'invalid_token' so the caller can delete the token.
+ */
+const toError = (statusCode, parsed) => {
+  const details = (parsed.error && parsed.error.details) || [];
+  const fcmError = details.find(detail => detail.errorCode);
+  const message = (parsed.error && (parsed.error.message || parsed.error)) || parsed.error_description || 'unknown error';
+
+  const error = new Error(`FCM API error (HTTP ${statusCode}): ${message}`);
+  error.statusCode = statusCode;
+  if (fcmError && INVALID_TOKEN_CODES.includes(fcmError.errorCode)) {
+    error.code = 'invalid_token';
+  }
+  return error;
+};
+
+/**
+ * POST a JSON or form body with Node's https module so no SDK is needed
+ */
+const postJson = (url, payload, headers = {}) => new Promise((resolve, reject) => {
+  const req = https.request(url, {
+    method: 'POST',
+    timeout: REQUEST_TIMEOUT_MS,
+    headers: {
+      'Content-Length': Buffer.byteLength(payload),
+      ...headers
+    }
+  }, (res) => {
+    let data = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => { data += chunk; });
+    res.on('end', () => {
+      let parsed;
+      try {
+        parsed = data ? JSON.parse(data) : {};
+      } catch (error) {
+        return reject(new Error(`FCM returned invalid JSON (HTTP ${res.statusCode})`));
+      }
+
+      if (res.statusCode >= 400) {
+        return reject(toError(res.statusCode, parsed));
+      }
+      resolve(parsed);
+    });
+  });
+
+  req.on('timeout', () => req.destroy(new Error('FCM request timed out')));
+  req.on('error', reject);
+  req.write(payload);
+  req.end();
+});
+
+/**
+ * OAuth access token for the service account, cached until shortly before it expires
+ */
+const getAccessToken = async () => {
+  if (accessToken && accessToken.expiresAt > Date.now() + 60000) {
+    return accessToken.value;
+  }
+
+  const { clientEmail, privateKey } = getServiceAccount();
+  const assertion = jwt.sign({ scope: FCM_SCOPE }, privateKey, {
+    algorithm: 'RS256',
+    issuer: clientEmail,
+    audience: TOKEN_URL,
+    expiresIn: 3600
+  });
+
+  const body = new URLSearchParams({
+    grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+    assertion
+  }).toString();
+  const result = await postJson(TOKEN_URL, body, { 'Content-Type': 'application/x-www-form-urlencoded' });
+
+  accessToken = {
+    value: result.access_token,
+    expiresAt: Date.now() + (result.expires_in || 3600) * 1000
+  };
+  return accessToken.value;
+};
+
+/**
+ * Send a notification to one device token or to every device subscribed to a topic
+ * data values must be strings for FCM, so they are stringified here.
+ * @param {Object} message - { token, topic, title, body, data }
+ */
+const send = async ({ token, topic, title, body, data = {} }) => {
+  const { projectId } = getServiceAccount();
+  const accessToken = await getAccessToken();
+
+  const payload = JSON.stringify({
+    message: {
+      ...(token ? { token } : { topic }),
+      notification: { title, body },
+      data: Object.fromEntries(Object.entries(data).map(([key, value]) => [key, String(value)])),
+      android: { priority: 'high' }
+    }
+  });
+
+  let result;
+  try {
+    result = await postJson(`https://${FCM_HOST}/v1/projects/${projectId}/messages:send`, payload, {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${accessToken}`
+    });
+  } catch (error) {
+    // Only a token can be invalid; a rejected topic message is an ordinary failure
+    if (!token) delete error.code;
+    throw error;
+  }
+
+  return {
+    success: true,
+    messageId: result.name,
+    status: 'sent'
+  };
+};
+
+/**
+ * Add or remove device tokens from a topic through the instance ID API
+ * @returns {Promise<string[]>} Tokens FCM rejected as invalid
+ */
+const manageTopic = async (operation, tokens, topic) => {
+  if (tokens.length === 0) return [];
+  const accessToken = await getAccessToken();
+
+  const payload = JSON.stringify({ to: `/topics/${topic}`, registration_tokens: tokens });
+  const result = await postJson(`https://${IID_HOST}/iid/v1:${operation}`, payload, {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${accessToken}`,
+    access_token_auth: 'true'
+  });
+
+  return (result.results || [])
+    .map((entry, index) => (entry.error === 'NOT_FOUND' || entry.error === 'INVALID_ARGUMENT' ? tokens[index] : null))
+    .filter(Boolean);
+};
+
+const subscribeToTopic = (tokens, topic) => manageTopic('batchAdd', tokens, topic);
+
+const unsubscribeFromTopic = (tokens, topic) => manageTopic('batchRemove', tokens, topic);
+
+module.exports = {
+  name: 'fcm',
+  send,
+  subscribeToTopic,
+  unsubscribeFromTopic
+};
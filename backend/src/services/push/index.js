@@ -0,0 +1,71 @@
+const fcmTransport = require('./fcmTransport');
+const consoleTransport = require('./consoleTransport');
+const memoryTransport = require('./memoryTransport');
+
+/**
+ * Push transports implement:
+ *   send({ token, topic, title, body, data }) -> { messageId, status }
+ *   subscribeToTopic(tokens, topic) -> tokens rejected as invalid
+ *   unsubscribeFromTopic(tokens, topic) -> tokens rejected as invalid
+ * send targets either one device token or a topic. A token that will never work again
+ * fails with error.code 'invalid_token'.
+ */
+const transports = {
+  fcm: fcmTransport,
+  console: consoleTransport,
+  memory: memoryTransport
+};
+
+let activeTransport = null;
+
+/**
+ * Resolve the transport from PUSH_TRANSPORT (fcm | console | memory)
+ * Defaults to FCM in production and the console everywhere else
+ */
+const getTransport = () => {
+  if (activeTransport) return activeTransport;
+
+  const name = process.env.PUSH_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'fcm' : 'console');
+  const transport = Object.prototype.hasOwnProperty.call(transports, name) ? transports[name] : null;
+
+  if (!transport) {
+    throw new Error(`Unknown push transport: ${name}`);
+  }
+  if (transport === memoryTransport && process.env.NODE_ENV === 'production') {
+    throw new Error('The memory push transport cannot be used in production');
+  }
+
+  activeTransport = transport;
+  return activeTransport;
+};
+
+/**
+ * Replace the active transport (e.g. with the memory transport in tests)
+ */
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Send a push notification through the active transport
+ * @param {Object} target - { token } or { topic }
+ * @param {Object} notification - { title, body, data }
+ */
+const sendPush = async ({ token, topic }, { title, body, data }) => {
+  const transport = getTransport();
+  return transport.send({ token, topic, title, body, data });
+};
+
+const subscribeToTopic = async (tokens, topic) => getTransport().subscribeToTopic(tokens, topic);
+
+const unsubscribeFromTopic = async (tokens, topic) => getTransport().unsubscribeFromTopic(tokens, topic);
+
+module.exports = {
+  sendPush,
+  subscribeToTopic,
+  unsubscribeFromTopic,
+  getTransport,
+  setTransport,
+  transports
+};
@@ -0,0 +1,57 @@
+/**
+ * In-memory transport for tests
+ * Keeps every message and topic membership, and lets a test mark tokens as invalid
+ * to exercise pruning: sending to them fails the way FCM reports unregistered tokens.
+ */
+const sent = [];
+const topics = new Map();
+const invalidTokens = new Set();
+
+const send = async ({ token, topic, title, body, data }) => {
+  if (token && invalidTokens.has(token)) {
+    const error = new Error('FCM API error (HTTP 404): Requested entity was not found.');
+    error.code = 'invalid_token';
+    throw error;
+  }
+
+  const messageId = `memory-${sent.length + 1}`;
+  sent.push({ messageId, token, topic, title, body, data });
+
+  return {
+    success: true,
+    messageId,
+    status: 'sent'
+  };
+};
+
+const subscribeToTopic = async (tokens, topic) => {
+  if (!topics.has(topic)) topics.set(topic, new Set());
+  tokens.filter(token => !invalidTokens.has(token)).forEach(token => topics.get(topic).add(token));
+  return tokens.filter(token => invalidTokens.has(token));
+};
+
+const unsubscribeFromTopic = async (tokens, topic) => {
+  tokens.forEach(token => topics.has(topic) && topics.get(topic).delete(token));
+  return [];
+};
+
+const markInvalid = (token) => {
+  invalidTokens.add(token);
+};
+
+const reset = () => {
+  sent.length = 0;
+  topics.clear();
+  invalidTokens.clear();
+};
+
+module.exports = {
+  name: 'memory',
+  send,
+  subscribeToTopic,
+  unsubscribeFromTopic,
+  sent,
+  topics,
+  markInvalid,
+  reset
+};
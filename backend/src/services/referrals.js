@@ -0,0 +1,142 @@
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const createHttpError = require('../utils/httpError');
+const { creditWallet } = require('./wallet');
+
+/**
+ * Referral bonuses in rupees - can be overridden from the environment (0 disables one side)
+ */
+const REFERRER_BONUS = process.env.REFERRAL_REFERRER_BONUS !== undefined
+  ? parseInt(process.env.REFERRAL_REFERRER_BONUS, 10)
+  : 100;
+const REFEREE_BONUS = process.env.REFERRAL_REFEREE_BONUS !== undefined
+  ? parseInt(process.env.REFERRAL_REFEREE_BONUS, 10)
+  : 50;
+
+// Completed bookings this recent are checked for unpaid referral bonuses
+const BACKFILL_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const BACKFILL_BATCH_SIZE = 100;
+
+/**
+ * Find the customer a referral code belongs to
+ * @returns {Promise<Object>} The referrer
+ */
+const findReferrer = async (code) => {
+  const referrer = await User.findOne({
+    referralCode: String(code || '').trim().toUpperCase(),
+    isActive: { $ne: false }
+  }).select('_id name');
+
+  if (!referrer) {
+    throw createHttpError(400, 'Invalid referral code');
+  }
+  return referrer;
+};
+
+/**
+ * Pay referral bonuses once the referred customer has completed a booking
+ * Both credits use fixed idempotency keys, so retries and the backfill job never pay twice;
+ * referralRewardedAt is set afterwards only to skip the work next time.
+ * @returns {Promise<boolean>} Whether bonuses were paid (now or earlier)
+ */
+const rewardReferral = async (userId) => {
+  const user = await User.findById(userId).select('name referredBy referralRewardedAt');
+  if (!user || !user.referredBy || user.referralRewardedAt) return false;
+
+  const completed = await Booking.exists({ userId, status: 'completed' });
+  if (!completed) return false;
+
+  if (REFEREE_BONUS > 0) {
+    await creditWallet(user._id, REFEREE_BONUS * 100, {
+      type: 'referral_bonus',
+      idempotencyKey: `referral:${user._id}:referee`,
+      description: 'Referral welcome bonus'
+    });
+  }
+  if (REFERRER_BONUS > 0) {
+    await creditWallet(user.referredBy, REFERRER_BONUS * 100, {
+      type: 'referral_bonus',
+      idempotencyKey: `referral:${user._id}:referrer`,
+      description: `Referral bonus for inviting ${user.name}`,
+      referredUserId: user._id
+    });
+  }
+
+  await User.updateOne({ _id: user._id }, { $set: { referralRewardedAt: new Date() } });
+  return true;
+};
+
+/**
+ * Pay bonuses missed at completion time (e.g. the process died mid-completion)
+ */
+const rewardPendingReferrals = async () => {
+  const userIds = await Booking.distinct('userId', {
+    status: 'completed',
+    completedAt: { $gte: new Date(Date.now() - BACKFILL_WINDOW_MS) }
+  });
+
+  const users = await User.find({
+    _id: { $in: userIds },
+    referredBy: { $exists: true },
+    referralRewardedAt: { $exists: false }
+  })
+    .select('_id')
+    .limit(BACKFILL_BATCH_SIZE);
+
+  let rewarded = 0;
+  for (const user of users) {
+    try {
+      if (await rewardReferral(user._id)) rewarded++;
+    } catch (error) {
+      console.error(`Referral reward for user ${user._id} failed:`, error.message);
+    }
+  }
+
+  return rewarded;
+};
+
+/**
+ * Referral code and earnings for a customer
+ * Customers created before referral codes existed get one here.
+ */
+const getReferralSummary = async (userId) => {
+  let user = await User.findById(userId).select('referralCode');
+  if (!user) {
+    throw createHttpError(404, 'User not found');
+  }
+  if (!user.referralCode) {
+    await User.updateOne(
+      { _id: userId, referralCode: { $exists: false } },
+      { $set: { referralCode: User.generateReferralCode() } }
+    );
+    user = await User.findById(userId).select('referralCode');
+  }
+
+  const [referred, rewarded, [earnings]] = await Promise.all([
+    User.countDocuments({ referredBy: userId }),
+    User.countDocuments({ referredBy: userId, referralRewardedAt: { $exists: true } }),
+    WalletTransaction.aggregate([
+      { $match: { userId: user._id, type: 'referral_bonus', status: 'completed', referredUserId: { $exists: true } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  return {
+    referralCode: user.referralCode,
+    referrerBonus: REFERRER_BONUS,
+    refereeBonus: REFEREE_BONUS,
+    referredCount: referred,
+    rewardedCount: rewarded,
+    totalEarned: earnings ? earnings.total / 100 : 0
+  };
+};
+
+module.exports = {
+  findReferrer,
+  rewardReferral,
+  rewardPendingReferrals,
+  getReferralSummary,
+  REFERRER_BONUS,
+  REFEREE_BONUS
+};
@@ -0,0 +1,99 @@
+/**
+ * Cancellation refund policy - all values can be overridden from the environment
+ * Cancellations by the partner, an admin or the system (expiry, partner no-show) are always
+ * refunded in full. Customer cancellations depend on how close to the slot they are, and a
+ * customer who was not there when the partner arrived gets nothing back.
+ */
+const FULL_REFUND_HOURS = parseInt(process.env.REFUND_FULL_HOURS, 10) || 24;
+const PARTIAL_REFUND_HOURS = parseInt(process.env.REFUND_PARTIAL_HOURS, 10) || 2;
+// Percentages may legitimately be 0, so only fall back when unset
+const PARTIAL_REFUND_PERCENT = process.env.REFUND_PARTIAL_PERCENT !== undefined
+  ? parseInt(process.env.REFUND_PARTIAL_PERCENT, 10)
+  : 50;
+const EMERGENCY_DISPATCHED_REFUND_PERCENT = process.env.REFUND_EMERGENCY_DISPATCHED_PERCENT !== undefined
+  ? parseInt(process.env.REFUND_EMERGENCY_DISPATCHED_PERCENT, 10)
+  : 80;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Work out how much of a cancelled booking's payment goes back to the customer
+ * @param {Object} booking - Booking document
+ * @param {Object} context - { actor: who cancelled, fromStatus: status before cancelling, at: cancellation time }
+ * @returns {{ rule: string, percentage: number, hoursBeforeStart: number|undefined, description: string }}
+ */
+const getCancellationRefund = (booking, { actor, fromStatus, at = new Date() }) => {
+  const scheduledStart = booking.getScheduledStart();
+  const hoursBeforeStart = scheduledStart
+    ? Math.round(((scheduledStart.getTime() - at.getTime()) / HOUR_MS) * 100) / 100
+    : undefined;
+
+  if (booking.noShowBy === 'user') {
+    return {
+      rule: 'customer_no_show',
+      percentage: 0,
+      hoursBeforeStart,
+      description: 'Customer was not there when the partner arrived: no refund'
+    };
+  }
+
+  if (actor !== 'user') {
+    return {
+      rule: 'not_customer_cancelled',
+      percentage: 100,
+      hoursBeforeStart,
+      description: `Cancelled by ${actor}: full refund`
+    };
+  }
+
+  if (fromStatus === 'pending') {
+    return {
+      rule: 'before_acceptance',
+      percentage: 100,
+      hoursBeforeStart,
+      description: 'Cancelled before the partner accepted: full refund'
+    };
+  }
+
+  if (booking.isEmergency || booking.bookingType === 'emergency') {
+    return {
+      rule: 'emergency_after_dispatch',
+      percentage: EMERGENCY_DISPATCHED_REFUND_PERCENT,
+      hoursBeforeStart,
+      description: `Cancelled after a partner was dispatched: ${EMERGENCY_DISPATCHED_REFUND_PERCENT}% refund`
+    };
+  }
+
+  if (hoursBeforeStart === undefined || hoursBeforeStart >= FULL_REFUND_HOURS) {
+    return {
+      rule: 'full_refund_window',
+      percentage: 100,
+      hoursBeforeStart,
+      description: `Cancelled at least ${FULL_REFUND_HOURS} hours before the slot: full refund`
+    };
+  }
+
+  if (hoursBeforeStart >= PARTIAL_REFUND_HOURS) {
+    return {
+      rule: 'partial_refund_window',
+      percentage: PARTIAL_REFUND_PERCENT,
+      hoursBeforeStart,
+      description: `Cancelled less than ${FULL_REFUND_HOURS} hours before the slot: ${PARTIAL_REFUND_PERCENT}% refund`
+    };
+  }
+
+  return {
+    rule: 'late_cancellation',
+    percentage: 0,
+    hoursBeforeStart,
+    description: `Cancelled less than ${PARTIAL_REFUND_HOURS} hours before the slot: no refund`
+  };
+};
+
+module.exports = {
+  getCancellationRefund,
+  FULL_REFUND_HOURS,
+  PARTIAL_REFUND_HOURS,
+  PARTIAL_REFUND_PERCENT,
+  EMERGENCY_DISPATCHED_REFUND_PERCENT
+};
@@ -0,0 +1,367 @@
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const createHttpError = require('../utils/httpError');
+const { getGateway } = require('./payments');
+const { postRefundReversal } = require('./ledger');
+const { getCancellationRefund } = require('./refundPolicy');
+const { refundToWallet } = require('./wallet');
+
+const MAX_REFUND_ATTEMPTS = parseInt(process.env.REFUND_MAX_ATTEMPTS, 10) || 5;
+const RECONCILE_BATCH_SIZE = 50;
+
+const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
+/**
+ * Latest captured payment for a booking, or null for cash/unpaid bookings
+ */
+const findPaidPayment = (bookingId) =>
+  Payment.findOne({ bookingId, status: 'paid' }).sort({ paidAt: -1 });
+
+/**
+ * Hold part of a payment for a refund
+ * A conditional $inc, so concurrent refunds can never add up to more than was paid.
+ * @returns {Promise<boolean>} false if the payment does not have that much left to refund
+ */
+const reserveRefund = async (paymentId, amount) => {
+  const result = await Payment.updateOne(
+    { _id: paymentId, $expr: { $lte: [{ $add: ['$refundedAmount', amount] }, '$amount'] } },
+    { $inc: { refundedAmount: amount } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Give back the amount held for a refund that failed
+ * A failed refund holds nothing, so Payment.refundedAmount always matches the pending and
+ * processed refunds; a retry reserves the amount again first.
+ */
+const releaseRefund = (refund) =>
+  Payment.updateOne({ _id: refund.paymentId }, { $inc: { refundedAmount: -refund.amount } });
+
+/**
+ * Recompute refundedAmount and paymentStatus from the booking's refunds
+ * Only processed and pending refunds count, the same ones that hold part of the payment.
+ */
+const syncBookingRefunds = async (bookingId) => {
+  const [payment, refunds] = await Promise.all([
+    findPaidPayment(bookingId),
+    Refund.find({ bookingId, status: { $in: ['pending', 'processed'] } }).select('amount')
+  ]);
+  if (!payment) return;
+
+  const refunded = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+  let paymentStatus = 'paid';
+  if (refunded >= payment.amount) paymentStatus = 'refunded';
+  else if (refunded > 0) paymentStatus = 'partially_refunded';
+
+  await Booking.updateOne(
+    { _id: bookingId },
+    { $set: { refundedAmount: refunded / 100, paymentStatus } }
+  );
+};
+
+/**
+ * Take a processed refund back out of the partner's earnings
+ * Missed reversals are posted by the settlement job.
+ */
+const reverseEarnings = async (refund) => {
+  if (refund.status !== 'processed') return;
+  try {
+    await postRefundReversal(refund);
+  } catch (error) {
+    console.error(`Reversing refund ${refund._id} in the ledger failed:`, error.message);
+  }
+};
+
+/**
+ * Send a refund to the gateway (or the customer's wallet) and record the outcome on the Refund
+ */
+const submitRefund = async (refund) => {
+  // A failed refund gave its amount back; hold it again before retrying
+  if (refund.status === 'failed' && !await reserveRefund(refund.paymentId, refund.amount)) {
+    refund.attempts = Math.max(refund.attempts, MAX_REFUND_ATTEMPTS);
+    refund.failureReason = 'Payment no longer has this amount left to refund';
+    await refund.save();
+    return refund;
+  }
+
+  refund.attempts += 1;
+
+  try {
+    const result = refund.destination === 'wallet'
+      ? await refundToWallet(refund)
+      : await getGateway(refund.provider).createRefund({
+        providerPaymentId: refund.providerPaymentId,
+        amount: refund.amount,
+        receipt: String(refund._id),
+        notes: { bookingId: String(refund.bookingId), type: refund.type },
+        // Retries of this refund reuse the key, so the gateway refunds it at most once
+        idempotencyKey: String(refund._id)
+      });
+
+    refund.providerRefundId = result.providerRefundId;
+    refund.status = result.status === 'processed' ? 'processed' : 'pending';
+    refund.failureReason = undefined;
+    if (refund.status === 'processed') refund.processedAt = new Date();
+  } catch (error) {
+    console.error(`Refund ${refund._id} for payment ${refund.providerPaymentId} failed:`, error.message);
+    refund.status = 'failed';
+    refund.failureReason = error.message;
+    await releaseRefund(refund);
+  }
+
+  await refund.save();
+  await syncBookingRefunds(refund.bookingId);
+  await reverseEarnings(refund);
+  return refund;
+};
+
+/**
+ * Reserve part of a payment for a refund and submit it
+ * Wallet payments are always refunded to the wallet.
+ * @param {Object} params - { payment, amount (paise), type, initiatedBy, reason, policy, refundTo: 'source'|'wallet' }
+ */
+const issueRefund = async ({ payment, amount, type, initiatedBy, reason, policy, refundTo = 'source' }) => {
+  if (!await reserveRefund(payment._id, amount)) {
+    throw createHttpError(400, 'Refund exceeds the amount still refundable on this payment', {
+      refundable: (payment.amount - payment.refundedAmount) / 100
+    });
+  }
+
+  let refund;
+  try {
+    refund = await Refund.create({
+      paymentId: payment._id,
+      bookingId: payment.bookingId,
+      userId: payment.userId,
+      provider: payment.provider,
+      providerPaymentId: payment.providerPaymentId,
+      destination: payment.provider === 'wallet' ? 'wallet' : refundTo,
+      amount,
+      currency: payment.currency,
+      type,
+      initiatedBy,
+      reason,
+      policy
+    });
+  } catch (error) {
+    await Payment.updateOne({ _id: payment._id }, { $inc: { refundedAmount: -amount } });
+    if (error.code === 11000) {
+      throw createHttpError(409, 'This booking has already been refunded for its cancellation');
+    }
+    throw error;
+  }
+
+  return submitRefund(refund);
+};
+
+/**
+ * Refund a cancelled, rejected or expired booking according to the cancellation policy
+ * Cash and unpaid bookings have nothing to refund. Safe to call more than once.
+ * @param {Object} booking - Booking document, already moved to its closed status
+ * @param {Object} context - { actor, fromStatus, reason, refundTo: 'source'|'wallet' }
+ * @returns {Promise<{ refund: Object|null, policy: Object|null }>}
+ */
+const refundCancelledBooking = async (booking, { actor, fromStatus, reason, refundTo }) => {
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(booking.paymentStatus)) {
+    return { refund: null, policy: null };
+  }
+
+  const existing = await Refund.findOne({ bookingId: booking._id, type: 'cancellation' });
+  if (existing) {
+    return { refund: existing, policy: existing.policy };
+  }
+
+  const payment = await findPaidPayment(booking._id);
+  if (!payment) {
+    return { refund: null, policy: null };
+  }
+
+  const policy = getCancellationRefund(booking, { actor, fromStatus });
+  const amount = Math.floor((payment.amount - payment.refundedAmount) * policy.percentage / 100);
+  if (amount <= 0) {
+    return { refund: null, policy };
+  }
+
+  try {
+    const refund = await issueRefund({
+      payment,
+      amount,
+      type: 'cancellation',
+      initiatedBy: actor,
+      reason: reason || policy.description,
+      refundTo,
+      policy: {
+        rule: policy.rule,
+        percentage: policy.percentage,
+        hoursBeforeStart: policy.hoursBeforeStart
+      }
+    });
+    return { refund, policy };
+  } catch (error) {
+    // Lost a race with another caller for the same cancellation
+    if (error.statusCode === 409) {
+      const refund = await Refund.findOne({ bookingId: booking._id, type: 'cancellation' });
+      return { refund, policy };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Refund in full a payment captured after its booking was cancelled, rejected or expired
+ * The booking never took place, so the cancellation policy does not apply. Safe to call more than once.
+ * @returns {Promise<Object|null>} The refund, or null when nothing is left to refund
+ */
+const refundLateCapture = async (payment) => {
+  const existing = await Refund.findOne({ paymentId: payment._id, type: 'late_capture' });
+  if (existing) return existing;
+
+  const amount = payment.amount - payment.refundedAmount;
+  if (amount <= 0) return null;
+
+  try {
+    return await issueRefund({
+      payment,
+      amount,
+      type: 'late_capture',
+      initiatedBy: 'system',
+      reason: 'Payment captured after the booking was closed'
+    });
+  } catch (error) {
+    // Lost a race with another report of the same capture
+    if (error.statusCode === 409 || error.statusCode === 400) {
+      return Refund.findOne({ paymentId: payment._id, type: 'late_capture' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Open a dispute on a completed, paid booking
+ * @param {Object} booking - Booking document
+ * @param {Object} params - { reason, requestedAmount (rupees, optional) }
+ */
+const raiseDispute = async (booking, { reason, requestedAmount }) => {
+  if (booking.status !== 'completed') {
+    throw createHttpError(400, 'Only completed bookings can be disputed');
+  }
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(booking.paymentStatus)) {
+    throw createHttpError(400, 'Only bookings paid online or by wallet can be disputed for a refund');
+  }
+  if (booking.dispute && booking.dispute.status === 'open') {
+    throw createHttpError(409, 'A dispute is already open for this booking');
+  }
+  if (requestedAmount !== undefined && requestedAmount > booking.totalAmount - (booking.refundedAmount || 0)) {
+    throw createHttpError(400, 'Requested amount exceeds the amount still refundable');
+  }
+
+  booking.dispute = {
+    status: 'open',
+    reason,
+    requestedAmount,
+    raisedAt: new Date()
+  };
+  await booking.save();
+
+  return booking.dispute;
+};
+
+/**
+ * Close an open dispute, optionally with a partial refund
+ * @param {Object} booking - Booking document
+ * @param {Object} params - { action: 'refund'|'reject', amount (rupees), notes, resolvedBy, refundTo }
+ */
+const resolveDispute = async (booking, { action, amount, notes, resolvedBy, refundTo }) => {
+  if (!booking.dispute || booking.dispute.status !== 'open') {
+    throw createHttpError(409, 'This booking has no open dispute');
+  }
+
+  let refund = null;
+  if (action === 'refund') {
+    const payment = await findPaidPayment(booking._id);
+    if (!payment) {
+      throw createHttpError(400, 'No captured payment found for this booking');
+    }
+
+    const paise = Math.round(amount * 100);
+    if (!(paise > 0)) {
+      throw createHttpError(400, 'Refund amount must be greater than zero');
+    }
+
+    refund = await issueRefund({
+      payment,
+      amount: paise,
+      type: 'dispute',
+      initiatedBy: 'admin',
+      reason: notes || booking.dispute.reason,
+      refundTo
+    });
+  }
+
+  // Reload so the refund totals written by syncBookingRefunds are not overwritten
+  const updated = await Booking.findById(booking._id);
+  updated.dispute.status = action === 'refund' ? 'refunded' : 'rejected';
+  updated.dispute.resolvedAt = new Date();
+  updated.dispute.resolvedBy = resolvedBy;
+  updated.dispute.resolutionNotes = notes;
+  if (refund) updated.dispute.refundId = refund._id;
+  await updated.save();
+
+  return { booking: updated, refund };
+};
+
+/**
+ * Retry failed refunds and poll pending ones
+ * Safe to run repeatedly.
+ */
+const reconcileRefunds = async () => {
+  const refunds = await Refund.find({
+    $or: [
+      { status: 'failed', attempts: { $lt: MAX_REFUND_ATTEMPTS } },
+      { status: 'pending', providerRefundId: { $exists: true } }
+    ]
+  })
+    .sort({ updatedAt: 1 })
+    .limit(RECONCILE_BATCH_SIZE);
+
+  let settled = 0;
+  for (const refund of refunds) {
+    try {
+      if (refund.status === 'failed') {
+        await submitRefund(refund);
+        if (refund.status !== 'failed') settled++;
+        continue;
+      }
+
+      const { status } = await getGateway(refund.provider).fetchRefundStatus(refund.providerRefundId);
+      if (status === 'processed' || status === 'failed') {
+        refund.status = status;
+        if (status === 'processed') refund.processedAt = new Date();
+        if (status === 'failed') refund.failureReason = 'Refund failed at the gateway';
+        await refund.save();
+        if (status === 'failed') await releaseRefund(refund);
+        await syncBookingRefunds(refund.bookingId);
+        await reverseEarnings(refund);
+        settled++;
+      } else {
+        // Touch updatedAt so the batch rotates through every pending refund
+        await Refund.updateOne({ _id: refund._id }, { $set: { updatedAt: new Date() } });
+      }
+    } catch (error) {
+      console.error(`Reconciling refund ${refund._id} failed:`, error.message);
+    }
+  }
+
+  return settled;
+};
+
+module.exports = {
+  refundCancelledBooking,
+  refundLateCapture,
+  raiseDispute,
+  resolveDispute,
+  reconcileRefunds,
+  syncBookingRefunds
+};
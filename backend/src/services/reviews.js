@@ -0,0 +1,343 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Emergency = require('../models/Emergency');
+const Partner = require('../models/Partner');
+const Review = require('../models/Review');
+const Service = require('../models/Service');
+const ServiceCall = require('../models/ServiceCall');
+const User = require('../models/User');
+const createHttpError = require('../utils/httpError');
+
+/**
+ * Review configuration - all values can be overridden from the environment
+ */
+const REPORT_THRESHOLD = parseInt(process.env.REVIEW_REPORT_THRESHOLD, 10) || 3;
+const MAX_PHOTOS = parseInt(process.env.REVIEW_MAX_PHOTOS, 10) || 5;
+// Photos are stored in the review document; this keeps it well under MongoDB's 16 MB limit
+const MAX_PHOTO_BYTES_TOTAL = 10 * 1024 * 1024;
+// average: plain mean; bayesian: mean pulled towards the prior until a partner has enough reviews
+const RATING_METHOD = process.env.REVIEW_RATING_METHOD === 'bayesian' ? 'bayesian' : 'average';
+const BAYESIAN_PRIOR_WEIGHT = parseInt(process.env.REVIEW_BAYESIAN_PRIOR_WEIGHT, 10) || 5;
+// Unset means the platform-wide average rating
+const BAYESIAN_PRIOR_MEAN = parseFloat(process.env.REVIEW_BAYESIAN_PRIOR_MEAN) || null;
+
+const { VISIBLE_STATUSES } = Review;
+
+/**
+ * Load what is being reviewed and check the customer actually received it
+ * A service call booked through a quote is reviewed through its booking, so one job
+ * cannot be reviewed twice.
+ * @returns {Promise<Object>} { source, partnerId, serviceId, serviceName, serviceDate, mirror }
+ */
+const resolveSource = async (sourceType, sourceId, userId) => {
+  if (sourceType === 'booking') {
+    const booking = await Booking.findOne({ _id: sourceId, userId });
+    if (!booking) throw createHttpError(404, 'Booking not found or access denied');
+    if (booking.status !== 'completed') {
+      throw createHttpError(400, 'Only completed bookings can be reviewed');
+    }
+    return {
+      source: booking,
+      partnerId: booking.partnerId,
+      serviceId: booking.serviceId,
+      serviceName: booking.serviceName,
+      serviceDate: booking.completedAt,
+      mirror: (review) => ({ userRating: review.rating, userReview: review.comment })
+    };
+  }
+
+  if (sourceType === 'service_call') {
+    const serviceCall = await ServiceCall.findOne({ _id: sourceId, customerId: userId });
+    if (!serviceCall) throw createHttpError(404, 'Service call not found or access denied');
+    if (serviceCall.callStatus !== 'completed') {
+      throw createHttpError(400, 'Only completed service calls can be reviewed');
+    }
+    if (serviceCall.bookingId) {
+      throw createHttpError(400, 'This service call was booked. Review the booking instead.', {
+        bookingId: serviceCall.bookingId
+      });
+    }
+    return {
+      source: serviceCall,
+      partnerId: serviceCall.partnerId,
+      serviceId: serviceCall.serviceId,
+      serviceName: serviceCall.serviceName,
+      serviceDate: serviceCall.completedAt,
+      mirror: (review) => ({ customerRating: review.rating, customerFeedback: review.comment, ratedAt: review.createdAt })
+    };
+  }
+
+  const emergency = await Emergency.findOne({ _id: sourceId, userId });
+  if (!emergency) throw createHttpError(404, 'Emergency not found or access denied');
+  if (emergency.status !== 'resolved' || !emergency.assignedPartnerId) {
+    throw createHttpError(400, 'Only resolved emergencies can be reviewed');
+  }
+  return {
+    source: emergency,
+    partnerId: emergency.assignedPartnerId,
+    serviceName: emergency.emergencyType,
+    serviceDate: emergency.resolvedAt,
+    mirror: (review) => ({ userRating: review.rating, userFeedback: review.comment })
+  };
+};
+
+/**
+ * Rating shown for a set of reviews, rounded to one decimal
+ */
+const computeRating = ({ count, total }, priorMean) => {
+  if (!count) return 0;
+
+  const rating = RATING_METHOD === 'bayesian'
+    ? (BAYESIAN_PRIOR_WEIGHT * priorMean + total) / (BAYESIAN_PRIOR_WEIGHT + count)
+    : total / count;
+  return Math.round(rating * 10) / 10;
+};
+
+/**
+ * Count and rating total of the visible reviews matching a filter
+ */
+const getRatingTotals = async (match) => {
+  const [totals] = await Review.aggregate([
+    { $match: { ...match, status: { $in: VISIBLE_STATUSES } } },
+    { $group: { _id: null, count: { $sum: 1 }, total: { $sum: '$rating' } } }
+  ]);
+  return totals || { count: 0, total: 0 };
+};
+
+const getPriorMean = async () => {
+  if (RATING_METHOD !== 'bayesian') return null;
+  if (BAYESIAN_PRIOR_MEAN) return BAYESIAN_PRIOR_MEAN;
+
+  const { count, total } = await getRatingTotals({});
+  return count ? total / count : 0;
+};
+
+/**
+ * Rebuild the stored rating and review count of a partner and/or service from visible reviews
+ * Partner.rating and Service.averageRating are only ever written here.
+ * @param {Object} params - { partnerId, serviceId }
+ */
+const recomputeRatings = async ({ partnerId, serviceId }) => {
+  const priorMean = await getPriorMean();
+
+  if (partnerId) {
+    const totals = await getRatingTotals({ partnerId: new mongoose.Types.ObjectId(String(partnerId)) });
+    await Partner.updateOne(
+      { _id: partnerId },
+      { $set: { rating: computeRating(totals, priorMean), reviewCount: totals.count } }
+    );
+  }
+
+  if (serviceId) {
+    const totals = await getRatingTotals({ serviceId: new mongoose.Types.ObjectId(String(serviceId)) });
+    await Service.updateOne(
+      { _id: serviceId },
+      { $set: { averageRating: computeRating(totals, priorMean), reviewCount: totals.count } }
+    );
+  }
+};
+
+/**
+ * Rebuild every partner and service rating, e.g. after switching REVIEW_RATING_METHOD
+ * @returns {Promise<{ partners: number, services: number }>}
+ */
+const recomputeAllRatings = async () => {
+  const [partnerIds, serviceIds] = await Promise.all([
+    Review.distinct('partnerId'),
+    Review.distinct('serviceId', { serviceId: { $exists: true } })
+  ]);
+
+  for (const partnerId of partnerIds) {
+    await recomputeRatings({ partnerId });
+  }
+  for (const serviceId of serviceIds) {
+    await recomputeRatings({ serviceId });
+  }
+
+  return { partners: partnerIds.length, services: serviceIds.length };
+};
+
+/**
+ * Review something the customer received
+ * The rating is also copied to the legacy rating fields on the booking, call or emergency.
+ * @param {Object} params - { sourceType, sourceId, userId, rating, serviceQuality, timeliness, communication, comment, photos }
+ *   photos are uploaded files ({ buffer, mimetype, originalname, size })
+ */
+const createReview = async ({ sourceType, sourceId, userId, rating, serviceQuality, timeliness, communication, comment, photos = [] }) => {
+  if (photos.length > MAX_PHOTOS) {
+    throw createHttpError(400, `A review can have at most ${MAX_PHOTOS} photos`);
+  }
+  if (photos.reduce((sum, file) => sum + file.size, 0) > MAX_PHOTO_BYTES_TOTAL) {
+    throw createHttpError(400, `A review's photos can add up to at most ${MAX_PHOTO_BYTES_TOTAL / (1024 * 1024)} MB`);
+  }
+
+  const { source, partnerId, serviceId, serviceName, serviceDate, mirror } = await resolveSource(sourceType, sourceId, userId);
+  const user = await User.findById(userId).select('name');
+
+  let review;
+  try {
+    review = await Review.create({
+      sourceType,
+      sourceId: source._id,
+      serviceDate,
+      userId,
+      userName: user && user.name,
+      partnerId,
+      serviceId,
+      serviceName,
+      rating,
+      serviceQuality,
+      timeliness,
+      communication,
+      comment,
+      photos: photos.map(file => ({
+        data: file.buffer,
+        contentType: file.mimetype,
+        filename: file.originalname,
+        size: file.size
+      }))
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createHttpError(409, 'You have already reviewed this');
+    }
+    throw error;
+  }
+
+  await source.constructor.updateOne({ _id: source._id }, { $set: mirror(review) });
+  await recomputeRatings({ partnerId, serviceId });
+
+  return review;
+};
+
+/**
+ * Visible reviews of a partner or service, with the rating breakdown
+ * @param {Object} filter - { partnerId } or { serviceId }
+ * @param {Object} options - { sort: 'recent'|'rating_high'|'rating_low', withPhotos, page, limit }
+ */
+const listReviews = async (filter, { sort = 'recent', withPhotos = false, page = 1, limit = 20 }) => {
+  const match = {
+    ...Object.fromEntries(Object.entries(filter).map(([key, id]) => [key, new mongoose.Types.ObjectId(String(id))])),
+    status: { $in: VISIBLE_STATUSES }
+  };
+  const query = withPhotos ? { ...match, 'photos.0': { $exists: true } } : match;
+
+  const sortOrder = {
+    recent: { createdAt: -1 },
+    rating_high: { rating: -1, createdAt: -1 },
+    rating_low: { rating: 1, createdAt: -1 }
+  }[sort] || { createdAt: -1 };
+
+  const [total, reviews, distribution] = await Promise.all([
+    Review.countDocuments(query),
+    Review.find(query)
+      .select('-photos.data -reports -moderation')
+      .sort(sortOrder)
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Review.aggregate([
+      { $match: match },
+      { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  distribution.forEach(({ _id, count }) => {
+    breakdown[Math.round(_id)] += count;
+  });
+
+  return { total, reviews, distribution: breakdown };
+};
+
+/**
+ * Find a review that is not hidden
+ */
+const findVisibleReview = async (reviewId) => {
+  const review = await Review.findOne({ _id: reviewId, status: { $in: VISIBLE_STATUSES } });
+  if (!review) {
+    throw createHttpError(404, 'Review not found');
+  }
+  return review;
+};
+
+/**
+ * Partner's public reply to a review of them; replying again replaces it
+ */
+const replyToReview = async (reviewId, partnerId, message) => {
+  const review = await findVisibleReview(reviewId);
+  if (String(review.partnerId) !== String(partnerId)) {
+    throw createHttpError(403, 'You can only reply to reviews of your business');
+  }
+
+  review.partnerReply = { message, repliedAt: new Date() };
+  await review.save();
+  return review;
+};
+
+/**
+ * Report a review as abusive; one report per person
+ * REVIEW_REPORT_THRESHOLD reports since the last moderation decision flag it for the admin queue.
+ * @param {Object} reporter - { id, role: 'user'|'partner' }
+ * @param {Object} report - { reason, details }
+ */
+const reportReview = async (reviewId, reporter, { reason, details }) => {
+  const review = await findVisibleReview(reviewId);
+  if (reporter.role === 'user' && String(review.userId) === String(reporter.id)) {
+    throw createHttpError(400, 'You cannot report your own review');
+  }
+
+  const updated = await Review.findOneAndUpdate(
+    { _id: review._id, 'reports.reportedBy': { $ne: reporter.id } },
+    {
+      $push: { reports: { reportedBy: reporter.id, reporterRole: reporter.role, reason, details } },
+      $inc: { reportCount: 1 }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw createHttpError(409, 'You have already reported this review');
+  }
+
+  const moderatedAt = updated.moderation && updated.moderation.moderatedAt;
+  const openReports = updated.reports.filter(entry => !moderatedAt || entry.reportedAt > moderatedAt).length;
+  if (updated.status === 'published' && openReports >= REPORT_THRESHOLD) {
+    await Review.updateOne({ _id: updated._id, status: 'published' }, { $set: { status: 'flagged' } });
+    updated.status = 'flagged';
+  }
+
+  return updated;
+};
+
+/**
+ * Admin decision on a review: publish clears the flag, hide removes it from listings and ratings
+ * @param {Object} params - { action: 'publish'|'hide', reason, moderatedBy }
+ */
+const moderateReview = async (reviewId, { action, reason, moderatedBy }) => {
+  const review = await Review.findById(reviewId);
+  if (!review) {
+    throw createHttpError(404, 'Review not found');
+  }
+
+  const wasVisible = VISIBLE_STATUSES.includes(review.status);
+  review.status = action === 'hide' ? 'hidden' : 'published';
+  review.moderation = { action, reason, moderatedBy, moderatedAt: new Date() };
+  await review.save();
+
+  if (wasVisible !== VISIBLE_STATUSES.includes(review.status)) {
+    await recomputeRatings({ partnerId: review.partnerId, serviceId: review.serviceId });
+  }
+
+  return review;
+};
+
+module.exports = {
+  createReview,
+  listReviews,
+  replyToReview,
+  reportReview,
+  moderateReview,
+  recomputeRatings,
+  recomputeAllRatings,
+  MAX_PHOTOS,
+  RATING_METHOD
+};
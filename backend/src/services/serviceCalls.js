@@ -0,0 +1,379 @@
+const Booking = require('../models/Booking');
+const ServiceCall = require('../models/ServiceCall');
+const User = require('../models/User');
+const createHttpError = require('../utils/httpError');
+const { reserveSlot } = require('./availability');
+const { applyCommission } = require('./commission');
+const { notify, notifyBooking } = require('./notifications');
+
+/**
+ * Negotiation configuration - all values can be overridden from the environment
+ */
+const QUOTE_VALIDITY_HOURS = parseInt(process.env.SERVICE_CALL_QUOTE_VALIDITY_HOURS, 10) || 24;
+const MAX_QUOTE_VALIDITY_HOURS = 7 * 24;
+const EXPIRY_BATCH_SIZE = 100;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Calls still being negotiated; only these can be answered or expire
+const OPEN_STATUSES = ['pending', 'quoted', 'countered'];
+
+/**
+ * Apply a negotiation step if nobody else changed the call in the meantime
+ * The status and history length act as a version, so a quote revised while the customer
+ * accepts it (or two taps on accept) cannot both succeed.
+ */
+const updateCall = async (serviceCall, update) => {
+  const updated = await ServiceCall.findOneAndUpdate(
+    {
+      _id: serviceCall._id,
+      callStatus: serviceCall.callStatus,
+      // Older calls have no history array at all, so check for a next entry instead of $size
+      [`negotiationHistory.${serviceCall.negotiationHistory.length}`]: { $exists: false }
+    },
+    update,
+    { new: true }
+  );
+
+  if (!updated) {
+    throw createHttpError(409, 'Service call was updated in the meantime. Please refresh and try again.');
+  }
+  return updated;
+};
+
+/**
+ * Mark a call whose open offer has lapsed as expired
+ * @returns {Promise<boolean>} Whether this call expired it
+ */
+const expireCall = async (serviceCall) => {
+  const now = new Date();
+  const result = await ServiceCall.updateOne(
+    { _id: serviceCall._id, callStatus: { $in: ['quoted', 'countered'] }, offerExpiresAt: { $lte: now } },
+    {
+      $set: { callStatus: 'expired' },
+      $push: { negotiationHistory: { action: 'expire', actor: 'system', timestamp: now } }
+    }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Fail with 409 (and record the expiry) when the call's open offer has lapsed
+ */
+const assertOfferOpen = async (serviceCall) => {
+  if (serviceCall.offerExpiresAt && serviceCall.offerExpiresAt <= new Date()) {
+    await expireCall(serviceCall);
+    throw createHttpError(409, serviceCall.callStatus === 'quoted' ? 'Quote has expired' : 'Counter-offer has expired');
+  }
+};
+
+/**
+ * Partner's answer to a service call
+ * - quote: offer a price on a pending call, revise a quote or answer a counter-offer
+ * - accept: take a pending call at the listed price, or agree to the customer's counter-offer
+ *   (which becomes the new quote for the customer to book)
+ * - reject: decline the call
+ * @param {Object} params - { action: 'quote'|'accept'|'reject', price, estimatedTime, message, validForHours }
+ */
+const respondToCall = async (serviceCall, { action, price, estimatedTime, message, validForHours }) => {
+  if (!OPEN_STATUSES.includes(serviceCall.callStatus)) {
+    throw createHttpError(400, `Cannot respond to a ${serviceCall.callStatus} service call`);
+  }
+
+  const now = new Date();
+  const response = {
+    respondedAt: now,
+    responseMessage: message,
+    estimatedPrice: price !== undefined ? price : serviceCall.partnerResponse && serviceCall.partnerResponse.estimatedPrice,
+    estimatedTime: estimatedTime !== undefined ? estimatedTime : serviceCall.partnerResponse && serviceCall.partnerResponse.estimatedTime
+  };
+
+  if (action === 'reject') {
+    return updateCall(serviceCall, {
+      $set: { callStatus: 'rejected', partnerResponse: { ...response, accepted: false } },
+      $unset: { offerExpiresAt: 1 },
+      $push: { negotiationHistory: { action: 'reject', actor: 'partner', message, timestamp: now } }
+    });
+  }
+
+  if (action === 'accept' && serviceCall.callStatus === 'pending') {
+    return updateCall(serviceCall, {
+      $set: { callStatus: 'accepted', partnerResponse: { ...response, accepted: true } },
+      $push: { negotiationHistory: { action: 'accept', actor: 'partner', price: response.estimatedPrice, estimatedTime: response.estimatedTime, message, timestamp: now } }
+    });
+  }
+
+  if (action === 'accept') {
+    if (serviceCall.callStatus !== 'countered') {
+      throw createHttpError(400, 'There is no counter-offer to accept');
+    }
+    await assertOfferOpen(serviceCall);
+    // Agreeing to the counter-offer quotes its price
+    response.estimatedPrice = serviceCall.counterOffer.price;
+  } else if (!(price > 0)) {
+    throw createHttpError(400, 'A quote needs a price');
+  }
+
+  const expiresAt = new Date(now.getTime() + Math.min(validForHours || QUOTE_VALIDITY_HOURS, MAX_QUOTE_VALIDITY_HOURS) * HOUR_MS);
+
+  const quoted = await updateCall(serviceCall, {
+    $set: {
+      callStatus: 'quoted',
+      partnerResponse: { ...response, accepted: true },
+      offerExpiresAt: expiresAt
+    },
+    $push: {
+      negotiationHistory: {
+        action: action === 'accept' ? 'accept' : 'quote',
+        actor: 'partner',
+        price: response.estimatedPrice,
+        estimatedTime: response.estimatedTime,
+        message,
+        expiresAt,
+        timestamp: now
+      }
+    }
+  });
+
+  // Runs in the background
+  notify('service_call_quoted', {
+    recipientId: quoted.customerId,
+    data: { partnerName: quoted.partnerName, serviceName: quoted.serviceName, amount: response.estimatedPrice }
+  });
+
+  return quoted;
+};
+
+/**
+ * Customer's counter-offer to an open quote
+ * The partner has QUOTE_VALIDITY_HOURS to answer it before the call expires.
+ */
+const counterQuote = async (serviceCall, { price, message }) => {
+  if (serviceCall.callStatus !== 'quoted') {
+    throw createHttpError(400, 'Only a quoted service call can be countered');
+  }
+  await assertOfferOpen(serviceCall);
+
+  if (price >= serviceCall.partnerResponse.estimatedPrice) {
+    throw createHttpError(400, 'Counter-offer must be lower than the quoted price', {
+      quotedPrice: serviceCall.partnerResponse.estimatedPrice
+    });
+  }
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + QUOTE_VALIDITY_HOURS * HOUR_MS);
+
+  return updateCall(serviceCall, {
+    $set: {
+      callStatus: 'countered',
+      counterOffer: { price, message, offeredAt: now },
+      offerExpiresAt: expiresAt
+    },
+    $push: { negotiationHistory: { action: 'counter', actor: 'user', price, message, expiresAt, timestamp: now } }
+  });
+};
+
+/**
+ * Accept the partner's quote and turn the call into a booking at the quoted price
+ * The call is claimed before the booking is saved and handed back if saving fails, so a
+ * quote is booked at most once.
+ * @param {Object} params - { scheduledTime: Date, specialInstructions }
+ * @returns {Promise<{ serviceCall: Object, booking: Object }>}
+ */
+const acceptQuote = async (serviceCall, { scheduledTime, specialInstructions }) => {
+  if (serviceCall.callStatus !== 'quoted') {
+    throw createHttpError(400, 'There is no open quote to accept');
+  }
+  await assertOfferOpen(serviceCall);
+
+  if (scheduledTime <= new Date()) {
+    throw createHttpError(400, 'Scheduled time must be in the future');
+  }
+
+  const user = await User.findById(serviceCall.customerId);
+  if (!user) {
+    throw createHttpError(404, 'Customer not found');
+  }
+
+  const price = serviceCall.partnerResponse.estimatedPrice;
+  // The vehicle named on the call, else the customer's first registered vehicle
+  const callVehicle = serviceCall.vehicleDetails || {};
+  const vehicle = callVehicle.type || callVehicle.registrationNumber
+    ? { type: callVehicle.type, brand: callVehicle.make, model: callVehicle.model, registrationNumber: callVehicle.registrationNumber }
+    : (user.vehicles && user.vehicles[0]) || {};
+
+  let claimed;
+  const booking = await reserveSlot(
+    {
+      partnerId: serviceCall.partnerId,
+      serviceId: serviceCall.serviceId,
+      start: scheduledTime,
+      // The slot must fit the work as quoted, not the catalogue duration
+      durationMinutes: serviceCall.partnerResponse.estimatedTime
+    },
+    async ({ partner, service, partnerService, durationMinutes, slot }) => {
+      const newBooking = new Booking({
+        bookingType: 'scheduled',
+        serviceCallId: serviceCall._id,
+        userId: serviceCall.customerId,
+        userLocation: user.location,
+        userAddress: user.address,
+        partnerId: serviceCall.partnerId,
+        partnerLocation: partner.location,
+        serviceId: serviceCall.serviceId,
+        serviceName: partnerService.name || service.name,
+        serviceDescription: partnerService.description || service.description,
+        serviceCategory: partnerService.category || service.category,
+        vehicleDetails: {
+          type: vehicle.type,
+          brand: vehicle.brand,
+          model: vehicle.model,
+          registrationNumber: vehicle.registrationNumber,
+          color: vehicle.color,
+          fuelType: vehicle.fuelType
+        },
+        scheduledDate: slot.start,
+        scheduledTime: slot.startTime,
+        scheduledEndTime: slot.end,
+        estimatedDuration: durationMinutes,
+        basePrice: price,
+        userNotes: specialInstructions || serviceCall.requestMessage || '',
+        status: 'pending'
+      });
+
+      newBooking.calculateTotalAmount();
+      await applyCommission(newBooking);
+
+      const now = new Date();
+      claimed = await updateCall(serviceCall, {
+        $set: { callStatus: 'accepted', agreedPrice: price, bookingId: newBooking._id },
+        $unset: { offerExpiresAt: 1 },
+        $push: { negotiationHistory: { action: 'accept', actor: 'user', price, timestamp: now } }
+      });
+
+      try {
+        await newBooking.save();
+      } catch (error) {
+        await ServiceCall.updateOne(
+          { _id: serviceCall._id, bookingId: newBooking._id },
+          {
+            $set: { callStatus: 'quoted', offerExpiresAt: serviceCall.offerExpiresAt },
+            $unset: { agreedPrice: 1, bookingId: 1 },
+            $pop: { negotiationHistory: 1 }
+          }
+        );
+        throw error;
+      }
+      return newBooking;
+    }
+  );
+
+  // Runs in the background
+  notifyBooking(booking, 'booking_created');
+  notifyBooking(booking, 'booking_requested');
+
+  return { serviceCall: claimed, booking };
+};
+
+/**
+ * Customer cancels a call that is still open or accepted
+ * Calls converted into a booking are cancelled through the booking.
+ */
+const cancelCall = async (serviceCall, { reason }) => {
+  if (![...OPEN_STATUSES, 'accepted'].includes(serviceCall.callStatus)) {
+    throw createHttpError(400, `Cannot cancel a ${serviceCall.callStatus} service call`);
+  }
+  if (serviceCall.bookingId) {
+    throw createHttpError(400, 'This service call was booked. Cancel the booking instead.', {
+      bookingId: serviceCall.bookingId
+    });
+  }
+
+  return updateCall(serviceCall, {
+    $set: {
+      callStatus: 'cancelled',
+      cancelledAt: new Date(),
+      cancelledBy: 'user',
+      cancellationReason: reason || 'Cancelled by customer'
+    },
+    $unset: { offerExpiresAt: 1 }
+  });
+};
+
+/**
+ * Partner marks an accepted call done and records what was charged
+ * Calls converted into a booking complete with the booking.
+ */
+const completeCall = async (serviceCall, { actualPrice }) => {
+  if (serviceCall.callStatus !== 'accepted') {
+    throw createHttpError(400, 'Only accepted service calls can be completed');
+  }
+  if (serviceCall.bookingId) {
+    throw createHttpError(400, 'This service call was booked. Complete the booking instead.', {
+      bookingId: serviceCall.bookingId
+    });
+  }
+
+  return updateCall(serviceCall, {
+    $set: { callStatus: 'completed', completedAt: new Date(), actualPrice }
+  });
+};
+
+/**
+ * Carry a booking's outcome over to the service call it was converted from
+ * Called by the booking state machine; a no-op for other bookings.
+ */
+const syncCallWithBooking = async (booking) => {
+  if (!booking.serviceCallId) return;
+
+  const query = { _id: booking.serviceCallId, bookingId: booking._id, callStatus: 'accepted' };
+
+  if (booking.status === 'completed') {
+    await ServiceCall.updateOne(query, {
+      $set: { callStatus: 'completed', completedAt: booking.completedAt || new Date(), actualPrice: booking.totalAmount }
+    });
+  } else if (['cancelled', 'rejected', 'expired'].includes(booking.status)) {
+    await ServiceCall.updateOne(query, {
+      $set: {
+        callStatus: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledBy: 'system',
+        cancellationReason: `Booking ${booking.bookingId} was ${booking.status}`
+      }
+    });
+  }
+};
+
+/**
+ * Expire quotes and counter-offers nobody answered in time
+ */
+const expireStaleOffers = async () => {
+  const calls = await ServiceCall.find({
+    callStatus: { $in: ['quoted', 'countered'] },
+    offerExpiresAt: { $lte: new Date() }
+  })
+    .select('_id')
+    .limit(EXPIRY_BATCH_SIZE);
+
+  let expired = 0;
+  for (const call of calls) {
+    try {
+      if (await expireCall(call)) expired++;
+    } catch (error) {
+      console.error(`Expiring service call ${call._id} failed:`, error.message);
+    }
+  }
+
+  return expired;
+};
+
+module.exports = {
+  respondToCall,
+  counterQuote,
+  acceptQuote,
+  cancelCall,
+  completeCall,
+  syncCallWithBooking,
+  expireStaleOffers,
+  QUOTE_VALIDITY_HOURS
+};
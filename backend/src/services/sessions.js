@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Admin = require('../models/Admin');
+const Partner = require('../models/Partner');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const createHttpError = require('../utils/httpError');
+
+/**
+ * Token lifetimes - short-lived access tokens, long-lived refresh tokens rotated on every use
+ */
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_EXPIRE || '15m';
+const REFRESH_TOKEN_EXPIRE = process.env.JWT_REFRESH_EXPIRE || '30d';
+
+// Refresh tokens fall back to JWT_SECRET; the typ claim keeps the two kinds of token apart
+const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Who can hold a session, the claims their access token carries and whether
+ * the account may still use it
+ */
+const OWNERS = {
+  user: {
+    model: User,
+    getClaims: (user) => ({ userId: user._id, email: user.email || user.phoneNumber, role: 'user' }),
+    canLogin: (user) => user.isActive !== false
+  },
+  partner: {
+    model: Partner,
+    getClaims: (partner) => ({ partnerId: partner._id, email: partner.email || partner.mobileNumber, role: 'partner' }),
+    canLogin: (partner) => partner.approvalStatus === 'approved' && partner.isApproved === true
+  },
+  admin: {
+    model: Admin,
+    getClaims: (admin) => ({ adminId: admin._id, email: admin.email, role: admin.role }),
+    canLogin: (admin) => admin.isActive !== false
+  }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+/**
+ * New refresh token of a session; jti makes every rotation unique
+ */
+const signRefreshToken = (session) => jwt.sign(
+  { sid: session._id, typ: 'refresh', jti: crypto.randomBytes(16).toString('hex') },
+  getRefreshSecret(),
+  { expiresIn: REFRESH_TOKEN_EXPIRE }
+);
+
+const signAccessToken = (session, owner) => jwt.sign(
+  { ...OWNERS[session.ownerType].getClaims(owner), sid: session._id, typ: 'access' },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRE }
+);
+
+/**
+ * Start a session for an account that has just authenticated
+ * A previous session of the same device is revoked.
+ * @param {string} ownerType - user | partner | admin
+ * @param {Object} owner - User, Partner or Admin document
+ * @param {Object} context - { deviceId, deviceName, userAgent, ipAddress }
+ * @returns {Promise<Object>} { token, tokenExpiresAt, refreshToken, refreshTokenExpiresAt, session }
+ */
+const createSession = async (ownerType, owner, { deviceId, deviceName, userAgent, ipAddress } = {}) => {
+  if (deviceId) {
+    await revokeSessions({ ownerType, ownerId: owner._id, deviceId }, 'replaced');
+  }
+
+  const session = new Session({
+    ownerType,
+    ownerId: owner._id,
+    deviceId,
+    deviceName,
+    userAgent,
+    ipAddress
+  });
+
+  const refreshToken = signRefreshToken(session);
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.expiresAt = getExpiry(refreshToken);
+  await session.save();
+
+  const token = signAccessToken(session, owner);
+
+  return {
+    token,
+    tokenExpiresAt: getExpiry(token),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+    session
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token
+ * Each refresh token works once. Presenting one that was already rotated means a copy
+ * is in someone else's hands, so the whole session is revoked and the device has to
+ * log in again.
+ * @param {string} refreshToken
+ * @param {Object} context - { userAgent, ipAddress }
+ * @returns {Promise<Object>} Same shape as createSession
+ */
+const refreshSession = async (refreshToken, { userAgent, ipAddress } = {}) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, getRefreshSecret());
+  } catch (error) {
+    throw createHttpError(401, error.name === 'TokenExpiredError'
+      ? 'Refresh token has expired. Please login again.'
+      : 'Invalid refresh token. Please login again.');
+  }
+
+  if (decoded.typ !== 'refresh') {
+    throw createHttpError(401, 'Invalid refresh token. Please login again.');
+  }
+
+  const session = decoded.sid && await Session.findById(decoded.sid);
+  if (!session || !session.isActive()) {
+    throw createHttpError(401, 'Session has ended. Please login again.');
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  if (session.refreshTokenHash !== tokenHash) {
+    await revokeSessions({ _id: session._id }, 'reuse_detected');
+    console.warn(`Refresh token reuse detected for ${session.ownerType} ${session.ownerId}, session ${session._id} revoked`);
+    throw createHttpError(401, 'Session has ended. Please login again.');
+  }
+
+  const { model, canLogin } = OWNERS[session.ownerType];
+  const owner = await model.findById(session.ownerId);
+  if (!owner || !canLogin(owner)) {
+    throw createHttpError(401, 'Account is not active. Please contact support.');
+  }
+
+  const nextRefreshToken = signRefreshToken(session);
+  const rotated = await Session.findOneAndUpdate(
+    // Matching the old hash makes two concurrent refreshes with one token count as reuse
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        expiresAt: getExpiry(nextRefreshToken),
+        lastUsedAt: new Date(),
+        ...(userAgent && { userAgent }),
+        ...(ipAddress && { ipAddress })
+      },
+      $inc: { generation: 1 }
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    await revokeSessions({ _id: session._id }, 'reuse_detected');
+    throw createHttpError(401, 'Session has ended. Please login again.');
+  }
+
+  const token = signAccessToken(rotated, owner);
+
+  return {
+    token,
+    tokenExpiresAt: getExpiry(token),
+    refreshToken: nextRefreshToken,
+    refreshTokenExpiresAt: rotated.expiresAt,
+    session: rotated
+  };
+};
+
+/**
+ * Revoke the active sessions matching a filter
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeSessions = async (filter, reason) => {
+  const result = await Session.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Log out the session an access token belongs to
+ */
+const revokeSession = (sessionId, reason = 'logout') => revokeSessions({ _id: sessionId }, reason);
+
+/**
+ * Log an account out of every device
+ * @param {string} ownerType - user | partner | admin
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllSessions = (ownerType, ownerId, reason = 'logout_all') =>
+  revokeSessions({ ownerType, ownerId }, reason);
+
+/**
+ * Whether access tokens of a session are still accepted - false once it is revoked or expired
+ */
+const isSessionActive = async (sessionId) => Boolean(await Session.exists({
+  _id: sessionId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+}));
+
+module.exports = {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive
+};
@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const Partner = require('../models/Partner');
+const Settlement = require('../models/Settlement');
+const LedgerEntry = require('../models/LedgerEntry');
+const createHttpError = require('../utils/httpError');
+const { csvValue } = require('../utils/csv');
+const { toInstant, toLocalParts, getDayName } = require('../utils/schedule');
+
+/**
+ * Payout configuration - all values can be overridden from the environment
+ */
+const MIN_PAYOUT_AMOUNT = parseInt(process.env.SETTLEMENT_MIN_PAYOUT, 10) || 100; // rupees
+const IMPS_LIMIT = parseInt(process.env.PAYOUT_IMPS_LIMIT, 10) || 500000; // rupees per transfer
+const PAYOUT_DEBIT_ACCOUNT = process.env.PAYOUT_DEBIT_ACCOUNT || '';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Payout status changes an admin may record, by current status
+const STATUS_TRANSITIONS = {
+  pending: ['on_hold', 'processing'],
+  on_hold: ['pending'],
+  processing: ['paid', 'failed'],
+  failed: ['pending', 'on_hold'],
+  paid: []
+};
+
+/**
+ * Most recent completed settlement period for a cycle, in business-local time
+ * Weekly periods run Monday to Monday, monthly periods from the 1st to the 1st.
+ * @returns {{ periodStart: Date, periodEnd: Date }}
+ */
+const getLastPeriod = (cycle, now = new Date()) => {
+  const today = toLocalParts(now).dateString;
+
+  if (cycle === 'monthly') {
+    const periodEnd = toInstant(`${today.slice(0, 7)}-01`, 0);
+    const previousMonth = toLocalParts(new Date(periodEnd.getTime() - DAY_MS)).dateString.slice(0, 7);
+    return { periodStart: toInstant(`${previousMonth}-01`, 0), periodEnd };
+  }
+
+  const daysSinceMonday = WEEKDAYS.indexOf(getDayName(today));
+  const periodEnd = new Date(toInstant(today, 0).getTime() - daysSinceMonday * DAY_MS);
+  return { periodStart: new Date(periodEnd.getTime() - 7 * DAY_MS), periodEnd };
+};
+
+/**
+ * Batch a partner's unsettled booking entries before periodEnd into a settlement
+ * Refund reversals are netted against the earnings.
+ * Entries from earlier periods that were carried forward are included. Balances below
+ * SETTLEMENT_MIN_PAYOUT (or owed to the platform) are carried forward to the next cycle.
+ * @returns {Promise<Object|null>} The settlement, or null if nothing was due
+ */
+const createPartnerSettlement = async (partner, { cycle, periodStart, periodEnd }) => {
+  const existing = await Settlement.findOne({ partnerId: partner._id, cycle, periodEnd });
+  if (existing) return existing;
+
+  const unsettled = {
+    partnerId: partner._id,
+    type: { $in: LedgerEntry.BOOKING_TYPES },
+    settlementId: { $exists: false },
+    postedAt: { $lt: periodEnd }
+  };
+
+  const entries = await LedgerEntry.find(unsettled).select('partnerAmount');
+  const due = entries.reduce((sum, entry) => sum + entry.partnerAmount, 0);
+  if (entries.length === 0 || due < MIN_PAYOUT_AMOUNT * 100) return null;
+
+  const hasBankDetails = partner.bankDetails && partner.bankDetails.accountNumber && partner.bankDetails.ifscCode;
+
+  let settlement;
+  try {
+    settlement = await Settlement.create({
+      partnerId: partner._id,
+      cycle,
+      periodStart,
+      periodEnd,
+      bankDetails: partner.bankDetails,
+      status: hasBankDetails ? 'pending' : 'on_hold',
+      statusHistory: [{
+        status: hasBankDetails ? 'pending' : 'on_hold',
+        updatedBy: 'system',
+        reason: hasBankDetails ? 'Settlement created' : 'Partner has no bank details on file'
+      }]
+    });
+  } catch (error) {
+    // Another run created this period's settlement first
+    if (error.code === 11000) return Settlement.findOne({ partnerId: partner._id, cycle, periodEnd });
+    throw error;
+  }
+
+  // Claim the entries, then total only what was actually claimed
+  await LedgerEntry.updateMany(
+    { ...unsettled, _id: { $in: entries.map(entry => entry._id) } },
+    { $set: { settlementId: settlement._id } }
+  );
+
+  const claimed = await LedgerEntry.find({ settlementId: settlement._id, type: { $in: LedgerEntry.BOOKING_TYPES } });
+  claimed.forEach(entry => {
+    settlement.grossAmount += entry.getEarnings();
+    settlement.commissionAmount += entry.getCommission();
+    settlement.amount += entry.partnerAmount;
+  });
+  settlement.bookingCount = claimed.filter(entry => entry.type === 'booking_completed').length;
+  await settlement.save();
+
+  return settlement;
+};
+
+/**
+ * Create settlements for every partner on a cycle for its last completed period
+ * Safe to run repeatedly: each partner gets one settlement per period.
+ */
+const runSettlementCycle = async (cycle, now = new Date()) => {
+  const period = getLastPeriod(cycle, now);
+
+  // Default cycle is weekly, so partners without the field belong to it
+  const cycleQuery = cycle === 'weekly'
+    ? { $or: [{ settlementCycle: 'weekly' }, { settlementCycle: { $exists: false } }] }
+    : { settlementCycle: cycle };
+
+  const partnerIds = await LedgerEntry.distinct('partnerId', {
+    type: { $in: LedgerEntry.BOOKING_TYPES },
+    settlementId: { $exists: false },
+    postedAt: { $lt: period.periodEnd }
+  });
+
+  const partners = await Partner.find({ _id: { $in: partnerIds }, ...cycleQuery })
+    .select('businessName bankDetails settlementCycle');
+
+  let created = 0;
+  for (const partner of partners) {
+    try {
+      const settlement = await createPartnerSettlement(partner, { cycle, ...period });
+      if (settlement && settlement.periodEnd.getTime() === period.periodEnd.getTime()) created++;
+    } catch (error) {
+      console.error(`Settlement for partner ${partner._id} failed:`, error.message);
+    }
+  }
+
+  return { cycle, ...period, created };
+};
+
+/**
+ * Build a NEFT/IMPS bulk payout file and mark the settlements as processing
+ * The settlements are claimed for the batch in one update before the file is built, so
+ * exports running at the same time can never put the same settlement in two files.
+ * @param {Object} options - { mode: 'NEFT'|'IMPS'|'AUTO', settlementIds, exportedBy }
+ * @returns {Promise<{ batchId: string, fileName: string, csv: string, count: number, total: number }>}
+ */
+const exportPayoutFile = async ({ mode = 'AUTO', settlementIds, exportedBy }) => {
+  const query = { status: 'pending', amount: { $gt: 0 } };
+  if (settlementIds && settlementIds.length > 0) {
+    query.settlementId = { $in: settlementIds };
+  }
+
+  const batchId = `PB${Date.now()}${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+  const exportedAt = new Date();
+
+  await Settlement.updateMany(query, {
+    $set: { status: 'processing', payoutBatchId: batchId, exportedAt },
+    $push: {
+      statusHistory: {
+        status: 'processing',
+        timestamp: exportedAt,
+        updatedBy: exportedBy,
+        reason: `Exported in payout batch ${batchId}`
+      }
+    }
+  });
+
+  const settlements = await Settlement.find({ payoutBatchId: batchId })
+    .sort({ createdAt: 1 })
+    .populate('partnerId', 'businessName email mobileNumber phoneNumber');
+  if (settlements.length === 0) {
+    throw createHttpError(404, 'No pending settlements to pay out');
+  }
+
+  const header = [
+    'PAYMENT_MODE', 'DEBIT_ACCOUNT', 'BENEFICIARY_NAME', 'BENEFICIARY_ACCOUNT', 'IFSC',
+    'AMOUNT', 'REFERENCE', 'NARRATION', 'EMAIL', 'MOBILE'
+  ];
+  const rows = [header.join(',')];
+  let total = 0;
+
+  for (const settlement of settlements) {
+    const amount = settlement.amount / 100;
+    let payoutMode = mode === 'AUTO' ? (amount <= IMPS_LIMIT ? 'IMPS' : 'NEFT') : mode;
+    // IMPS transfers are capped; larger payouts always go by NEFT
+    if (payoutMode === 'IMPS' && amount > IMPS_LIMIT) payoutMode = 'NEFT';
+
+    const partner = settlement.partnerId || {};
+    const bank = settlement.bankDetails || {};
+
+    rows.push([
+      payoutMode,
+      PAYOUT_DEBIT_ACCOUNT,
+      bank.accountHolderName || partner.businessName,
+      bank.accountNumber,
+      bank.ifscCode,
+      amount.toFixed(2),
+      settlement.settlementId,
+      `Rollon payout ${settlement.settlementId}`,
+      partner.email,
+      partner.mobileNumber || partner.phoneNumber
+    ].map(csvValue).join(','));
+    total += settlement.amount;
+
+    settlement.payoutMode = payoutMode;
+  }
+
+  await Settlement.bulkWrite(settlements.map(settlement => ({
+    updateOne: {
+      filter: { _id: settlement._id },
+      update: { $set: { payoutMode: settlement.payoutMode } }
+    }
+  })));
+
+  return {
+    batchId,
+    fileName: `payouts-${batchId}.csv`,
+    csv: rows.join('\n') + '\n',
+    count: settlements.length,
+    total: total / 100
+  };
+};
+
+/**
+ * Record the bank outcome (or a hold) for a settlement
+ * Marking a settlement paid posts the payout to the ledger.
+ * @param {string} settlementId - Settlement reference (ST...)
+ * @param {Object} params - { status, utr, reason, updatedBy }
+ */
+const updateSettlementStatus = async (settlementId, { status, utr, reason, updatedBy }) => {
+  const settlement = await Settlement.findOne({ settlementId });
+  if (!settlement) {
+    throw createHttpError(404, 'Settlement not found');
+  }
+
+  const allowed = STATUS_TRANSITIONS[settlement.status] || [];
+  if (!allowed.includes(status)) {
+    throw createHttpError(409, `Cannot change settlement status from ${settlement.status} to ${status}`, {
+      currentStatus: settlement.status,
+      allowedTransitions: allowed
+    });
+  }
+
+  if (status === 'pending' && settlement.status !== 'pending') {
+    // Pick up bank details the partner added or corrected while the payout was held
+    const partner = await Partner.findById(settlement.partnerId).select('bankDetails');
+    if (!partner || !partner.bankDetails || !partner.bankDetails.accountNumber || !partner.bankDetails.ifscCode) {
+      throw createHttpError(400, 'Partner has no bank details on file');
+    }
+    settlement.bankDetails = partner.bankDetails;
+  }
+
+  if (status === 'paid') {
+    if (!utr) {
+      throw createHttpError(400, 'Bank UTR is required to mark a settlement paid');
+    }
+
+    // The unique index on settlementId + type stops a payout being posted twice
+    await LedgerEntry.create({
+      type: 'partner_payout',
+      description: `Payout ${settlement.settlementId} (${settlement.payoutMode || 'bank transfer'}, UTR ${utr})`,
+      partnerId: settlement.partnerId,
+      settlementId: settlement._id,
+      lines: [
+        { account: 'partner_payable', partnerId: settlement.partnerId, debit: settlement.amount, memo: 'Payout to partner' },
+        { account: 'payout_bank', credit: settlement.amount, memo: `UTR ${utr}` }
+      ]
+    });
+
+    settlement.utr = utr;
+    settlement.paidAt = new Date();
+    settlement.failureReason = undefined;
+  }
+
+  if (status === 'failed') {
+    settlement.failureReason = reason;
+  }
+
+  await settlement.updateStatus(status, updatedBy, reason || '');
+
+  return settlement;
+};
+
+module.exports = {
+  getLastPeriod,
+  createPartnerSettlement,
+  runSettlementCycle,
+  exportPayoutFile,
+  updateSettlementStatus,
+  STATUS_TRANSITIONS
+};
@@ -0,0 +1,17 @@
+/**
+ * Development transport - prints messages to the server console
+ */
+const send = async ({ to, body, channel = 'sms' }) => {
+  console.log(`📨 [${channel.toUpperCase()}] to ${to}: ${body}`);
+
+  return {
+    success: true,
+    messageId: `console-${Date.now()}`,
+    status: 'sent'
+  };
+};
+
+module.exports = {
+  name: 'console',
+  send
+};
@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Offline transport - appends every message as a JSON line to an outbox file
+ * so that OTPs and alerts can be inspected without an SMS provider
+ */
+const getOutboxPath = () => path.resolve(process.env.SMS_OUTBOX_FILE || './logs/sms-outbox.log');
+
+const send = async ({ to, body, channel = 'sms' }) => {
+  const outboxPath = getOutboxPath();
+  const messageId = `file-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+
+  await fs.promises.mkdir(path.dirname(outboxPath), { recursive: true });
+  await fs.promises.appendFile(outboxPath, JSON.stringify({
+    messageId,
+    channel,
+    to,
+    body,
+    sentAt: new Date().toISOString()
+  }) + '\n');
+
+  return {
+    success: true,
+    messageId,
+    status: 'sent'
+  };
+};
+
+module.exports = {
+  name: 'file',
+  send,
+  getOutboxPath
+};
@@ -0,0 +1,70 @@
+const twilioTransport = require('./twilioTransport');
+const consoleTransport = require('./consoleTransport');
+const fileTransport = require('./fileTransport');
+
+const transports = {
+  twilio: twilioTransport,
+  console: consoleTransport,
+  file: fileTransport
+};
+
+let activeTransport = null;
+
+/**
+ * Resolve the transport from SMS_TRANSPORT (twilio | console | file)
+ * Defaults to Twilio in production and the console everywhere else
+ */
+const getTransport = () => {
+  if (activeTransport) return activeTransport;
+
+  const name = process.env.SMS_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'twilio' : 'console');
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown SMS transport: ${name}`);
+  }
+
+  activeTransport = transport;
+  return activeTransport;
+};
+
+/**
+ * Replace the active transport (e.g. with a custom or in-memory transport)
+ */
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Convert a 10-digit Indian number to E.164 format
+ */
+const toE164 = (phone) => {
+  if (!phone) return phone;
+  const value = String(phone).trim();
+  if (value.startsWith('+')) return value;
+  return `+91${value.replace(/\D/g, '').slice(-10)}`;
+};
+
+/**
+ * Send a text message through the active transport
+ * @param {string} to - Recipient phone number (10-digit or E.164)
+ * @param {string} body - Message text
+ * @param {Object} options - { channel: 'sms' | 'whatsapp', statusCallback: delivery receipt URL }
+ */
+const sendSMS = async (to, body, options = {}) => {
+  const transport = getTransport();
+  return transport.send({
+    to: toE164(to),
+    body,
+    channel: options.channel || 'sms',
+    statusCallback: options.statusCallback
+  });
+};
+
+module.exports = {
+  sendSMS,
+  getTransport,
+  setTransport,
+  toE164
+};
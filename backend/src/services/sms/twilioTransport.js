@@ -0,0 +1,45 @@
+const twilio = require('twilio');
+
+let client = null;
+
+/**
+ * Lazily create the Twilio client so the server can boot without credentials
+ */
+const getClient = () => {
+  if (!client) {
+    const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN } = process.env;
+    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN) {
+      throw new Error('Twilio credentials are not configured');
+    }
+    client = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+  }
+  return client;
+};
+
+/**
+ * Send a message through Twilio
+ * WhatsApp messages use the whatsapp: address prefix on both ends
+ */
+const send = async ({ to, body, channel = 'sms', statusCallback }) => {
+  const from = channel === 'whatsapp'
+    ? `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER || process.env.TWILIO_PHONE_NUMBER}`
+    : process.env.TWILIO_PHONE_NUMBER;
+
+  const message = await getClient().messages.create({
+    body,
+    from,
+    to: channel === 'whatsapp' ? `whatsapp:${to}` : to,
+    ...(statusCallback && { statusCallback })
+  });
+
+  return {
+    success: true,
+    messageId: message.sid,
+    status: message.status
+  };
+};
+
+module.exports = {
+  name: 'twilio',
+  send
+};
@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const Admin = require('../models/Admin');
+const createHttpError = require('../utils/httpError');
+const { hashOTP, compareOTP } = require('../utils/otp');
+const { generateTOTPSecret, verifyTOTP, getProvisioningUri } = require('../utils/totp');
+const { revokeAllSessions } = require('./sessions');
+
+/**
+ * Two-factor configuration - all values can be overridden from the environment
+ */
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Rollon Admin';
+const CHALLENGE_EXPIRE = process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m';
+const BACKUP_CODE_COUNT = 10;
+
+const CHALLENGE_PURPOSE = 'admin_2fa';
+const SECRET_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorLastCounter +twoFactorBackupCodes';
+
+/**
+ * AES-256-GCM key for TOTP secrets at rest
+ * A key of its own, so a leaked JWT secret does not also expose every authenticator secret.
+ */
+const getEncryptionKey = () => {
+  const key = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+  if (!key) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY must be set to encrypt two-factor secrets');
+  }
+
+  return crypto.createHash('sha256').update(key).digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Backup codes look like 4f9a-c21e and are compared without the dash, case-insensitively
+ */
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+/**
+ * Fresh set of backup codes; only their hashes are kept
+ * @returns {{ codes: string[], hashes: Array }}
+ */
+const generateBackupCodes = (adminId) => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => ({ hash: hashOTP(normalizeBackupCode(code), adminId) }))
+  };
+};
+
+const findAdmin = async (adminId) => {
+  const admin = await Admin.findById(adminId).select(SECRET_FIELDS);
+  if (!admin) {
+    throw createHttpError(404, 'Admin not found');
+  }
+  return admin;
+};
+
+/**
+ * Check an authenticator code against the admin's active secret and burn its time step
+ * The time step is claimed with a conditional update, so of two requests with the same
+ * code only one is accepted.
+ * @returns {Promise<boolean>} Whether the code was accepted
+ */
+const acceptTOTP = async (admin, code) => {
+  const counter = verifyTOTP(decryptSecret(admin.twoFactorSecret), code);
+  if (counter === null) return false;
+
+  const result = await Admin.updateOne(
+    {
+      _id: admin._id,
+      twoFactorSecret: admin.twoFactorSecret,
+      twoFactorLastCounter: { $not: { $gte: counter } }
+    },
+    { $set: { twoFactorLastCounter: counter } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Mark a backup code as used
+ * Codes are matched by their hash and claimed only while unused, so a code works once
+ * even when it is sent twice at the same time.
+ * @returns {Promise<boolean>} Whether an unused code matched
+ */
+const acceptBackupCode = async (admin, backupCode) => {
+  const normalized = normalizeBackupCode(backupCode);
+  const entry = admin.twoFactorBackupCodes.find(item =>
+    !item.usedAt && compareOTP(normalized, item.hash, admin._id));
+  if (!entry) return false;
+
+  const result = await Admin.updateOne(
+    { _id: admin._id, twoFactorBackupCodes: { $elemMatch: { hash: entry.hash, usedAt: null } } },
+    { $set: { 'twoFactorBackupCodes.$.usedAt': new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Start enrollment: a new secret the admin adds to their authenticator app
+ * It only takes effect after confirmEnrollment, so a half-finished setup cannot lock them out.
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>} otpauthUrl is what the QR code encodes
+ */
+const startEnrollment = async (adminId) => {
+  const admin = await findAdmin(adminId);
+  if (admin.twoFactorEnabled) {
+    throw createHttpError(409, 'Two-factor authentication is already enabled');
+  }
+
+  const secret = generateTOTPSecret();
+  admin.twoFactorPendingSecret = encryptSecret(secret);
+  await admin.save();
+
+  return {
+    secret,
+    otpauthUrl: getProvisioningUri({ secret, accountName: admin.email, issuer: TOTP_ISSUER })
+  };
+};
+
+/**
+ * Finish enrollment with a code from the app, turning two-factor on
+ * @returns {Promise<{ backupCodes: string[] }>} Shown to the admin once
+ */
+const confirmEnrollment = async (adminId, code) => {
+  const admin = await findAdmin(adminId);
+  if (admin.twoFactorEnabled) {
+    throw createHttpError(409, 'Two-factor authentication is already enabled');
+  }
+  if (!admin.twoFactorPendingSecret) {
+    throw createHttpError(400, 'Start two-factor setup first');
+  }
+
+  const counter = verifyTOTP(decryptSecret(admin.twoFactorPendingSecret), code);
+  if (counter === null) {
+    throw createHttpError(400, 'Invalid authentication code');
+  }
+
+  // Enabled only if setup was not finished or restarted in the meantime
+  const { codes, hashes } = generateBackupCodes(admin._id);
+  const enabled = await Admin.findOneAndUpdate(
+    { _id: admin._id, twoFactorEnabled: { $ne: true }, twoFactorPendingSecret: admin.twoFactorPendingSecret },
+    {
+      $set: {
+        twoFactorSecret: admin.twoFactorPendingSecret,
+        twoFactorLastCounter: counter,
+        twoFactorBackupCodes: hashes,
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date()
+      },
+      $unset: { twoFactorPendingSecret: 1 }
+    },
+    { new: true }
+  );
+  if (!enabled) {
+    throw createHttpError(409, 'Two-factor setup changed. Please start again.');
+  }
+
+  return { backupCodes: codes };
+};
+
+/**
+ * Short-lived token proving the password step of a login succeeded
+ * It has no session, so it is never accepted as an access token.
+ */
+const createLoginChallenge = (admin) => {
+  const challengeToken = jwt.sign(
+    { adminId: admin._id, purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRE }
+  );
+  return {
+    challengeToken,
+    challengeExpiresAt: new Date(jwt.decode(challengeToken).exp * 1000)
+  };
+};
+
+/**
+ * Second login step: a challenge token plus an authenticator code or an unused backup code
+ * Wrong codes count as failed logins towards the account lock.
+ * @param {Object} params - { challengeToken, code, backupCode }
+ * @returns {Promise<Object>} The admin document
+ */
+const verifyLoginChallenge = async ({ challengeToken, code, backupCode }) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (error) {
+    throw createHttpError(401, 'Login challenge has expired. Please login again.');
+  }
+  if (decoded.purpose !== CHALLENGE_PURPOSE) {
+    throw createHttpError(401, 'Invalid login challenge. Please login again.');
+  }
+
+  const admin = await Admin.findById(decoded.adminId).select(SECRET_FIELDS);
+  if (!admin || !admin.isActive || !admin.twoFactorEnabled || admin.passwordResetRequired) {
+    throw createHttpError(401, 'Invalid login challenge. Please login again.');
+  }
+  if (admin.isAccountLocked()) {
+    throw createHttpError(423, 'Account is locked after too many failed attempts. Please try again later.');
+  }
+
+  const accepted = backupCode ? await acceptBackupCode(admin, backupCode) : await acceptTOTP(admin, code);
+  if (!accepted) {
+    await admin.recordFailedLogin();
+    throw createHttpError(401, backupCode ? 'Invalid or already used backup code' : 'Invalid authentication code');
+  }
+
+  admin.failedLoginAttempts = 0;
+  await admin.save();
+  return admin;
+};
+
+/**
+ * Replace all backup codes; needs a current authenticator code
+ * @returns {Promise<{ backupCodes: string[] }>}
+ */
+const regenerateBackupCodes = async (adminId, code) => {
+  const admin = await findAdmin(adminId);
+  if (!admin.twoFactorEnabled) {
+    throw createHttpError(400, 'Two-factor authentication is not enabled');
+  }
+  if (!await acceptTOTP(admin, code)) {
+    throw createHttpError(400, 'Invalid authentication code');
+  }
+
+  const { codes, hashes } = generateBackupCodes(admin._id);
+  admin.twoFactorBackupCodes = hashes;
+  await admin.save();
+
+  return { backupCodes: codes };
+};
+
+const clearTwoFactor = (admin) => {
+  admin.twoFactorEnabled = false;
+  admin.twoFactorEnabledAt = undefined;
+  admin.twoFactorSecret = undefined;
+  admin.twoFactorPendingSecret = undefined;
+  admin.twoFactorLastCounter = undefined;
+  admin.twoFactorBackupCodes = [];
+};
+
+/**
+ * Turn off the admin's own two-factor; needs their password and a current code
+ * @param {Object} params - { password, code }
+ */
+const disableTwoFactor = async (adminId, { password, code }) => {
+  const admin = await Admin.findById(adminId).select(`+password ${SECRET_FIELDS}`);
+  if (!admin) {
+    throw createHttpError(404, 'Admin not found');
+  }
+  if (!admin.twoFactorEnabled) {
+    throw createHttpError(400, 'Two-factor authentication is not enabled');
+  }
+  if (!await bcrypt.compare(password, admin.password)) {
+    throw createHttpError(401, 'Incorrect password');
+  }
+  if (!await acceptTOTP(admin, code)) {
+    throw createHttpError(400, 'Invalid authentication code');
+  }
+
+  clearTwoFactor(admin);
+  await admin.save();
+  return admin;
+};
+
+/**
+ * Super admin reset for an admin who lost their authenticator and backup codes
+ * Two-factor is turned off and the admin is logged out everywhere; they can enroll again
+ * after logging in with their password.
+ * @param {Object} actor - { adminId } of the super admin
+ */
+const resetTwoFactor = async (actor, adminId) => {
+  if (String(actor.adminId) === String(adminId)) {
+    throw createHttpError(400, 'Use your own two-factor settings to change your two-factor authentication');
+  }
+
+  const admin = await findAdmin(adminId);
+  clearTwoFactor(admin);
+  await admin.save();
+  await revokeAllSessions('admin', admin._id, 'two_factor_reset');
+
+  return admin;
+};
+
+module.exports = {
+  startEnrollment,
+  confirmEnrollment,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  resetTwoFactor
+};
@@ -0,0 +1,250 @@
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const WalletTransaction = require('../models/WalletTransaction');
+const createHttpError = require('../utils/httpError');
+const { getGateway } = require('./payments');
+
+/**
+ * Wallet configuration - all values can be overridden from the environment (rupees)
+ */
+const TOPUP_MIN = parseInt(process.env.WALLET_TOPUP_MIN, 10) || 100;
+const TOPUP_MAX = parseInt(process.env.WALLET_TOPUP_MAX, 10) || 10000;
+const MAX_BALANCE = parseInt(process.env.WALLET_MAX_BALANCE, 10) || 20000;
+
+// How many applied transaction ids each user remembers; far more than can be in flight
+const APPLIED_TRANSACTION_MEMORY = 50;
+const PENDING_GRACE_MS = 2 * 60 * 1000;
+const SETTLE_BATCH_SIZE = 100;
+
+const CURRENCY = 'INR';
+
+/**
+ * Apply a pending transaction to the user's balance and mark it completed or failed
+ * The balance update and the applied-id push happen in one conditional update, so a
+ * transaction retried after a crash is never applied twice.
+ */
+const applyTransaction = async (transaction) => {
+  const { _id: transactionId, userId, direction, amount } = transaction;
+
+  const query = { _id: userId, appliedWalletTransactions: { $ne: transactionId } };
+  if (direction === 'debit') query.walletBalance = { $gte: amount };
+
+  const user = await User.findOneAndUpdate(
+    query,
+    {
+      $inc: { walletBalance: direction === 'credit' ? amount : -amount },
+      $push: { appliedWalletTransactions: { $each: [transactionId], $slice: -APPLIED_TRANSACTION_MEMORY } }
+    },
+    { new: true, projection: { walletBalance: 1 } }
+  );
+
+  if (user) {
+    transaction.status = 'completed';
+    transaction.balanceAfter = user.walletBalance;
+    transaction.completedAt = new Date();
+  } else {
+    const current = await User.findById(userId).select('walletBalance +appliedWalletTransactions');
+    const alreadyApplied = current && (current.appliedWalletTransactions || []).some(id => id.equals(transactionId));
+
+    if (alreadyApplied) {
+      transaction.status = 'completed';
+      transaction.completedAt = transaction.completedAt || new Date();
+    } else {
+      transaction.status = 'failed';
+      transaction.failureReason = current ? 'Insufficient wallet balance' : 'Customer not found';
+    }
+  }
+
+  await transaction.save();
+  return transaction;
+};
+
+/**
+ * Record and apply a wallet transaction once per idempotencyKey
+ * Repeating a call returns the recorded transaction; a failed debit is retried.
+ * @param {Object} params - { userId, direction, type, amount (paise), idempotencyKey, description, bookingId, paymentId, refundId, referredUserId }
+ * @returns {Promise<Object>} The transaction (status completed or failed)
+ */
+const recordTransaction = async (params) => {
+  if (!Number.isInteger(params.amount) || params.amount <= 0) {
+    throw createHttpError(400, 'Wallet amounts must be a positive number of paise');
+  }
+
+  let transaction = await WalletTransaction.findOne({ idempotencyKey: params.idempotencyKey });
+
+  if (!transaction) {
+    try {
+      transaction = await WalletTransaction.create(params);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      transaction = await WalletTransaction.findOne({ idempotencyKey: params.idempotencyKey });
+    }
+  } else if (transaction.status === 'failed') {
+    // Never applied, so it is safe to try again (e.g. after a top-up)
+    transaction = await WalletTransaction.findOneAndUpdate(
+      { _id: transaction._id, status: 'failed' },
+      { $set: { status: 'pending' }, $unset: { failureReason: 1 } },
+      { new: true }
+    ) || await WalletTransaction.findById(transaction._id);
+  }
+
+  if (transaction.status === 'pending') {
+    await applyTransaction(transaction);
+  }
+
+  return transaction;
+};
+
+/**
+ * Add money to a wallet
+ * @param {Object} options - { type, idempotencyKey, description, bookingId, paymentId, refundId, referredUserId }
+ */
+const creditWallet = (userId, amount, options) =>
+  recordTransaction({ ...options, userId, amount, direction: 'credit' });
+
+/**
+ * Take money from a wallet; throws 400 when the balance is too low
+ * @param {Object} options - { type, idempotencyKey, description, bookingId }
+ */
+const debitWallet = async (userId, amount, options) => {
+  const transaction = await recordTransaction({ ...options, userId, amount, direction: 'debit' });
+
+  if (transaction.status === 'failed') {
+    const user = await User.findById(userId).select('walletBalance');
+    throw createHttpError(400, transaction.failureReason, {
+      balance: user ? user.walletBalance / 100 : 0,
+      required: amount / 100
+    });
+  }
+
+  return transaction;
+};
+
+/**
+ * Current balance in paise
+ */
+const getBalance = async (userId) => {
+  const user = await User.findById(userId).select('walletBalance');
+  if (!user) {
+    throw createHttpError(404, 'User not found');
+  }
+  return user.walletBalance || 0;
+};
+
+/**
+ * Open a gateway order to top up the wallet
+ * The wallet is credited when the payment is confirmed (checkout callback, webhook or
+ * reconciliation), exactly as for booking payments.
+ * @param {string} userId - Customer ID
+ * @param {number} amount - Top-up in rupees
+ */
+const createTopupOrder = async (userId, amount) => {
+  if (!(amount >= TOPUP_MIN && amount <= TOPUP_MAX)) {
+    throw createHttpError(400, `Top-up amount must be between ₹${TOPUP_MIN} and ₹${TOPUP_MAX}`);
+  }
+
+  const balance = await getBalance(userId);
+  const paise = Math.round(amount * 100);
+  if (balance + paise > MAX_BALANCE * 100) {
+    throw createHttpError(400, `Wallet balance cannot exceed ₹${MAX_BALANCE}`, {
+      balance: balance / 100,
+      maxTopup: Math.max(0, MAX_BALANCE * 100 - balance) / 100
+    });
+  }
+
+  const gateway = getGateway();
+  const receipt = `WT${Date.now()}`;
+  const order = await gateway.createOrder({
+    amount: paise,
+    currency: CURRENCY,
+    receipt,
+    notes: { purpose: 'wallet_topup', userId: String(userId) }
+  });
+
+  const payment = await Payment.create({
+    purpose: 'wallet_topup',
+    userId,
+    provider: gateway.name,
+    orderId: order.orderId,
+    amount: order.amount,
+    currency: order.currency
+  });
+
+  return {
+    payment,
+    checkout: {
+      ...gateway.getCheckoutConfig(),
+      orderId: payment.orderId,
+      amount: payment.amount,
+      currency: payment.currency,
+      receipt
+    }
+  };
+};
+
+/**
+ * Credit a confirmed top-up payment to the wallet (idempotent)
+ */
+const creditTopup = (payment) => creditWallet(payment.userId, payment.amount, {
+  type: 'topup',
+  idempotencyKey: `topup:${payment._id}`,
+  description: 'Wallet top-up',
+  paymentId: payment._id
+});
+
+/**
+ * Credit a refund to the wallet; used as the "gateway" for refunds sent to the wallet
+ * @returns {Promise<{ providerRefundId: string, status: string }>}
+ */
+const refundToWallet = async (refund) => {
+  const transaction = await creditWallet(refund.userId, refund.amount, {
+    type: 'refund',
+    idempotencyKey: `refund:${refund._id}`,
+    description: `Refund (${refund.type})`,
+    bookingId: refund.bookingId,
+    refundId: refund._id
+  });
+
+  if (transaction.status !== 'completed') {
+    throw new Error(transaction.failureReason || 'Wallet credit failed');
+  }
+
+  return { providerRefundId: String(transaction._id), status: 'processed' };
+};
+
+/**
+ * Finish transactions left pending by a crash between recording and applying them
+ */
+const settlePendingTransactions = async () => {
+  const transactions = await WalletTransaction.find({
+    status: 'pending',
+    createdAt: { $lte: new Date(Date.now() - PENDING_GRACE_MS) }
+  })
+    .sort({ createdAt: 1 })
+    .limit(SETTLE_BATCH_SIZE);
+
+  let settled = 0;
+  for (const transaction of transactions) {
+    try {
+      await applyTransaction(transaction);
+      settled++;
+    } catch (error) {
+      console.error(`Settling wallet transaction ${transaction._id} failed:`, error.message);
+    }
+  }
+
+  return settled;
+};
+
+module.exports = {
+  creditWallet,
+  debitWallet,
+  getBalance,
+  createTopupOrder,
+  creditTopup,
+  refundToWallet,
+  settlePendingTransactions,
+  TOPUP_MIN,
+  TOPUP_MAX,
+  MAX_BALANCE
+};
@@ -0,0 +1,49 @@
+/**
+ * Request and cookie helpers shared by the login, refresh and logout routes
+ */
+
+const PARTNER_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production', // HTTPS only in production
+  sameSite: 'strict'
+};
+
+// The refresh token cookie is only ever sent to the refresh endpoint
+const REFRESH_COOKIE_PATH = '/api/auth/refresh';
+
+/**
+ * Device details stored on the session created by a login
+ */
+const getSessionContext = (req) => ({
+  deviceId: req.body.deviceId,
+  deviceName: req.body.deviceName,
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+/**
+ * Store the partner web app's tokens in HTTP-only cookies, each living as long as its token
+ * @param {Object} tokens - { token, tokenExpiresAt, refreshToken, refreshTokenExpiresAt }
+ */
+const setPartnerCookies = (res, { token, tokenExpiresAt, refreshToken, refreshTokenExpiresAt }) => {
+  res.cookie('partnerToken', token, {
+    ...PARTNER_COOKIE_OPTIONS,
+    maxAge: tokenExpiresAt.getTime() - Date.now()
+  });
+  res.cookie('partnerRefreshToken', refreshToken, {
+    ...PARTNER_COOKIE_OPTIONS,
+    path: REFRESH_COOKIE_PATH,
+    maxAge: refreshTokenExpiresAt.getTime() - Date.now()
+  });
+};
+
+const clearPartnerCookies = (res) => {
+  res.clearCookie('partnerToken', PARTNER_COOKIE_OPTIONS);
+  res.clearCookie('partnerRefreshToken', { ...PARTNER_COOKIE_OPTIONS, path: REFRESH_COOKIE_PATH });
+};
+
+module.exports = {
+  getSessionContext,
+  setPartnerCookies,
+  clearPartnerCookies
+};
@@ -0,0 +1,19 @@
+// Spreadsheet apps run a cell starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a value for a CSV cell
+ * Text that a spreadsheet would read as a formula is prefixed with ' so it opens as
+ * plain text; numbers are left as they are.
+ */
+const csvValue = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+module.exports = {
+  csvValue
+};
@@ -0,0 +1,30 @@
+/**
+ * Calculate distance between two points using the Haversine formula
+ * @returns {number} Distance in kilometers
+ */
+const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371; // Radius of the Earth in kilometers
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+};
+
+/**
+ * Distance between two GeoJSON points ([longitude, latitude])
+ * @returns {number|null} Distance in kilometers, or null if either point is missing
+ */
+const distanceBetweenPoints = (pointA, pointB) => {
+  const a = pointA?.coordinates;
+  const b = pointB?.coordinates;
+  if (!a || !b || a.length < 2 || b.length < 2) return null;
+  return calculateDistance(a[1], a[0], b[1], b[0]);
+};
+
+module.exports = {
+  calculateDistance,
+  distanceBetweenPoints
+};
@@ -0,0 +1,88 @@
+/**
+ * GST state codes
+ * The first two digits of a GSTIN are the registering state's code, and the
+ * place of supply on an invoice is printed as "<code>-<state name>".
+ */
+const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+// Spellings seen in user-entered addresses
+const ALIASES = {
+  'orissa': '21',
+  'pondicherry': '34',
+  'new delhi': '07',
+  'nct of delhi': '07',
+  'j&k': '01',
+  'jammu & kashmir': '01',
+  'daman and diu': '26',
+  'dadra and nagar haveli': '26',
+  'andaman & nicobar islands': '35',
+  'uttaranchal': '05'
+};
+
+const normalize = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const CODES_BY_NAME = Object.entries(GST_STATES).reduce((codes, [code, name]) => {
+  codes[normalize(name)] = code;
+  return codes;
+}, { ...ALIASES });
+
+/**
+ * GST state code for a state name (case-insensitive)
+ * @returns {string|null}
+ */
+const getStateCode = (stateName) => CODES_BY_NAME[normalize(stateName)] || null;
+
+/**
+ * GST state code a GSTIN is registered in
+ * @returns {string|null}
+ */
+const getStateCodeFromGstin = (gstin) => {
+  const code = String(gstin || '').slice(0, 2);
+  return GST_STATES[code] ? code : null;
+};
+
+const getStateName = (code) => GST_STATES[code] || null;
+
+module.exports = {
+  GST_STATES,
+  getStateCode,
+  getStateCodeFromGstin,
+  getStateName
+};
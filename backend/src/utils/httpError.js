@@ -0,0 +1,14 @@
+/**
+ * Create an Error carrying an HTTP status code.
+ * Services throw these and routes (or the global errorHandler) turn them into responses.
+ */
+const createHttpError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+};
+
+module.exports = createHttpError;
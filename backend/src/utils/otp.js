@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+
+/**
+ * OTP policy - all values can be overridden from the environment
+ */
+const OTP_LENGTH = 6;
+const OTP_EXPIRY_MINUTES = parseInt(process.env.OTP_EXPIRY_MINUTES, 10) || 10;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS, 10) || 60;
+const OTP_MAX_SENDS_PER_HOUR = parseInt(process.env.OTP_MAX_SENDS_PER_HOUR, 10) || 5;
+
+/**
+ * Generate a numeric OTP using a cryptographically secure source
+ */
+const generateOTPCode = () => {
+  const min = 10 ** (OTP_LENGTH - 1);
+  const max = 10 ** OTP_LENGTH;
+  return crypto.randomInt(min, max).toString();
+};
+
+/**
+ * Hash an OTP so that the plain code is never persisted.
+ * The owner ID is mixed in so the same code hashes differently per account.
+ */
+const hashOTP = (code, ownerId) => {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('OTP_SECRET or JWT_SECRET must be set to hash OTPs');
+  }
+
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${ownerId}:${code}`)
+    .digest('hex');
+};
+
+/**
+ * Constant-time comparison of a candidate OTP against a stored hash
+ */
+const compareOTP = (candidate, storedHash, ownerId) => {
+  if (!candidate || !storedHash) return false;
+
+  const candidateHash = Buffer.from(hashOTP(String(candidate).trim(), ownerId), 'hex');
+  const expectedHash = Buffer.from(storedHash, 'hex');
+
+  if (candidateHash.length !== expectedHash.length) return false;
+  return crypto.timingSafeEqual(candidateHash, expectedHash);
+};
+
+/**
+ * Normalize an Indian mobile number to its 10-digit form
+ * Accepts 9876543210, +919876543210, 919876543210 or 09876543210
+ */
+const normalizeIndianPhone = (phone) => {
+  if (!phone) return null;
+
+  let normalized = String(phone).replace(/\D/g, '');
+  if (normalized.length === 12 && normalized.startsWith('91')) {
+    normalized = normalized.substring(2);
+  } else if (normalized.length === 11 && normalized.startsWith('0')) {
+    normalized = normalized.substring(1);
+  }
+
+  return /^[6-9]\d{9}$/.test(normalized) ? normalized : null;
+};
+
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * Mongoose plugin giving an account schema its OTP state and the methods to issue and check codes
+ * Shared by User and Partner so both enforce the same limits the same way.
+ */
+const otpPlugin = (schema) => {
+  schema.add({
+    otp: {
+      code: String, // HMAC hash of the code, never the plain OTP
+      expiresAt: Date,
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      lastSentAt: Date,
+      sendCount: {
+        type: Number,
+        default: 0
+      },
+      sendWindowStart: Date
+    }
+  });
+
+  // Generate OTP
+  // Stores only the hash of the code and returns the plain OTP for delivery. The resend cooldown
+  // and the hourly send limit are part of the update's filter, so parallel requests cannot
+  // send more codes than allowed; resolves to null when either limit applies.
+  schema.methods.generateOTP = async function() {
+    const otp = generateOTPCode();
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - SEND_WINDOW_MS);
+    const windowActive = { $gt: ['$otp.sendWindowStart', windowStart] };
+
+    const issued = await this.constructor.findOneAndUpdate(
+      {
+        _id: this._id,
+        $and: [
+          {
+            $or: [
+              { 'otp.lastSentAt': null },
+              { 'otp.lastSentAt': { $lte: new Date(now.getTime() - OTP_RESEND_COOLDOWN_SECONDS * 1000) } }
+            ]
+          },
+          {
+            $or: [
+              { 'otp.sendWindowStart': null },
+              { 'otp.sendWindowStart': { $lte: windowStart } },
+              { 'otp.sendCount': { $lt: OTP_MAX_SENDS_PER_HOUR } }
+            ]
+          }
+        ]
+      },
+      [{
+        $set: {
+          'otp.code': hashOTP(otp, this._id),
+          'otp.expiresAt': new Date(now.getTime() + OTP_EXPIRY_MINUTES * 60 * 1000),
+          'otp.attempts': 0,
+          'otp.lastSentAt': now,
+          // Track sends in a rolling one hour window for resend limits
+          'otp.sendWindowStart': { $cond: [windowActive, '$otp.sendWindowStart', now] },
+          'otp.sendCount': { $cond: [windowActive, { $add: [{ $ifNull: ['$otp.sendCount', 0] }, 1] }, 1] }
+        }
+      }],
+      { new: true, projection: { otp: 1 } }
+    );
+    if (!issued) {
+      return null;
+    }
+
+    this.otp = issued.otp;
+    return otp;
+  };
+
+  // Verify OTP
+  // Each attempt is counted with an atomic update so parallel guesses cannot get past the limit;
+  // the code is burnt once the limit is reached and cleared on success
+  schema.methods.verifyOTP = async function(otp) {
+    if (!this.otp || !this.otp.code || !this.otp.expiresAt) {
+      return false;
+    }
+
+    if (new Date() > this.otp.expiresAt) {
+      return false;
+    }
+
+    const code = this.otp.code;
+    const counted = await this.constructor.findOneAndUpdate(
+      { _id: this._id, 'otp.code': code, 'otp.attempts': { $lt: OTP_MAX_ATTEMPTS } },
+      { $inc: { 'otp.attempts': 1 } },
+      { new: true, projection: { otp: 1 } }
+    );
+    if (!counted) {
+      this.otp.attempts = OTP_MAX_ATTEMPTS;
+      return false;
+    }
+    this.otp.attempts = counted.otp.attempts;
+
+    if (!compareOTP(otp, code, this._id)) {
+      return false;
+    }
+
+    // One-time use - clear the code but keep the send counters
+    const cleared = await this.constructor.updateOne(
+      { _id: this._id, 'otp.code': code },
+      { $unset: { 'otp.code': 1, 'otp.expiresAt': 1 }, $set: { 'otp.attempts': 0 } }
+    );
+    if (cleared.modifiedCount === 0) {
+      return false;
+    }
+
+    this.otp.code = undefined;
+    this.otp.expiresAt = undefined;
+    this.otp.attempts = 0;
+    return true;
+  };
+};
+
+module.exports = {
+  OTP_LENGTH,
+  OTP_EXPIRY_MINUTES,
+  OTP_MAX_ATTEMPTS,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  OTP_MAX_SENDS_PER_HOUR,
+  generateOTPCode,
+  hashOTP,
+  compareOTP,
+  normalizeIndianPhone,
+  otpPlugin
+};
@@ -0,0 +1,161 @@
+/**
+ * Minimal PDF writer for text documents (invoices, statements)
+ * Supports Helvetica / Helvetica-Bold text, lines and multiple A4 pages, which is all
+ * our documents need. Coordinates are in points from the top-left corner of the page.
+ * Characters outside printable ASCII are replaced, so print currency as "Rs." or "INR".
+ */
+
+const A4 = { width: 595.28, height: 841.89 };
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126; digits and punctuation match Helvetica-Bold
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const FONTS = {
+  regular: { key: 'F1', name: 'Helvetica' },
+  bold: { key: 'F2', name: 'Helvetica-Bold' }
+};
+
+const toAscii = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/[‘’]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/[–—]/g, '-')
+  .replace(/₹/g, 'Rs.')
+  .replace(/[^\x20-\x7E]/g, '?');
+
+const escapeText = (text) => text.replace(/[\\()]/g, match => `\\${match}`);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Width of a string in points
+ */
+const measureText = (value, size = 10) => {
+  const text = toAscii(value);
+  let units = 0;
+  for (let i = 0; i < text.length; i++) {
+    units += HELVETICA_WIDTHS[text.charCodeAt(i) - 32];
+  }
+  return (units * size) / 1000;
+};
+
+/**
+ * Split text into lines no wider than maxWidth points
+ */
+const wrapText = (value, maxWidth, size = 10) => {
+  const words = toAscii(value).split(' ');
+  const lines = [];
+  let current = '';
+
+  words.forEach(word => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && measureText(candidate, size) > maxWidth) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  });
+  if (current || lines.length === 0) lines.push(current);
+
+  return lines;
+};
+
+/**
+ * Create a PDF document
+ * @returns {Object} { width, height, addPage, text, line, toBuffer }
+ */
+const createPdf = ({ width = A4.width, height = A4.height } = {}) => {
+  const pages = [];
+  let current = null;
+
+  const addPage = () => {
+    current = [];
+    pages.push(current);
+  };
+  addPage();
+
+  /**
+   * Draw text with its baseline at y
+   * @param {Object} options - { size, font: 'regular'|'bold', align: 'left'|'right'|'center' }
+   */
+  const text = (value, x, y, { size = 10, font = 'regular', align = 'left' } = {}) => {
+    const content = toAscii(value);
+    const textWidth = measureText(content, size);
+    let left = x;
+    if (align === 'right') left = x - textWidth;
+    if (align === 'center') left = x - textWidth / 2;
+
+    current.push(`BT /${FONTS[font].key} ${size} Tf ${round(left)} ${round(height - y)} Td (${escapeText(content)}) Tj ET`);
+  };
+
+  const line = (x1, y1, x2, y2, { lineWidth = 0.5 } = {}) => {
+    current.push(`${lineWidth} w ${round(x1)} ${round(height - y1)} m ${round(x2)} ${round(height - y2)} l S`);
+  };
+
+  const toBuffer = () => {
+    const objects = [];
+    const fontIds = {};
+
+    // 1: catalog, 2: page tree, then fonts, then a page and content stream per page
+    const reserve = () => objects.push(null);
+    reserve();
+    reserve();
+    Object.values(FONTS).forEach(font => {
+      objects.push(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.name} /Encoding /WinAnsiEncoding >>`);
+      fontIds[font.key] = objects.length;
+    });
+    const fontResources = Object.entries(fontIds).map(([key, id]) => `/${key} ${id} 0 R`).join(' ');
+
+    const pageIds = pages.map(commands => {
+      const stream = commands.join('\n');
+      objects.push(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+      const contentId = objects.length;
+      objects.push(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+        `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+      );
+      return objects.length;
+    });
+
+    objects[0] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => {
+      output += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  };
+
+  return {
+    width,
+    height,
+    addPage,
+    text,
+    line,
+    toBuffer
+  };
+};
+
+module.exports = {
+  createPdf,
+  measureText,
+  wrapText
+};
@@ -0,0 +1,85 @@
+/**
+ * Business-local date/time helpers
+ * Partner businessHours and booking scheduledTime are wall-clock times in the
+ * business timezone (IST by default), independent of the server's own timezone.
+ */
+const BUSINESS_UTC_OFFSET_MINUTES = process.env.BUSINESS_UTC_OFFSET_MINUTES !== undefined
+  ? parseInt(process.env.BUSINESS_UTC_OFFSET_MINUTES, 10)
+  : 330;
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Parse an HH:MM string into minutes since midnight
+ * @returns {number|null}
+ */
+const parseTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+
+  return hours * 60 + minutes;
+};
+
+/**
+ * Format minutes since midnight as HH:MM
+ */
+const formatTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+};
+
+/**
+ * Validate a YYYY-MM-DD calendar date
+ */
+const isValidDateString = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ''))) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+/**
+ * Instant for a business-local date and minutes since midnight
+ * @param {string} dateString - YYYY-MM-DD
+ * @param {number} minutes - Minutes since local midnight
+ */
+const toInstant = (dateString, minutes = 0) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + (minutes - BUSINESS_UTC_OFFSET_MINUTES) * MINUTE_MS);
+};
+
+/**
+ * Business-local calendar date and minutes since midnight of an instant
+ * @returns {{ dateString: string, minutes: number }}
+ */
+const toLocalParts = (instant) => {
+  const shifted = new Date(new Date(instant).getTime() + BUSINESS_UTC_OFFSET_MINUTES * MINUTE_MS);
+  return {
+    dateString: shifted.toISOString().slice(0, 10),
+    minutes: shifted.getUTCHours() * 60 + shifted.getUTCMinutes()
+  };
+};
+
+/**
+ * Lower-case weekday name of a YYYY-MM-DD date (matches Partner.businessHours.day)
+ */
+const getDayName = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return DAY_NAMES[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+};
+
+module.exports = {
+  BUSINESS_UTC_OFFSET_MINUTES,
+  parseTime,
+  formatTime,
+  isValidDateString,
+  toInstant,
+  toLocalParts,
+  getDayName
+};
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP (RFC 6238) as used by Google Authenticator, Authy and similar apps:
+ * HMAC-SHA1, 6 digits, 30 second steps
+ */
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+// Codes from this many steps before or after now are accepted to allow for clock drift
+const TOTP_WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of String(text).toUpperCase().replace(/[\s=-]/g, '')) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random shared secret, base32 encoded (160 bits as RFC 4226 recommends)
+ */
+const generateTOTPSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * HOTP value of a counter (RFC 4226)
+ */
+const generateHOTP = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+  return String(value).padStart(TOTP_DIGITS, '0');
+};
+
+const getCounter = (time = Date.now()) => Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Check a code from an authenticator app
+ * @param {string} secret - Base32 shared secret
+ * @param {string} code - Code typed by the user
+ * @returns {number|null} The time step the code belongs to, or null if it is wrong.
+ *   Callers store the step and refuse codes from earlier or equal steps, so a code
+ *   cannot be replayed.
+ */
+const verifyTOTP = (secret, code, time = Date.now()) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(candidate)) return null;
+
+  const current = getCounter(time);
+  for (let counter = current - TOTP_WINDOW; counter <= current + TOTP_WINDOW; counter += 1) {
+    if (crypto.timingSafeEqual(Buffer.from(generateHOTP(secret, counter)), Buffer.from(candidate))) {
+      return counter;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI that authenticator apps read from a QR code
+ * @param {Object} params - { secret, accountName, issuer }
+ */
+const getProvisioningUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = Object.entries({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: TOTP_DIGITS,
+    period: TOTP_STEP_SECONDS
+  }).map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+  return `otpauth://totp/${label}?${query}`;
+};
+
+module.exports = {
+  generateTOTPSecret,
+  verifyTOTP,
+  getProvisioningUri
+};
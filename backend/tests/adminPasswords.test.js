@@ -0,0 +1,75 @@
+const Admin = require('../src/models/Admin');
+const Session = require('../src/models/Session');
+const { assertPasswordPolicy, setSeedPassword } = require('../src/services/adminPasswords');
+
+const SEED_PASSWORD = 'Seed!Passw0rd-2026';
+
+const seedAdmin = () => new Admin({
+  username: 'rollonadmin',
+  email: 'ops@example.com',
+  name: 'Rollon Admin',
+  role: 'super_admin'
+});
+
+describe('admin passwords', () => {
+  beforeEach(() => {
+    // Saves go through the schema hooks but never reach the database
+    jest.spyOn(Admin.collection, 'insertOne').mockResolvedValue({ acknowledged: true });
+    jest.spyOn(Admin.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.ADMIN_SEED_PASSWORD;
+  });
+
+  it('lists every unmet requirement of a weak password', () => {
+    expect(() => assertPasswordPolicy('rollonadmin1', { username: 'rollonadmin' }))
+      .toThrow(expect.objectContaining({
+        statusCode: 400,
+        details: {
+          requirements: [
+            'at least one uppercase letter',
+            'at least one symbol',
+            'must not contain the username or email name'
+          ]
+        }
+      }));
+  });
+
+  it('creates a seeded admin who can log in with ADMIN_SEED_PASSWORD', async () => {
+    process.env.ADMIN_SEED_PASSWORD = SEED_PASSWORD;
+    const admin = seedAdmin();
+
+    const resetLink = await setSeedPassword(admin);
+
+    expect(resetLink).toBeNull();
+    expect(admin.passwordResetRequired).toBe(false);
+    expect(await admin.comparePassword(SEED_PASSWORD)).toBe(true);
+  });
+
+  it('hands out a one-time reset link when no seed password is set', async () => {
+    const admin = seedAdmin();
+
+    const resetLink = await setSeedPassword(admin);
+
+    const token = new URL(resetLink).searchParams.get('token');
+    expect(admin.passwordResetRequired).toBe(true);
+    expect(admin.passwordResetToken).toBe(Admin.hashResetToken(token));
+    expect(admin.password).toEqual(expect.any(String));
+  });
+
+  it('keeps the password history when a seeded admin is set up again', async () => {
+    process.env.ADMIN_SEED_PASSWORD = SEED_PASSWORD;
+    const admin = seedAdmin();
+    await setSeedPassword(admin);
+
+    await expect(setSeedPassword(admin)).rejects.toMatchObject({ statusCode: 400 });
+
+    process.env.ADMIN_SEED_PASSWORD = `${SEED_PASSWORD}!`;
+    await setSeedPassword(admin);
+    expect(admin.passwordHistory).toHaveLength(1);
+    expect(Session.updateMany).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,108 @@
+const Admin = require('../src/models/Admin');
+const Session = require('../src/models/Session');
+const { requirePermission } = require('../src/middleware/auth');
+const { setPermissions, updateAdmin } = require('../src/services/admins');
+
+const { ROLE_TEMPLATES } = Admin;
+
+const newAdmin = (fields = {}) => new Admin({
+  username: 'priya',
+  email: 'priya@example.com',
+  name: 'Priya',
+  password: 'Str0ng!Passw0rd',
+  role: 'support',
+  ...fields
+});
+
+const modulesOf = (admin) => admin.permissions.map(permission => permission.module);
+
+const runMiddleware = async (middleware, req) => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { res, next };
+};
+
+describe('admin permissions', () => {
+  beforeEach(() => {
+    // Saves go through the schema hooks but never reach the database
+    jest.spyOn(Admin.collection, 'insertOne').mockResolvedValue({ acknowledged: true });
+    jest.spyOn(Admin.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('gives a new admin their role template', async () => {
+    const admin = newAdmin();
+
+    await admin.save();
+
+    expect(modulesOf(admin)).toEqual(ROLE_TEMPLATES.support.map(permission => permission.module));
+    expect(admin.hasPermission('bookings', 'update')).toBe(true);
+    expect(admin.hasPermission('payments', 'read')).toBe(false);
+  });
+
+  it('keeps permissions as stored when an unrelated field is saved', async () => {
+    const admin = newAdmin();
+    await admin.save();
+    // Permissions from before role templates, stored without the customPermissions flag
+    admin.permissions = [{ module: 'reports', actions: ['read'] }];
+    await admin.save();
+
+    admin.name = 'Priya S';
+    await admin.save();
+
+    expect(modulesOf(admin)).toEqual(['reports']);
+  });
+
+  it('moves a template admin to the new template when their role changes', async () => {
+    const actor = newAdmin({ username: 'root', email: 'root@example.com', role: 'super_admin' });
+    const admin = newAdmin();
+    await admin.save();
+    jest.spyOn(Admin, 'findById').mockResolvedValue(admin);
+
+    await updateAdmin(actor, admin._id, { role: 'moderator' });
+
+    expect(admin.hasPermission('partners', 'approve')).toBe(true);
+    expect(admin.hasPermission('coupons', 'read')).toBe(false);
+  });
+
+  it('keeps custom permissions when the role changes', async () => {
+    const actor = newAdmin({ username: 'root', email: 'root@example.com', role: 'super_admin' });
+    const admin = newAdmin();
+    await admin.save();
+    jest.spyOn(Admin, 'findById').mockResolvedValue(admin);
+    await setPermissions(actor, admin._id, { permissions: [{ module: 'coupons', actions: ['read', 'update'] }] });
+
+    await updateAdmin(actor, admin._id, { role: 'moderator' });
+
+    expect(admin.customPermissions).toBe(true);
+    expect(modulesOf(admin)).toEqual(['coupons']);
+  });
+
+  it('does not let an admin grant permissions they do not hold', async () => {
+    const actor = newAdmin({ username: 'lead', email: 'lead@example.com', role: 'moderator' });
+    await actor.save();
+    const admin = newAdmin();
+    jest.spyOn(Admin, 'findById').mockResolvedValue(admin);
+
+    await expect(setPermissions(actor, admin._id, { permissions: [{ module: 'payments', actions: ['read'] }] }))
+      .rejects.toMatchObject({ statusCode: 403, details: { missing: ['payments:read'] } });
+  });
+
+  it('turns away an admin without the route permission', async () => {
+    const admin = newAdmin();
+    await admin.save();
+    jest.spyOn(Admin, 'findById').mockReturnValue({ select: async () => admin });
+
+    const denied = await runMiddleware(requirePermission('payments', 'read'), { user: { adminId: admin._id } });
+    const allowed = await runMiddleware(requirePermission('bookings', 'read'), { user: { adminId: admin._id } });
+
+    expect(denied.res.status).toHaveBeenCalledWith(403);
+    expect(denied.next).not.toHaveBeenCalled();
+    expect(allowed.next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,86 @@
+jest.mock('../src/services/audit', () => ({
+  ...jest.requireActual('../src/services/audit'),
+  recordAudit: jest.fn(),
+  loadTarget: jest.fn()
+}));
+
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const AuditLog = require('../src/models/AuditLog');
+const { audit } = require('../src/middleware/audit');
+const { recordAudit } = require('../src/services/audit');
+const { exportAuditLog } = jest.requireActual('../src/services/audit');
+const { csvValue } = require('../src/utils/csv');
+
+/**
+ * Run the audit middleware for a request that succeeds
+ */
+const runAudited = async (middleware, body) => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.json = jest.fn();
+  const req = {
+    body,
+    params: {},
+    method: 'POST',
+    originalUrl: '/api/admin/test',
+    ip: '127.0.0.1',
+    user: { adminId: new mongoose.Types.ObjectId(), email: 'ops@example.com', role: 'admin' },
+    get: () => 'jest'
+  };
+
+  await middleware(req, res, () => {});
+  res.json({ success: true, data: {} });
+  res.emit('finish');
+};
+
+describe('audit log', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    recordAudit.mockReset();
+  });
+
+  it('records only the request fields listed for the route', async () => {
+    await runAudited(
+      audit('admin.create', undefined, { fields: ['email', 'role'] }),
+      { email: 'new@example.com', role: 'support', password: 'Str0ng!Passw0rd', note: 'x' }
+    );
+
+    expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'admin.create',
+      details: { email: 'new@example.com', role: 'support' }
+    }));
+  });
+
+  it('records no request details for a route without listed fields', async () => {
+    await runAudited(audit('admin.two_factor_disable'), { password: 'Str0ng!Passw0rd', code: '123456' });
+
+    expect(recordAudit.mock.calls[0][0].details).toBeUndefined();
+  });
+
+  it('exports cells a spreadsheet would run as formulas as plain text', async () => {
+    const entry = new AuditLog({
+      actor: { adminId: new mongoose.Types.ObjectId(), email: 'ops@example.com', role: 'admin' },
+      action: 'coupon.create',
+      method: 'POST',
+      path: '/api/admin/coupons',
+      statusCode: 201,
+      userAgent: '=HYPERLINK("http://evil.example","open")',
+      createdAt: new Date()
+    });
+    jest.spyOn(AuditLog, 'countDocuments').mockResolvedValue(1);
+    jest.spyOn(AuditLog, 'find').mockReturnValue({ sort: () => ({ limit: async () => [entry] }) });
+
+    const { content } = await exportAuditLog({}, 'csv');
+
+    expect(content).toContain(`"'=HYPERLINK(""http://evil.example"",""open"")"`);
+  });
+
+  it('escapes formula characters, quotes and line breaks in CSV cells', () => {
+    expect(csvValue('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(csvValue('-2+3')).toBe("'-2+3");
+    expect(csvValue('line\rbreak')).toBe('"line\rbreak"');
+    expect(csvValue(-250)).toBe('-250');
+    expect(csvValue(null)).toBe('');
+  });
+});
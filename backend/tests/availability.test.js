@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const Booking = require('../src/models/Booking');
+const Partner = require('../src/models/Partner');
+const Service = require('../src/models/Service');
+const { reserveSlot } = require('../src/services/availability');
+const { toInstant, toLocalParts, getDayName } = require('../src/utils/schedule');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A weekday a few days out, inside the booking window and open under the default hours
+const bookableDate = () => {
+  let date = toLocalParts(new Date(Date.now() + 3 * DAY_MS)).dateString;
+  if (getDayName(date) === 'sunday') date = toLocalParts(new Date(Date.now() + 4 * DAY_MS)).dateString;
+  return date;
+};
+
+describe('slot reservation lease', () => {
+  const serviceId = new mongoose.Types.ObjectId();
+  const partner = {
+    _id: new mongoose.Types.ObjectId(),
+    isApproved: true,
+    approvalStatus: 'approved',
+    services: [{ serviceId, isAvailable: true, estimatedTime: 60 }],
+    businessHours: [],
+    serviceCapacity: 1
+  };
+  const start = toInstant(bookableDate(), 10 * 60);
+  let lease;
+
+  // One stored lease; acquisition, renewal and release honour the holder's token
+  const takeLease = (token) => {
+    lease = { token, until: new Date(Date.now() + 30000) };
+  };
+
+  beforeEach(() => {
+    lease = {};
+    jest.spyOn(Partner, 'findById').mockReturnValue({ select: async () => partner });
+    jest.spyOn(Service, 'findById').mockResolvedValue({ isActive: true, estimatedDuration: 60 });
+    jest.spyOn(Booking, 'find').mockReturnValue({ select: async () => [] });
+    jest.spyOn(Partner, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (lease.until > new Date()) return null;
+      takeLease(update.$set.scheduleLockToken);
+      return { _id: partner._id };
+    });
+    jest.spyOn(Partner, 'updateOne').mockImplementation(async (filter, update) => {
+      if (filter.scheduleLockToken !== lease.token) return { modifiedCount: 0 };
+      if (update.$unset) lease = {};
+      else lease.until = update.$set.scheduleLockedUntil;
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('saves the booking while holding the lease and releases it afterwards', async () => {
+    const persist = jest.fn(async ({ slot }) => {
+      expect(lease.token).toEqual(expect.any(String));
+      return { start: slot.start };
+    });
+
+    const booking = await reserveSlot({ partnerId: partner._id, serviceId, start }, persist);
+
+    expect(booking.start).toEqual(start);
+    expect(lease).toEqual({});
+  });
+
+  it('does not save the booking once another request has taken the lease over', async () => {
+    // The availability read outlives the lease and another request takes the schedule
+    Booking.find.mockReturnValue({
+      select: async () => {
+        takeLease('other-request');
+        return [];
+      }
+    });
+    const persist = jest.fn();
+
+    await expect(reserveSlot({ partnerId: partner._id, serviceId, start }, persist))
+      .rejects.toMatchObject({ statusCode: 503 });
+    expect(persist).not.toHaveBeenCalled();
+    // The other request's lease is left in place
+    expect(lease.token).toBe('other-request');
+  });
+
+  it('fits the slot to a duration given with the reservation', async () => {
+    // Free from 10:00 to 11:30
+    const next = new Booking({ estimatedDuration: 60 });
+    jest.spyOn(next, 'getScheduledStart').mockReturnValue(new Date(start.getTime() + 90 * 60000));
+    Booking.find.mockReturnValue({ select: async () => [next] });
+    const persist = jest.fn(async ({ slot, durationMinutes }) => ({ end: slot.end, durationMinutes }));
+
+    const booking = await reserveSlot({ partnerId: partner._id, serviceId, start, durationMinutes: 90 }, persist);
+
+    expect(booking).toEqual({ end: new Date(start.getTime() + 90 * 60000), durationMinutes: 90 });
+    await expect(reserveSlot({ partnerId: partner._id, serviceId, start, durationMinutes: 120 }, persist))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('refuses a slot the partner has no capacity left for', async () => {
+    const taken = new Booking({ scheduledDate: start, scheduledTime: '10:00', estimatedDuration: 60 });
+    jest.spyOn(taken, 'getScheduledStart').mockReturnValue(start);
+    Booking.find.mockReturnValue({ select: async () => [taken] });
+    const persist = jest.fn();
+
+    await expect(reserveSlot({ partnerId: partner._id, serviceId, start }, persist))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(persist).not.toHaveBeenCalled();
+  });
+});
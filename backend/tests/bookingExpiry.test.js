@@ -0,0 +1,88 @@
+jest.mock('../src/services/bookingStateMachine', () => ({ transitionBooking: jest.fn() }));
+jest.mock('../src/services/availability', () => ({ findAlternativePartners: jest.fn().mockResolvedValue([]) }));
+jest.mock('../src/services/sms', () => ({ sendSMS: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Booking = require('../src/models/Booking');
+const User = require('../src/models/User');
+const { transitionBooking } = require('../src/services/bookingStateMachine');
+const { findAlternativePartners } = require('../src/services/availability');
+const { expirePendingBookings, cancelNoShowBookings } = require('../src/jobs/bookingExpiry');
+
+const MINUTE_MS = 60 * 1000;
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * MINUTE_MS);
+
+const bookingWith = (fields) => new Booking({
+  bookingId: 'RB2001',
+  userId: new mongoose.Types.ObjectId(),
+  partnerId: new mongoose.Types.ObjectId(),
+  serviceName: 'General service',
+  ...fields
+});
+
+const useBatch = (bookings) => {
+  jest.spyOn(Booking, 'find').mockReturnValue({ sort: () => ({ limit: async () => bookings }) });
+};
+
+describe('booking expiry job', () => {
+  beforeEach(() => {
+    transitionBooking.mockImplementation(async (booking) => booking);
+    jest.spyOn(Booking, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => null });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('expires a pending booking at its scheduled start when that comes before the accept window ends', async () => {
+    const booking = bookingWith({ status: 'pending', createdAt: minutesFromNow(-10), scheduledDate: minutesFromNow(-1) });
+    useBatch([booking]);
+
+    await expirePendingBookings();
+
+    expect(transitionBooking).toHaveBeenCalledWith(booking, 'expired', expect.objectContaining({
+      actor: 'system',
+      reason: 'Partner did not accept before the scheduled time'
+    }));
+  });
+
+  it('keeps a pending booking whose scheduled day has begun but whose slot has not', async () => {
+    const later = minutesFromNow(120);
+    const midnight = new Date(later);
+    midnight.setUTCHours(0, 0, 0, 0);
+    const booking = bookingWith({ status: 'pending', createdAt: minutesFromNow(-5), scheduledDate: midnight });
+    booking.getScheduledStart = () => later;
+    useBatch([booking]);
+
+    await expirePendingBookings();
+
+    expect(transitionBooking).not.toHaveBeenCalled();
+  });
+
+  it('cancels as a partner no-show when the partner never reported arriving', async () => {
+    const booking = bookingWith({ status: 'accepted', scheduledDate: minutesFromNow(-60) });
+    useBatch([booking]);
+
+    await cancelNoShowBookings();
+
+    expect(transitionBooking).toHaveBeenCalledWith(booking, 'cancelled', expect.objectContaining({
+      updates: { noShowBy: 'partner' }
+    }));
+    expect(findAlternativePartners).toHaveBeenCalled();
+  });
+
+  it('cancels as a customer no-show when the partner arrived', async () => {
+    const booking = bookingWith({ status: 'accepted', scheduledDate: minutesFromNow(-60), actualArrivalTime: minutesFromNow(-55) });
+    useBatch([booking]);
+
+    await cancelNoShowBookings();
+
+    expect(transitionBooking).toHaveBeenCalledWith(booking, 'cancelled', expect.objectContaining({
+      updates: { noShowBy: 'user' }
+    }));
+    expect(findAlternativePartners).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,121 @@
+jest.mock('../src/services/liveTracking', () => ({ publishStatus: jest.fn() }));
+jest.mock('../src/services/refunds', () => ({ refundCancelledBooking: jest.fn() }));
+jest.mock('../src/services/ledger', () => ({ postBookingCompletion: jest.fn() }));
+jest.mock('../src/services/invoices', () => ({ generateBookingInvoice: jest.fn() }));
+jest.mock('../src/services/coupons', () => ({ releaseRedemption: jest.fn() }));
+jest.mock('../src/services/referrals', () => ({ rewardReferral: jest.fn() }));
+jest.mock('../src/services/serviceCalls', () => ({ syncCallWithBooking: jest.fn() }));
+jest.mock('../src/services/notifications', () => ({ notifyBookingStatus: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Booking = require('../src/models/Booking');
+const { postBookingCompletion } = require('../src/services/ledger');
+const { generateBookingInvoice } = require('../src/services/invoices');
+const { refundCancelledBooking } = require('../src/services/refunds');
+const { releaseRedemption } = require('../src/services/coupons');
+const { notifyBookingStatus } = require('../src/services/notifications');
+const { transitionBooking } = require('../src/services/bookingStateMachine');
+
+const bookingIn = (status) => new Booking({
+  bookingId: 'RB1001',
+  userId: new mongoose.Types.ObjectId(),
+  partnerId: new mongoose.Types.ObjectId(),
+  status
+});
+
+/**
+ * The stored booking; the update only applies while it still has the expected status
+ */
+const useStoredBooking = (stored) => {
+  jest.spyOn(Booking, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (stored.status !== filter.status) return null;
+    stored.set(update.$set);
+    stored.statusHistory.push(update.$push.statusHistory);
+    return stored;
+  });
+  jest.spyOn(Booking, 'findById').mockReturnValue({ select: async () => stored });
+};
+
+describe('booking state machine', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('records who moved the booking', async () => {
+    const booking = bookingIn('pending');
+    useStoredBooking(booking);
+
+    await transitionBooking(booking, 'accepted', { actor: 'partner', actorId: booking.partnerId });
+
+    const entry = booking.statusHistory[booking.statusHistory.length - 1];
+    expect(entry).toMatchObject({ status: 'accepted', updatedBy: 'partner' });
+    expect(entry.updatedById).toEqual(booking.partnerId);
+  });
+
+  it('accepts the legacy confirmed status name', async () => {
+    const booking = bookingIn('pending');
+    useStoredBooking(booking);
+
+    const updated = await transitionBooking(booking, 'confirmed', { actor: 'partner' });
+
+    expect(updated.status).toBe('accepted');
+  });
+
+  it('refuses to skip straight from pending to completed', async () => {
+    const booking = bookingIn('pending');
+    useStoredBooking(booking);
+
+    await expect(transitionBooking(booking, 'completed', { actor: 'partner' }))
+      .rejects.toMatchObject({ statusCode: 409, details: { allowedTransitions: ['accepted', 'rejected'] } });
+    expect(Booking.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('does not let a customer complete their own booking', async () => {
+    const booking = bookingIn('in_progress');
+    useStoredBooking(booking);
+
+    await expect(transitionBooking(booking, 'completed', { actor: 'user' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('lets only one of two concurrent changes through', async () => {
+    const stored = bookingIn('accepted');
+    useStoredBooking(stored);
+    const loadedByUser = bookingIn('accepted');
+    loadedByUser._id = stored._id;
+
+    await transitionBooking(stored, 'in_progress', { actor: 'partner' });
+
+    await expect(transitionBooking(loadedByUser, 'cancelled', { actor: 'user' }))
+      .rejects.toMatchObject({ statusCode: 409, details: { currentStatus: 'in_progress' } });
+    expect(refundCancelledBooking).not.toHaveBeenCalled();
+  });
+
+  it('runs the completion steps even when one of them fails', async () => {
+    const booking = bookingIn('in_progress');
+    useStoredBooking(booking);
+    postBookingCompletion.mockRejectedValue(new Error('ledger down'));
+
+    await transitionBooking(booking, 'completed', { actor: 'partner' });
+
+    expect(generateBookingInvoice).toHaveBeenCalledWith(booking);
+    expect(notifyBookingStatus).toHaveBeenCalledWith(booking, 'completed', 'partner');
+    expect(refundCancelledBooking).not.toHaveBeenCalled();
+  });
+
+  it('refunds and releases the coupon of a cancelled booking', async () => {
+    const booking = bookingIn('accepted');
+    useStoredBooking(booking);
+
+    await transitionBooking(booking, 'cancelled', { actor: 'user', refundTo: 'wallet' });
+
+    expect(refundCancelledBooking).toHaveBeenCalledWith(booking, { actor: 'user', fromStatus: 'accepted', refundTo: 'wallet' });
+    expect(releaseRedemption).toHaveBeenCalledWith(booking._id, 'Booking cancelled');
+    expect(postBookingCompletion).not.toHaveBeenCalled();
+  });
+});
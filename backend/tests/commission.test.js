@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const Booking = require('../src/models/Booking');
+const CommissionRule = require('../src/models/CommissionRule');
+const Partner = require('../src/models/Partner');
+const { applyCommission, resolveCommission } = require('../src/services/commission');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('commission rates', () => {
+  const partnerId = new mongoose.Types.ObjectId();
+  const context = { partnerId, serviceCategory: 'repair', bookingType: 'scheduled' };
+  let rules;
+  let partner;
+
+  beforeEach(() => {
+    rules = [];
+    partner = { commissionRate: null };
+    jest.spyOn(CommissionRule, 'find').mockImplementation(async () => rules);
+    jest.spyOn(Partner, 'findById').mockReturnValue({ select: async () => partner });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('uses the platform default when nothing else applies', async () => {
+    expect(await resolveCommission(context)).toMatchObject({ source: 'default' });
+  });
+
+  it('prefers the partner\'s negotiated rate to a category rule', async () => {
+    partner.commissionRate = 8;
+    rules = [new CommissionRule({ name: 'Repairs', serviceCategory: 'repair', rate: 15 })];
+
+    expect(await resolveCommission(context)).toMatchObject({ rate: 8, source: 'partner' });
+  });
+
+  it('prefers a rule scoped to the partner to their negotiated rate', async () => {
+    partner.commissionRate = 8;
+    rules = [new CommissionRule({ name: 'Partner repairs', partnerId, serviceCategory: 'repair', rate: 6 })];
+
+    expect(await resolveCommission(context)).toMatchObject({ rate: 6, source: 'partner_rule' });
+  });
+
+  it('applies an active promotion over every standing rate', async () => {
+    partner.commissionRate = 8;
+    rules = [
+      new CommissionRule({ name: 'Partner repairs', partnerId, rate: 6 }),
+      new CommissionRule({
+        name: 'Monsoon offer',
+        rate: 2,
+        isPromotional: true,
+        validFrom: new Date(Date.now() - HOUR_MS),
+        validUntil: new Date(Date.now() + HOUR_MS)
+      })
+    ];
+
+    expect(await resolveCommission(context)).toMatchObject({ rate: 2, source: 'promotion' });
+  });
+
+  it('stamps the rate on the booking and works out the partner\'s earnings from it', async () => {
+    partner.commissionRate = 12;
+    const booking = new Booking({ partnerId, serviceCategory: 'repair', bookingType: 'scheduled', totalAmount: 1000 });
+
+    await applyCommission(booking);
+
+    expect(booking.commissionRule).toMatchObject({ rate: 12, source: 'partner' });
+    expect(booking.commissionAmount).toBe(120);
+    expect(booking.partnerEarnings).toBe(880);
+  });
+});
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Booking = require('../src/models/Booking');
+const Coupon = require('../src/models/Coupon');
+const CouponRedemption = require('../src/models/CouponRedemption');
+const { redeemCoupon, releaseRedemption } = require('../src/services/coupons');
+
+const duplicateKey = (keyPattern) => Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern });
+
+describe('coupon redemption', () => {
+  let coupon;
+  let booking;
+
+  beforeEach(() => {
+    coupon = new Coupon({ code: 'FIRST20', discountType: 'percent', value: 20, maxDiscount: 150, usageLimit: 100 });
+    booking = new Booking({
+      userId: new mongoose.Types.ObjectId(),
+      serviceId: new mongoose.Types.ObjectId(),
+      serviceCategory: 'repair',
+      basePrice: 1000
+    });
+
+    jest.spyOn(Coupon, 'findOne').mockResolvedValue(coupon);
+    jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue(coupon);
+    jest.spyOn(Coupon, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(CouponRedemption, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(CouponRedemption, 'create').mockImplementation(async (doc) => new CouponRedemption(doc));
+    jest.spyOn(Booking, 'countDocuments').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('caps a percent discount at the coupon maximum', async () => {
+    const redemption = await redeemCoupon('first20', { booking });
+
+    expect(redemption.discount).toBe(150);
+    expect(booking.discount).toBe(150);
+    expect(booking.coupon.code).toBe('FIRST20');
+  });
+
+  it('refuses the coupon once another booking took its last use', async () => {
+    Coupon.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(redeemCoupon('FIRST20', { booking })).rejects.toMatchObject({ statusCode: 409 });
+    expect(CouponRedemption.create).not.toHaveBeenCalled();
+  });
+
+  it('gives the use back when the customer has no redemptions left', async () => {
+    CouponRedemption.create.mockRejectedValue(duplicateKey({ couponId: 1, userId: 1, userSlot: 1 }));
+
+    await expect(redeemCoupon('FIRST20', { booking })).rejects.toMatchObject({ statusCode: 409 });
+    expect(Coupon.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: coupon._id }),
+      { $inc: { redemptionCount: -1 } }
+    );
+    expect(booking.discount).toBe(0);
+  });
+
+  it('allows one first-booking discount when two bookings race for it', async () => {
+    coupon.firstBookingOnly = true;
+    CouponRedemption.create.mockRejectedValue(duplicateKey({ userId: 1, firstBookingOnly: 1 }));
+
+    await expect(redeemCoupon('FIRST20', { booking })).rejects.toMatchObject({ statusCode: 400 });
+    expect(Coupon.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: coupon._id }),
+      { $inc: { redemptionCount: -1 } }
+    );
+  });
+
+  it('refuses a first-booking coupon to a customer who has booked before', async () => {
+    coupon.firstBookingOnly = true;
+    Booking.countDocuments.mockResolvedValue(1);
+
+    await expect(redeemCoupon('FIRST20', { booking })).rejects.toMatchObject({ statusCode: 400 });
+    expect(Coupon.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('returns the use only once however often a booking is released', async () => {
+    const redemption = new CouponRedemption({ couponId: coupon._id, bookingId: booking._id, status: 'released' });
+    jest.spyOn(CouponRedemption, 'findOneAndUpdate')
+      .mockResolvedValueOnce(redemption)
+      .mockResolvedValueOnce(null);
+
+    expect(await releaseRedemption(booking._id, 'Booking cancelled')).toBe(true);
+    expect(await releaseRedemption(booking._id, 'Booking cancelled')).toBe(false);
+    expect(Coupon.updateOne).toHaveBeenCalledTimes(1);
+  });
+});
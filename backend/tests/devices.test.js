@@ -0,0 +1,80 @@
+jest.mock('../src/services/push', () => ({ sendPush: jest.fn(), subscribeToTopic: jest.fn(), unsubscribeFromTopic: jest.fn() }));
+
+const mongoose = require('mongoose');
+const DeviceToken = require('../src/models/DeviceToken');
+const User = require('../src/models/User');
+const { sendPush, subscribeToTopic, unsubscribeFromTopic } = require('../src/services/push');
+const { registerDevice, sendToOwner } = require('../src/services/devices');
+
+const invalidToken = () => Object.assign(new Error('Requested entity was not found'), { code: 'invalid_token' });
+
+describe('push devices', () => {
+  const ownerId = new mongoose.Types.ObjectId();
+  const device = (token, fields) => new DeviceToken({ ownerType: 'user', ownerId, token, platform: 'android', ...fields });
+
+  beforeEach(() => {
+    jest.spyOn(DeviceToken, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    // Every token is accepted by the push service
+    subscribeToTopic.mockResolvedValue([]);
+    unsubscribeFromTopic.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.resetAllMocks();
+  });
+
+  it('delivers to the devices that still work and deletes tokens the push service rejects', async () => {
+    const devices = [device('token-old'), device('token-new')];
+    jest.spyOn(DeviceToken, 'find').mockResolvedValue(devices);
+    sendPush.mockImplementation(async ({ token }) => {
+      if (token === 'token-old') throw invalidToken();
+      return { messageId: 'push_1' };
+    });
+
+    const result = await sendToOwner('user', ownerId, { title: 'Booking confirmed', body: 'See you at 10:30' });
+
+    expect(result).toMatchObject({ delivered: 1, pruned: 1, messageId: 'push_1' });
+    expect(DeviceToken.deleteOne).toHaveBeenCalledWith({ _id: devices[0]._id, token: 'token-old' });
+  });
+
+  it('fails for good when no usable device is left', async () => {
+    jest.spyOn(DeviceToken, 'find').mockResolvedValue([device('token-old')]);
+    sendPush.mockRejectedValue(invalidToken());
+
+    await expect(sendToOwner('user', ownerId, { title: 'Hi', body: 'Hi' }))
+      .rejects.toMatchObject({ permanent: true, message: 'All registered devices were invalid' });
+  });
+
+  it('subscribes a new device to its audience and city topics', async () => {
+    const registered = device('token-1');
+    jest.spyOn(DeviceToken, 'findOne').mockResolvedValue(null);
+    jest.spyOn(DeviceToken, 'findOneAndUpdate').mockResolvedValue(registered);
+    jest.spyOn(DeviceToken, 'find').mockReturnValue({ sort: () => ({ skip: async () => [] }) });
+    jest.spyOn(DeviceToken, 'findByIdAndUpdate').mockImplementation(async (id, update) => device('token-1', update.$set));
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => ({ address: { city: 'Navi Mumbai' } }) });
+
+    const result = await registerDevice({ ownerType: 'user', ownerId, token: 'token-1', platform: 'android' });
+
+    expect(result.topics).toEqual(['users', 'users_city_navi_mumbai']);
+    expect(subscribeToTopic).toHaveBeenCalledWith(['token-1'], 'users_city_navi_mumbai');
+  });
+
+  it('takes a token that moves to another account off the old account\'s topics', async () => {
+    const previous = device('token-1', { ownerId: new mongoose.Types.ObjectId(), topics: ['users', 'users_city_surat'] });
+    jest.spyOn(DeviceToken, 'findOne').mockResolvedValue(previous);
+    jest.spyOn(DeviceToken, 'findOneAndUpdate').mockResolvedValue(device('token-1'));
+    jest.spyOn(DeviceToken, 'find').mockReturnValue({ sort: () => ({ skip: async () => [] }) });
+    jest.spyOn(DeviceToken, 'findByIdAndUpdate').mockImplementation(async (id, update) => device('token-1', update.$set));
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => ({ address: {} }) });
+
+    await registerDevice({ ownerType: 'user', ownerId, token: 'token-1', platform: 'android' });
+
+    expect(unsubscribeFromTopic).toHaveBeenCalledWith(['token-1'], 'users_city_surat');
+    expect(DeviceToken.findOneAndUpdate).toHaveBeenCalledWith(
+      { token: 'token-1' },
+      { $set: expect.objectContaining({ ownerId, topics: [] }) },
+      expect.anything()
+    );
+  });
+});
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const mockUserId = String(new mongoose.Types.ObjectId());
+
+jest.mock('../src/middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { role: 'user', userId: mockUserId };
+    next();
+  }
+}));
+jest.mock('../src/services/emergencyDispatch', () => ({ stopDispatch: jest.fn() }));
+jest.mock('../src/services/bookingStateMachine', () => ({
+  ...jest.requireActual('../src/services/bookingStateMachine'),
+  transitionBooking: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const Booking = require('../src/models/Booking');
+const Emergency = require('../src/models/Emergency');
+const emergencyRoutes = require('../src/routes/emergency');
+const { transitionBooking } = require('../src/services/bookingStateMachine');
+const createHttpError = require('../src/utils/httpError');
+
+const app = express();
+app.use(express.json());
+app.use('/emergency', emergencyRoutes);
+
+const activeEmergency = (fields) => new Emergency({
+  userId: mockUserId,
+  emergencyType: 'breakdown',
+  status: 'active',
+  userLocation: { type: 'Point', coordinates: [72.57, 23.02] },
+  ...fields
+});
+
+describe('cancelling an emergency', () => {
+  beforeEach(() => {
+    jest.spyOn(Emergency.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    transitionBooking.mockReset();
+  });
+
+  it('cancels the related booking as an emergency so its refund follows the emergency policy', async () => {
+    const booking = new Booking({ userId: mockUserId, status: 'accepted' });
+    const emergency = activeEmergency({ relatedBookingId: booking._id });
+    jest.spyOn(Emergency, 'findOne').mockResolvedValue(emergency);
+    jest.spyOn(Booking, 'findOne').mockResolvedValue(booking);
+
+    const res = await request(app).post(`/emergency/${emergency._id}/cancel`).send({ reason: 'Fixed it myself' });
+
+    expect(res.status).toBe(200);
+    expect(emergency.status).toBe('cancelled');
+    expect(transitionBooking).toHaveBeenCalledWith(booking, 'cancelled', expect.objectContaining({
+      actor: 'user',
+      actorId: mockUserId,
+      updates: { isEmergency: true }
+    }));
+  });
+
+  it('leaves a booking that is already closed alone', async () => {
+    const booking = new Booking({ userId: mockUserId, status: 'cancelled' });
+    const emergency = activeEmergency({ relatedBookingId: booking._id });
+    jest.spyOn(Emergency, 'findOne').mockResolvedValue(emergency);
+    jest.spyOn(Booking, 'findOne').mockResolvedValue(booking);
+
+    const res = await request(app).post(`/emergency/${emergency._id}/cancel`).send({});
+
+    expect(res.status).toBe(200);
+    expect(transitionBooking).not.toHaveBeenCalled();
+  });
+
+  it('still cancels the emergency when the booking changed status meanwhile', async () => {
+    const booking = new Booking({ userId: mockUserId, status: 'accepted' });
+    const emergency = activeEmergency({ relatedBookingId: booking._id });
+    jest.spyOn(Emergency, 'findOne').mockResolvedValue(emergency);
+    jest.spyOn(Booking, 'findOne').mockResolvedValue(booking);
+    transitionBooking.mockRejectedValue(createHttpError(409, 'Booking status changed'));
+
+    const res = await request(app).post(`/emergency/${emergency._id}/cancel`).send({});
+
+    expect(res.status).toBe(200);
+    expect(emergency.status).toBe('cancelled');
+  });
+});
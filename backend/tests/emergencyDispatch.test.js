@@ -0,0 +1,116 @@
+jest.mock('../src/services/sms', () => ({ sendSMS: jest.fn(async () => ({ messageId: 'sms_1' })) }));
+jest.mock('../src/services/devices', () => ({ sendToOwner: jest.fn(async () => ({ messageId: 'push_1' })) }));
+jest.mock('../src/services/emergencyContacts', () => ({ notifyEmergencyContacts: jest.fn(async () => {}) }));
+jest.mock('../src/services/notifications', () => ({ notifyEmergency: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Emergency = require('../src/models/Emergency');
+const Partner = require('../src/models/Partner');
+const { sendSMS } = require('../src/services/sms');
+const { runNextWave, declineOffer } = require('../src/services/emergencyDispatch');
+
+const nearbyPartner = (name, lng) => ({
+  _id: new mongoose.Types.ObjectId(),
+  shopName: name,
+  mobileNumber: '9876543210',
+  location: { type: 'Point', coordinates: [lng, 23.02] },
+  rating: 4,
+  emergencyRadius: 10
+});
+
+/**
+ * One stored emergency; findOneAndUpdate honours the wave, assignment and open offer
+ * conditions the dispatch relies on and applies the updates it makes.
+ */
+const useStoredEmergency = (emergency) => {
+  jest.spyOn(Emergency, 'findById').mockImplementation(async () => emergency);
+  jest.spyOn(Emergency, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Emergency, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (filter.status && emergency.status !== filter.status) return null;
+    if (filter.assignedPartnerId === null && emergency.assignedPartnerId) return null;
+    if (filter.dispatchWave !== undefined && emergency.dispatchWave !== filter.dispatchWave) return null;
+
+    let offer;
+    if (filter.dispatchOffers) {
+      offer = emergency.getPendingOffer(filter.dispatchOffers.$elemMatch.partnerId);
+      if (!offer) return null;
+    }
+
+    const { $set = {}, $push = {} } = update;
+    Object.entries($set).forEach(([path, value]) => {
+      const [, position, field] = path.match(/^dispatchOffers\.(\$|\$\[open\])\.(\w+)$/) || [];
+      if (position === '$') offer[field] = value;
+      else if (position) emergency.dispatchOffers.filter(o => o.status === 'pending').forEach(o => { o[field] = value; });
+      else emergency.set(path, value);
+    });
+    Object.entries($push).forEach(([path, value]) => {
+      emergency[path].push(...(value.$each || [value]));
+    });
+    return emergency;
+  });
+};
+
+describe('emergency dispatch waves', () => {
+  let emergency;
+  let partners;
+
+  beforeEach(() => {
+    emergency = new Emergency({
+      userId: new mongoose.Types.ObjectId(),
+      emergencyType: 'breakdown',
+      status: 'active',
+      userLocation: { type: 'Point', coordinates: [72.57, 23.02] }
+    });
+    partners = [nearbyPartner('Ravi Motors', 72.58), nearbyPartner('City Tyres', 72.59)];
+    useStoredEmergency(emergency);
+    jest.spyOn(Emergency, 'distinct').mockResolvedValue([]);
+    jest.spyOn(Partner, 'find').mockImplementation((filter) => ({
+      select: async () => partners.filter(p => !filter._id.$nin.some(id => id.equals(p._id)))
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sendSMS.mockClear();
+  });
+
+  it('offers a wave once when two callers run it at the same time', async () => {
+    await Promise.all([runNextWave(emergency._id, 0), runNextWave(emergency._id, 0)]);
+
+    expect(emergency.dispatchWave).toBe(1);
+    expect(emergency.dispatchOffers).toHaveLength(2);
+    expect(sendSMS).toHaveBeenCalledTimes(2);
+  });
+
+  it('ignores a timer for a wave that has already moved on', async () => {
+    await runNextWave(emergency._id, 0);
+
+    await runNextWave(emergency._id, 0);
+
+    expect(emergency.dispatchWave).toBe(1);
+    expect(emergency.dispatchOffers.every(offer => offer.status === 'pending')).toBe(true);
+  });
+
+  it('does not record a decline once another partner has accepted', async () => {
+    await runNextWave(emergency._id, 0);
+    emergency.assignedPartnerId = partners[0]._id;
+    const history = emergency.statusHistory.length;
+
+    await expect(declineOffer(emergency._id, partners[1]._id))
+      .rejects.toMatchObject({ statusCode: 410 });
+    expect(emergency.dispatchOffers[1].status).toBe('pending');
+    expect(emergency.statusHistory).toHaveLength(history);
+  });
+
+  it('starts the next wave once every partner in the current one has declined', async () => {
+    await runNextWave(emergency._id, 0);
+
+    await declineOffer(emergency._id, partners[0]._id, 'Too far');
+    expect(emergency.dispatchWave).toBe(1);
+    await declineOffer(emergency._id, partners[1]._id);
+
+    expect(emergency.dispatchOffers.map(offer => offer.status)).toEqual(['declined', 'declined']);
+    // Nobody else is in range, so the search ends
+    expect(emergency.dispatchStatus).toBe('exhausted');
+  });
+});
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const mockPartnerId = String(new mongoose.Types.ObjectId());
+
+jest.mock('../src/middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { role: 'partner', partnerId: mockPartnerId };
+    next();
+  }
+}));
+jest.mock('../src/services/emergencyContacts', () => ({
+  notifyEmergencyContacts: jest.fn(async () => {}),
+  updateDeliveryStatus: jest.fn()
+}));
+jest.mock('../src/services/notifications', () => ({ notifyEmergency: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const Emergency = require('../src/models/Emergency');
+const emergencyRoutes = require('../src/routes/emergency');
+
+const MINUTE_MS = 60 * 1000;
+
+const app = express();
+app.use(express.json());
+app.use('/emergency', emergencyRoutes);
+
+describe('partner emergency workflow', () => {
+  let emergency;
+
+  beforeEach(() => {
+    emergency = new Emergency({
+      userId: new mongoose.Types.ObjectId(),
+      emergencyType: 'breakdown',
+      status: 'assigned',
+      assignedPartnerId: mockPartnerId,
+      requestTime: new Date(Date.now() - 30 * MINUTE_MS),
+      responseTime: new Date(Date.now() - 28 * MINUTE_MS),
+      userLocation: { type: 'Point', coordinates: [72.57, 23.02] }
+    });
+    jest.spyOn(Emergency, 'findOne').mockImplementation(async (filter) =>
+      (String(filter.assignedPartnerId) === String(emergency.assignedPartnerId) ? emergency : null));
+    jest.spyOn(Emergency.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('takes an assigned emergency through arrival, work and resolution', async () => {
+    const arrived = await request(app).post(`/emergency/${emergency._id}/arrive`).send({});
+    const started = await request(app).post(`/emergency/${emergency._id}/start`).send({ notes: 'Replacing the tyre' });
+    const resolved = await request(app).post(`/emergency/${emergency._id}/resolve`).send({
+      costBreakdown: [{ item: 'Tyre', amount: 2400 }, { item: 'Labour', amount: '300' }],
+      resolutionNotes: 'Spare fitted'
+    });
+
+    expect(arrived.status).toBe(200);
+    expect(started.body.data.status).toBe('in_progress');
+    expect(resolved.status).toBe(200);
+    expect(resolved.body.data).toMatchObject({ status: 'resolved', actualCost: 2700 });
+    expect(resolved.body.data.responseTimeSeconds).toBeCloseTo(120, 0);
+    expect(resolved.body.data.arrivalTimeSeconds).toBeGreaterThan(1700);
+    expect(resolved.body.data.resolutionTimeSeconds).toBeGreaterThanOrEqual(resolved.body.data.arrivalTimeSeconds);
+  });
+
+  it('does not resolve an emergency before work has started', async () => {
+    const res = await request(app).post(`/emergency/${emergency._id}/resolve`).send({ resolutionNotes: 'Done' });
+
+    expect(res.status).toBe(400);
+    expect(emergency.status).toBe('assigned');
+  });
+
+  it('does not record arrival twice', async () => {
+    await request(app).post(`/emergency/${emergency._id}/arrive`).send({});
+
+    const again = await request(app).post(`/emergency/${emergency._id}/arrive`).send({});
+
+    expect(again.status).toBe(400);
+  });
+
+  it('hides an emergency assigned to another partner', async () => {
+    emergency.assignedPartnerId = new mongoose.Types.ObjectId();
+
+    const res = await request(app).post(`/emergency/${emergency._id}/start`).send({});
+
+    expect(res.status).toBe(404);
+  });
+});
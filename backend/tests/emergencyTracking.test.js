@@ -0,0 +1,65 @@
+const express = require('express');
+const request = require('supertest');
+const Emergency = require('../src/models/Emergency');
+const emergencyRoutes = require('../src/routes/emergency');
+
+const HOUR_MS = 60 * 60 * 1000;
+const TOKEN = 'a'.repeat(32);
+
+const app = express();
+app.use('/emergency', emergencyRoutes);
+
+const emergencyWith = (fields) => new Emergency({
+  emergencyType: 'breakdown',
+  trackingToken: TOKEN,
+  userLocation: { type: 'Point', coordinates: [72.57, 23.02] },
+  userAddress: { street: '12 Ring Road', city: 'Ahmedabad' },
+  assignedPartnerName: 'Ravi Motors',
+  ...fields
+});
+
+describe('public emergency tracking link', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('shows where the user is while the emergency is open', async () => {
+    jest.spyOn(Emergency, 'findOne').mockResolvedValue(emergencyWith({ status: 'assigned' }));
+
+    const res = await request(app).get(`/emergency/track/${TOKEN}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.userLocation.coordinates).toEqual([72.57, 23.02]);
+    expect(res.body.data.userAddress.street).toBe('12 Ring Road');
+  });
+
+  it('shows only the outcome once the emergency is resolved', async () => {
+    const emergency = emergencyWith({ status: 'resolved', resolvedAt: new Date(Date.now() - HOUR_MS) });
+    jest.spyOn(Emergency, 'findOne').mockResolvedValue(emergency);
+
+    const res = await request(app).get(`/emergency/track/${TOKEN}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('resolved');
+    expect(res.body.data).not.toHaveProperty('userLocation');
+    expect(res.body.data).not.toHaveProperty('userAddress');
+  });
+
+  it('expires the link after the grace period', async () => {
+    const emergency = emergencyWith({ status: 'cancelled', cancelledAt: new Date(Date.now() - 3 * HOUR_MS) });
+    jest.spyOn(Emergency, 'findOne').mockResolvedValue(emergency);
+
+    const res = await request(app).get(`/emergency/track/${TOKEN}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('does not open a live stream for an emergency that is over', async () => {
+    const emergency = emergencyWith({ status: 'resolved', resolvedAt: new Date() });
+    jest.spyOn(Emergency, 'findOne').mockResolvedValue(emergency);
+
+    const res = await request(app).get(`/emergency/track/${TOKEN}/live`);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Booking = require('../src/models/Booking');
+const Invoice = require('../src/models/Invoice');
+const InvoiceCounter = require('../src/models/InvoiceCounter');
+const Partner = require('../src/models/Partner');
+const User = require('../src/models/User');
+const { getFinancialYear, buildLineItems, generateBookingInvoice } = require('../src/services/invoices');
+
+const completedBooking = (fields) => new Booking({
+  bookingId: 'BK1001',
+  serviceName: 'General service',
+  partnerId: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  status: 'completed',
+  basePrice: 1180,
+  completedAt: new Date('2026-03-31T12:00:00Z'),
+  userAddress: { city: 'Ahmedabad', state: 'Gujarat' },
+  ...fields
+});
+
+describe('GST invoices', () => {
+  let partner;
+
+  beforeEach(() => {
+    partner = { _id: new mongoose.Types.ObjectId(), businessName: 'Ravi Motors', gstNumber: '24ABCDE1234F1Z5', address: { state: 'Gujarat' } };
+    jest.spyOn(Invoice, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Invoice, 'create').mockImplementation(async (doc) => new Invoice(doc));
+    jest.spyOn(InvoiceCounter, 'next').mockResolvedValue(7);
+    jest.spyOn(Partner, 'findById').mockReturnValue({ select: async () => partner });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => ({ _id: new mongoose.Types.ObjectId(), name: 'Asha' }) });
+    jest.spyOn(Booking, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('numbers invoices within the Indian financial year', () => {
+    expect(getFinancialYear(new Date('2026-03-31T12:00:00Z'))).toEqual({ label: '2025-26', code: '2526' });
+    // 1 April in India while it is still 31 March in UTC
+    expect(getFinancialYear(new Date('2026-03-31T19:00:00Z'))).toEqual({ label: '2026-27', code: '2627' });
+  });
+
+  it('spreads the discount across lines so they add up to the booking total', () => {
+    const booking = completedBooking({
+      basePrice: 1000,
+      additionalCharges: [{ name: 'Coolant', amount: 333 }],
+      discount: 100
+    });
+
+    const lines = buildLineItems(booking, { gstRate: 18, supplyType: 'intra_state' });
+
+    expect(lines.reduce((sum, line) => sum + line.total, 0)).toBe(123300);
+    lines.forEach(line => {
+      expect(line.taxableValue + line.cgst + line.sgst).toBe(line.total);
+      expect(line.igst).toBe(0);
+    });
+  });
+
+  it('charges CGST and SGST within the partner\'s state', async () => {
+    const invoice = await generateBookingInvoice(completedBooking());
+
+    expect(invoice.invoiceNumber).toBe('INV/2526/000007');
+    expect(invoice.documentType).toBe('tax_invoice');
+    expect(invoice.supplyType).toBe('intra_state');
+    expect(invoice.totals).toMatchObject({ taxableValue: 100000, cgst: 9000, sgst: 9000, igst: 0, grandTotal: 118000 });
+  });
+
+  it('charges IGST when the customer is in another state', async () => {
+    const invoice = await generateBookingInvoice(completedBooking({ userAddress: { city: 'Mumbai', state: 'Maharashtra' } }));
+
+    expect(invoice.supplyType).toBe('inter_state');
+    expect(invoice.placeOfSupply.stateName).toBe('Maharashtra');
+    expect(invoice.totals).toMatchObject({ cgst: 0, sgst: 0, igst: 18000 });
+  });
+
+  it('issues a bill of supply without tax for a partner not registered for GST', async () => {
+    partner.gstNumber = undefined;
+
+    const invoice = await generateBookingInvoice(completedBooking());
+
+    expect(invoice.documentType).toBe('bill_of_supply');
+    expect(invoice.totals).toMatchObject({ totalTax: 0, grandTotal: 118000 });
+  });
+
+  it('returns the existing invoice instead of issuing a second one', async () => {
+    const existing = new Invoice({ invoiceNumber: 'INV/2526/000001' });
+    Invoice.findOne.mockResolvedValue(existing);
+
+    expect(await generateBookingInvoice(completedBooking())).toBe(existing);
+    expect(InvoiceCounter.next).not.toHaveBeenCalled();
+  });
+
+  it('refuses to invoice a booking that is not completed', async () => {
+    await expect(generateBookingInvoice(completedBooking({ status: 'accepted' })))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
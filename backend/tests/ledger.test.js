@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const Booking = require('../src/models/Booking');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const Partner = require('../src/models/Partner');
+const Refund = require('../src/models/Refund');
+const { postBookingCompletion, postOnlinePayment, postRefundReversal } = require('../src/services/ledger');
+
+const totals = (entry) => entry.lines.reduce(
+  (sum, line) => ({ debit: sum.debit + line.debit, credit: sum.credit + line.credit }),
+  { debit: 0, credit: 0 }
+);
+
+const completedBooking = (paymentStatus) => new Booking({
+  bookingId: 'BK1001',
+  serviceName: 'General service',
+  partnerId: new mongoose.Types.ObjectId(),
+  status: 'completed',
+  paymentStatus,
+  totalAmount: 500,
+  commissionRule: { source: 'default', rate: 20 },
+  completedAt: new Date()
+});
+
+describe('partner ledger', () => {
+  beforeEach(() => {
+    // Entries are validated like a real insert but never stored
+    jest.spyOn(LedgerEntry, 'create').mockImplementation(async (doc) => {
+      const entry = new LedgerEntry(doc);
+      await entry.validate();
+      return entry;
+    });
+    jest.spyOn(LedgerEntry, 'find').mockResolvedValue([]);
+    jest.spyOn(LedgerEntry, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Booking, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Booking, 'findById').mockReturnValue({ select: async () => null });
+    jest.spyOn(Partner, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Refund, 'find').mockResolvedValue([]);
+    jest.spyOn(Refund, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('posts a balanced entry crediting earnings for an online booking', async () => {
+    jest.spyOn(LedgerEntry, 'findOne').mockResolvedValue(null);
+
+    const entry = await postBookingCompletion(completedBooking('paid'));
+
+    expect(totals(entry)).toEqual({ debit: 50000, credit: 50000 });
+    expect(entry.partnerAmount).toBe(40000);
+    expect(entry.getCommission()).toBe(10000);
+    expect(entry.getEarnings()).toBe(40000);
+  });
+
+  it('charges the commission to the partner for a cash booking', async () => {
+    jest.spyOn(LedgerEntry, 'findOne').mockResolvedValue(null);
+
+    const entry = await postBookingCompletion(completedBooking('pending'));
+
+    expect(totals(entry)).toEqual({ debit: 50000, credit: 50000 });
+    expect(entry.partnerAmount).toBe(-10000);
+  });
+
+  it('reverses a refund in the proportions the booking was posted with', async () => {
+    jest.spyOn(LedgerEntry, 'findOne').mockResolvedValue(null);
+    const completion = await postBookingCompletion(completedBooking('paid'));
+
+    LedgerEntry.findOne.mockImplementation(async (filter) =>
+      (filter.type === 'booking_completed' ? completion : null));
+    const refund = {
+      _id: new mongoose.Types.ObjectId(),
+      bookingId: completion.bookingId,
+      status: 'processed',
+      amount: 25000,
+      destination: 'original'
+    };
+
+    const reversal = await postRefundReversal(refund);
+
+    expect(totals(reversal)).toEqual({ debit: 25000, credit: 25000 });
+    expect(reversal.partnerAmount).toBe(-20000);
+    expect(reversal.getCommission()).toBe(-5000);
+    expect(reversal.getEarnings()).toBe(-20000);
+  });
+
+  it('moves a cash booking over to online when it is paid after completion', async () => {
+    jest.spyOn(LedgerEntry, 'findOne').mockResolvedValue(null);
+    const completion = await postBookingCompletion(completedBooking('pending'));
+    LedgerEntry.findOne.mockImplementation(async (filter) =>
+      (filter.type === 'booking_completed' ? completion : null));
+
+    const adjustment = await postOnlinePayment(completion.bookingId);
+
+    expect(adjustment.type).toBe('booking_paid_online');
+    expect(totals(adjustment)).toEqual({ debit: 50000, credit: 50000 });
+    // The partner is owed their earnings, as for a booking paid online from the start
+    expect(completion.partnerAmount + adjustment.partnerAmount).toBe(40000);
+    expect(adjustment.getEarnings()).toBe(0);
+    expect(adjustment.getCommission()).toBe(0);
+  });
+
+  it('does not adjust a booking posted as online', async () => {
+    jest.spyOn(LedgerEntry, 'findOne').mockResolvedValue(null);
+    const completion = await postBookingCompletion(completedBooking('paid'));
+    LedgerEntry.findOne.mockImplementation(async (filter) =>
+      (filter.type === 'booking_completed' ? completion : null));
+    LedgerEntry.create.mockClear();
+
+    expect(await postOnlinePayment(completion.bookingId)).toBeNull();
+    expect(LedgerEntry.create).not.toHaveBeenCalled();
+  });
+
+  it('reverses a refund of a cash booking later paid online', async () => {
+    jest.spyOn(LedgerEntry, 'findOne').mockResolvedValue(null);
+    const completion = await postBookingCompletion(completedBooking('pending'));
+    LedgerEntry.findOne.mockImplementation(async (filter) =>
+      (filter.type === 'booking_completed' ? completion : null));
+    const adjustment = await postOnlinePayment(completion.bookingId);
+    LedgerEntry.findOne.mockImplementation(async (filter) =>
+      ({ booking_completed: completion, booking_paid_online: adjustment }[filter.type] || null));
+
+    const reversal = await postRefundReversal({
+      _id: new mongoose.Types.ObjectId(),
+      bookingId: completion.bookingId,
+      status: 'processed',
+      amount: 50000,
+      destination: 'original'
+    });
+
+    expect(totals(reversal)).toEqual({ debit: 50000, credit: 50000 });
+    expect(completion.partnerAmount + adjustment.partnerAmount + reversal.partnerAmount).toBe(0);
+  });
+
+  it('does not reverse a refund that has not been processed', async () => {
+    const findOne = jest.spyOn(LedgerEntry, 'findOne');
+
+    const reversal = await postRefundReversal({ _id: new mongoose.Types.ObjectId(), status: 'pending', amount: 100 });
+
+    expect(reversal).toBeNull();
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects an entry whose debits and credits differ', async () => {
+    const entry = new LedgerEntry({
+      type: 'booking_completed',
+      partnerId: new mongoose.Types.ObjectId(),
+      lines: [
+        { account: 'gateway_clearing', debit: 1000 },
+        { account: 'commission_revenue', credit: 999 }
+      ]
+    });
+
+    await expect(entry.validate()).rejects.toThrow('Unbalanced ledger entry');
+  });
+});
@@ -0,0 +1,106 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const Booking = require('../src/models/Booking');
+const Emergency = require('../src/models/Emergency');
+const {
+  findTrackable,
+  recordPosition,
+  subscribe,
+  publishStatus,
+  getSnapshot,
+  estimateEta,
+  BREADCRUMB_LIMIT
+} = require('../src/services/liveTracking');
+
+// Server-Sent Events response that keeps what was written
+const streamResponse = () => ({
+  written: '',
+  ended: false,
+  status() { return this; },
+  set() {},
+  flushHeaders() {},
+  write(chunk) { this.written += chunk; },
+  end() { this.ended = true; }
+});
+
+describe('live tracking', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const partnerId = new mongoose.Types.ObjectId();
+  let emergency;
+  let req;
+
+  beforeEach(() => {
+    emergency = new Emergency({
+      userId,
+      assignedPartnerId: partnerId,
+      emergencyType: 'breakdown',
+      status: 'assigned',
+      userLocation: { type: 'Point', coordinates: [72.57, 23.02] }
+    });
+    req = new EventEmitter();
+    jest.spyOn(Emergency, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    // Closing the request stops the heartbeat and leaves the channel
+    req.emit('close');
+    jest.restoreAllMocks();
+  });
+
+  it('only finds a document for the user or partner taking part in it', async () => {
+    const findOne = jest.spyOn(Booking, 'findOne').mockResolvedValue(null);
+
+    await expect(findTrackable('booking', 'b1', { role: 'partner', partnerId }))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect(findOne).toHaveBeenCalledWith({ _id: 'b1', partnerId });
+    await expect(findTrackable('booking', 'b1', { role: 'admin' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('stores a capped breadcrumb and streams the position with an ETA', async () => {
+    const res = streamResponse();
+    subscribe('emergency', emergency._id, req, res, getSnapshot('emergency', emergency));
+
+    const { eta } = await recordPosition('emergency', emergency, 'partner', { latitude: 23.02, longitude: 72.62 });
+
+    expect(eta.distanceKm).toBeGreaterThan(4);
+    expect(eta.minutes).toBeGreaterThan(0);
+    expect(Emergency.updateOne).toHaveBeenCalledWith(
+      { _id: emergency._id },
+      expect.objectContaining({
+        $push: { trackingTrail: { $each: [expect.objectContaining({ role: 'partner' })], $slice: -BREADCRUMB_LIMIT } }
+      })
+    );
+    expect(res.written).toContain('event: snapshot');
+    expect(res.written).toContain('event: location');
+  });
+
+  it('uses the partner\'s own speed once they are moving', () => {
+    const user = { latitude: 23.02, longitude: 72.57 };
+    const partner = { latitude: 23.02, longitude: 72.67 };
+
+    const average = estimateEta(partner, user);
+    const fast = estimateEta({ ...partner, speed: 20 }, user);
+
+    expect(fast.minutes).toBeLessThan(average.minutes);
+  });
+
+  it('refuses positions once the emergency is over', async () => {
+    emergency.status = 'resolved';
+
+    await expect(recordPosition('emergency', emergency, 'partner', { latitude: 23.02, longitude: 72.62 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(Emergency.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('closes the streams when tracking ends', () => {
+    const res = streamResponse();
+    subscribe('emergency', emergency._id, req, res, getSnapshot('emergency', emergency));
+
+    emergency.status = 'resolved';
+    publishStatus('emergency', emergency);
+
+    expect(res.written).toContain('event: status');
+    expect(res.ended).toBe(true);
+  });
+});
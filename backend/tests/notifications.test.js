@@ -0,0 +1,86 @@
+process.env.NOTIFICATION_RETRY_DELAY_MS = '1';
+
+jest.mock('../src/services/sms', () => ({ sendSMS: jest.fn() }));
+jest.mock('../src/services/email', () => ({ sendEmail: jest.fn() }));
+jest.mock('../src/services/devices', () => ({ hasDevices: jest.fn(), sendToOwner: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Booking = require('../src/models/Booking');
+const User = require('../src/models/User');
+const { sendSMS } = require('../src/services/sms');
+const { sendEmail } = require('../src/services/email');
+const { hasDevices, sendToOwner } = require('../src/services/devices');
+const { notify } = require('../src/services/notifications');
+
+const data = { partnerName: 'Ravi Motors', serviceName: 'General service', bookingId: 'BK1001', scheduledAt: '2026-03-14 10:30' };
+
+describe('notifications', () => {
+  let user;
+
+  beforeEach(() => {
+    user = new User({ name: 'Asha', phoneNumber: '9876543210', email: 'asha@example.com' });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+    jest.spyOn(Booking, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    hasDevices.mockResolvedValue(true);
+    sendToOwner.mockResolvedValue({ messageId: 'push_1' });
+    sendSMS.mockResolvedValue({ messageId: 'sms_1' });
+    sendEmail.mockResolvedValue({ messageId: 'email_1' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.resetAllMocks();
+  });
+
+  it('sends on the template\'s channels and records the deliveries on the booking', async () => {
+    const bookingId = new mongoose.Types.ObjectId();
+
+    const entries = await notify('booking_accepted', { recipientId: user._id, data, source: { type: 'booking', id: bookingId } });
+
+    expect(entries.map(entry => [entry.type, entry.status])).toEqual([['push', 'sent'], ['sms', 'sent']]);
+    expect(sendSMS).toHaveBeenCalledWith('9876543210', expect.stringContaining('Ravi Motors accepted your General service booking BK1001'));
+    expect(Booking.updateOne).toHaveBeenCalledWith(
+      { _id: bookingId },
+      { $push: { notificationsSent: { $each: entries } } }
+    );
+  });
+
+  it('leaves out the channels the recipient switched off', async () => {
+    user.notifications.sms = false;
+
+    const entries = await notify('booking_accepted', { recipientId: user._id, data });
+
+    expect(entries.map(entry => entry.type)).toEqual(['push']);
+    expect(sendSMS).not.toHaveBeenCalled();
+  });
+
+  it('writes in the recipient\'s language', async () => {
+    user.language = 'hi';
+
+    await notify('booking_accepted', { recipientId: user._id, data });
+
+    expect(sendToOwner).toHaveBeenCalledWith('user', user._id, expect.objectContaining({ title: 'बुकिंग की पुष्टि हुई' }));
+  });
+
+  it('retries a failed delivery and records how many attempts it took', async () => {
+    sendSMS.mockRejectedValueOnce(new Error('Gateway timeout')).mockResolvedValueOnce({ messageId: 'sms_2' });
+
+    const entries = await notify('booking_accepted', { recipientId: user._id, data });
+
+    expect(entries.find(entry => entry.type === 'sms')).toMatchObject({ status: 'sent', attempts: 2, messageId: 'sms_2' });
+  });
+
+  it('does not retry a delivery that can never succeed', async () => {
+    sendToOwner.mockRejectedValue(Object.assign(new Error('Token unregistered'), { permanent: true }));
+
+    const entries = await notify('booking_accepted', { recipientId: user._id, data });
+
+    expect(sendToOwner).toHaveBeenCalledTimes(1);
+    expect(entries.find(entry => entry.type === 'push')).toMatchObject({ status: 'failed', attempts: 1 });
+  });
+
+  it('never throws, so callers can run it in the background', async () => {
+    await expect(notify('no_such_event', { recipientId: user._id })).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,118 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+jest.mock('../src/services/sms', () => ({ sendSMS: jest.fn(async () => ({ messageId: 'sms_1' })) }));
+
+const User = require('../src/models/User');
+const { sendSMS } = require('../src/services/sms');
+const { issueOTP, verifyOTPCode } = require('../src/services/otpService');
+const { OTP_MAX_ATTEMPTS, OTP_MAX_SENDS_PER_HOUR, OTP_RESEND_COOLDOWN_SECONDS } = require('../src/utils/otp');
+
+const PHONE = '9876543210';
+
+const get = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+// Just enough of MongoDB's query and expression language for the OTP updates
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$and') return condition.every(part => matches(doc, part));
+  if (key === '$or') return condition.some(part => matches(doc, part));
+  const value = get(doc, key);
+  if (condition === null) return value == null;
+  if (condition && condition.$lt !== undefined) return value < condition.$lt;
+  if (condition && condition.$lte !== undefined) return value <= condition.$lte;
+  return String(value) === String(condition);
+});
+
+const evaluate = (doc, expression) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) return get(doc, expression.slice(1));
+  if (!expression || expression instanceof Date || typeof expression !== 'object') return expression;
+  const [[operator, args]] = Object.entries(expression);
+  const values = args.map(arg => evaluate(doc, arg));
+  switch (operator) {
+    case '$cond': return values[0] ? values[1] : values[2];
+    case '$gt': return values[0] != null && values[0] > values[1];
+    case '$add': return values[0] + values[1];
+    case '$ifNull': return values[0] == null ? values[1] : values[0];
+    default: throw new Error(`Unsupported operator ${operator}`);
+  }
+};
+
+describe('phone OTP', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = new User({ name: 'Asha', phoneNumber: PHONE, isActive: true });
+
+    // Every read returns a fresh copy of the one stored account, as separate requests would see it
+    jest.spyOn(User, 'findOne').mockImplementation(async () => User.hydrate(stored.toObject()));
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (!matches(stored, filter)) return null;
+      const snapshot = stored.toObject();
+      if (Array.isArray(update)) {
+        Object.entries(update[0].$set).forEach(([path, value]) => stored.set(path, evaluate(snapshot, value)));
+      } else {
+        Object.entries(update.$inc).forEach(([path, by]) => stored.set(path, (get(stored, path) || 0) + by));
+      }
+      return User.hydrate(stored.toObject());
+    });
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      if (!matches(stored, filter)) return { modifiedCount: 0 };
+      Object.keys(update.$unset || {}).forEach(path => stored.set(path, undefined));
+      stored.set(update.$set || {});
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sendSMS.mockClear();
+  });
+
+  it('sends one code when two requests arrive together', async () => {
+    const results = await Promise.allSettled([issueOTP({ phone: PHONE }), issueOTP({ phone: PHONE })]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.statusCode).toBe(429);
+    expect(sendSMS).toHaveBeenCalledTimes(1);
+    expect(stored.otp.sendCount).toBe(1);
+  });
+
+  it('asks the user to wait before sending another code', async () => {
+    await issueOTP({ phone: PHONE });
+
+    await expect(issueOTP({ phone: PHONE })).rejects.toMatchObject({
+      statusCode: 429,
+      details: { retryAfter: OTP_RESEND_COOLDOWN_SECONDS }
+    });
+  });
+
+  it('stops sending codes once the hourly limit is reached', async () => {
+    for (let sent = 0; sent < OTP_MAX_SENDS_PER_HOUR; sent++) {
+      await issueOTP({ phone: PHONE });
+      stored.otp.lastSentAt = new Date(Date.now() - (OTP_RESEND_COOLDOWN_SECONDS + 1) * 1000);
+    }
+
+    await expect(issueOTP({ phone: PHONE })).rejects.toMatchObject({ statusCode: 429 });
+    expect(sendSMS).toHaveBeenCalledTimes(OTP_MAX_SENDS_PER_HOUR);
+  });
+
+  it('verifies a code only once', async () => {
+    const { otp } = await issueOTP({ phone: PHONE });
+
+    const result = await verifyOTPCode({ phone: PHONE, otp });
+
+    expect(result.account.isPhoneVerified).toBe(true);
+    await expect(verifyOTPCode({ phone: PHONE, otp })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('burns the code after too many wrong guesses, even made in parallel', async () => {
+    const { otp } = await issueOTP({ phone: PHONE });
+    const wrong = otp === '111111' ? '222222' : '111111';
+
+    await Promise.allSettled(
+      Array.from({ length: OTP_MAX_ATTEMPTS + 3 }, () => verifyOTPCode({ phone: PHONE, otp: wrong }))
+    );
+
+    expect(stored.otp.attempts).toBe(OTP_MAX_ATTEMPTS);
+    await expect(verifyOTPCode({ phone: PHONE, otp })).rejects.toMatchObject({ statusCode: 429 });
+  });
+});
@@ -0,0 +1,153 @@
+jest.mock('../src/services/refunds', () => ({ refundLateCapture: jest.fn() }));
+jest.mock('../src/services/ledger', () => ({ postOnlinePayment: jest.fn() }));
+
+const Booking = require('../src/models/Booking');
+const Payment = require('../src/models/Payment');
+const fakeGateway = require('../src/services/payments/fakeGateway');
+const { refundLateCapture } = require('../src/services/refunds');
+const { postOnlinePayment } = require('../src/services/ledger');
+const { handleWebhook, verifyCheckoutPayment } = require('../src/services/bookingPayments');
+
+/**
+ * Payments are kept in memory; findOneAndUpdate honours the eventId and
+ * status conditions applyPaymentResult relies on.
+ */
+const useStoredPayment = (payment) => {
+  jest.spyOn(Payment, 'findOne').mockImplementation(async () => payment);
+  jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const seen = payment.events.some(event => event.eventId === filter['events.eventId'].$ne);
+    const blocked = filter.status && payment.status === filter.status.$ne;
+    if (seen || blocked) return null;
+
+    payment.events.push(update.$push.events);
+    payment.set(update.$set);
+    return payment;
+  });
+};
+
+const createOrderPayment = async (amount = 49900) => {
+  const order = await fakeGateway.createOrder({ amount, currency: 'INR', receipt: 'BK1' });
+  return new Payment({
+    bookingId: new Booking()._id,
+    userId: new Booking()._id,
+    provider: 'fake',
+    orderId: order.orderId,
+    amount: order.amount,
+    currency: order.currency
+  });
+};
+
+describe('payment webhooks', () => {
+  let bookingUpdate;
+
+  beforeEach(() => {
+    bookingUpdate = jest.spyOn(Booking, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    refundLateCapture.mockReset();
+    postOnlinePayment.mockReset();
+  });
+
+  it('rejects a webhook whose signature does not match the body', async () => {
+    const payment = await createOrderPayment();
+    useStoredPayment(payment);
+    const webhook = fakeGateway.simulatePayment(payment.orderId, 'paid');
+
+    const tampered = JSON.stringify({ ...webhook.body, outcome: 'paid', paymentId: 'fake_pay_other' });
+
+    await expect(handleWebhook('fake', tampered, JSON.parse(tampered), webhook.headers))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(payment.status).toBe('created');
+  });
+
+  it('rejects a webhook for an unknown provider', async () => {
+    await expect(handleWebhook('paypal', '{}', {}, {})).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('marks the payment and booking paid once however often the webhook is delivered', async () => {
+    const payment = await createOrderPayment();
+    useStoredPayment(payment);
+    const { body, rawBody, headers } = fakeGateway.simulatePayment(payment.orderId, 'paid');
+
+    const first = await handleWebhook('fake', rawBody, body, headers);
+    const retry = await handleWebhook('fake', rawBody, body, headers);
+
+    expect(first).toMatchObject({ applied: true, status: 'paid' });
+    expect(retry).toMatchObject({ applied: false, status: 'paid' });
+    expect(payment.events).toHaveLength(1);
+    expect(bookingUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: payment.bookingId }),
+      { $set: expect.objectContaining({ paymentStatus: 'paid', transactionId: body.paymentId }) }
+    );
+    expect(postOnlinePayment).toHaveBeenCalledWith(payment.bookingId);
+  });
+
+  it('keeps a paid payment paid when a failed attempt is reported later', async () => {
+    const payment = await createOrderPayment();
+    useStoredPayment(payment);
+    const declined = fakeGateway.simulatePayment(payment.orderId, 'failed');
+    const paid = fakeGateway.simulatePayment(payment.orderId, 'paid');
+
+    await handleWebhook('fake', paid.rawBody, paid.body, paid.headers);
+    const late = await handleWebhook('fake', declined.rawBody, declined.body, declined.headers);
+
+    expect(late.applied).toBe(false);
+    expect(payment.status).toBe('paid');
+  });
+
+  it('flags a capture for a different amount instead of marking it paid', async () => {
+    const payment = await createOrderPayment(49900);
+    useStoredPayment(payment);
+    const { body, rawBody, headers } = fakeGateway.simulatePayment(payment.orderId, 'paid', { amount: 100 });
+
+    const result = await handleWebhook('fake', rawBody, body, headers);
+
+    expect(result.applied).toBe(false);
+    expect(payment.status).toBe('created');
+    expect(payment.flaggedAt).toBeInstanceOf(Date);
+    expect(bookingUpdate).not.toHaveBeenCalled();
+  });
+
+  it('refuses a checkout callback whose payment captured a different amount', async () => {
+    const payment = await createOrderPayment(49900);
+    useStoredPayment(payment);
+    const { checkout } = fakeGateway.simulatePayment(payment.orderId, 'paid', { amount: 100 });
+
+    await expect(verifyCheckoutPayment(checkout, payment.userId))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(payment.status).toBe('created');
+  });
+
+  it('does not mark a failed checkout payment paid', async () => {
+    const payment = await createOrderPayment();
+    useStoredPayment(payment);
+    const { checkout } = fakeGateway.simulatePayment(payment.orderId, 'failed');
+
+    await expect(verifyCheckoutPayment(checkout, payment.userId))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(payment.status).toBe('failed');
+    expect(bookingUpdate).not.toHaveBeenCalledWith(expect.anything(), { $set: expect.objectContaining({ paymentStatus: 'paid' }) });
+  });
+
+  it('refunds a payment captured after the booking was cancelled', async () => {
+    const payment = await createOrderPayment();
+    useStoredPayment(payment);
+    bookingUpdate.mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Booking, 'findById').mockReturnValue({
+      select: async () => ({ status: 'cancelled', paymentStatus: 'pending' })
+    });
+    const { body, rawBody, headers } = fakeGateway.simulatePayment(payment.orderId, 'paid');
+
+    await handleWebhook('fake', rawBody, body, headers);
+
+    expect(bookingUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ status: { $nin: ['cancelled', 'rejected', 'expired'] } }),
+      expect.anything()
+    );
+    expect(refundLateCapture).toHaveBeenCalledWith(payment);
+  });
+});
@@ -0,0 +1,67 @@
+const {
+  getCancellationRefund,
+  PARTIAL_REFUND_PERCENT,
+  EMERGENCY_DISPATCHED_REFUND_PERCENT
+} = require('../src/services/refundPolicy');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2026-03-10T10:00:00Z');
+
+const bookingStartingIn = (hours, fields = {}) => ({
+  bookingType: 'scheduled',
+  getScheduledStart: () => new Date(now.getTime() + hours * HOUR_MS),
+  ...fields
+});
+
+describe('cancellation refund policy', () => {
+  it('refunds in full when the partner cancels, however late', () => {
+    const refund = getCancellationRefund(bookingStartingIn(0.5), { actor: 'partner', fromStatus: 'confirmed', at: now });
+
+    expect(refund).toMatchObject({ rule: 'not_customer_cancelled', percentage: 100 });
+  });
+
+  it('refunds in full when the customer cancels before the partner accepts', () => {
+    const refund = getCancellationRefund(bookingStartingIn(1), { actor: 'user', fromStatus: 'pending', at: now });
+
+    expect(refund).toMatchObject({ rule: 'before_acceptance', percentage: 100 });
+  });
+
+  it('refunds in full when the customer cancels well before the slot', () => {
+    const refund = getCancellationRefund(bookingStartingIn(48), { actor: 'user', fromStatus: 'confirmed', at: now });
+
+    expect(refund).toMatchObject({ rule: 'full_refund_window', percentage: 100, hoursBeforeStart: 48 });
+  });
+
+  it('refunds part of the payment inside the partial window', () => {
+    const refund = getCancellationRefund(bookingStartingIn(5), { actor: 'user', fromStatus: 'confirmed', at: now });
+
+    expect(refund).toMatchObject({ rule: 'partial_refund_window', percentage: PARTIAL_REFUND_PERCENT });
+  });
+
+  it('refunds nothing for a late customer cancellation', () => {
+    const refund = getCancellationRefund(bookingStartingIn(1), { actor: 'user', fromStatus: 'confirmed', at: now });
+
+    expect(refund).toMatchObject({ rule: 'late_cancellation', percentage: 0 });
+  });
+
+  it('refunds in full when the partner did not show', () => {
+    const booking = bookingStartingIn(-1, { noShowBy: 'partner' });
+    const refund = getCancellationRefund(booking, { actor: 'system', fromStatus: 'accepted', at: now });
+
+    expect(refund).toMatchObject({ rule: 'not_customer_cancelled', percentage: 100 });
+  });
+
+  it('refunds nothing when the customer was not there for the partner', () => {
+    const booking = bookingStartingIn(-1, { noShowBy: 'user' });
+    const refund = getCancellationRefund(booking, { actor: 'system', fromStatus: 'accepted', at: now });
+
+    expect(refund).toMatchObject({ rule: 'customer_no_show', percentage: 0 });
+  });
+
+  it('keeps part of an emergency booking cancelled after dispatch', () => {
+    const booking = bookingStartingIn(0, { bookingType: 'emergency' });
+    const refund = getCancellationRefund(booking, { actor: 'user', fromStatus: 'confirmed', at: now });
+
+    expect(refund).toMatchObject({ rule: 'emergency_after_dispatch', percentage: EMERGENCY_DISPATCHED_REFUND_PERCENT });
+  });
+});
@@ -0,0 +1,66 @@
+jest.mock('../src/services/ledger', () => ({ postRefundReversal: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Booking = require('../src/models/Booking');
+const Payment = require('../src/models/Payment');
+const Refund = require('../src/models/Refund');
+const fakeGateway = require('../src/services/payments/fakeGateway');
+const { reconcileRefunds } = require('../src/services/refunds');
+
+const failedRefund = () => new Refund({
+  paymentId: new mongoose.Types.ObjectId(),
+  bookingId: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  provider: 'fake',
+  providerPaymentId: 'fake_pay_1',
+  amount: 25000,
+  type: 'cancellation',
+  initiatedBy: 'user',
+  status: 'failed',
+  attempts: 1
+});
+
+describe('refund retries', () => {
+  beforeEach(() => {
+    jest.spyOn(Refund.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Payment, 'findOne').mockReturnValue({ sort: async () => null });
+    jest.spyOn(Refund, 'find').mockImplementation(() => ({ select: async () => [] }));
+    jest.spyOn(Booking, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const retry = async (refund) => {
+    Refund.find.mockReturnValueOnce({ sort: () => ({ limit: async () => [refund] }) });
+    await reconcileRefunds();
+  };
+
+  it('sends the refund id as the idempotency key on every attempt', async () => {
+    const refund = failedRefund();
+    const createRefund = jest.spyOn(fakeGateway, 'createRefund')
+      .mockRejectedValueOnce(new Error('Gateway timed out'));
+
+    await retry(refund);
+    await retry(refund);
+
+    expect(createRefund).toHaveBeenCalledTimes(2);
+    const keys = createRefund.mock.calls.map(([params]) => params.idempotencyKey);
+    expect(keys).toEqual([String(refund._id), String(refund._id)]);
+    expect(refund.status).toBe('processed');
+  });
+
+  it('does not refund twice when a refund the gateway made is retried', async () => {
+    const refund = failedRefund();
+
+    await retry(refund);
+    const first = refund.providerRefundId;
+    refund.status = 'failed';
+    await retry(refund);
+
+    expect(refund.providerRefundId).toBe(first);
+  });
+});
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const Booking = require('../src/models/Booking');
+const Review = require('../src/models/Review');
+const { createReview } = require('../src/services/reviews');
+
+const MB = 1024 * 1024;
+
+const photo = (size) => ({ buffer: Buffer.alloc(0), mimetype: 'image/jpeg', originalname: 'car.jpg', size });
+
+const reviewOf = (fields = {}) => ({
+  sourceType: 'booking',
+  sourceId: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  rating: 5,
+  ...fields
+});
+
+describe('reviews', () => {
+  beforeEach(() => {
+    jest.spyOn(Review, 'create');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects photos that together would make the review too large to store', async () => {
+    const photos = [photo(2 * MB), photo(2 * MB), photo(2 * MB), photo(2 * MB), photo(2 * MB + 1)];
+
+    await expect(createReview(reviewOf({ photos }))).rejects.toMatchObject({ statusCode: 400 });
+    expect(Review.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects more photos than a review can have', async () => {
+    const photos = Array.from({ length: 6 }, () => photo(1000));
+
+    await expect(createReview(reviewOf({ photos }))).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('only lets the customer review a completed booking', async () => {
+    jest.spyOn(Booking, 'findOne').mockResolvedValue(new Booking({ status: 'confirmed' }));
+
+    await expect(createReview(reviewOf())).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Only completed bookings can be reviewed'
+    });
+    expect(Review.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,118 @@
+jest.mock('../src/services/availability', () => ({ reserveSlot: jest.fn() }));
+jest.mock('../src/services/commission', () => ({ applyCommission: jest.fn() }));
+jest.mock('../src/services/notifications', () => ({ notify: jest.fn(), notifyBooking: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Booking = require('../src/models/Booking');
+const ServiceCall = require('../src/models/ServiceCall');
+const User = require('../src/models/User');
+const { reserveSlot } = require('../src/services/availability');
+const { acceptQuote, cancelCall, completeCall, syncCallWithBooking } = require('../src/services/serviceCalls');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('accepting a service call quote', () => {
+  const start = new Date(Date.now() + 48 * HOUR_MS);
+  let serviceCall;
+
+  beforeEach(() => {
+    serviceCall = new ServiceCall({
+      customerId: new mongoose.Types.ObjectId(),
+      partnerId: new mongoose.Types.ObjectId(),
+      serviceId: new mongoose.Types.ObjectId(),
+      callStatus: 'quoted',
+      partnerResponse: { estimatedPrice: 1500, estimatedTime: 150 },
+      offerExpiresAt: new Date(Date.now() + HOUR_MS)
+    });
+
+    jest.spyOn(User, 'findById').mockResolvedValue(new User({ name: 'Asha', phoneNumber: '9876543210' }));
+    jest.spyOn(ServiceCall, 'findOneAndUpdate').mockImplementation(async () => serviceCall);
+    jest.spyOn(Booking.prototype, 'save').mockImplementation(async function() { return this; });
+    // The slot is sized by whatever duration the reservation is asked for
+    reserveSlot.mockImplementation(async ({ start: slotStart, durationMinutes }, persist) => persist({
+      partner: { location: { type: 'Point', coordinates: [72.57, 23.02] } },
+      service: { name: 'Full service', estimatedDuration: 60 },
+      partnerService: {},
+      durationMinutes,
+      slot: { start: slotStart, end: new Date(slotStart.getTime() + durationMinutes * 60000), startTime: '10:00' }
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    reserveSlot.mockReset();
+  });
+
+  it('reserves the time the partner quoted rather than the catalogue duration', async () => {
+    const { booking } = await acceptQuote(serviceCall, { scheduledTime: start });
+
+    expect(reserveSlot).toHaveBeenCalledWith(
+      expect.objectContaining({ start, durationMinutes: 150 }),
+      expect.any(Function)
+    );
+    expect(booking.estimatedDuration).toBe(150);
+    expect(booking.scheduledEndTime).toEqual(new Date(start.getTime() + 150 * 60000));
+    expect(booking.basePrice).toBe(1500);
+  });
+});
+
+describe('service call lifecycle', () => {
+  const newCall = (fields) => new ServiceCall({
+    customerId: new mongoose.Types.ObjectId(),
+    partnerId: new mongoose.Types.ObjectId(),
+    serviceId: new mongoose.Types.ObjectId(),
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.spyOn(ServiceCall, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const call = newCall({ callStatus: filter.callStatus });
+      call.set(update.$set);
+      return call;
+    });
+    jest.spyOn(ServiceCall, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets the customer cancel a call that is still being negotiated', async () => {
+    const cancelled = await cancelCall(newCall({ callStatus: 'quoted' }), { reason: 'Found a garage nearby' });
+
+    expect(cancelled.callStatus).toBe('cancelled');
+    expect(cancelled.cancelledBy).toBe('user');
+  });
+
+  it('sends the customer to the booking to cancel a booked call', async () => {
+    const call = newCall({ callStatus: 'accepted', bookingId: new mongoose.Types.ObjectId() });
+
+    await expect(cancelCall(call, {})).rejects.toMatchObject({ statusCode: 400, details: { bookingId: call.bookingId } });
+    expect(ServiceCall.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('only completes a call the partner has accepted', async () => {
+    await expect(completeCall(newCall({ callStatus: 'pending' }), { actualPrice: 800 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const completed = await completeCall(newCall({ callStatus: 'accepted' }), { actualPrice: 800 });
+    expect(completed).toMatchObject({ callStatus: 'completed', actualPrice: 800 });
+  });
+
+  it('refuses a step when someone else changed the call first', async () => {
+    ServiceCall.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(cancelCall(newCall({ callStatus: 'pending' }), {})).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('completes the call when the booking made from it is completed', async () => {
+    const booking = new Booking({ serviceCallId: new mongoose.Types.ObjectId(), status: 'completed', totalAmount: 1500 });
+
+    await syncCallWithBooking(booking);
+
+    expect(ServiceCall.updateOne).toHaveBeenCalledWith(
+      { _id: booking.serviceCallId, bookingId: booking._id, callStatus: 'accepted' },
+      { $set: expect.objectContaining({ callStatus: 'completed', actualPrice: 1500 }) }
+    );
+  });
+});
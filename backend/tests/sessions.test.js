@@ -0,0 +1,67 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const Session = require('../src/models/Session');
+const User = require('../src/models/User');
+const { createSession, refreshSession } = require('../src/services/sessions');
+
+describe('refresh token rotation', () => {
+  let user;
+  let session;
+
+  beforeEach(() => {
+    user = new User({ name: 'Asha', phoneNumber: '9876543210', isActive: true });
+    session = null;
+
+    // One stored session; the rotation and revocation filters are applied to it
+    jest.spyOn(Session.prototype, 'save').mockImplementation(async function() {
+      session = this;
+      return this;
+    });
+    jest.spyOn(Session, 'findById').mockImplementation(async () => session);
+    jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (session.revokedAt || session.refreshTokenHash !== filter.refreshTokenHash) return null;
+      session.set(update.$set);
+      return session;
+    });
+    jest.spyOn(Session, 'updateMany').mockImplementation(async (filter, update) => {
+      if (session.revokedAt) return { modifiedCount: 0 };
+      session.set(update.$set);
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(User, 'findById').mockImplementation(async () => user);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('issues a new refresh token on every use', async () => {
+    const login = await createSession('user', user);
+
+    const refreshed = await refreshSession(login.refreshToken);
+
+    expect(refreshed.token).toEqual(expect.any(String));
+    expect(refreshed.refreshToken).not.toBe(login.refreshToken);
+    expect(session.revokedAt).toBeUndefined();
+  });
+
+  it('revokes the session when a rotated refresh token is used again', async () => {
+    const login = await createSession('user', user);
+    const refreshed = await refreshSession(login.refreshToken);
+
+    await expect(refreshSession(login.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(session.revokedAt).toBeInstanceOf(Date);
+    expect(session.revokedReason).toBe('reuse_detected');
+    // The legitimate holder is logged out as well
+    await expect(refreshSession(refreshed.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('does not accept an access token as a refresh token', async () => {
+    const login = await createSession('user', user);
+
+    await expect(refreshSession(login.token)).rejects.toMatchObject({ statusCode: 401 });
+    expect(session.revokedAt).toBeUndefined();
+  });
+});
@@ -0,0 +1,117 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.TWO_FACTOR_ENCRYPTION_KEY = 'test-two-factor-key';
+
+jest.mock('../src/utils/totp', () => ({
+  ...jest.requireActual('../src/utils/totp'),
+  verifyTOTP: jest.fn()
+}));
+
+const Admin = require('../src/models/Admin');
+const { verifyTOTP } = require('../src/utils/totp');
+const {
+  startEnrollment,
+  confirmEnrollment,
+  createLoginChallenge,
+  verifyLoginChallenge
+} = require('../src/services/twoFactor');
+
+/**
+ * One stored admin; the conditional updates the service relies on are applied to it
+ */
+const useStoredAdmin = (admin) => {
+  jest.spyOn(Admin, 'findById').mockReturnValue({ select: async () => admin });
+  jest.spyOn(Admin, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (admin.twoFactorEnabled || admin.twoFactorPendingSecret !== filter.twoFactorPendingSecret) return null;
+    admin.set(update.$set);
+    admin.set('twoFactorPendingSecret', undefined);
+    return admin;
+  });
+  jest.spyOn(Admin, 'updateOne').mockImplementation(async (filter, update) => {
+    if (filter.twoFactorLastCounter) {
+      const lastCounter = admin.twoFactorLastCounter;
+      if (lastCounter !== undefined && lastCounter >= filter.twoFactorLastCounter.$not.$gte) return { modifiedCount: 0 };
+      admin.twoFactorLastCounter = update.$set.twoFactorLastCounter;
+      return { modifiedCount: 1 };
+    }
+
+    const { hash } = filter.twoFactorBackupCodes.$elemMatch;
+    const entry = admin.twoFactorBackupCodes.find(item => item.hash === hash && !item.usedAt);
+    if (!entry) return { modifiedCount: 0 };
+    entry.usedAt = update.$set['twoFactorBackupCodes.$.usedAt'];
+    return { modifiedCount: 1 };
+  });
+};
+
+const enrolledAdmin = async () => {
+  const admin = new Admin({
+    username: 'meera',
+    email: 'meera@example.com',
+    name: 'Meera',
+    password: 'Str0ng!Passw0rd',
+    role: 'admin'
+  });
+  useStoredAdmin(admin);
+
+  await startEnrollment(admin._id);
+  verifyTOTP.mockReturnValue(1000);
+  const { backupCodes } = await confirmEnrollment(admin._id, '123456');
+
+  return { admin, backupCodes };
+};
+
+describe('admin two-factor login', () => {
+  beforeEach(() => {
+    jest.spyOn(Admin.collection, 'insertOne').mockResolvedValue({ acknowledged: true });
+    jest.spyOn(Admin.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    verifyTOTP.mockReset();
+  });
+
+  it('accepts an authenticator code only once, even when sent twice at the same time', async () => {
+    const { admin } = await enrolledAdmin();
+    verifyTOTP.mockReturnValue(1001);
+    const { challengeToken } = createLoginChallenge(admin);
+
+    const results = await Promise.allSettled([
+      verifyLoginChallenge({ challengeToken, code: '654321' }),
+      verifyLoginChallenge({ challengeToken, code: '654321' })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(admin.twoFactorLastCounter).toBe(1001);
+  });
+
+  it('does not accept the code used to finish enrollment for a login', async () => {
+    const { admin } = await enrolledAdmin();
+    const { challengeToken } = createLoginChallenge(admin);
+
+    await expect(verifyLoginChallenge({ challengeToken, code: '123456' }))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('accepts a backup code only once', async () => {
+    const { admin, backupCodes } = await enrolledAdmin();
+    const { challengeToken } = createLoginChallenge(admin);
+
+    await verifyLoginChallenge({ challengeToken, backupCode: backupCodes[0] });
+
+    await expect(verifyLoginChallenge({ challengeToken, backupCode: backupCodes[0] }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Invalid or already used backup code' });
+    expect(admin.twoFactorBackupCodes.filter(entry => entry.usedAt)).toHaveLength(1);
+  });
+
+  it('refuses to store a secret without its own encryption key', async () => {
+    const admin = new Admin({ username: 'dev', email: 'dev@example.com', name: 'Dev', password: 'Str0ng!Passw0rd' });
+    useStoredAdmin(admin);
+    delete process.env.TWO_FACTOR_ENCRYPTION_KEY;
+
+    try {
+      await expect(startEnrollment(admin._id)).rejects.toThrow('TWO_FACTOR_ENCRYPTION_KEY must be set');
+    } finally {
+      process.env.TWO_FACTOR_ENCRYPTION_KEY = 'test-two-factor-key';
+    }
+  });
+});
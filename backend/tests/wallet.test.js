@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const WalletTransaction = require('../src/models/WalletTransaction');
+const { creditWallet, debitWallet, settlePendingTransactions } = require('../src/services/wallet');
+
+describe('wallet transactions', () => {
+  let user;
+  let transactions;
+
+  beforeEach(() => {
+    user = { _id: new mongoose.Types.ObjectId(), walletBalance: 0, appliedWalletTransactions: [] };
+    transactions = new Map();
+
+    // Transactions are stored by idempotencyKey, which is unique like the real index
+    jest.spyOn(WalletTransaction.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(WalletTransaction, 'findOne').mockImplementation(async ({ idempotencyKey }) =>
+      transactions.get(idempotencyKey) || null);
+    jest.spyOn(WalletTransaction, 'create').mockImplementation(async (doc) => {
+      await Promise.resolve();
+      if (transactions.has(doc.idempotencyKey)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      const transaction = new WalletTransaction(doc);
+      transactions.set(doc.idempotencyKey, transaction);
+      return transaction;
+    });
+
+    // The balance update honours the applied-id and balance conditions applyTransaction relies on
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (user.appliedWalletTransactions.some(id => id.equals(filter.appliedWalletTransactions.$ne))) return null;
+      if (filter.walletBalance && user.walletBalance < filter.walletBalance.$gte) return null;
+      user.walletBalance += update.$inc.walletBalance;
+      user.appliedWalletTransactions.push(...update.$push.appliedWalletTransactions.$each);
+      return { walletBalance: user.walletBalance };
+    });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const refund = (idempotencyKey = 'refund:1') =>
+    creditWallet(user._id, 25000, { type: 'refund', idempotencyKey, description: 'Refund (cancellation)' });
+
+  it('credits a repeated request once', async () => {
+    const first = await refund();
+    const repeat = await refund();
+
+    expect(repeat._id).toEqual(first._id);
+    expect(first.status).toBe('completed');
+    expect(user.walletBalance).toBe(25000);
+  });
+
+  it('credits once when the same request arrives twice at the same time', async () => {
+    await Promise.all([refund(), refund()]);
+
+    expect(transactions.size).toBe(1);
+    expect(user.walletBalance).toBe(25000);
+  });
+
+  it('does not apply a transaction twice when it is settled after a crash', async () => {
+    const transaction = await refund();
+    // The balance was updated but the process died before the transaction was marked completed
+    transaction.status = 'pending';
+    jest.spyOn(WalletTransaction, 'find').mockReturnValue({ sort: () => ({ limit: async () => [transaction] }) });
+
+    await settlePendingTransactions();
+
+    expect(transaction.status).toBe('completed');
+    expect(user.walletBalance).toBe(25000);
+  });
+
+  it('refuses a debit larger than the balance and leaves the balance alone', async () => {
+    await refund();
+
+    await expect(debitWallet(user._id, 30000, { type: 'booking_payment', idempotencyKey: 'booking:1' }))
+      .rejects.toMatchObject({ statusCode: 400, details: { balance: 250, required: 300 } });
+    expect(user.walletBalance).toBe(25000);
+  });
+});